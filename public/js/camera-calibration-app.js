@@ -7,6 +7,10 @@ import { CalibrationManager } from '../../src/calibration/core/CalibrationManage
 import { CameraCalibrator } from '../../src/calibration/core/CameraCalibrator.js';
 import { CameraManager } from '../../src/camera/CameraManager.js';
 import { FeedbackDisplay } from '../../src/calibration/ui/FeedbackDisplay.js';
+import { RealTimeFeedback } from '../../src/calibration/ui/RealTimeFeedback.js';
+import { CaptureGallery } from '../../src/calibration/ui/CaptureGallery.js';
+import { DistortionView } from '../../src/calibration/ui/DistortionView.js';
+import { Undistorter } from '../../src/camera/Undistorter.js';
 import { firebaseConfig } from '../../config/firebase.config.js';
 
 class CameraCalibrationApp {
@@ -16,6 +20,10 @@ class CameraCalibrationApp {
         this.cameraManager = new CameraManager();
         this.cameraCalibrator = null;
         this.feedbackDisplay = null;
+        this.realTimeFeedback = null;
+        this.captureGallery = null;
+        this.undistorter = null;
+        this.distortionView = null;
 
         // UI state
         this.currentStep = 'auth';
@@ -23,6 +31,9 @@ class CameraCalibrationApp {
         this.currentUser = null;
         this.autoCaptureEnabled = false;
         this.autoCaptureInterval = null;
+        this.autoCaptureBusy = false;
+        this.skipReasons = null; // Last reasons shown for frames auto capture skipped
+        this.calibrationOptions = {};
 
         // DOM elements
         this.elements = {};
@@ -40,6 +51,18 @@ class CameraCalibrationApp {
             // Initialize feedback display
             this.feedbackDisplay = new FeedbackDisplay('calibration-feedback');
 
+            // Captured images with delete / re-take
+            this.captureGallery = new CaptureGallery('capture-gallery', {
+                onDelete: (index) => this._deleteCapture(index),
+                onRetake: (index) => this._retakeCapture(index)
+            });
+
+            // Optional detailed panel for capture readiness; without it skip reasons go to the feedback display
+            const realTimeContainer = document.getElementById('real-time-feedback');
+            if (realTimeContainer) {
+                this.realTimeFeedback = new RealTimeFeedback(realTimeContainer);
+            }
+
             // Show welcome message
             this.feedbackDisplay.showFeedback('info',
                 'Welcome to camera calibration! We\'ll guide you through each step.'
@@ -121,6 +144,9 @@ class CameraCalibrationApp {
 
         // Other
         this.elements.downloadPatternBtn.addEventListener('click', () => this._downloadPattern());
+
+        // Mode selector options (pattern geometry etc.)
+        document.addEventListener('calibration-start', (event) => this._onCalibrationOptions(event.detail));
     }
 
     _setupCallbacks() {
@@ -360,6 +386,14 @@ class CameraCalibrationApp {
                 // Set up video stream
                 this.elements.cameraVideo.srcObject = result.stream;
 
+                // Cameras may deliver another size than requested; calibrate and scale intrinsics for the real one
+                const actualResolution = await this._getActualResolution(result.stream, resolution);
+                if (actualResolution.width !== resolution.width || actualResolution.height !== resolution.height) {
+                    this.feedbackDisplay.showFeedback('warning',
+                        `⚠️ Camera delivers ${actualResolution.width}x${actualResolution.height} instead of ${resolution.width}x${resolution.height}`
+                    );
+                }
+
                 // Initialize camera calibrator
                 this.cameraCalibrator = new CameraCalibrator(
                     this.elements.cameraVideo,
@@ -368,8 +402,10 @@ class CameraCalibrationApp {
                 );
 
                 await this.cameraCalibrator.initialize({
-                    width: resolution.width,
-                    height: resolution.height,
+                    ...this.calibrationOptions,
+                    intrinsicGuess: await this._loadIntrinsicGuess(actualResolution),
+                    width: actualResolution.width,
+                    height: actualResolution.height,
                     deviceId: deviceId
                 });
 
@@ -379,7 +415,7 @@ class CameraCalibrationApp {
                 this.feedbackDisplay.showInstructions(1, 'Camera Ready!',
                     'Your camera is now active. We\'ll help you capture calibration images step by step.',
                     [
-                        'Make sure you have a printed checkerboard pattern ready',
+                        `Make sure you have a printed ${this._getPatternLabel()} ready`,
                         'Good lighting is important for accurate detection',
                         'We need 10-20 images from different angles and distances'
                     ]
@@ -413,11 +449,14 @@ class CameraCalibrationApp {
         if (result.success) {
             const status = this.cameraCalibrator.getCalibrationStatus();
 
-            // Update capture counter
-            this.feedbackDisplay.updateCaptureCounter(
-                status.capturedImages,
-                status.requiredImages
-            );
+            // Update capture counter and gallery
+            this._updateCaptureViews();
+
+            // A re-take of an existing image only needs the calibration refreshed
+            if (result.replaced !== null && status.isComplete) {
+                await this._recalibrate();
+                return;
+            }
 
             // Show encouragement based on progress
             if (status.capturedImages === 1) {
@@ -439,6 +478,64 @@ class CameraCalibrationApp {
         }
     }
 
+    async _deleteCapture(index) {
+        if (!this.cameraCalibrator) return;
+
+        const wasCalibrated = this.cameraCalibrator.getCalibrationStatus().isComplete;
+        if (wasCalibrated) {
+            this._showLoading('Recomputing calibration...');
+        }
+
+        const result = await this.cameraCalibrator.deleteCapture(index);
+        this._hideLoading();
+        this._updateCaptureViews();
+
+        if (!result.success) {
+            this.feedbackDisplay.showFeedback('error', result.error);
+        } else if (result.calibrationData) {
+            this._showCalibrationResults(result.calibrationData);
+        } else if (wasCalibrated) {
+            this._stopUndistortionPreview();
+            this.elements.calibrationResults.style.display = 'none';
+        }
+    }
+
+    _retakeCapture(index) {
+        if (!this.cameraCalibrator) return;
+
+        const result = this.cameraCalibrator.retakeCapture(index);
+        if (!result.success) {
+            this.feedbackDisplay.showFeedback('error', result.error);
+        }
+        this._updateCaptureViews();
+    }
+
+    async _recalibrate() {
+        this._showLoading('Recomputing calibration...');
+        const result = await this.cameraCalibrator.recalibrate();
+        this._hideLoading();
+        this._updateCaptureViews();
+
+        if (result.success) {
+            this._showCalibrationResults(result.calibrationData);
+        } else {
+            this.feedbackDisplay.showFeedback('error', `Calibration failed: ${result.error}`);
+        }
+    }
+
+    _updateCaptureViews() {
+        // Counter and gallery follow captures, deletions and re-takes
+        const captures = this.cameraCalibrator ? this.cameraCalibrator.capturedImages : [];
+        const retakeIndex = this.cameraCalibrator ? this.cameraCalibrator.retakeIndex : null;
+
+        this.feedbackDisplay.updateCaptureCounter(
+            captures.length,
+            this.cameraCalibrator ? this.cameraCalibrator.minCapturedImages : 10,
+            { rejected: captures.filter(capture => capture.rejected).length, retaking: retakeIndex }
+        );
+        this.captureGallery.render(captures, retakeIndex);
+    }
+
     _toggleAutoCapture() {
         if (this.autoCaptureEnabled) {
             // Stop auto capture
@@ -456,24 +553,33 @@ class CameraCalibrationApp {
         this.elements.autoCaptureBtn.classList.remove('btn-outline');
 
         this.feedbackDisplay.showFeedback('info',
-            '🤖 Auto capture started! Move the pattern around - I\'ll capture good images automatically.'
+            '🤖 Auto capture started! Hold the pattern still in each new position - I\'ll capture it automatically.'
         );
 
-        // Start auto capture loop
-        this.autoCaptureInterval = setInterval(() => {
-            if (this.cameraCalibrator) {
-                const feedback = this.cameraCalibrator.getPositioningFeedback();
-                if (feedback && feedback.patternVisible && feedback.quality.isGood) {
-                    // Only auto-capture if pattern is in a good position
-                    const status = this.cameraCalibrator.getCalibrationStatus();
-                    if (status.capturedImages < status.requiredImages) {
-                        this._captureImage();
-                    } else {
-                        this._stopAutoCapture();
-                    }
+        // Check frames until the board is held still in a new pose
+        this.autoCaptureInterval = setInterval(async () => {
+            if (!this.cameraCalibrator || this.autoCaptureBusy) {
+                return;
+            }
+
+            const status = this.cameraCalibrator.getCalibrationStatus();
+            if (status.capturedImages >= status.requiredImages) {
+                this._stopAutoCapture();
+                return;
+            }
+
+            const check = this.cameraCalibrator.checkAutoCapture();
+            this._showCaptureReadiness(check);
+
+            if (check.ready) {
+                this.autoCaptureBusy = true;
+                try {
+                    await this._captureImage();
+                } finally {
+                    this.autoCaptureBusy = false;
                 }
             }
-        }, 3000); // Try to capture every 3 seconds
+        }, this.cameraCalibrator ? this.cameraCalibrator.autoCaptureSettings.frameInterval : 250);
     }
 
     _stopAutoCapture() {
@@ -486,10 +592,25 @@ class CameraCalibrationApp {
             clearInterval(this.autoCaptureInterval);
             this.autoCaptureInterval = null;
         }
+        this.skipReasons = null;
 
         this.feedbackDisplay.showFeedback('info', 'Auto capture stopped');
     }
 
+    _showCaptureReadiness(check) {
+        if (this.realTimeFeedback) {
+            this.realTimeFeedback.setCaptureReadiness(check.ready, true, check.reasons);
+            return;
+        }
+
+        // Only when the reasons change, so other guidance is not overwritten every frame
+        const reasons = check.ready ? null : check.reasons.join(' · ');
+        if (reasons && reasons !== this.skipReasons) {
+            this.feedbackDisplay.showFeedback('info', `Not capturing yet: ${reasons}`, 3000);
+        }
+        this.skipReasons = reasons;
+    }
+
     async _processCalibration() {
         try {
             this._showLoading('Processing calibration data...');
@@ -502,6 +623,7 @@ class CameraCalibrationApp {
 
             if (result.success) {
                 this._showCalibrationResults(result.calibrationData);
+                this._updateCaptureViews();
                 this.feedbackDisplay.showEncouragement('completed');
             } else {
                 this.feedbackDisplay.showFeedback('error',
@@ -523,9 +645,11 @@ class CameraCalibrationApp {
         }
 
         this._stopAutoCapture();
+        this._stopUndistortionPreview();
         this.elements.calibrationResults.style.display = 'none';
         this.feedbackDisplay.clearFeedback();
         this.feedbackDisplay.updateCaptureCounter(0, 10);
+        this.captureGallery.clear();
 
         this.feedbackDisplay.showFeedback('info',
             'Calibration reset. You can start capturing images again.'
@@ -581,7 +705,7 @@ class CameraCalibrationApp {
         }
 
         this.feedbackDisplay.showFeedback('info',
-            'Ready for new calibration! Position your checkerboard pattern and start capturing.'
+            `Ready for new calibration! Position your ${this._getPatternLabel()} and start capturing.`
         );
     }
 
@@ -640,6 +764,27 @@ class CameraCalibrationApp {
         return { width, height };
     }
 
+    async _getActualResolution(stream, requested) {
+        const video = this.elements.cameraVideo;
+
+        if (!video.videoWidth) {
+            // Frame size is known once metadata has loaded; give up after a few seconds
+            await new Promise(resolve => {
+                const timer = setTimeout(resolve, 3000);
+                video.addEventListener('loadedmetadata', () => {
+                    clearTimeout(timer);
+                    resolve();
+                }, { once: true });
+            });
+        }
+
+        const settings = stream.getVideoTracks()[0]?.getSettings() || {};
+        return {
+            width: video.videoWidth || settings.width || requested.width,
+            height: video.videoHeight || settings.height || requested.height
+        };
+    }
+
     _updateCameraStatus(status, message) {
         this.elements.cameraStatus.style.display = 'block';
         this.elements.cameraStatusContent.innerHTML = `
@@ -708,6 +853,129 @@ class CameraCalibrationApp {
                     <span class="result-label">Resolution:</span>
                     <span class="result-value">${calibrationData.resolution.width}×${calibrationData.resolution.height}</span>
                 </div>
+                <div class="result-item">
+                    <span class="result-label">Pattern:</span>
+                    <span class="result-value">${this._getPatternLabel(calibrationData.calibrationPattern)}</span>
+                </div>
+                ${this._generateFlagItem(calibrationData)}
+                ${this._generateUncertaintyItems(calibrationData)}
+            </div>
+            ${this._generateViewErrorList(calibrationData.calibrationReport)}
+            <div class="distortion-visualization">
+                <h4>Lens distortion</h4>
+                <div id="distortion-view"></div>
+                <div class="distortion-view-controls">
+                    <button class="btn btn-outline btn-sm" data-distortion-mode="grid">▦ Grid</button>
+                    <button class="btn btn-outline btn-sm" data-distortion-mode="vectors">➚ Vectors</button>
+                    <button class="btn btn-outline btn-sm" id="export-distortion-btn">🖼️ Export PNG</button>
+                </div>
+            </div>
+            <div class="undistortion-preview">
+                <h4>Undistortion preview</h4>
+                <canvas id="undistortion-canvas" style="width: 100%;"></canvas>
+                <input type="range" id="undistortion-split" min="0" max="100" value="50" title="Original / undistorted split">
+            </div>
+        `;
+
+        this._renderDistortionView(calibrationData);
+        this._startUndistortionPreview(calibrationData);
+    }
+
+    _renderDistortionView(calibrationData) {
+        // Results are re-rendered from scratch, so the view is rebuilt with its container
+        const mode = this.distortionView ? this.distortionView.settings.mode : 'grid';
+        this.distortionView = new DistortionView('distortion-view', { mode });
+
+        const captures = this.cameraCalibrator ? this.cameraCalibrator.capturedImages : [];
+        const background = captures.find(capture => !capture.rejected)?.imageData || null;
+        this.distortionView.render(calibrationData, background);
+
+        this.elements.resultsContent.querySelectorAll('[data-distortion-mode]').forEach(button => {
+            button.addEventListener('click', () => this.distortionView.setMode(button.dataset.distortionMode));
+        });
+
+        document.getElementById('export-distortion-btn').addEventListener('click', () => {
+            if (this.distortionView.exportPNG()) {
+                this.feedbackDisplay.showFeedback('success', '🖼️ Distortion visualization exported');
+            }
+        });
+    }
+
+    _startUndistortionPreview(calibrationData) {
+        const canvas = document.getElementById('undistortion-canvas');
+        const slider = document.getElementById('undistortion-split');
+        if (!canvas) return;
+
+        if (!this.undistorter) {
+            this.undistorter = new Undistorter();
+            this.undistorter.setFeedbackCallback((type, message) => {
+                if (type === 'error') this.feedbackDisplay.showFeedback(type, message);
+            });
+        }
+
+        const result = this.undistorter.setCalibration(calibrationData);
+        if (!result.success) {
+            this.feedbackDisplay.showFeedback('warning', `⚠️ Undistortion preview unavailable: ${result.error}`);
+            return;
+        }
+
+        // Left of the divider shows the raw camera image, right the corrected one
+        this.undistorter.setSplitView(slider.value / 100);
+        slider.addEventListener('input', () => this.undistorter.setSplitView(slider.value / 100));
+
+        this.undistorter.start(this.elements.cameraVideo, canvas);
+    }
+
+    _stopUndistortionPreview() {
+        if (this.undistorter) {
+            this.undistorter.stop();
+        }
+    }
+
+    _generateUncertaintyItems(calibrationData) {
+        const uncertainty = calibrationData.intrinsicUncertainty;
+        if (!uncertainty) {
+            return '';
+        }
+
+        const K = calibrationData.intrinsicMatrix;
+        return `
+            <div class="result-item">
+                <span class="result-label">Focal Length:</span>
+                <span class="result-value">${K[0].toFixed(1)} ± ${uncertainty.fx.toFixed(1)}, ${K[4].toFixed(1)} ± ${uncertainty.fy.toFixed(1)} px</span>
+            </div>
+            <div class="result-item">
+                <span class="result-label">Optical Centre:</span>
+                <span class="result-value">(${K[2].toFixed(1)} ± ${uncertainty.cx.toFixed(1)}, ${K[5].toFixed(1)} ± ${uncertainty.cy.toFixed(1)}) px</span>
+            </div>
+        `;
+    }
+
+    _generateViewErrorList(report) {
+        if (!report) {
+            return '';
+        }
+
+        const rows = report.views.map(view => `
+            <li class="view-error ${view.rejected ? 'rejected' : ''}" title="${view.reason || ''}">
+                <span class="result-label">Image #${view.index + 1}:</span>
+                <span class="result-value">
+                    ${view.reprojectionError !== null ? `${view.reprojectionError.toFixed(2)} px` : 'n/a'}
+                    ${view.rejected ? '❌ rejected' : ''}
+                </span>
+                ${view.rejected ? `<div class="view-error-reason">${view.reason}</div>` : ''}
+            </li>
+        `).join('');
+
+        const summary = report.rejectedViews.length > 0
+            ? `Rejected ${report.rejectedViews.length} image(s); error improved from ${report.initialError.toFixed(2)} to ${report.finalError.toFixed(2)} pixels.`
+            : 'All images were used.';
+
+        return `
+            <div class="view-errors">
+                <h4>Per-image reprojection error</h4>
+                <p>${summary}</p>
+                <ul class="view-error-list">${rows}</ul>
             </div>
         `;
     }
@@ -741,11 +1009,11 @@ class CameraCalibrationApp {
 
     _provideCapturingGuidance(reason) {
         const guidanceMessages = {
-            'Pattern not detected': '🔍 Make sure the entire checkerboard pattern is visible and well-lit',
+            'Pattern not detected': `🔍 Make sure the entire ${this._getPatternLabel()} is visible and well-lit`,
             'Image too dark': '💡 Increase lighting or move to a brighter area',
             'Image too bright': '🔆 Reduce lighting or move away from bright light sources',
             'Image blurry': '🎯 Hold the camera steady and ensure the pattern is in focus',
-            'Low contrast': '📊 Ensure good contrast between black and white squares'
+            'Low contrast': '📊 Ensure good contrast between the black and white areas of the pattern'
         };
 
         const message = guidanceMessages[reason] || '❓ Try adjusting the pattern position and lighting';
@@ -764,11 +1032,121 @@ class CameraCalibrationApp {
         }
     }
 
+    _onCalibrationOptions({ options = {} } = {}) {
+        this.calibrationOptions = { ...options };
+
+        // Apply immediately if the camera is already running
+        if (this.cameraCalibrator && options.calibrationPattern) {
+            const result = this.cameraCalibrator.applyPatternOptions(options);
+
+            if (result.success) {
+                this.feedbackDisplay.updateCaptureCounter(0, this.cameraCalibrator.minCapturedImages);
+                this.feedbackDisplay.showFeedback('info',
+                    `📐 Calibration pattern set to ${this._getPatternLabel(result.pattern)}`
+                );
+            } else {
+                this.feedbackDisplay.showFeedback('error', result.error);
+            }
+        }
+    }
+
+    _generateFlagItem(calibrationData) {
+        const flags = calibrationData.calibrationFlags || {};
+        const labels = {
+            fixPrincipalPoint: 'fixed principal point',
+            fixAspectRatio: 'fixed aspect ratio',
+            zeroTangentialDist: 'zero tangential',
+            useIntrinsicGuess: 'previous calibration as guess'
+        };
+        const active = Object.keys(labels).filter(flag => flags[flag]).map(flag => labels[flag]);
+
+        if (active.length === 0) {
+            return '';
+        }
+
+        return `
+            <div class="result-item">
+                <span class="result-label">Flags:</span>
+                <span class="result-value">${active.join(', ')}</span>
+            </div>
+        `;
+    }
+
+    async _loadIntrinsicGuess(resolution) {
+        if (!this.calibrationOptions.useIntrinsicGuess) {
+            return null;
+        }
+
+        if (!this.isSignedIn || !this.currentUser) {
+            this.feedbackDisplay.showFeedback('warning', '⚠️ Sign in to start from your previous calibration');
+            return null;
+        }
+
+        const result = await this.calibrationManager.loadCalibration(this.currentUser.uid, {
+            cameraResolution: resolution,
+            useCase: 'measurement'
+        });
+        const previous = result.success && result.calibrationData;
+
+        if (!previous || !previous.camera?.intrinsicMatrix) {
+            this.feedbackDisplay.showFeedback('warning', '⚠️ No previous camera calibration found, starting from scratch');
+            return null;
+        }
+
+        const adjustment = result.resolutionCheck?.adjustments.find(item => item.type === 'resolution');
+        if (adjustment?.rejected) {
+            this.feedbackDisplay.showFeedback('warning',
+                `⚠️ Previous calibration used ${adjustment.calibratedResolution.width}x${adjustment.calibratedResolution.height}, ` +
+                'which does not match this camera\'s aspect ratio. Starting from scratch');
+            return null;
+        }
+
+        this.feedbackDisplay.showFeedback('info', adjustment
+            ? `📂 Starting from your previous camera calibration (scaled from ${adjustment.calibratedResolution.width}x${adjustment.calibratedResolution.height})`
+            : '📂 Starting from your previous camera calibration');
+        return { ...previous.camera, id: previous.id, timestamp: previous.timestamp };
+    }
+
+    _getPatternLabel(pattern = this.cameraCalibrator?.getCalibrationPattern()) {
+        if (!pattern) {
+            return 'calibration pattern';
+        }
+
+        const names = {
+            checkerboard: 'checkerboard',
+            symmetric_circles: 'symmetric circle grid',
+            asymmetric_circles: 'asymmetric circle grid',
+            charuco: 'ChArUco board'
+        };
+
+        return `${pattern.width}×${pattern.height} ${names[pattern.type] || pattern.type}`;
+    }
+
     _downloadPattern() {
-        // Generate and download calibration pattern
-        this.feedbackDisplay.showFeedback('info',
-            'Pattern download coming soon! For now, you can print any standard 9×6 checkerboard pattern.'
-        );
+        if (!this.cameraCalibrator) {
+            this.feedbackDisplay.showFeedback('info',
+                'Start the camera first so the pattern matches your calibration settings.'
+            );
+            return;
+        }
+
+        try {
+            // Generate and download calibration pattern
+            const image = this.cameraCalibrator.generatePatternImage();
+            const pattern = this.cameraCalibrator.getCalibrationPattern();
+
+            const link = document.createElement('a');
+            link.href = image.dataURL;
+            link.download = `calibration-${pattern.type}-${pattern.width}x${pattern.height}.png`;
+            link.click();
+
+            this.feedbackDisplay.showFeedback('success',
+                `🖨️ ${this._getPatternLabel(pattern)} downloaded. Print it at 100% scale and measure the spacing (set to ${pattern.spacing} mm).`
+            );
+
+        } catch (error) {
+            this.feedbackDisplay.showFeedback('error', 'Failed to generate calibration pattern');
+        }
     }
 }
 
@@ -0,0 +1,347 @@
+/**
+ * Projector relay - Small WebSocket relay so a projector display can run on another machine
+ * Every text message is forwarded unchanged to the other clients of the same room (?room=name);
+ * addressing, acknowledgements and discovery are handled by the projector protocol itself.
+ *
+ * Usage: node server/projector-relay.js [--port 8787] [--host 127.0.0.1] [--origins http://a,http://b]
+ * Binding to another interface than loopback requires --origins.
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_SIZE = 64 * 1024 * 1024; // Pattern pixels travel base64-encoded ($binary): ~11 MB at 1080p, ~44 MB at 4K
+
+const OPCODES = {
+    CONTINUATION: 0x0,
+    TEXT: 0x1,
+    BINARY: 0x2,
+    CLOSE: 0x8,
+    PING: 0x9,
+    PONG: 0xa
+};
+
+export class ProjectorRelay {
+    constructor(options = {}) {
+        this.settings = {
+            port: 8787,
+            host: '127.0.0.1',
+            allowedOrigins: [], // Empty accepts any origin, allowed on loopback only
+            heartbeatInterval: 30000,
+            maxMessageSize: MAX_MESSAGE_SIZE,
+            ...options
+        };
+
+        this.server = null;
+        this.rooms = new Map();
+        this.heartbeatTimer = null;
+    }
+
+    /**
+     * Start listening; resolves with the bound address
+     */
+    start() {
+        if (!isLoopbackHost(this.settings.host) && this.settings.allowedOrigins.length === 0) {
+            return Promise.reject(new Error(
+                `Relay on ${this.settings.host} would accept any origin; pass --origins to listen beyond loopback`
+            ));
+        }
+
+        this.server = http.createServer((request, response) => this._handleStatusRequest(request, response));
+        this.server.on('upgrade', (request, socket) => this._handleUpgrade(request, socket));
+
+        this.heartbeatTimer = setInterval(() => this._heartbeat(), this.settings.heartbeatInterval);
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.settings.port, this.settings.host, () => {
+                const address = this.server.address();
+                console.log(`📡 Projector relay listening on ws://${this.settings.host}:${address.port}`);
+                resolve(address);
+            });
+        });
+    }
+
+    /**
+     * Close every client and stop listening
+     */
+    stop() {
+        clearInterval(this.heartbeatTimer);
+
+        this.rooms.forEach(clients => clients.forEach(client => client.socket.destroy()));
+        this.rooms.clear();
+
+        return new Promise(resolve => {
+            if (!this.server) return resolve();
+            this.server.close(() => resolve());
+        });
+    }
+
+    // Private methods
+
+    _handleStatusRequest(request, response) {
+        const rooms = {};
+        this.rooms.forEach((clients, name) => {
+            rooms[name] = clients.size;
+        });
+
+        response.writeHead(200, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify({ service: 'natar-projector-relay', rooms }));
+    }
+
+    _handleUpgrade(request, socket) {
+        const key = request.headers['sec-websocket-key'];
+        const origin = request.headers.origin;
+        const origins = this.settings.allowedOrigins;
+
+        if (!key || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+        if (origins.length > 0 && !origins.includes(origin)) {
+            console.warn(`⚠️ Rejected relay client from untrusted origin: ${origin}`);
+            socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+            return;
+        }
+
+        const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '', ''
+        ].join('\r\n'));
+
+        const url = new URL(request.url, 'http://relay');
+        const client = {
+            socket,
+            room: url.searchParams.get('room') || 'default',
+            chunks: [], // Received bytes not parsed yet
+            buffered: 0,
+            needed: 2, // Bytes required before the next frame can be parsed
+            fragments: null,
+            fragmentSize: 0,
+            isAlive: true,
+            closed: false
+        };
+
+        if (!this.rooms.has(client.room)) {
+            this.rooms.set(client.room, new Set());
+        }
+        this.rooms.get(client.room).add(client);
+        console.log(`🔌 Client joined room "${client.room}" (${this.rooms.get(client.room).size} connected)`);
+
+        socket.setNoDelay(true);
+        socket.on('data', (chunk) => this._receive(client, chunk));
+        socket.on('close', () => this._removeClient(client));
+        socket.on('error', () => socket.destroy());
+    }
+
+    _receive(client, chunk) {
+        if (client.closed) return;
+
+        // Chunks are only joined once a whole frame has arrived, so large frames are copied once
+        client.chunks.push(chunk);
+        client.buffered += chunk.length;
+        if (client.buffered < client.needed) return;
+
+        const buffer = client.chunks.length === 1 ? client.chunks[0] : Buffer.concat(client.chunks, client.buffered);
+        const rest = this._readFrames(client, buffer);
+        if (client.closed) return;
+
+        client.chunks = rest.length > 0 ? [rest] : [];
+        client.buffered = rest.length;
+    }
+
+    _readFrames(client, buffer) {
+        client.needed = 2;
+
+        while (buffer.length >= 2 && !client.closed) {
+            const fin = (buffer[0] & 0x80) !== 0;
+            const opcode = buffer[0] & 0x0f;
+            const masked = (buffer[1] & 0x80) !== 0;
+            let length = buffer[1] & 0x7f;
+            let offset = 2;
+
+            if (length >= 126) {
+                offset = length === 126 ? 4 : 10;
+                if (buffer.length < offset) {
+                    client.needed = offset;
+                    break;
+                }
+                length = length === 126 ? buffer.readUInt16BE(2) : Number(buffer.readBigUInt64BE(2));
+            }
+
+            // Browsers always mask client frames
+            if (!masked) return this._close(client, 1002);
+            if (length > this.settings.maxMessageSize) return this._close(client, 1009);
+            if (buffer.length < offset + 4 + length) {
+                client.needed = offset + 4 + length;
+                break;
+            }
+
+            const mask = buffer.subarray(offset, offset + 4);
+            const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= mask[i & 3];
+            }
+            buffer = buffer.subarray(offset + 4 + length);
+
+            this._handleFrame(client, opcode, fin, payload);
+        }
+
+        return buffer;
+    }
+
+    _handleFrame(client, opcode, fin, payload) {
+        switch (opcode) {
+            case OPCODES.TEXT:
+            case OPCODES.CONTINUATION:
+                if (opcode === OPCODES.TEXT) {
+                    client.fragments = [];
+                    client.fragmentSize = 0;
+                } else if (!client.fragments) {
+                    return this._close(client, 1002);
+                }
+
+                // The limit applies to whole messages, not only to single frames
+                client.fragmentSize += payload.length;
+                if (client.fragmentSize > this.settings.maxMessageSize) {
+                    return this._close(client, 1009);
+                }
+                client.fragments.push(payload);
+
+                if (fin) {
+                    const text = Buffer.concat(client.fragments, client.fragmentSize).toString('utf8');
+                    client.fragments = null;
+                    client.fragmentSize = 0;
+                    this._broadcast(client, text);
+                }
+                break;
+            case OPCODES.PING:
+                this._sendFrame(client.socket, OPCODES.PONG, payload);
+                break;
+            case OPCODES.PONG:
+                client.isAlive = true;
+                break;
+            case OPCODES.CLOSE:
+                this._close(client, 1000);
+                break;
+            default:
+                // Binary frames are not part of the protocol
+                this._close(client, 1003);
+        }
+    }
+
+    _broadcast(sender, text) {
+        const clients = this.rooms.get(sender.room);
+        if (!clients) return;
+
+        const payload = Buffer.from(text, 'utf8');
+        clients.forEach(client => {
+            if (client !== sender) {
+                this._sendFrame(client.socket, OPCODES.TEXT, payload);
+            }
+        });
+    }
+
+    _sendFrame(socket, opcode, payload) {
+        if (socket.destroyed) return;
+
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+
+        socket.write(Buffer.concat([header, payload]));
+    }
+
+    _close(client, code) {
+        if (client.closed) return;
+        client.closed = true;
+        client.chunks = [];
+        client.fragments = null;
+
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        this._sendFrame(client.socket, OPCODES.CLOSE, payload);
+        client.socket.end();
+        this._removeClient(client);
+    }
+
+    _removeClient(client) {
+        const clients = this.rooms.get(client.room);
+        if (!clients || !clients.delete(client)) return;
+
+        console.log(`👋 Client left room "${client.room}" (${clients.size} connected)`);
+        if (clients.size === 0) {
+            this.rooms.delete(client.room);
+        }
+    }
+
+    _heartbeat() {
+        // Drop clients that did not answer the previous ping (e.g. a display machine went offline)
+        this.rooms.forEach(clients => clients.forEach(client => {
+            if (!client.isAlive) {
+                client.socket.destroy();
+                this._removeClient(client);
+                return;
+            }
+            client.isAlive = false;
+            this._sendFrame(client.socket, OPCODES.PING, Buffer.alloc(0));
+        }));
+    }
+}
+
+/**
+ * Whether only this machine can reach the host
+ */
+function isLoopbackHost(host) {
+    return host === 'localhost' || host === '::1' || /^127\.\d+\.\d+\.\d+$/.test(host);
+}
+
+/**
+ * Parse --port, --host and --origins, falling back to environment variables
+ */
+function parseArguments(argv) {
+    const options = {
+        port: Number(process.env.PROJECTOR_RELAY_PORT) || 8787,
+        host: process.env.PROJECTOR_RELAY_HOST || '127.0.0.1',
+        allowedOrigins: (process.env.PROJECTOR_RELAY_ORIGINS || '').split(',').filter(Boolean)
+    };
+
+    for (let i = 0; i < argv.length; i += 2) {
+        const value = argv[i + 1];
+        if (argv[i] === '--port') options.port = Number(value);
+        else if (argv[i] === '--host') options.host = value;
+        else if (argv[i] === '--origins') options.allowedOrigins = value.split(',').filter(Boolean);
+    }
+
+    return options;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const relay = new ProjectorRelay(parseArguments(process.argv.slice(2)));
+
+    relay.start().catch(error => {
+        console.error('❌ Projector relay failed to start:', error.message);
+        process.exit(1);
+    });
+
+    const shutdown = () => relay.stop().then(() => process.exit(0));
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
\ No newline at end of file
@@ -17,6 +17,7 @@ export class CalibrationManager {
         this.quadCalibration = null;
         this.isCalibrated = false;
         this.calibrationId = null;
+        this.calibrationMode = null;
 
         // Component references
         this.cameraCalibrator = null;
@@ -77,20 +78,36 @@ export class CalibrationManager {
 
     /**
      * Load existing calibration for a user
+     * With options.cameraResolution, camera intrinsics are scaled to that resolution or rejected;
+     * warnings about the scaling are returned for the caller to show.
      */
-    async loadCalibration(userId) {
+    async loadCalibration(userId, options = {}) {
         try {
             this.status = 'loading';
             this._notifyStatusChange();
 
-            const calibrationData = await this.storage.loadLatestCalibration(userId);
+            let calibrationData = await this.storage.loadLatestCalibration(userId);
 
             if (calibrationData) {
+                let resolutionCheck = null;
+                if (options.cameraResolution) {
+                    resolutionCheck = this.storage.validator.validateForUse(
+                        calibrationData,
+                        options.useCase || 'projection',
+                        { cameraResolution: options.cameraResolution }
+                    );
+                    if (resolutionCheck.data) {
+                        calibrationData = resolutionCheck.data;
+                    }
+                }
+
+                const resolutionCompatible = !resolutionCheck?.adjustments?.some(adjustment => adjustment.rejected);
+
                 this.cameraCalibration = calibrationData.camera;
                 this.projectorCalibration = calibrationData.projector;
                 this.quadCalibration = calibrationData.quad;
                 this.calibrationId = calibrationData.id;
-                this.isCalibrated = this._validateCalibrationData(calibrationData);
+                this.isCalibrated = this._validateCalibrationData(calibrationData) && resolutionCompatible;
 
                 this.status = this.isCalibrated ? 'calibrated' : 'invalid';
                 this._notifyStatusChange();
@@ -98,7 +115,9 @@ export class CalibrationManager {
                 return {
                     success: true,
                     calibrationData,
-                    isValid: this.isCalibrated
+                    isValid: this.isCalibrated,
+                    resolutionCheck,
+                    warnings: resolutionCheck ? resolutionCheck.warnings : []
                 };
             } else {
                 this.status = 'no-calibration';
@@ -107,7 +126,8 @@ export class CalibrationManager {
                 return {
                     success: true,
                     calibrationData: null,
-                    isValid: false
+                    isValid: false,
+                    warnings: []
                 };
             }
         } catch (error) {
@@ -123,8 +143,11 @@ export class CalibrationManager {
 
     /**
      * Start the full calibration workflow
+     * In 'full' mode board views are captured from options.videoElement (default: the camera calibrator's video);
+     * options.waitForView({ captured, required, lastResult }) resolves once the board is in its next pose,
+     * otherwise the user gets options.viewInterval ms to move it.
      */
-    async performFullCalibration(mode = 'quad') {
+    async performFullCalibration(mode = 'quad', options = {}) {
         try {
             this.status = 'calibrating';
             this.currentStep = 0;
@@ -133,6 +156,7 @@ export class CalibrationManager {
 
             // Reset calibration data
             this._resetCalibrationData();
+            this.calibrationMode = mode;
 
             // Step 1: Camera setup and validation
             await this._stepCameraSetup();
@@ -144,7 +168,7 @@ export class CalibrationManager {
             if (mode === 'quad') {
                 await this._stepQuadCalibration();
             } else {
-                await this._stepFullGeometricCalibration();
+                await this._stepFullGeometricCalibration(options);
             }
 
             // Step 4: Validation and testing
@@ -308,6 +332,7 @@ export class CalibrationManager {
     _getCalibrationData() {
         return {
             id: this.calibrationId,
+            type: this.calibrationMode,
             timestamp: new Date().toISOString(),
             camera: this.cameraCalibration,
             projector: this.projectorCalibration,
@@ -329,8 +354,12 @@ export class CalibrationManager {
             throw new Error('CameraCalibrator not registered');
         }
 
-        // Camera setup will be implemented in Step 2
-        this.cameraCalibration = { placeholder: true };
+        this.cameraCalibration = this.cameraCalibrator.getCalibrationData();
+
+        // Projected corners are lifted onto the board with the camera intrinsics
+        if (!this.cameraCalibration && this.calibrationMode !== 'quad') {
+            throw new Error('Calibrate the camera before full geometric calibration');
+        }
     }
 
     async _stepProjectorSetup() {
@@ -357,12 +386,61 @@ export class CalibrationManager {
         this.quadCalibration = { placeholder: true };
     }
 
-    async _stepFullGeometricCalibration() {
+    async _stepFullGeometricCalibration(options = {}) {
         this.currentStep = 3;
         this._notifyProgress();
 
-        // Full geometric calibration (future implementation)
-        throw new Error('Full geometric calibration not yet implemented');
+        if (!this.projectorCalibrator) {
+            throw new Error('ProjectorCalibrator not registered');
+        }
+
+        this.projectorCalibrator.cameraCalibration = this.cameraCalibration;
+        await this._captureBoardViews(options);
+
+        const result = await this.projectorCalibrator.calibrate();
+        if (!result.success) {
+            throw new Error(result.error || result.message);
+        }
+
+        this.projectorCalibration = result.calibrationData;
+    }
+
+    async _captureBoardViews(options) {
+        const calibrator = this.projectorCalibrator;
+        const videoElement = options.videoElement || this.cameraCalibrator?.video;
+        const viewInterval = options.viewInterval ?? 3000;
+
+        if (!videoElement) {
+            throw new Error('Video element required to capture board views');
+        }
+
+        if (!calibrator.isInitialized) {
+            const init = await calibrator.initialize();
+            if (!init.success) {
+                throw new Error(init.error || init.message);
+            }
+        }
+
+        // Views captured earlier (e.g. by hand) count towards the required ones
+        const required = calibrator.settings.minViews;
+        const maxAttempts = options.maxAttempts ?? required * 3;
+        let lastResult = null;
+
+        for (let attempt = 0; calibrator.views.length < required; attempt++) {
+            if (attempt >= maxAttempts) {
+                throw new Error(`Only ${calibrator.views.length} of ${required} board views captured: ${lastResult?.reason || lastResult?.error || 'no usable view'}`);
+            }
+
+            // Every view needs a new board pose
+            const progress = { captured: calibrator.views.length, required, lastResult };
+            if (options.waitForView) {
+                await options.waitForView(progress);
+            } else if (attempt > 0) {
+                await new Promise(resolve => setTimeout(resolve, viewInterval));
+            }
+
+            lastResult = await calibrator.captureView(videoElement);
+        }
     }
 
     async _stepValidation() {
@@ -5,6 +5,26 @@
 
 import { ErrorHandler } from '../../utils/ErrorHandler.js';
 import { ValidationUtils } from '../../utils/ValidationUtils.js';
+import { CharucoBoard } from '../patterns/CharucoBoard.js';
+import { CoverageTracker } from './CoverageTracker.js';
+import { GeometryUtils, DISTORTION_MODELS } from '../../utils/GeometryUtils.js';
+
+// Pattern presets offered by the mode selector (width x height = points per row x rows)
+const CALIBRATION_PATTERNS = {
+    checkerboard_9x6: { type: 'checkerboard', width: 9, height: 6, spacing: 25 },
+    checkerboard_7x5: { type: 'checkerboard', width: 7, height: 5, spacing: 30 },
+    circles_4x11: { type: 'asymmetric_circles', width: 4, height: 11, spacing: 20 },
+    symmetric_circles_7x6: { type: 'symmetric_circles', width: 7, height: 6, spacing: 25 },
+    charuco_7x5: { type: 'charuco', width: 7, height: 5, spacing: 30, markerRatio: 0.7 } // width x height = squares
+};
+
+const PATTERN_TYPES = ['checkerboard', 'symmetric_circles', 'asymmetric_circles', 'charuco'];
+
+// cv::fisheye flag values (not exported as constants by every OpenCV.js build)
+const FISHEYE_CALIB_USE_INTRINSIC_GUESS = 1;
+const FISHEYE_CALIB_RECOMPUTE_EXTRINSIC = 2;
+const FISHEYE_CALIB_FIX_SKEW = 8;
+const FISHEYE_CALIB_FIX_PRINCIPAL_POINT = 512;
 
 export class CameraCalibrator {
     constructor(videoElement, canvasElement, feedbackCallback = null) {
@@ -32,20 +52,70 @@ export class CameraCalibrator {
         this.intrinsicMatrix = null;
         this.distortionCoefficients = null;
         this.calibrationError = null;
+        this.calibrationReport = null;
+        this.intrinsicUncertainty = null;
+        this.distortionModel = 'standard'; // See DISTORTION_MODELS
+
+        // Expert calibration flags passed to cv.calibrateCamera
+        this.calibrationFlags = {
+            fixPrincipalPoint: false,
+            fixAspectRatio: false,
+            zeroTangentialDist: false,
+            useIntrinsicGuess: false
+        };
+        this.intrinsicGuess = null; // { intrinsicMatrix, distortionCoefficients, distortionModel, source }
+
+        // Accumulated region / tilt / distance coverage of the captured views
+        this.coverage = new CoverageTracker(this.cameraWidth, this.cameraHeight);
+        this.showCoverageOverlay = true;
+        this.nextPose = null;
+
+        // Auto-capture only takes a still board in a pose not captured yet
+        this.autoCaptureSettings = {
+            frameInterval: 250,      // ms between checked frames
+            stableFrames: 5,         // Consecutive still frames required
+            maxMotion: 1.5,          // px, mean corner movement between frames
+            minPoseDifference: 0.025, // Mean board corner shift relative to the image diagonal
+            minTiltDifference: 10     // Degrees between board normals
+        };
+        this.stability = { corners: null, ids: null, frames: 0 };
+
+        // Gallery edits: capture slot awaiting a re-take, warm start for recalibration
+        this.retakeIndex = null;
+        this.warmStart = null;
+
+        // Saved calibrations keep the raw corner observations; thumbnails are optional
+        this.storeThumbnails = false;
 
         // Pattern detection settings
-        this.patternSize = { width: 9, height: 6 }; // Checkerboard inner corners
-        this.squareSize = 25; // mm
+        this.patternType = 'checkerboard';
+        this.patternName = 'checkerboard_9x6';
+        this.patternSize = { width: 9, height: 6 }; // Checkerboard inner corners or circle grid points
+        this.squareSize = 25; // mm, square size or circle spacing
+        this.charucoBoard = null; // Set when a ChArUco pattern is selected
+        this.minCharucoCorners = 6; // Fewest identified corners for a partial ChArUco view
         this.minCapturedImages = 10;
         this.maxCapturedImages = 20;
 
+        // Iterative rejection of views that disagree with the rest (off by default)
+        this.outlierRejection = {
+            enabled: false,
+            maxIterations: 5,
+            errorFactor: 2.0, // View RMS relative to the median view RMS
+            minViewError: 0.5, // px; views below this are never rejected
+            minImprovement: 0.05, // Stop when dropping a view lowers RMS by less than 5%
+            minViews: 8
+        };
+
         // Quality thresholds for novice users
         this.qualityThresholds = {
             minBrightness: 50,
             maxBrightness: 200,
             minContrast: 30,
             minSharpness: 0.1,
-            maxReprojectionError: 1.0
+            maxReprojectionError: 1.0,
+            maxFocalUncertainty: 0.01, // Std dev relative to the focal length
+            maxPrincipalPointUncertainty: 10 // px
         };
 
         // User guidance state
@@ -66,6 +136,52 @@ export class CameraCalibrator {
             this.cameraHeight = cameraConfig.height || 720;
             this.deviceId = cameraConfig.deviceId || null;
 
+            if (cameraConfig.distortionModel) {
+                if (!DISTORTION_MODELS[cameraConfig.distortionModel]) {
+                    throw new Error(`Unknown distortion model: ${cameraConfig.distortionModel}`);
+                }
+                this.distortionModel = cameraConfig.distortionModel;
+            }
+
+            Object.keys(this.calibrationFlags).forEach(flag => {
+                if (cameraConfig[flag] !== undefined) {
+                    this.calibrationFlags[flag] = !!cameraConfig[flag];
+                }
+            });
+
+            if (this.distortionModel === 'fisheye' &&
+                (this.calibrationFlags.fixAspectRatio || this.calibrationFlags.zeroTangentialDist)) {
+                this._provideFeedback('warning', '⚠️ Aspect ratio and tangential flags are ignored by the fisheye model');
+            }
+
+            this.coverage.reset(this.cameraWidth, this.cameraHeight);
+            if (cameraConfig.showCoverageOverlay !== undefined) {
+                this.showCoverageOverlay = !!cameraConfig.showCoverageOverlay;
+            }
+
+            if (cameraConfig.intrinsicGuess) {
+                const guessResult = this.setIntrinsicGuess(cameraConfig.intrinsicGuess);
+                if (!guessResult.success) {
+                    throw new Error(guessResult.error);
+                }
+            }
+
+            if (cameraConfig.storeThumbnails !== undefined) {
+                this.storeThumbnails = !!cameraConfig.storeThumbnails;
+            }
+
+            if (cameraConfig.rejectOutlierViews !== undefined) {
+                this.outlierRejection.enabled = !!cameraConfig.rejectOutlierViews;
+            }
+
+            // Apply pattern geometry from the mode options
+            if (cameraConfig.calibrationPattern) {
+                const patternResult = this.applyPatternOptions(cameraConfig);
+                if (!patternResult.success) {
+                    throw new Error(patternResult.error);
+                }
+            }
+
             // Validate browser capabilities
             await this._validateBrowserSupport();
 
@@ -102,7 +218,13 @@ export class CameraCalibrator {
             this.isCalibrating = true;
             this.currentStep = 1;
             this.capturedImages = [];
+            this.retakeIndex = null;
+            this.coverage.reset();
+            this.nextPose = null;
+            this._resetStability();
             this.calibrationPoints = [];
+            this.calibrationReport = null;
+            this.intrinsicUncertainty = null;
 
             this._updateProgress(1, 'Starting camera calibration...');
 
@@ -164,59 +286,60 @@ export class CameraCalibrator {
                 return { success: false, reason: qualityCheck.message };
             }
 
-            // Detect checkerboard pattern
-            const corners = new cv.Mat();
-            const patternFound = cv.findChessboardCorners(
-                gray,
-                new cv.Size(this.patternSize.width, this.patternSize.height),
-                corners,
-                cv.CALIB_CB_ADAPTIVE_THRESH | cv.CALIB_CB_NORMALIZE_IMAGE
-            );
-
-            if (patternFound) {
-                // Refine corner positions for better accuracy
-                const criteria = new cv.TermCriteria(
-                    cv.TERM_CRITERIA_EPS | cv.TERM_CRITERIA_MAX_ITER,
-                    30,
-                    0.1
-                );
-                cv.cornerSubPix(gray, corners, new cv.Size(11, 11), new cv.Size(-1, -1), criteria);
+            // Detect calibration pattern
+            const detection = this._detectPattern(gray, true);
 
-                // Store calibration data
-                this.capturedImages.push({
+            if (detection.found) {
+                // Store calibration data (ids are set for partial ChArUco views)
+                const capture = {
                     imageData: imageData,
-                    corners: this._matToArray(corners),
+                    corners: detection.corners,
+                    ids: detection.ids,
                     timestamp: Date.now(),
-                    quality: qualityCheck.scores
-                });
+                    quality: qualityCheck.scores,
+                    coverage: null
+                };
+
+                // A re-take replaces the capture chosen in the gallery
+                const replaced = this.retakeIndex;
+                if (replaced !== null) {
+                    this.capturedImages[replaced] = capture;
+                    this.retakeIndex = null;
+                } else {
+                    this.capturedImages.push(capture);
+                }
+
+                this._rebuildCoverage();
+                this._resetStability();
 
-                // Visual feedback - draw detected corners
-                this._drawDetectedPattern(corners);
+                // Visual feedback - coverage so far and the detected corners
+                this._drawCoverageOverlay();
+                this._drawDetectedPattern(detection.corners);
 
                 const progress = this.capturedImages.length / this.minCapturedImages;
                 const remaining = Math.max(0, this.minCapturedImages - this.capturedImages.length);
 
-                this._provideFeedback('success',
-                    `✅ Pattern detected! Captured ${this.capturedImages.length}/${this.minCapturedImages} images. ${remaining > 0 ? `${remaining} more needed.` : 'Ready to calibrate!'}`
+                this._provideFeedback('success', replaced !== null
+                    ? `🔁 Image #${replaced + 1} re-taken.`
+                    : `✅ Pattern detected! Captured ${this.capturedImages.length}/${this.minCapturedImages} images. ${remaining > 0 ? `${remaining} more needed.` : 'Ready to calibrate!'}`
                 );
 
                 // Auto-progress if enough images captured
-                if (this.capturedImages.length >= this.minCapturedImages && this.autoProgressEnabled) {
+                if (replaced === null && this.capturedImages.length >= this.minCapturedImages && this.autoProgressEnabled) {
                     setTimeout(() => this._processCalibration(), 2000);
                 }
 
-                corners.delete();
                 mat.delete();
                 gray.delete();
 
-                return { success: true, captured: this.capturedImages.length };
+                return { success: true, captured: this.capturedImages.length, replaced };
 
             } else {
-                this._provideFeedback('info',
-                    '❌ No checkerboard pattern detected. Make sure the pattern is fully visible and well-lit.'
+                this._provideFeedback('info', this.patternType === 'charuco'
+                    ? `❌ Not enough of the ${this._describePattern()} detected. At least ${this.minCharucoCorners} corners must be identified.`
+                    : `❌ No ${this._describePattern()} detected. Make sure the pattern is fully visible and well-lit.`
                 );
 
-                corners.delete();
                 mat.delete();
                 gray.delete();
 
@@ -251,17 +374,18 @@ export class CameraCalibrator {
             const qualityCheck = this._assessImageQuality(gray);
 
             // Try to detect pattern
-            const corners = new cv.Mat();
-            const patternFound = cv.findChessboardCorners(
-                gray,
-                new cv.Size(this.patternSize.width, this.patternSize.height),
-                corners,
-                cv.CALIB_CB_ADAPTIVE_THRESH | cv.CALIB_CB_NORMALIZE_IMAGE
-            );
+            const detection = this._detectPattern(gray, false);
+
+            this.nextPose = this.coverage.suggestNextPose(this._getBoardOutline());
 
             let feedback = {
                 quality: qualityCheck,
-                patternVisible: patternFound,
+                patternVisible: detection.found,
+                corners: detection.found ? detection.corners : null,
+                ids: detection.ids || null,
+                coverage: this.coverage.getSummary(),
+                nextPose: this.nextPose,
+                view: null,
                 recommendations: []
             };
 
@@ -274,21 +398,22 @@ export class CameraCalibrator {
                     feedback.recommendations.push('🔆 Reduce lighting - the image is too bright');
                 }
                 if (qualityCheck.scores.contrast < this.qualityThresholds.minContrast) {
-                    feedback.recommendations.push('📊 Improve contrast - ensure good lighting difference between black and white squares');
+                    feedback.recommendations.push('📊 Improve contrast - ensure good lighting difference between black and white areas of the pattern');
                 }
                 if (qualityCheck.scores.sharpness < this.qualityThresholds.minSharpness) {
                     feedback.recommendations.push('🎯 Hold the camera steady and ensure the pattern is in focus');
                 }
             }
 
-            if (!patternFound) {
-                feedback.recommendations.push('📐 Make sure the entire checkerboard pattern is visible in the camera');
+            if (!detection.found) {
+                feedback.recommendations.push(this.patternType === 'charuco'
+                    ? `📐 Show more of the ${this._describePattern()} to the camera`
+                    : `📐 Make sure the entire ${this._describePattern()} is visible in the camera`);
                 feedback.recommendations.push('📏 Hold the pattern flat and parallel to the camera');
                 feedback.recommendations.push('🎯 Ensure the pattern is clearly visible with good contrast');
             } else {
                 // Pattern found - provide positioning guidance
-                const cornerArray = this._matToArray(corners);
-                const patternInfo = this._analyzePatternPosition(cornerArray);
+                const patternInfo = this._analyzePatternPosition(detection.corners);
 
                 if (patternInfo.tooClose) {
                     feedback.recommendations.push('↔️ Move the pattern further away from the camera');
@@ -300,12 +425,22 @@ export class CameraCalibrator {
                     feedback.recommendations.push('🔄 Try capturing the pattern from different angles');
                 }
 
-                if (patternInfo.isGoodPosition) {
+                // Steer away from views that add nothing new
+                const view = this.coverage.estimateView(
+                    detection.corners,
+                    this._generateObjectPoints(detection.ids),
+                    this._getBoardOutline()
+                );
+                feedback.view = view;
+                if (this.coverage.isRedundant(view)) {
+                    feedback.recommendations.push(`🧭 This view is already covered. ${this.nextPose.message}`);
+                } else if (patternInfo.isGoodPosition) {
                     feedback.recommendations.push('✅ Perfect! Press capture when ready');
                 }
             }
 
-            corners.delete();
+            this._drawCoverageOverlay();
+
             mat.delete();
             gray.delete();
 
@@ -317,6 +452,337 @@ export class CameraCalibrator {
         }
     }
 
+    /**
+     * Remove a capture and, if the camera was calibrated, recompute from the remaining ones
+     */
+    async deleteCapture(index) {
+        try {
+            if (!this.capturedImages[index]) {
+                throw new Error(`No capture #${index + 1}`);
+            }
+
+            this.capturedImages.splice(index, 1);
+            if (this.retakeIndex !== null) {
+                this.retakeIndex = this.retakeIndex === index ? null
+                    : this.retakeIndex - (this.retakeIndex > index ? 1 : 0);
+            }
+            this._rebuildCoverage();
+
+            this._provideFeedback('info', `🗑️ Image #${index + 1} deleted. ${this.capturedImages.length} images left.`);
+
+            if (this.intrinsicMatrix === null) {
+                return { success: true, captured: this.capturedImages.length, calibrationData: null };
+            }
+
+            if (this.capturedImages.length < this.minCapturedImages) {
+                this._clearCalibrationResult();
+                this._provideFeedback('warning',
+                    `⚠️ Calibration needs at least ${this.minCapturedImages} images - capture ${this.minCapturedImages - this.capturedImages.length} more to recompute it.`
+                );
+                return { success: true, captured: this.capturedImages.length, calibrationData: null };
+            }
+
+            const result = await this.recalibrate();
+            return { ...result, captured: this.capturedImages.length };
+
+        } catch (error) {
+            this.errorHandler.logError('CameraCalibrator.deleteCapture', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Mark a capture to be replaced by the next captured image
+     */
+    retakeCapture(index) {
+        if (!this.capturedImages[index]) {
+            return { success: false, error: `No capture #${index + 1}` };
+        }
+
+        this.retakeIndex = index;
+        this._provideFeedback('info', `📸 Position the pattern and capture a replacement for image #${index + 1}.`);
+
+        return { success: true, retakeIndex: index };
+    }
+
+    /**
+     * Recompute the calibration from the current captures
+     * Starts from the previous solution, so edits converge quickly.
+     */
+    async recalibrate() {
+        try {
+            if (this.intrinsicMatrix) {
+                this.warmStart = {
+                    intrinsicMatrix: [...this.intrinsicMatrix],
+                    distortionCoefficients: [...this.distortionCoefficients]
+                };
+            }
+
+            await this._processCalibration();
+            await this._validateCalibration();
+
+            return {
+                success: true,
+                calibrationData: this.getCalibrationData()
+            };
+
+        } catch (error) {
+            this.errorHandler.logError('CameraCalibrator.recalibrate', error);
+            this._provideFeedback('error', this.errorHandler.getUserFriendlyMessage(error));
+            return {
+                success: false,
+                error: error.message
+            };
+
+        } finally {
+            this.warmStart = null;
+        }
+    }
+
+    /**
+     * Decide whether the current frame should be auto-captured
+     * The board must be sharp, held still for several frames and differ from every capture so far.
+     */
+    checkAutoCapture() {
+        const feedback = this.getPositioningFeedback();
+        if (!feedback) {
+            return { ready: false, reasons: ['Camera not ready'], feedback: null };
+        }
+
+        const settings = this.autoCaptureSettings;
+        const reasons = [];
+
+        if (this.capturedImages.length >= this.maxCapturedImages) {
+            reasons.push('Maximum number of images captured');
+        }
+
+        if (!feedback.patternVisible) {
+            this._resetStability();
+            reasons.push(`No ${this._describePattern()} detected`);
+            return { ready: false, reasons, feedback };
+        }
+
+        if (!feedback.quality.isGood) {
+            reasons.push(feedback.quality.message);
+        }
+
+        const motion = this._updateStability(feedback.corners, feedback.ids);
+        if (motion === null || motion > settings.maxMotion) {
+            reasons.push('Board is moving - hold it still');
+        } else if (this.stability.frames < settings.stableFrames) {
+            reasons.push(`Hold still (${this.stability.frames}/${settings.stableFrames})`);
+        }
+
+        const similar = this._findSimilarCapture(feedback.view);
+        if (similar !== -1) {
+            reasons.push(`Too similar to image ${similar + 1}. ${this.nextPose.message}`);
+        }
+
+        return { ready: reasons.length === 0, reasons, feedback };
+    }
+
+    /**
+     * Set the calibration pattern geometry
+     * Accepts a preset name (e.g. 'circles_4x11') or { type, width, height, spacing }.
+     */
+    setCalibrationPattern(pattern, spacing = null) {
+        try {
+            const preset = typeof pattern === 'string' ? CALIBRATION_PATTERNS[pattern] : pattern;
+            if (!preset) {
+                throw new Error(`Unknown calibration pattern: ${pattern}`);
+            }
+
+            const geometry = {
+                type: preset.type,
+                width: parseInt(preset.width, 10),
+                height: parseInt(preset.height, 10),
+                spacing: parseFloat(spacing || preset.spacing || this.squareSize)
+            };
+
+            if (!PATTERN_TYPES.includes(geometry.type)) {
+                throw new Error(`Unsupported pattern type: ${geometry.type}`);
+            }
+            if (!(geometry.width >= 2 && geometry.height >= 2)) {
+                throw new Error('Calibration pattern needs at least 2x2 points');
+            }
+            if (!(geometry.spacing > 0)) {
+                throw new Error('Pattern spacing must be positive');
+            }
+
+            // Throws if the board does not fit the marker dictionary
+            const charucoBoard = geometry.type === 'charuco'
+                ? new CharucoBoard({
+                    squaresX: geometry.width,
+                    squaresY: geometry.height,
+                    squareLength: geometry.spacing,
+                    markerLength: geometry.spacing * (preset.markerRatio || 0.7)
+                })
+                : null;
+
+            const changed = geometry.type !== this.patternType ||
+                geometry.width !== this.patternSize.width ||
+                geometry.height !== this.patternSize.height;
+
+            this.patternType = geometry.type;
+            this.patternName = typeof pattern === 'string' ? pattern : 'custom';
+            this.patternSize = { width: geometry.width, height: geometry.height };
+            this.squareSize = geometry.spacing;
+            this.charucoBoard = charucoBoard;
+
+            // Captures of a different layout cannot be mixed into one calibration
+            if (changed && this.capturedImages.length > 0) {
+                this.capturedImages = [];
+                this.retakeIndex = null;
+                this.coverage.reset();
+                this._resetStability();
+                this._provideFeedback('warning', '🔄 Calibration pattern changed - previous captures were cleared');
+            }
+
+            return {
+                success: true,
+                pattern: this.getCalibrationPattern()
+            };
+
+        } catch (error) {
+            this.errorHandler.logError('CameraCalibrator.setCalibrationPattern', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Use a previous camera calibration as the starting point (CALIB_USE_INTRINSIC_GUESS)
+     * The matrix is rescaled when the previous calibration used another resolution.
+     */
+    setIntrinsicGuess(previousCalibration) {
+        try {
+            const K = previousCalibration && previousCalibration.intrinsicMatrix;
+            if (!Array.isArray(K) || K.length !== 9 || K[0] <= 0 || K[4] <= 0) {
+                throw new Error('Previous calibration has no valid intrinsic matrix');
+            }
+
+            // Throws when the previous calibration used another aspect ratio
+            const resolution = previousCalibration.resolution;
+            const intrinsicMatrix = resolution
+                ? GeometryUtils.scaleIntrinsics(K, resolution, { width: this.cameraWidth, height: this.cameraHeight }).intrinsicMatrix
+                : [...K];
+
+            this.intrinsicGuess = {
+                intrinsicMatrix,
+                distortionCoefficients: previousCalibration.distortionCoefficients || null,
+                distortionModel: previousCalibration.distortionModel ||
+                    GeometryUtils.getDistortionModel(previousCalibration.distortionCoefficients || []),
+                source: {
+                    id: previousCalibration.id || null,
+                    timestamp: previousCalibration.timestamp || null,
+                    resolution: resolution || null
+                }
+            };
+            this.calibrationFlags.useIntrinsicGuess = true;
+            this.coverage.setCameraMatrix(this.intrinsicGuess.intrinsicMatrix);
+
+            return { success: true, intrinsicGuess: this.intrinsicGuess };
+
+        } catch (error) {
+            this.errorHandler.logError('CameraCalibrator.setIntrinsicGuess', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Apply pattern options from the mode selector
+     */
+    applyPatternOptions(options) {
+        return this.setCalibrationPattern(this._resolvePatternOption(options), options.patternSpacing);
+    }
+
+    /**
+     * Get the current calibration pattern geometry
+     */
+    getCalibrationPattern() {
+        const pattern = {
+            name: this.patternName,
+            type: this.patternType,
+            width: this.patternSize.width,
+            height: this.patternSize.height,
+            spacing: this.squareSize,
+            pointCount: this.patternSize.width * this.patternSize.height
+        };
+
+        if (this.charucoBoard) {
+            pattern.pointCount = this.charucoBoard.cornerCount;
+            pattern.markerLength = this.charucoBoard.markerLength;
+            pattern.dictionary = this.charucoBoard.dictionary.name;
+        }
+
+        return pattern;
+    }
+
+    /**
+     * Render the current calibration pattern for printing
+     */
+    generatePatternImage(pixelsPerUnit = 100) {
+        if (this.charucoBoard) {
+            return this.charucoBoard.generateImage(pixelsPerUnit);
+        }
+
+        const { width, height } = this.patternSize;
+        const unit = pixelsPerUnit;
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d');
+
+        if (this.patternType === 'checkerboard') {
+            // Inner corners + 1 squares in each direction, with a white border
+            canvas.width = (width + 2) * unit;
+            canvas.height = (height + 2) * unit;
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            ctx.fillStyle = '#000000';
+
+            for (let row = 0; row <= height; row++) {
+                for (let col = 0; col <= width; col++) {
+                    if ((row + col) % 2 === 0) {
+                        ctx.fillRect((col + 0.5) * unit, (row + 0.5) * unit, unit, unit);
+                    }
+                }
+            }
+        } else {
+            // Circle diameter is half the centre spacing
+            const points = this._generateObjectPoints();
+            const scale = unit / this.squareSize;
+            const maxX = Math.max(...points.filter((_, i) => i % 3 === 0));
+            const maxY = Math.max(...points.filter((_, i) => i % 3 === 1));
+
+            canvas.width = Math.round(maxX * scale + 2 * unit);
+            canvas.height = Math.round(maxY * scale + 2 * unit);
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            ctx.fillStyle = '#000000';
+
+            for (let i = 0; i < points.length; i += 3) {
+                ctx.beginPath();
+                ctx.arc(points[i] * scale + unit, points[i + 1] * scale + unit, unit / 4, 0, 2 * Math.PI);
+                ctx.fill();
+            }
+        }
+
+        return {
+            type: this.patternType,
+            canvas,
+            dataURL: canvas.toDataURL('image/png'),
+            pattern: this.getCalibrationPattern(),
+            pixelsPerUnit
+        };
+    }
+
     /**
      * Get calibration progress and status
      */
@@ -330,7 +796,8 @@ export class CameraCalibrator {
             progress: this.capturedImages.length / this.minCapturedImages,
             isComplete: this.intrinsicMatrix !== null,
             lastFeedback: this.lastFeedback,
-            calibrationError: this.calibrationError
+            calibrationError: this.calibrationError,
+            coverage: this.coverage.getSummary()
         };
     }
 
@@ -345,6 +812,9 @@ export class CameraCalibrator {
         return {
             intrinsicMatrix: this.intrinsicMatrix,
             distortionCoefficients: this.distortionCoefficients,
+            distortionModel: this.distortionModel,
+            calibrationFlags: this._getEffectiveFlags(),
+            intrinsicGuessSource: this._getEffectiveFlags().useIntrinsicGuess ? this.intrinsicGuess.source : null,
             resolution: {
                 width: this.cameraWidth,
                 height: this.cameraHeight
@@ -352,11 +822,84 @@ export class CameraCalibrator {
             deviceId: this.deviceId,
             calibrationError: this.calibrationError,
             capturedImages: this.capturedImages.length,
+            calibrationPattern: this.getCalibrationPattern(),
+            calibrationReport: this.calibrationReport,
+            intrinsicUncertainty: this.intrinsicUncertainty,
+            observations: this.getObservations({ thumbnails: this.storeThumbnails }),
             timestamp: new Date().toISOString(),
             quality: this._assessCalibrationQuality()
         };
     }
 
+    /**
+     * Raw per-view corner observations, enough to rerun the calibration later
+     */
+    getObservations({ thumbnails = false, thumbnailWidth = 160 } = {}) {
+        return {
+            version: 1,
+            imageSize: {
+                width: this.cameraWidth,
+                height: this.cameraHeight
+            },
+            pattern: this.getCalibrationPattern(),
+            views: this.capturedImages.map(capture => ({
+                corners: capture.corners.map(v => Math.round(v * 1000) / 1000),
+                ids: capture.ids ? [...capture.ids] : null,
+                timestamp: capture.timestamp,
+                thumbnail: thumbnails
+                    ? (capture.thumbnail || (capture.imageData && this._createThumbnail(capture.imageData, thumbnailWidth)) || null)
+                    : null
+            }))
+        };
+    }
+
+    /**
+     * Replace the captures with stored observations, e.g. to recalibrate without a camera
+     */
+    loadObservations(observations) {
+        try {
+            if (!observations || !Array.isArray(observations.views) || observations.views.length === 0) {
+                throw new Error('Calibration has no stored observations');
+            }
+
+            const { pattern, imageSize } = observations;
+            const patternResult = this.setCalibrationPattern({
+                ...pattern,
+                markerRatio: pattern.markerLength ? pattern.markerLength / pattern.spacing : undefined
+            });
+            if (!patternResult.success) {
+                throw new Error(patternResult.error);
+            }
+            this.patternName = pattern.name || 'custom';
+
+            this.cameraWidth = imageSize.width;
+            this.cameraHeight = imageSize.height;
+            this.coverage.reset(this.cameraWidth, this.cameraHeight);
+
+            this.capturedImages = observations.views.map(view => ({
+                imageData: null,
+                thumbnail: view.thumbnail || null,
+                corners: [...view.corners],
+                ids: view.ids ? [...view.ids] : null,
+                timestamp: view.timestamp,
+                quality: null,
+                coverage: null
+            }));
+            this.retakeIndex = null;
+            this._clearCalibrationResult();
+            this._rebuildCoverage();
+
+            return { success: true, views: this.capturedImages.length };
+
+        } catch (error) {
+            this.errorHandler.logError('CameraCalibrator.loadObservations', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
     /**
      * Stop calibration process
      */
@@ -442,7 +985,7 @@ export class CameraCalibrator {
         this._updateProgress(2, 'Capturing calibration patterns...');
 
         this._provideFeedback('info',
-            `📐 Hold a printed checkerboard pattern (${this.patternSize.width}x${this.patternSize.height} inner corners) in front of the camera. We need ${this.minCapturedImages} good images from different angles and positions.`
+            `📐 Hold a printed ${this._describePattern()} in front of the camera. We need ${this.minCapturedImages} good images from different angles and positions.`
         );
 
         // Start real-time feedback loop
@@ -457,56 +1000,494 @@ export class CameraCalibrator {
             throw new Error(`Need at least ${this.minCapturedImages} calibration images`);
         }
 
-        // Prepare object points (3D points of the checkerboard pattern)
-        const objectPoints = [];
-        const imagePoints = [];
+        // Start from all captures; rejection below may drop some of them
+        this.capturedImages.forEach(capture => {
+            capture.rejected = false;
+            capture.rejectionReason = null;
+        });
+
+        let views = this.capturedImages.map((_, index) => index);
+        let result = this._runCalibration(views);
+        const initialError = result.rms;
+        const rejectedViews = [];
+        let iterations = 0;
+
+        // Optionally drop the worst view and recalibrate until the error stabilizes
+        if (this.outlierRejection.enabled) {
+            const minViews = Math.max(this.outlierRejection.minViews, 3);
+
+            while (iterations < this.outlierRejection.maxIterations && views.length > minViews) {
+                const errors = views.map(index => result.viewErrors[index]);
+                const median = this._median(errors);
+                const worstPosition = errors.indexOf(Math.max(...errors));
+                const worstError = errors[worstPosition];
+                const limit = Math.max(median * this.outlierRejection.errorFactor, this.outlierRejection.minViewError);
+
+                if (worstError <= limit) {
+                    break;
+                }
+
+                const candidateViews = views.filter((_, i) => i !== worstPosition);
+                const candidate = this._runCalibration(candidateViews);
+                const improvement = (result.rms - candidate.rms) / result.rms;
+                iterations++;
 
-        for (let i = 0; i < this.capturedImages.length; i++) {
-            // 3D object points (assuming Z=0 for calibration pattern)
-            const objPts = [];
-            for (let j = 0; j < this.patternSize.height; j++) {
-                for (let k = 0; k < this.patternSize.width; k++) {
-                    objPts.push(k * this.squareSize, j * this.squareSize, 0);
+                if (improvement < this.outlierRejection.minImprovement) {
+                    break; // Error has stabilized; keep the view
                 }
+
+                const index = views[worstPosition];
+                rejectedViews.push({
+                    index,
+                    timestamp: this.capturedImages[index].timestamp,
+                    reprojectionError: worstError,
+                    iteration: iterations,
+                    reason: `View error ${worstError.toFixed(2)} px is ${(worstError / median).toFixed(1)}× the median (${median.toFixed(2)} px); removing it lowered RMS from ${result.rms.toFixed(2)} to ${candidate.rms.toFixed(2)} px`
+                });
+
+                views = candidateViews;
+                result = candidate;
             }
-            objectPoints.push(objPts);
-            imagePoints.push(this.capturedImages[i].corners);
+        }
+
+        // Store results
+        this.intrinsicMatrix = result.intrinsicMatrix;
+        this.distortionCoefficients = result.distortionCoefficients;
+        this.calibrationError = result.rms;
+
+        // Parameter uncertainty from the Jacobian at the final solution
+        this.intrinsicUncertainty = this._estimateIntrinsicUncertainty(views, result);
+
+        // Per-capture errors and poses under the final calibration; rejected views are re-evaluated too
+        const finalErrors = this._computeViewErrors(
+            this.capturedImages.map((_, index) => index),
+            result,
+            true
+        );
+        this.capturedImages.forEach((capture, index) => {
+            capture.reprojectionError = finalErrors[index];
+            capture.rvec = result.rvecs[index] || null;
+            capture.tvec = result.tvecs[index] || null;
+        });
+        rejectedViews.forEach(view => {
+            this.capturedImages[view.index].rejected = true;
+            this.capturedImages[view.index].rejectionReason = view.reason;
+        });
+
+        this.calibrationReport = {
+            initialError,
+            finalError: result.rms,
+            iterations,
+            outlierRejection: this.outlierRejection.enabled,
+            usedViews: views.length,
+            views: this.capturedImages.map((capture, index) => ({
+                index,
+                timestamp: capture.timestamp,
+                pointCount: capture.corners.length / 2,
+                reprojectionError: capture.reprojectionError,
+                rejected: capture.rejected,
+                reason: capture.rejectionReason
+            })),
+            rejectedViews
+        };
+
+        if (rejectedViews.length > 0) {
+            this._provideFeedback('info',
+                `🧹 Rejected ${rejectedViews.length} inconsistent image${rejectedViews.length > 1 ? 's' : ''} (#${rejectedViews.map(v => v.index + 1).join(', #')}). Error improved from ${initialError.toFixed(2)} to ${result.rms.toFixed(2)} pixels`
+            );
+        }
+
+        this._provideFeedback('success', `✅ Calibration computed! Reprojection error: ${result.rms.toFixed(2)} pixels`);
+    }
+
+    _runCalibration(views) {
+        // Prepare object points (3D points of the calibration pattern)
+        const objectPoints = [];
+        const imagePoints = [];
+        const objPts = this._generateObjectPoints();
+
+        for (const index of views) {
+            // Partial ChArUco views carry their own corner IDs
+            const ids = this.capturedImages[index].ids;
+            objectPoints.push(ids ? this._generateObjectPoints(ids) : objPts);
+            imagePoints.push(this.capturedImages[index].corners);
         }
 
         // Convert to OpenCV format
         const objectPointsMat = this._arrayToMatVector(objectPoints, cv.CV_32FC3, 3);
         const imagePointsMat = this._arrayToMatVector(imagePoints, cv.CV_32FC2, 2);
 
-        // Calibrate camera
-        const cameraMatrix = new cv.Mat(3, 3, cv.CV_64F);
-        const distCoeffs = new cv.Mat(4, 1, cv.CV_64F);
+        // Calibrate camera; the coefficient count selects the distortion model
+        const coefficientCount = DISTORTION_MODELS[this.distortionModel].coefficients.length;
+        const initial = this._getInitialIntrinsics(coefficientCount);
+        const cameraMatrix = cv.matFromArray(3, 3, cv.CV_64F, initial.intrinsicMatrix);
+        const distCoeffs = cv.matFromArray(coefficientCount, 1, cv.CV_64F, initial.distortionCoefficients);
         const rvecs = new cv.MatVector();
         const tvecs = new cv.MatVector();
+        const imageSize = new cv.Size(this.cameraWidth, this.cameraHeight);
+
+        try {
+            let rms;
+            if (this.distortionModel === 'fisheye') {
+                if (typeof cv.fisheye_calibrate !== 'function') {
+                    throw new Error('Fisheye calibration is not available in this OpenCV.js build');
+                }
+                const criteria = new cv.TermCriteria(cv.TERM_CRITERIA_COUNT + cv.TERM_CRITERIA_EPS, 100, 1e-6);
+                rms = cv.fisheye_calibrate(
+                    objectPointsMat,
+                    imagePointsMat,
+                    imageSize,
+                    cameraMatrix,
+                    distCoeffs,
+                    rvecs,
+                    tvecs,
+                    this._getCalibrationFlags(),
+                    criteria
+                );
+            } else {
+                rms = cv.calibrateCamera(
+                    objectPointsMat,
+                    imagePointsMat,
+                    imageSize,
+                    cameraMatrix,
+                    distCoeffs,
+                    rvecs,
+                    tvecs,
+                    this._getCalibrationFlags()
+                );
+            }
 
-        const rms = cv.calibrateCamera(
-            objectPointsMat,
-            imagePointsMat,
-            new cv.Size(this.cameraWidth, this.cameraHeight),
-            cameraMatrix,
-            distCoeffs,
-            rvecs,
-            tvecs
+            // Poses keyed by capture index
+            const result = {
+                rms,
+                intrinsicMatrix: this._matToArray(cameraMatrix),
+                distortionCoefficients: this._matToArray(distCoeffs),
+                rvecs: {},
+                tvecs: {}
+            };
+
+            views.forEach((index, i) => {
+                const rvec = rvecs.get(i);
+                const tvec = tvecs.get(i);
+                result.rvecs[index] = this._matToArray(rvec);
+                result.tvecs[index] = this._matToArray(tvec);
+                rvec.delete();
+                tvec.delete();
+            });
+
+            result.viewErrors = this._computeViewErrors(views, result);
+            return result;
+
+        } finally {
+            objectPointsMat.delete();
+            imagePointsMat.delete();
+            cameraMatrix.delete();
+            distCoeffs.delete();
+            rvecs.delete();
+            tvecs.delete();
+        }
+    }
+
+    _computeViewErrors(views, result, solveMissingPoses = false) {
+        const errors = {};
+
+        for (const index of views) {
+            const capture = this.capturedImages[index];
+            const ids = capture.ids;
+            const objPts = this._generateObjectPoints(ids);
+            const points = [];
+            for (let i = 0; i < objPts.length; i += 3) {
+                points.push({ x: objPts[i], y: objPts[i + 1], z: objPts[i + 2] });
+            }
+
+            // Views left out of the calibration have no pose yet
+            if (!result.rvecs[index] && solveMissingPoses) {
+                const pose = this._solveViewPose(points, capture.corners, result);
+                if (pose) {
+                    result.rvecs[index] = pose.rvec;
+                    result.tvecs[index] = pose.tvec;
+                }
+            }
+
+            if (!result.rvecs[index]) {
+                errors[index] = null;
+                continue;
+            }
+
+            const projected = GeometryUtils.projectPoints(
+                points,
+                result.rvecs[index],
+                result.tvecs[index],
+                result.intrinsicMatrix,
+                result.distortionCoefficients,
+                this.distortionModel
+            );
+
+            // RMS over the view, matching how calibrateCamera reports the total
+            let sumSquared = 0;
+            projected.forEach((p, i) => {
+                const dx = p ? p.x - capture.corners[i * 2] : Infinity;
+                const dy = p ? p.y - capture.corners[i * 2 + 1] : Infinity;
+                sumSquared += dx * dx + dy * dy;
+            });
+            errors[index] = Math.sqrt(sumSquared / projected.length);
+        }
+
+        return errors;
+    }
+
+    _solveViewPose(points, corners, result) {
+        // solvePnP only knows pinhole models; fisheye corners are undistorted first
+        const fisheye = this.distortionModel === 'fisheye';
+        const imagePoints = fisheye ? this._undistortCorners(corners, result) : corners;
+        const coefficients = fisheye ? [0, 0, 0, 0] : result.distortionCoefficients;
+
+        const objectMat = cv.matFromArray(points.length, 1, cv.CV_32FC3, points.flatMap(p => [p.x, p.y, p.z]));
+        const imageMat = cv.matFromArray(points.length, 1, cv.CV_32FC2, imagePoints);
+        const cameraMatrix = cv.matFromArray(3, 3, cv.CV_64F, result.intrinsicMatrix);
+        const distCoeffs = cv.matFromArray(coefficients.length, 1, cv.CV_64F, coefficients);
+        const rvec = new cv.Mat();
+        const tvec = new cv.Mat();
+
+        try {
+            if (!cv.solvePnP(objectMat, imageMat, cameraMatrix, distCoeffs, rvec, tvec)) {
+                return null;
+            }
+            return { rvec: this._matToArray(rvec), tvec: this._matToArray(tvec) };
+
+        } finally {
+            objectMat.delete();
+            imageMat.delete();
+            cameraMatrix.delete();
+            distCoeffs.delete();
+            rvec.delete();
+            tvec.delete();
+        }
+    }
+
+    _undistortCorners(corners, result) {
+        const undistorted = [];
+        for (let i = 0; i < corners.length; i += 2) {
+            const p = GeometryUtils.undistortPixel(
+                { x: corners[i], y: corners[i + 1] },
+                result.intrinsicMatrix,
+                result.distortionCoefficients,
+                this.distortionModel
+            );
+            undistorted.push(p.x, p.y);
+        }
+        return undistorted;
+    }
+
+    _getEffectiveFlags() {
+        const flags = { ...this.calibrationFlags };
+
+        // Only a guess that exists can be used; fisheye has no aspect or tangential terms
+        flags.useIntrinsicGuess = flags.useIntrinsicGuess && !!this.intrinsicGuess;
+        if (this.distortionModel === 'fisheye') {
+            flags.fixAspectRatio = false;
+            flags.zeroTangentialDist = false;
+        }
+
+        return flags;
+    }
+
+    _getInitialIntrinsics(coefficientCount) {
+        const flags = this._getEffectiveFlags();
+        const guess = this.warmStart
+            ? { ...this.warmStart, distortionModel: this.distortionModel }
+            : this.intrinsicGuess;
+
+        if (this.warmStart || flags.useIntrinsicGuess) {
+            const sameModel = guess.distortionModel === this.distortionModel &&
+                guess.distortionCoefficients && guess.distortionCoefficients.length === coefficientCount;
+
+            return {
+                intrinsicMatrix: guess.intrinsicMatrix,
+                distortionCoefficients: sameModel ? guess.distortionCoefficients : new Array(coefficientCount).fill(0)
+            };
+        }
+
+        // Only the fx/fy ratio (1) and, with a fixed principal point, the image centre are used
+        return {
+            intrinsicMatrix: [1, 0, (this.cameraWidth - 1) / 2, 0, 1, (this.cameraHeight - 1) / 2, 0, 0, 1],
+            distortionCoefficients: new Array(coefficientCount).fill(0)
+        };
+    }
+
+    _getCalibrationFlags() {
+        const options = this._getEffectiveFlags();
+
+        if (this.distortionModel === 'fisheye') {
+            let flags = FISHEYE_CALIB_RECOMPUTE_EXTRINSIC | FISHEYE_CALIB_FIX_SKEW;
+            if (options.useIntrinsicGuess || this.warmStart) flags |= FISHEYE_CALIB_USE_INTRINSIC_GUESS;
+            if (options.fixPrincipalPoint) flags |= FISHEYE_CALIB_FIX_PRINCIPAL_POINT;
+            return flags;
+        }
+
+        let flags = 0; // 4 coefficients keep k3 fixed, 5 estimate it
+        if (this.distortionModel === 'rational') {
+            flags |= cv.CALIB_RATIONAL_MODEL;
+        } else if (this.distortionModel === 'thin_prism') {
+            flags |= cv.CALIB_RATIONAL_MODEL | cv.CALIB_THIN_PRISM_MODEL;
+        }
+
+        if (options.useIntrinsicGuess || this.warmStart) flags |= cv.CALIB_USE_INTRINSIC_GUESS;
+        if (options.fixPrincipalPoint) flags |= cv.CALIB_FIX_PRINCIPAL_POINT;
+        if (options.fixAspectRatio) flags |= cv.CALIB_FIX_ASPECT_RATIO;
+        if (options.zeroTangentialDist) flags |= cv.CALIB_ZERO_TANGENT_DIST;
+
+        return flags;
+    }
+
+    _getFreeIntrinsics(intrinsics) {
+        // Each free parameter is a weighted set of [index, weight] entries in [fx, fy, cx, cy, ...dist]
+        const flags = this._getEffectiveFlags();
+        const params = [];
+
+        if (flags.fixAspectRatio) {
+            params.push([[0, intrinsics[0] / intrinsics[1]], [1, 1]]); // fx follows fy
+        } else {
+            params.push([[0, 1]], [[1, 1]]);
+        }
+
+        if (!flags.fixPrincipalPoint) {
+            params.push([[2, 1]], [[3, 1]]);
+        }
+
+        const names = DISTORTION_MODELS[this.distortionModel].coefficients;
+        for (let i = 4; i < intrinsics.length; i++) {
+            const tangential = names[i - 4] === 'p1' || names[i - 4] === 'p2';
+            if (!(tangential && flags.zeroTangentialDist)) {
+                params.push([[i, 1]]);
+            }
+        }
+
+        return params;
+    }
+
+    _estimateIntrinsicUncertainty(views, result) {
+        // Parameters: fx, fy, cx, cy, distortion, then rvec + tvec per view.
+        // Covariance = sigma^2 (J^T J)^-1 with J the Jacobian of all reprojection residuals.
+        const K = result.intrinsicMatrix;
+        const intrinsics = [K[0], K[4], K[2], K[5], ...result.distortionCoefficients];
+        const nIntrinsics = intrinsics.length;
+        const nParams = nIntrinsics + 6 * views.length;
+
+        const JtJ = Array.from({ length: nParams }, () => new Array(nParams).fill(0));
+        let sumSquared = 0;
+        let residualCount = 0;
+
+        const project = (params, points) => {
+            const [fx, fy, cx, cy, ...dist] = params.slice(0, nIntrinsics);
+            return GeometryUtils.projectPoints(
+                points,
+                params.slice(nIntrinsics, nIntrinsics + 3),
+                params.slice(nIntrinsics + 3, nIntrinsics + 6),
+                [fx, 0, cx, 0, fy, cy, 0, 0, 1],
+                dist,
+                this.distortionModel
+            );
+        };
+
+        views.forEach((index, v) => {
+            const capture = this.capturedImages[index];
+            const objPts = this._generateObjectPoints(capture.ids);
+            const points = [];
+            for (let i = 0; i < objPts.length; i += 3) {
+                points.push({ x: objPts[i], y: objPts[i + 1], z: objPts[i + 2] });
+            }
+
+            // Local parameter vector: shared intrinsics followed by this view's pose
+            const local = [...intrinsics, ...result.rvecs[index], ...result.tvecs[index]];
+            const globalIndex = local.map((_, i) => (i < nIntrinsics ? i : nIntrinsics + 6 * v + (i - nIntrinsics)));
+
+            const projected = project(local, points);
+            projected.forEach((p, i) => {
+                if (!p) return;
+                const dx = p.x - capture.corners[i * 2];
+                const dy = p.y - capture.corners[i * 2 + 1];
+                sumSquared += dx * dx + dy * dy;
+                residualCount += 2;
+            });
+
+            // Central differences for each local parameter
+            const columns = local.map((value, i) => {
+                const h = 1e-6 * Math.max(1, Math.abs(value));
+                const plus = [...local];
+                const minus = [...local];
+                plus[i] += h;
+                minus[i] -= h;
+                const a = project(plus, points);
+                const b = project(minus, points);
+                return a.flatMap((p, k) => (p && b[k]
+                    ? [(p.x - b[k].x) / (2 * h), (p.y - b[k].y) / (2 * h)]
+                    : [0, 0]));
+            });
+
+            for (let i = 0; i < local.length; i++) {
+                for (let j = i; j < local.length; j++) {
+                    let dot = 0;
+                    for (let r = 0; r < columns[i].length; r++) {
+                        dot += columns[i][r] * columns[j][r];
+                    }
+                    JtJ[globalIndex[i]][globalIndex[j]] += dot;
+                    if (i !== j) {
+                        JtJ[globalIndex[j]][globalIndex[i]] += dot;
+                    }
+                }
+            }
+        });
+
+        // Restrict to the parameters the calibration actually estimated
+        const freeParams = this._getFreeIntrinsics(intrinsics).concat(
+            Array.from({ length: 6 * views.length }, (_, i) => [[nIntrinsics + i, 1]])
         );
+        const reduced = freeParams.map(a => freeParams.map(b => {
+            let sum = 0;
+            a.forEach(([i, wi]) => b.forEach(([j, wj]) => {
+                sum += wi * wj * JtJ[i][j];
+            }));
+            return sum;
+        }));
+
+        const dof = residualCount - freeParams.length;
+        const reducedCovariance = dof > 0 ? GeometryUtils.invertMatrix(reduced) : null;
+        if (!reducedCovariance) {
+            return null; // Under-determined or degenerate view set
+        }
 
-        // Store results
-        this.intrinsicMatrix = this._matToArray(cameraMatrix);
-        this.distortionCoefficients = this._matToArray(distCoeffs);
-        this.calibrationError = rms;
+        // Map back to full parameters; fixed ones have zero variance
+        const owner = new Array(nParams).fill(null);
+        freeParams.forEach((entries, a) => entries.forEach(([i, w]) => {
+            owner[i] = { a, w };
+        }));
+        const covarianceBase = Array.from({ length: nIntrinsics }, (_, i) =>
+            Array.from({ length: nIntrinsics }, (_, j) => (owner[i] && owner[j]
+                ? owner[i].w * owner[j].w * reducedCovariance[owner[i].a][owner[j].a]
+                : 0)));
 
-        // Cleanup
-        objectPointsMat.delete();
-        imagePointsMat.delete();
-        cameraMatrix.delete();
-        distCoeffs.delete();
-        rvecs.delete();
-        tvecs.delete();
+        const variance = sumSquared / dof;
+        const std = i => Math.sqrt(Math.max(0, covarianceBase[i][i] * variance));
 
-        this._provideFeedback('success', `✅ Calibration computed! Reprojection error: ${rms.toFixed(2)} pixels`);
+        return {
+            fx: std(0),
+            fy: std(1),
+            cx: std(2),
+            cy: std(3),
+            distortion: result.distortionCoefficients.map((_, i) => std(4 + i)),
+            principalPointCovariance: [
+                [covarianceBase[2][2] * variance, covarianceBase[2][3] * variance],
+                [covarianceBase[3][2] * variance, covarianceBase[3][3] * variance]
+            ],
+            residualStd: Math.sqrt(variance)
+        };
+    }
+
+    _median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
     }
 
     async _validateCalibration() {
@@ -629,12 +1610,63 @@ export class CameraCalibrator {
             overall = 'fair';
         }
 
+        // A low RMS from too similar views still leaves the intrinsics poorly constrained
+        const constraint = this._assessParameterConstraint();
+        const grades = ['poor', 'fair', 'good', 'excellent'];
+        if (grades.indexOf(constraint.grade) < grades.indexOf(overall)) {
+            overall = constraint.grade;
+        }
+
         return {
             overall,
             reprojectionError: this.calibrationError,
             imageCount: this.capturedImages.length,
-            recommendations: this._getQualityRecommendations(overall)
+            rejectedImages: this.calibrationReport ? this.calibrationReport.rejectedViews.length : 0,
+            focalUncertainty: constraint.focalUncertainty,
+            principalPointUncertainty: constraint.principalPointUncertainty,
+            recommendations: [...constraint.issues, ...this._getQualityRecommendations(overall)]
+        };
+    }
+
+    _assessParameterConstraint() {
+        const uncertainty = this.intrinsicUncertainty;
+        if (!uncertainty) {
+            // No estimate means the views were too few or too similar to pin the intrinsics down
+            return {
+                grade: 'poor',
+                issues: ['Intrinsics are not constrained by the captured views - capture more views tilted in different directions'],
+                focalUncertainty: null,
+                principalPointUncertainty: null
+            };
+        }
+
+        const K = this.intrinsicMatrix;
+        const focalUncertainty = Math.max(uncertainty.fx / K[0], uncertainty.fy / K[4]);
+        const principalPointUncertainty = Math.max(uncertainty.cx, uncertainty.cy);
+        const maxFocal = this.qualityThresholds.maxFocalUncertainty;
+        const maxPrincipal = this.qualityThresholds.maxPrincipalPointUncertainty;
+
+        const issues = [];
+        let grade = 'excellent';
+        const downgrade = (ratio) => {
+            const level = ratio > 3 ? 'poor' : ratio > 1 ? 'fair' : ratio > 0.5 ? 'good' : 'excellent';
+            const grades = ['poor', 'fair', 'good', 'excellent'];
+            if (grades.indexOf(level) < grades.indexOf(grade)) {
+                grade = level;
+            }
         };
+
+        downgrade(focalUncertainty / maxFocal);
+        downgrade(principalPointUncertainty / maxPrincipal);
+
+        if (focalUncertainty > maxFocal) {
+            issues.push(`Focal length is poorly constrained (±${(focalUncertainty * 100).toFixed(1)}%) - capture tilted views at different distances`);
+        }
+        if (principalPointUncertainty > maxPrincipal) {
+            issues.push(`Optical centre is poorly constrained (±${principalPointUncertainty.toFixed(1)} px) - cover the image corners and tilt the pattern`);
+        }
+
+        return { grade, issues, focalUncertainty, principalPointUncertainty };
     }
 
     _getQualityRecommendations(quality) {
@@ -643,7 +1675,7 @@ export class CameraCalibrator {
                 return [
                     'Use better lighting conditions',
                     'Capture more images from different angles',
-                    'Ensure the checkerboard pattern is printed clearly',
+                    'Ensure the calibration pattern is printed clearly and lies flat',
                     'Hold the camera steady during capture'
                 ];
             case 'fair':
@@ -660,13 +1692,244 @@ export class CameraCalibrator {
         }
     }
 
-    _drawDetectedPattern(corners) {
+    _resolvePatternOption(options) {
+        if (options.calibrationPattern !== 'custom') {
+            return options.calibrationPattern;
+        }
+
+        return {
+            type: options.customPatternType || this.patternType,
+            width: options.patternColumns || this.patternSize.width,
+            height: options.patternRows || this.patternSize.height
+        };
+    }
+
+    _describePattern() {
+        const { width, height } = this.patternSize;
+
+        switch (this.patternType) {
+            case 'symmetric_circles':
+                return `symmetric circle grid (${width}x${height} circles)`;
+            case 'asymmetric_circles':
+                return `asymmetric circle grid (${width}x${height} circles)`;
+            case 'charuco':
+                return `ChArUco board (${width}x${height} squares)`;
+            default:
+                return `checkerboard pattern (${width}x${height} inner corners)`;
+        }
+    }
+
+    _detectPattern(gray, refine) {
+        if (this.patternType === 'charuco') {
+            // Partial boards are fine as long as enough corners are identified
+            const { corners } = this.charucoBoard.detect(gray);
+            const found = corners.length >= this.minCharucoCorners;
+
+            return {
+                found,
+                corners: found ? corners.flatMap(c => [c.x, c.y]) : [],
+                ids: found ? corners.map(c => c.id) : null
+            };
+        }
+
+        const size = new cv.Size(this.patternSize.width, this.patternSize.height);
+        const points = new cv.Mat();
+        let found;
+
+        try {
+            if (this.patternType === 'checkerboard') {
+                found = cv.findChessboardCorners(
+                    gray,
+                    size,
+                    points,
+                    cv.CALIB_CB_ADAPTIVE_THRESH | cv.CALIB_CB_NORMALIZE_IMAGE
+                );
+
+                if (found && refine) {
+                    // Refine corner positions for better accuracy
+                    const criteria = new cv.TermCriteria(
+                        cv.TERM_CRITERIA_EPS | cv.TERM_CRITERIA_MAX_ITER,
+                        30,
+                        0.1
+                    );
+                    cv.cornerSubPix(gray, points, new cv.Size(11, 11), new cv.Size(-1, -1), criteria);
+                }
+            } else {
+                if (typeof cv.findCirclesGrid !== 'function') {
+                    throw new Error('Circle grid detection is not available in this OpenCV.js build');
+                }
+
+                // Circle centres come from blob centroids, which are already sub-pixel accurate
+                const flags = this.patternType === 'asymmetric_circles'
+                    ? cv.CALIB_CB_ASYMMETRIC_GRID
+                    : cv.CALIB_CB_SYMMETRIC_GRID;
+
+                found = cv.findCirclesGrid(gray, size, points, flags);
+            }
+
+            return {
+                found,
+                corners: found ? this._matToArray(points) : [],
+                ids: null
+            };
+
+        } finally {
+            points.delete();
+        }
+    }
+
+    _generateObjectPoints(ids = null) {
+        // 3D object points (assuming Z=0 for calibration pattern)
+        if (this.patternType === 'charuco') {
+            const cornerIds = ids || Array.from({ length: this.charucoBoard.cornerCount }, (_, i) => i);
+            return cornerIds.flatMap(id => {
+                const p = this.charucoBoard.getCornerPosition(id);
+                return [p.x, p.y, p.z];
+            });
+        }
+
+        const objPts = [];
+        const spacing = this.squareSize;
+
+        for (let row = 0; row < this.patternSize.height; row++) {
+            for (let col = 0; col < this.patternSize.width; col++) {
+                if (this.patternType === 'asymmetric_circles') {
+                    // Odd rows are shifted by half a period
+                    objPts.push((2 * col + (row % 2)) * spacing, row * spacing, 0);
+                } else {
+                    objPts.push(col * spacing, row * spacing, 0);
+                }
+            }
+        }
+
+        return objPts;
+    }
+
+    _rebuildCoverage() {
+        this.coverage.reset();
+        this.capturedImages.forEach(capture => {
+            capture.coverage = this.coverage.addView(
+                capture.corners,
+                this._generateObjectPoints(capture.ids),
+                this._getBoardOutline()
+            );
+        });
+        this.nextPose = this.coverage.suggestNextPose(this._getBoardOutline());
+    }
+
+    _createThumbnail(imageData, width) {
+        // Small JPEG data URL; stored calibrations must stay well below document size limits
+        const source = document.createElement('canvas');
+        source.width = imageData.width;
+        source.height = imageData.height;
+        source.getContext('2d').putImageData(imageData, 0, 0);
+
+        const thumbnail = document.createElement('canvas');
+        thumbnail.width = width;
+        thumbnail.height = Math.round(imageData.height * width / imageData.width);
+        thumbnail.getContext('2d').drawImage(source, 0, 0, thumbnail.width, thumbnail.height);
+
+        return thumbnail.toDataURL('image/jpeg', 0.6);
+    }
+
+    _clearCalibrationResult() {
+        this.intrinsicMatrix = null;
+        this.distortionCoefficients = null;
+        this.calibrationError = null;
+        this.calibrationReport = null;
+        this.intrinsicUncertainty = null;
+    }
+
+    _resetStability() {
+        this.stability = { corners: null, ids: null, frames: 0 };
+    }
+
+    _updateStability(corners, ids) {
+        // Mean movement of the corners seen in both this and the previous frame
+        const previous = this.stability;
+        const index = points => new Map(Array.from({ length: points.corners.length / 2 }, (_, i) => [
+            points.ids ? points.ids[i] : i,
+            { x: points.corners[i * 2], y: points.corners[i * 2 + 1] }
+        ]));
+
+        let motion = null;
+        if (previous.corners) {
+            const before = index(previous);
+            const shifts = [];
+            index({ corners, ids }).forEach((point, id) => {
+                if (before.has(id)) {
+                    shifts.push(GeometryUtils.pointDistance(point, before.get(id)));
+                }
+            });
+
+            if (shifts.length >= 4) {
+                motion = shifts.reduce((sum, d) => sum + d, 0) / shifts.length;
+            }
+        }
+
+        const still = motion !== null && motion <= this.autoCaptureSettings.maxMotion;
+        this.stability = { corners, ids, frames: still ? previous.frames + 1 : 0 };
+
+        return motion;
+    }
+
+    _findSimilarCapture(view) {
+        // Similar = board outline lands in nearly the same place with nearly the same tilt
+        if (!view) {
+            return -1;
+        }
+
+        const outline = this._getBoardOutline();
+        const diagonal = Math.hypot(this.cameraWidth, this.cameraHeight);
+        const candidate = outline.map(p => GeometryUtils.applyHomography(view.homography, p));
+
+        return this.capturedImages.findIndex(capture => {
+            if (!capture.coverage) {
+                return false;
+            }
+
+            const shift = outline.reduce((sum, p, i) =>
+                sum + GeometryUtils.pointDistance(GeometryUtils.applyHomography(capture.coverage.homography, p), candidate[i]), 0
+            ) / outline.length;
+
+            const cosine = capture.coverage.normal.reduce((sum, v, i) => sum + v * view.normal[i], 0);
+            const tiltDifference = Math.acos(Math.min(1, Math.abs(cosine))) * 180 / Math.PI;
+
+            return shift / diagonal < this.autoCaptureSettings.minPoseDifference &&
+                tiltDifference < this.autoCaptureSettings.minTiltDifference;
+        });
+    }
+
+    _getBoardOutline() {
+        // Extent of the pattern points on the board, clockwise from the origin
+        const points = this._generateObjectPoints();
+        const xs = points.filter((_, i) => i % 3 === 0);
+        const ys = points.filter((_, i) => i % 3 === 1);
+        const minX = Math.min(...xs);
+        const maxX = Math.max(...xs);
+        const minY = Math.min(...ys);
+        const maxY = Math.max(...ys);
+
+        return [
+            { x: minX, y: minY },
+            { x: maxX, y: minY },
+            { x: maxX, y: maxY },
+            { x: minX, y: maxY }
+        ];
+    }
+
+    _drawCoverageOverlay() {
+        if (this.showCoverageOverlay && this.ctx) {
+            this.coverage.draw(this.ctx, this.nextPose);
+        }
+    }
+
+    _drawDetectedPattern(cornerArray) {
         // Draw detected corners on the canvas for visual feedback
         this.ctx.strokeStyle = '#00FF00';
         this.ctx.lineWidth = 2;
         this.ctx.fillStyle = '#00FF00';
 
-        const cornerArray = this._matToArray(corners);
         for (let i = 0; i < cornerArray.length; i += 2) {
             const x = cornerArray[i];
             const y = cornerArray[i + 1];
@@ -715,17 +1978,11 @@ export class CameraCalibrator {
     // Utility methods for OpenCV data conversion
 
     _matToArray(mat) {
-        const array = [];
-        for (let i = 0; i < mat.rows; i++) {
-            for (let j = 0; j < mat.cols; j++) {
-                if (mat.type() === cv.CV_64F) {
-                    array.push(mat.doubleAt(i, j));
-                } else {
-                    array.push(mat.floatAt(i, j));
-                }
-            }
+        // Read the raw buffer so multi-channel point mats keep both coordinates
+        if (mat.type() === cv.CV_64F) {
+            return Array.from(mat.data64F);
         }
-        return array;
+        return Array.from(mat.data32F);
     }
 
     _arrayToMatVector(arrays, type, channels) {
@@ -0,0 +1,395 @@
+/**
+ * CoverageTracker - Accumulated view coverage for camera calibration
+ * Records which image regions, board tilts and distances the captured views
+ * cover, draws a heatmap overlay and suggests the next pose that fills a gap
+ */
+
+import { GeometryUtils } from '../../utils/GeometryUtils.js';
+
+const ZONES = ['center', 'top-left', 'top-right', 'bottom-left', 'bottom-right', 'top', 'bottom', 'left', 'right'];
+const TILTS = ['frontal', 'left', 'right', 'top', 'bottom']; // Edge of the board tilted toward the camera
+const DISTANCES = ['medium', 'far', 'near'];
+
+// Board area as a fraction of the image for each distance bin
+const DISTANCE_AREA = { far: 0.08, medium: 0.2, near: 0.45 };
+
+const ZONE_LABELS = {
+    'center': 'the centre of the image',
+    'top-left': 'the top-left corner',
+    'top-right': 'the top-right corner',
+    'bottom-left': 'the bottom-left corner',
+    'bottom-right': 'the bottom-right corner',
+    'top': 'the top edge',
+    'bottom': 'the bottom edge',
+    'left': 'the left edge',
+    'right': 'the right edge'
+};
+
+const TILT_LABELS = {
+    frontal: 'facing the camera',
+    left: 'with its left edge turned toward the camera',
+    right: 'with its right edge turned toward the camera',
+    top: 'with its top edge tilted toward the camera',
+    bottom: 'with its bottom edge tilted toward the camera'
+};
+
+const DISTANCE_LABELS = {
+    far: 'farther away',
+    medium: 'at arm\'s length',
+    near: 'close to the camera'
+};
+
+export class CoverageTracker {
+    constructor(width = 1280, height = 720, options = {}) {
+        this.settings = {
+            gridColumns: 8,
+            gridRows: 6,
+            tiltThreshold: 15,   // Degrees before a view counts as tilted
+            suggestedTilt: 30,   // Degrees used for the suggested pose
+            farAreaRatio: 0.12,  // Board area / image area below which a view is far
+            nearAreaRatio: 0.35, // ... and above which it is near
+            ...options
+        };
+
+        this.cameraMatrix = null; // Known intrinsics, otherwise a typical webcam field of view is assumed
+        this.reset(width, height);
+    }
+
+    /**
+     * Clear all recorded views
+     */
+    reset(width = this.width, height = this.height) {
+        this.width = width;
+        this.height = height;
+        this.cells = new Array(this.settings.gridColumns * this.settings.gridRows).fill(0);
+        this.views = [];
+    }
+
+    /**
+     * Use known intrinsics (e.g. a previous calibration) for pose estimates
+     */
+    setCameraMatrix(K) {
+        this.cameraMatrix = K ? [...K] : null;
+    }
+
+    /**
+     * Estimate region, tilt and distance of a detected board
+     * corners are flat image points [x0, y0, ...]; objectPoints flat board points [X0, Y0, Z0, ...].
+     */
+    estimateView(corners, objectPoints, boardOutline) {
+        const image = [];
+        const board = [];
+        for (let i = 0; i < corners.length / 2; i++) {
+            image.push({ x: corners[i * 2], y: corners[i * 2 + 1] });
+            board.push({ x: objectPoints[i * 3], y: objectPoints[i * 3 + 1] });
+        }
+
+        if (image.length < 4) {
+            return null;
+        }
+
+        let H;
+        try {
+            H = GeometryUtils.findHomography(board, image);
+        } catch (error) {
+            return null; // Degenerate detection
+        }
+
+        // Full board footprint, including parts outside the frame for partial views
+        const footprint = boardOutline.map(p => GeometryUtils.applyHomography(H, p));
+        const center = GeometryUtils.applyHomography(H, {
+            x: (boardOutline[0].x + boardOutline[2].x) / 2,
+            y: (boardOutline[0].y + boardOutline[2].y) / 2
+        });
+        const areaRatio = this._polygonArea(footprint) / (this.width * this.height);
+
+        const normal = this._boardNormal(H);
+        const tiltAngle = Math.acos(Math.min(1, Math.abs(normal[2]))) * 180 / Math.PI;
+
+        let tilt = 'frontal';
+        if (tiltAngle >= this.settings.tiltThreshold) {
+            tilt = Math.abs(normal[0]) >= Math.abs(normal[1])
+                ? (normal[0] > 0 ? 'right' : 'left')
+                : (normal[1] > 0 ? 'bottom' : 'top');
+        }
+
+        let distance = 'medium';
+        if (areaRatio < this.settings.farAreaRatio) {
+            distance = 'far';
+        } else if (areaRatio > this.settings.nearAreaRatio) {
+            distance = 'near';
+        }
+
+        return {
+            zone: this._zoneAt(center),
+            tilt,
+            tiltAngle,
+            normal,
+            distance,
+            areaRatio,
+            center,
+            homography: H,
+            cells: this._cellsOf(image)
+        };
+    }
+
+    /**
+     * Record a captured view; returns its coverage estimate
+     */
+    addView(corners, objectPoints, boardOutline) {
+        const view = this.estimateView(corners, objectPoints, boardOutline);
+        if (view) {
+            view.cells.forEach(cell => {
+                this.cells[cell]++;
+            });
+            this.views.push(view);
+        }
+        return view;
+    }
+
+    /**
+     * True when a view with the same region, tilt and distance was already captured
+     */
+    isRedundant(view) {
+        return !!view && this.views.some(v =>
+            v.zone === view.zone && v.tilt === view.tilt && v.distance === view.distance);
+    }
+
+    /**
+     * Coverage of image regions, tilts and distances (0-1 each)
+     */
+    getSummary() {
+        const count = (key, bins) => Object.fromEntries(bins.map(bin => [bin, this.views.filter(v => v[key] === bin).length]));
+        const tilts = count('tilt', TILTS);
+        const distances = count('distance', DISTANCES);
+
+        const imageCoverage = this.cells.filter(c => c > 0).length / this.cells.length;
+        const tiltCoverage = Object.values(tilts).filter(c => c > 0).length / TILTS.length;
+        const distanceCoverage = Object.values(distances).filter(c => c > 0).length / DISTANCES.length;
+
+        return {
+            views: this.views.length,
+            imageCoverage,
+            tiltCoverage,
+            distanceCoverage,
+            score: (imageCoverage + tiltCoverage + distanceCoverage) / 3,
+            tilts,
+            distances,
+            grid: {
+                columns: this.settings.gridColumns,
+                rows: this.settings.gridRows,
+                cells: [...this.cells]
+            }
+        };
+    }
+
+    /**
+     * Pick the pose that fills the largest coverage gap and project its outline
+     * boardOutline holds the four board corners (mm) in clockwise order.
+     */
+    suggestNextPose(boardOutline) {
+        const { tilts: tiltCounts, distances: distanceCounts } = this.getSummary();
+        const gap = count => 1 / (1 + count);
+
+        let best = null;
+        ZONES.forEach(zone => {
+            const zoneGap = 1 - this._zoneCoverage(zone);
+
+            TILTS.forEach(tilt => {
+                DISTANCES.forEach(distance => {
+                    // A near board fills the frame, so it can only be centred
+                    if (distance === 'near' && zone !== 'center') {
+                        return;
+                    }
+
+                    const score = 2 * zoneGap + 1.5 * gap(tiltCounts[tilt]) + gap(distanceCounts[distance]);
+                    if (!best || score > best.score + 1e-9) {
+                        best = { zone, tilt, distance, score };
+                    }
+                });
+            });
+        });
+
+        return {
+            zone: best.zone,
+            tilt: best.tilt,
+            distance: best.distance,
+            outline: this._projectGhost(boardOutline, best),
+            message: `Next: hold the pattern ${DISTANCE_LABELS[best.distance]} in ${ZONE_LABELS[best.zone]}, ${TILT_LABELS[best.tilt]}`
+        };
+    }
+
+    /**
+     * Draw the heatmap and the suggested pose ghost onto a 2D context
+     */
+    draw(ctx, suggestion = null) {
+        const { gridColumns, gridRows } = this.settings;
+        const cellWidth = this.width / gridColumns;
+        const cellHeight = this.height / gridRows;
+
+        ctx.save();
+
+        this.cells.forEach((count, i) => {
+            const x = (i % gridColumns) * cellWidth;
+            const y = Math.floor(i / gridColumns) * cellHeight;
+
+            // Red for empty regions, green deepening with the number of views
+            ctx.fillStyle = count === 0
+                ? 'rgba(255, 80, 80, 0.15)'
+                : `rgba(40, 200, 90, ${0.1 + 0.25 * Math.min(1, count / 4)})`;
+            ctx.fillRect(x, y, cellWidth, cellHeight);
+        });
+
+        if (suggestion && suggestion.outline) {
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.12)';
+            ctx.lineWidth = 3;
+            ctx.setLineDash([12, 8]);
+
+            ctx.beginPath();
+            suggestion.outline.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+            ctx.closePath();
+            ctx.fill();
+            ctx.stroke();
+        }
+
+        ctx.restore();
+    }
+
+    // Private helper methods
+
+    _getCameraMatrix() {
+        if (this.cameraMatrix) {
+            return this.cameraMatrix;
+        }
+
+        // Roughly 65 degrees horizontal field of view
+        const f = 0.8 * this.width;
+        return [f, 0, this.width / 2, 0, f, this.height / 2, 0, 0, 1];
+    }
+
+    _boardNormal(H) {
+        // H ~ K [r1 r2 t]; the board normal is r1 x r2
+        const M = GeometryUtils.multiply3x3(GeometryUtils.invert3x3(this._getCameraMatrix()), H);
+        const r1 = [M[0], M[3], M[6]];
+        const r2 = [M[1], M[4], M[7]];
+        const n1 = Math.hypot(...r1);
+        const n2 = Math.hypot(...r2);
+
+        // Keep the board in front of the camera
+        const sign = M[8] < 0 ? -1 : 1;
+        const a = r1.map(v => sign * v / n1);
+        const b = r2.map(v => sign * v / n2);
+
+        const normal = [
+            a[1] * b[2] - a[2] * b[1],
+            a[2] * b[0] - a[0] * b[2],
+            a[0] * b[1] - a[1] * b[0]
+        ];
+        const length = Math.hypot(...normal);
+        return normal.map(v => v / length);
+    }
+
+    _zoneAt(point) {
+        const col = Math.min(2, Math.max(0, Math.floor(3 * point.x / this.width)));
+        const row = Math.min(2, Math.max(0, Math.floor(3 * point.y / this.height)));
+        const vertical = ['top', '', 'bottom'][row];
+        const horizontal = ['left', '', 'right'][col];
+
+        return [vertical, horizontal].filter(Boolean).join('-') || 'center';
+    }
+
+    _zoneBounds(zone) {
+        const parts = zone.split('-');
+        const col = parts.includes('left') ? 0 : (parts.includes('right') ? 2 : 1);
+        const row = parts.includes('top') ? 0 : (parts.includes('bottom') ? 2 : 1);
+        return { col, row };
+    }
+
+    _zoneCoverage(zone) {
+        // Fraction of heatmap cells in this third of the image seen by any view
+        const { col, row } = this._zoneBounds(zone);
+        const { gridColumns, gridRows } = this.settings;
+        let covered = 0;
+        let total = 0;
+
+        this.cells.forEach((count, i) => {
+            const x = ((i % gridColumns) + 0.5) / gridColumns;
+            const y = (Math.floor(i / gridColumns) + 0.5) / gridRows;
+            if (Math.floor(3 * x) === col && Math.floor(3 * y) === row) {
+                total++;
+                if (count > 0) covered++;
+            }
+        });
+
+        return total > 0 ? covered / total : 1;
+    }
+
+    _cellsOf(points) {
+        const { gridColumns, gridRows } = this.settings;
+        const cells = new Set();
+
+        points.forEach(p => {
+            if (p.x >= 0 && p.y >= 0 && p.x < this.width && p.y < this.height) {
+                const col = Math.floor(p.x * gridColumns / this.width);
+                const row = Math.floor(p.y * gridRows / this.height);
+                cells.add(row * gridColumns + col);
+            }
+        });
+
+        return Array.from(cells);
+    }
+
+    _projectGhost(boardOutline, pose) {
+        const K = this._getCameraMatrix();
+        const f = K[0];
+        const angle = this.settings.suggestedTilt * Math.PI / 180;
+
+        // Rotation that brings the named edge toward the camera
+        const rvec = {
+            frontal: [0, 0, 0],
+            left: [0, -angle, 0],
+            right: [0, angle, 0],
+            top: [angle, 0, 0],
+            bottom: [-angle, 0, 0]
+        }[pose.tilt];
+
+        const boardWidth = Math.abs(boardOutline[2].x - boardOutline[0].x);
+        const boardHeight = Math.abs(boardOutline[2].y - boardOutline[0].y);
+        const depth = f * Math.sqrt(boardWidth * boardHeight / (DISTANCE_AREA[pose.distance] * this.width * this.height));
+
+        // Place the board centre on the zone centre at that depth
+        const { col, row } = this._zoneBounds(pose.zone);
+        const target = { x: [0.2, 0.5, 0.8][col] * this.width, y: [0.2, 0.5, 0.8][row] * this.height };
+        const boardCenter = [(boardOutline[0].x + boardOutline[2].x) / 2, (boardOutline[0].y + boardOutline[2].y) / 2, 0];
+        const rotatedCenter = GeometryUtils.multiply3x3Vector(GeometryUtils.rodrigues(rvec), boardCenter);
+        const tvec = [
+            (target.x - K[2]) / f * depth - rotatedCenter[0],
+            (target.y - K[5]) / K[4] * depth - rotatedCenter[1],
+            depth - rotatedCenter[2]
+        ];
+
+        const outline = GeometryUtils.projectPoints(boardOutline.map(p => ({ x: p.x, y: p.y, z: 0 })), rvec, tvec, K);
+        if (!outline.every(Boolean)) {
+            return null;
+        }
+
+        // Slide the ghost back into the frame when it sticks out
+        const xs = outline.map(p => p.x);
+        const ys = outline.map(p => p.y);
+        const dx = Math.max(0, -Math.min(...xs)) - Math.max(0, Math.max(...xs) - this.width);
+        const dy = Math.max(0, -Math.min(...ys)) - Math.max(0, Math.max(...ys) - this.height);
+
+        return outline.map(p => ({ x: p.x + dx, y: p.y + dy }));
+    }
+
+    _polygonArea(points) {
+        let area = 0;
+        for (let i = 0; i < points.length; i++) {
+            const a = points[i];
+            const b = points[(i + 1) % points.length];
+            area += a.x * b.y - b.x * a.y;
+        }
+        return Math.abs(area) / 2;
+    }
+}
\ No newline at end of file
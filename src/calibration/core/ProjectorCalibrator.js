@@ -0,0 +1,913 @@
+/**
+ * ProjectorCalibrator - Full geometric camera/projector calibration
+ * Estimates projector intrinsics, lens distortion and the camera-to-projector pose
+ * from a printed checkerboard with a projected checkerboard overlaid on the same board
+ */
+
+import { ValidationUtils } from '../../utils/ValidationUtils.js';
+import { GeometryUtils } from '../../utils/GeometryUtils.js';
+import { StructuredLight } from '../patterns/StructuredLight.js';
+
+export class ProjectorCalibrator {
+    constructor(cameraCalibration = null, feedbackDisplay = null) {
+        this.cameraCalibration = cameraCalibration;
+        this.feedbackDisplay = feedbackDisplay;
+
+        // Calibration state
+        this.isInitialized = false;
+        this.isCalibrating = false;
+        this.calibrationData = null;
+
+        // Projector setup
+        this.projectorManager = null;
+        this.projectorResolution = { width: 1920, height: 1080 };
+        this.structuredLight = new StructuredLight();
+        this.darkPattern = null;
+        this.projectedPattern = null;
+        this.inversePattern = null;
+
+        // Captured views (one per board pose)
+        this.views = [];
+
+        // Results
+        this.intrinsicMatrix = null;
+        this.distortionCoefficients = null;
+        this.rotationMatrix = null;
+        this.translationVector = null;
+        this.reprojectionError = null;
+
+        // User feedback
+        this.onProgress = null;
+        this.onComplete = null;
+        this.onError = null;
+
+        // Calibration settings
+        this.settings = {
+            // Printed board (inner corners, square size in mm)
+            boardSize: { width: 9, height: 6 },
+            boardSquareSize: 25,
+            // Projected board (squares, square size in projector pixels)
+            projectedRows: 7,
+            projectedCols: 10,
+            projectedSquareSize: 80,
+            minViews: 5,
+            maxViews: 20,
+            settleDelay: 300, // Used while no projector–camera latency has been measured
+            projectedContrastThreshold: 10, // Minimum |pattern - inverse| luminance for a projected square
+            maxReprojectionError: 2.0
+        };
+    }
+
+    /**
+     * Initialize projector calibrator
+     */
+    async initialize(options = {}) {
+        try {
+            Object.assign(this.settings, options.settings || {});
+
+            if (options.projectorResolution) {
+                this.projectorResolution = { ...options.projectorResolution };
+            }
+
+            // Full geometric calibration cannot work without camera intrinsics
+            if (!this._hasCameraIntrinsics()) {
+                throw new Error('Camera calibration with intrinsic matrix required for full geometric calibration');
+            }
+
+            const cameraValidation = this._validateCameraCalibration();
+            if (!cameraValidation.isValid) {
+                this._provideFeedback('warning', 'Camera calibration quality is poor. Consider recalibrating camera first.');
+            }
+
+            this.views = [];
+            this.isInitialized = true;
+            this._provideFeedback('success', 'Projector calibrator initialized successfully');
+
+            return {
+                success: true,
+                message: 'Projector calibrator ready for view capture',
+                requiredViews: this.settings.minViews,
+                recommendations: this._getInitializationRecommendations()
+            };
+
+        } catch (error) {
+            this._provideFeedback('error', `Initialization failed: ${error.message}`);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to initialize projector calibrator'
+            };
+        }
+    }
+
+    /**
+     * Attach the projector used to display the calibration pattern
+     */
+    setProjector(projectorManager) {
+        this.projectorManager = projectorManager;
+
+        if (projectorManager && projectorManager.detectedResolution) {
+            this.projectorResolution = { ...projectorManager.detectedResolution };
+        }
+
+        // Patterns are regenerated at the new projector's resolution
+        this.darkPattern = null;
+        this.projectedPattern = null;
+        this.inversePattern = null;
+    }
+
+    /**
+     * Capture one board pose
+     * Grabs a frame with the projector dark (printed board only), then the projected checkerboard
+     * and its inverse; which of the two is brighter isolates the projected squares, also on black print.
+     */
+    async captureView(videoElement) {
+        if (!this.isInitialized) {
+            throw new Error('ProjectorCalibrator not initialized');
+        }
+
+        if (!this.projectorManager) {
+            throw new Error('Projector not attached');
+        }
+
+        if (this.views.length >= this.settings.maxViews) {
+            return {
+                success: false,
+                reason: `Maximum of ${this.settings.maxViews} views reached`
+            };
+        }
+
+        let darkFrame = null;
+        let patternFrame = null;
+        let inverseFrame = null;
+
+        try {
+            // Projector dark (printed board only), then the projected checkerboard and its inverse on top
+            const sequence = await this.projectorManager.playSequence([
+                this._getDarkPattern(),
+                this._getProjectedPattern(),
+                this._getProjectedPattern(true)
+            ], videoElement, { settleDelay: this._getSettleDelay() });
+
+            if (!sequence.success) {
+                throw new Error(sequence.error || 'Pattern sequence cancelled');
+            }
+
+            [darkFrame, patternFrame, inverseFrame] = sequence.stack.map(entry => cv.matFromImageData(entry.imageData));
+
+            const boardCorners = this._detectPrintedBoard(darkFrame);
+            if (!boardCorners) {
+                return { success: false, reason: 'Printed board not detected' };
+            }
+
+            const projectedCorners = this._detectProjectedPattern(patternFrame, inverseFrame);
+            if (!projectedCorners) {
+                return { success: false, reason: 'Projected pattern not detected' };
+            }
+
+            // Locate the board plane, then lift the projected corners onto it
+            const boardPose = this._estimateBoardPose(boardCorners);
+            const boardPoints = this._projectOntoBoard(projectedCorners, boardPose);
+
+            this.views.push({
+                boardCorners,
+                projectedCorners,
+                boardPose,
+                objectPoints: boardPoints,
+                projectorPoints: this._getProjectorCornerPositions(),
+                timestamp: Date.now()
+            });
+
+            const remaining = Math.max(0, this.settings.minViews - this.views.length);
+            this._provideFeedback('success',
+                `✅ View captured (${this.views.length}/${this.settings.minViews}). ${remaining > 0 ? `${remaining} more needed - tilt the board differently.` : 'Ready to calibrate!'}`
+            );
+            this._notifyProgress('view_captured', Math.min(this.views.length / this.settings.minViews, 1) * 50);
+
+            return { success: true, captured: this.views.length };
+
+        } catch (error) {
+            this._provideFeedback('error', `View capture failed: ${error.message}`);
+            return { success: false, error: error.message };
+
+        } finally {
+            if (darkFrame) darkFrame.delete();
+            if (patternFrame) patternFrame.delete();
+            if (inverseFrame) inverseFrame.delete();
+        }
+    }
+
+    /**
+     * Run the calibration over all captured views
+     */
+    async calibrate() {
+        if (!this.isInitialized) {
+            throw new Error('ProjectorCalibrator not initialized');
+        }
+
+        if (this.isCalibrating) {
+            return {
+                success: false,
+                message: 'Calibration already in progress'
+            };
+        }
+
+        try {
+            this.isCalibrating = true;
+
+            if (this.views.length < this.settings.minViews) {
+                throw new Error(`Need at least ${this.settings.minViews} board views for projector calibration`);
+            }
+
+            this._provideFeedback('info', 'Computing projector intrinsics...');
+            const intrinsics = this._calibrateProjectorIntrinsics();
+            this._notifyProgress('intrinsics_computed', 75);
+
+            this._provideFeedback('info', 'Computing camera-to-projector transformation...');
+            const extrinsics = this._computeExtrinsics(intrinsics.projectorPoses);
+            this._notifyProgress('extrinsics_computed', 90);
+
+            this.intrinsicMatrix = intrinsics.intrinsicMatrix;
+            this.distortionCoefficients = intrinsics.distortionCoefficients;
+            this.reprojectionError = intrinsics.reprojectionError;
+            this.rotationMatrix = extrinsics.rotationMatrix;
+            this.translationVector = extrinsics.translationVector;
+
+            const quality = this._assessCalibrationQuality(extrinsics.consistency);
+
+            this.calibrationData = {
+                type: 'full_geometric',
+                timestamp: new Date().toISOString(),
+                resolution: { ...this.projectorResolution },
+                intrinsicMatrix: this.intrinsicMatrix,
+                distortionCoefficients: this.distortionCoefficients,
+                distortionModel: 'standard_k3',
+                rotationMatrix: this.rotationMatrix,
+                translationVector: this.translationVector,
+                transformMatrix: this._composeTransform(this.rotationMatrix, this.translationVector),
+                reprojectionError: this.reprojectionError,
+                viewCount: this.views.length,
+                extrinsicConsistency: extrinsics.consistency,
+                quality: quality
+            };
+
+            this.isCalibrating = false;
+            this._notifyProgress('calibration_complete', 100);
+            this._provideFeedback('success',
+                `✅ Projector calibrated! Reprojection error: ${this.reprojectionError.toFixed(2)} pixels`
+            );
+            this._notifyComplete(this.calibrationData);
+
+            return {
+                success: true,
+                calibrationData: this.calibrationData,
+                quality: quality,
+                message: 'Full geometric calibration completed successfully'
+            };
+
+        } catch (error) {
+            this.isCalibrating = false;
+            this._provideFeedback('error', `Calibration failed: ${error.message}`);
+            this._notifyError(error);
+
+            return {
+                success: false,
+                error: error.message,
+                message: 'Full geometric calibration failed',
+                troubleshooting: this._getTroubleshootingTips(error)
+            };
+        }
+    }
+
+    /**
+     * Remove all captured views
+     */
+    resetViews() {
+        this.views = [];
+        this.calibrationData = null;
+    }
+
+    /**
+     * Get calibration status
+     */
+    getCalibrationStatus() {
+        return {
+            isInitialized: this.isInitialized,
+            isCalibrating: this.isCalibrating,
+            capturedViews: this.views.length,
+            requiredViews: this.settings.minViews,
+            isComplete: this.calibrationData !== null
+        };
+    }
+
+    /**
+     * Get calibration results in the shape stored under `projector`
+     */
+    getCalibrationData() {
+        return this.calibrationData;
+    }
+
+    /**
+     * Transform a 3D point from camera coordinates to projector coordinates
+     */
+    transformPoint(cameraPoint) {
+        if (!this.rotationMatrix || !this.translationVector) {
+            throw new Error('No calibration data available');
+        }
+
+        const p = GeometryUtils.multiply3x3Vector(this.rotationMatrix, [cameraPoint.x, cameraPoint.y, cameraPoint.z]);
+
+        return {
+            x: p[0] + this.translationVector[0],
+            y: p[1] + this.translationVector[1],
+            z: p[2] + this.translationVector[2]
+        };
+    }
+
+    /**
+     * Project a 3D point in camera coordinates to a projector pixel (with lens distortion)
+     * Returns null for points behind the projector.
+     */
+    projectToProjector(cameraPoint) {
+        if (!this.intrinsicMatrix || !this.rotationMatrix || !this.translationVector) {
+            throw new Error('No calibration data available');
+        }
+
+        return GeometryUtils.projectPoints(
+            [cameraPoint],
+            this.rotationMatrix,
+            this.translationVector,
+            this.intrinsicMatrix,
+            this.distortionCoefficients || [],
+            this.calibrationData?.distortionModel
+        )[0];
+    }
+
+    // Private methods
+
+    _getSettleDelay() {
+        // Latency may be measured or restored after the projector was attached, so it is read per capture
+        return this.projectorManager.latency?.settleDelay ?? this.settings.settleDelay;
+    }
+
+    _getStructuredLight() {
+        this.structuredLight.projectorWidth = this.projectorResolution.width;
+        this.structuredLight.projectorHeight = this.projectorResolution.height;
+        return this.structuredLight;
+    }
+
+    _getDarkPattern() {
+        if (!this.darkPattern) {
+            this.darkPattern = this._getStructuredLight().generateSolidColor('#000000');
+        }
+
+        return this.darkPattern;
+    }
+
+    _getProjectedPattern(inverted = false) {
+        const key = inverted ? 'inversePattern' : 'projectedPattern';
+
+        if (!this[key]) {
+            this[key] = this._getStructuredLight().generateCheckerboard(
+                this.settings.projectedSquareSize,
+                this.settings.projectedRows,
+                this.settings.projectedCols,
+                inverted
+            );
+        }
+
+        return this[key];
+    }
+
+    _getProjectorCornerPositions() {
+        // Inner corners of the projected checkerboard, row-major as returned by findChessboardCorners
+        const pattern = this._getProjectedPattern();
+        const points = [];
+
+        for (let row = 1; row < pattern.rows; row++) {
+            for (let col = 1; col < pattern.cols; col++) {
+                points.push(
+                    pattern.centerOffset.x + col * pattern.squareSize,
+                    pattern.centerOffset.y + row * pattern.squareSize
+                );
+            }
+        }
+
+        return points;
+    }
+
+    _detectPrintedBoard(frame) {
+        const gray = new cv.Mat();
+        const corners = new cv.Mat();
+
+        try {
+            cv.cvtColor(frame, gray, cv.COLOR_RGBA2GRAY);
+
+            const found = cv.findChessboardCorners(
+                gray,
+                new cv.Size(this.settings.boardSize.width, this.settings.boardSize.height),
+                corners,
+                cv.CALIB_CB_ADAPTIVE_THRESH | cv.CALIB_CB_NORMALIZE_IMAGE
+            );
+
+            if (!found) {
+                return null;
+            }
+
+            this._refineCorners(gray, corners);
+            return this._matToArray(corners);
+
+        } finally {
+            gray.delete();
+            corners.delete();
+        }
+    }
+
+    _detectProjectedPattern(patternFrame, inverseFrame) {
+        const patternGray = new cv.Mat();
+        const inverseGray = new cv.Mat();
+        const lit = new cv.Mat();
+        const unlit = new cv.Mat();
+        const projected = new cv.Mat();
+        const corners = new cv.Mat();
+
+        try {
+            cv.cvtColor(patternFrame, patternGray, cv.COLOR_RGBA2GRAY);
+            cv.cvtColor(inverseFrame, inverseGray, cv.COLOR_RGBA2GRAY);
+
+            // The sign of pattern - inverse tells projected white from black whatever the board's print,
+            // so corners on black squares survive; areas without contrast become mid gray
+            const threshold = this.settings.projectedContrastThreshold;
+            cv.subtract(patternGray, inverseGray, lit);
+            cv.subtract(inverseGray, patternGray, unlit);
+            cv.threshold(lit, lit, threshold, 255, cv.THRESH_BINARY);
+            cv.threshold(unlit, unlit, threshold, 255, cv.THRESH_BINARY);
+            cv.addWeighted(lit, 0.5, unlit, -0.5, 128, projected);
+
+            const pattern = this._getProjectedPattern();
+            const found = cv.findChessboardCorners(
+                projected,
+                new cv.Size(pattern.cols - 1, pattern.rows - 1),
+                corners,
+                cv.CALIB_CB_ADAPTIVE_THRESH | cv.CALIB_CB_NORMALIZE_IMAGE
+            );
+
+            if (!found) {
+                return null;
+            }
+
+            this._refineCorners(projected, corners);
+            return this._matToArray(corners);
+
+        } finally {
+            patternGray.delete();
+            inverseGray.delete();
+            lit.delete();
+            unlit.delete();
+            projected.delete();
+            corners.delete();
+        }
+    }
+
+    _refineCorners(gray, corners) {
+        const criteria = new cv.TermCriteria(
+            cv.TERM_CRITERIA_EPS | cv.TERM_CRITERIA_MAX_ITER,
+            30,
+            0.1
+        );
+        cv.cornerSubPix(gray, corners, new cv.Size(11, 11), new cv.Size(-1, -1), criteria);
+    }
+
+    _estimateBoardPose(boardCorners) {
+        const objectPoints = cv.matFromArray(
+            boardCorners.length / 2, 1, cv.CV_32FC3, this._getBoardObjectPoints()
+        );
+        const imagePoints = cv.matFromArray(
+            boardCorners.length / 2, 1, cv.CV_32FC2, this._undistortFisheyePoints(boardCorners)
+        );
+        const cameraMatrix = this._getCameraMatrix();
+        const distCoeffs = this._getCameraDistortion();
+        const rvec = new cv.Mat();
+        const tvec = new cv.Mat();
+        const rotation = new cv.Mat();
+
+        try {
+            const solved = cv.solvePnP(objectPoints, imagePoints, cameraMatrix, distCoeffs, rvec, tvec);
+            if (!solved) {
+                throw new Error('Could not estimate printed board pose');
+            }
+
+            cv.Rodrigues(rvec, rotation);
+
+            return {
+                rotationMatrix: Array.from(rotation.data64F),
+                translationVector: Array.from(tvec.data64F)
+            };
+
+        } finally {
+            objectPoints.delete();
+            imagePoints.delete();
+            cameraMatrix.delete();
+            distCoeffs.delete();
+            rvec.delete();
+            tvec.delete();
+            rotation.delete();
+        }
+    }
+
+    _projectOntoBoard(imageCorners, boardPose) {
+        // Undistort to normalized camera rays
+        const pointCount = imageCorners.length / 2;
+        const distorted = cv.matFromArray(pointCount, 1, cv.CV_32FC2, this._undistortFisheyePoints(imageCorners));
+        const normalized = new cv.Mat();
+        const cameraMatrix = this._getCameraMatrix();
+        const distCoeffs = this._getCameraDistortion();
+
+        let rays;
+        try {
+            cv.undistortPoints(distorted, normalized, cameraMatrix, distCoeffs);
+            rays = Array.from(normalized.data32F);
+        } finally {
+            distorted.delete();
+            normalized.delete();
+            cameraMatrix.delete();
+            distCoeffs.delete();
+        }
+
+        return this._liftRaysOntoBoard(rays, boardPose);
+    }
+
+    _liftRaysOntoBoard(rays, boardPose) {
+        // Intersect normalized camera rays (x, y, 1) with the board plane, in board coordinates
+        const pointCount = rays.length / 2;
+
+        // Board plane in camera coordinates: normal = third column of R, passes through t
+        const R = boardPose.rotationMatrix;
+        const t = boardPose.translationVector;
+        const normal = [R[2], R[5], R[8]];
+        const planeOffset = normal[0] * t[0] + normal[1] * t[1] + normal[2] * t[2];
+        const Rt = GeometryUtils.transpose3x3(R);
+
+        const boardPoints = [];
+        for (let i = 0; i < pointCount; i++) {
+            const ray = [rays[i * 2], rays[i * 2 + 1], 1];
+            const denominator = normal[0] * ray[0] + normal[1] * ray[1] + normal[2] * ray[2];
+
+            if (Math.abs(denominator) < 1e-9) {
+                throw new Error('Projected corner ray is parallel to the board plane');
+            }
+
+            const scale = planeOffset / denominator;
+            const cameraPoint = [ray[0] * scale - t[0], ray[1] * scale - t[1], ray[2] * scale - t[2]];
+            const boardPoint = GeometryUtils.multiply3x3Vector(Rt, cameraPoint);
+
+            // Points lie on the board, so Z is dropped to keep the object points planar
+            boardPoints.push(boardPoint[0], boardPoint[1], 0);
+        }
+
+        return boardPoints;
+    }
+
+    _calibrateProjectorIntrinsics() {
+        const objectPointsMat = this._arrayToMatVector(this.views.map(v => v.objectPoints), cv.CV_32FC3, 3);
+        const imagePointsMat = this._arrayToMatVector(this.views.map(v => v.projectorPoints), cv.CV_32FC2, 2);
+        const projectorMatrix = new cv.Mat(3, 3, cv.CV_64F);
+        const distCoeffs = new cv.Mat(5, 1, cv.CV_64F);
+        const rvecs = new cv.MatVector();
+        const tvecs = new cv.MatVector();
+
+        try {
+            const rms = cv.calibrateCamera(
+                objectPointsMat,
+                imagePointsMat,
+                new cv.Size(this.projectorResolution.width, this.projectorResolution.height),
+                projectorMatrix,
+                distCoeffs,
+                rvecs,
+                tvecs
+            );
+
+            const projectorPoses = [];
+            for (let i = 0; i < rvecs.size(); i++) {
+                const rotation = new cv.Mat();
+                cv.Rodrigues(rvecs.get(i), rotation);
+                projectorPoses.push({
+                    rotationMatrix: Array.from(rotation.data64F),
+                    translationVector: Array.from(tvecs.get(i).data64F)
+                });
+                rotation.delete();
+            }
+
+            return {
+                intrinsicMatrix: this._matToArray(projectorMatrix),
+                distortionCoefficients: this._matToArray(distCoeffs),
+                reprojectionError: rms,
+                projectorPoses
+            };
+
+        } finally {
+            objectPointsMat.delete();
+            imagePointsMat.delete();
+            projectorMatrix.delete();
+            distCoeffs.delete();
+            rvecs.delete();
+            tvecs.delete();
+        }
+    }
+
+    _computeExtrinsics(projectorPoses) {
+        // Per view: X_p = Rp * X_b + tp and X_c = Rc * X_b + tc, so
+        // X_p = (Rp * Rc^T) * X_c + (tp - Rp * Rc^T * tc)
+        const rotations = [];
+        const translations = [];
+
+        this.views.forEach((view, i) => {
+            const Rc = view.boardPose.rotationMatrix;
+            const tc = view.boardPose.translationVector;
+            const Rp = projectorPoses[i].rotationMatrix;
+            const tp = projectorPoses[i].translationVector;
+
+            const R = GeometryUtils.multiply3x3(Rp, GeometryUtils.transpose3x3(Rc));
+            const Rtc = GeometryUtils.multiply3x3Vector(R, tc);
+
+            rotations.push(R);
+            translations.push([tp[0] - Rtc[0], tp[1] - Rtc[1], tp[2] - Rtc[2]]);
+        });
+
+        const rotationMatrix = this._averageRotations(rotations);
+        const translationVector = [0, 1, 2].map(axis =>
+            translations.reduce((sum, t) => sum + t[axis], 0) / translations.length
+        );
+
+        // Spread of per-view estimates indicates how well the views agree
+        const translationSpread = Math.sqrt(translations.reduce((sum, t) => {
+            const dx = t[0] - translationVector[0];
+            const dy = t[1] - translationVector[1];
+            const dz = t[2] - translationVector[2];
+            return sum + dx * dx + dy * dy + dz * dz;
+        }, 0) / translations.length);
+
+        const rotationSpread = rotations.reduce((max, R) =>
+            Math.max(max, this._rotationAngleBetween(R, rotationMatrix)), 0);
+
+        return {
+            rotationMatrix,
+            translationVector,
+            consistency: {
+                translationStd: translationSpread,
+                maxRotationDeviation: rotationSpread * 180 / Math.PI
+            }
+        };
+    }
+
+    _averageRotations(rotations) {
+        // Quaternion mean with sign alignment, adequate for tightly clustered rotations
+        const reference = this._rotationToQuaternion(rotations[0]);
+        const sum = [0, 0, 0, 0];
+
+        rotations.forEach(R => {
+            const q = this._rotationToQuaternion(R);
+            const sign = (q[0] * reference[0] + q[1] * reference[1] + q[2] * reference[2] + q[3] * reference[3]) < 0 ? -1 : 1;
+            for (let i = 0; i < 4; i++) {
+                sum[i] += sign * q[i];
+            }
+        });
+
+        const norm = Math.hypot(sum[0], sum[1], sum[2], sum[3]);
+        return this._quaternionToRotation(sum.map(v => v / norm));
+    }
+
+    _rotationToQuaternion(R) {
+        const trace = R[0] + R[4] + R[8];
+        let w, x, y, z;
+
+        if (trace > 0) {
+            const s = Math.sqrt(trace + 1.0) * 2;
+            w = 0.25 * s;
+            x = (R[7] - R[5]) / s;
+            y = (R[2] - R[6]) / s;
+            z = (R[3] - R[1]) / s;
+        } else if (R[0] > R[4] && R[0] > R[8]) {
+            const s = Math.sqrt(1.0 + R[0] - R[4] - R[8]) * 2;
+            w = (R[7] - R[5]) / s;
+            x = 0.25 * s;
+            y = (R[1] + R[3]) / s;
+            z = (R[2] + R[6]) / s;
+        } else if (R[4] > R[8]) {
+            const s = Math.sqrt(1.0 + R[4] - R[0] - R[8]) * 2;
+            w = (R[2] - R[6]) / s;
+            x = (R[1] + R[3]) / s;
+            y = 0.25 * s;
+            z = (R[5] + R[7]) / s;
+        } else {
+            const s = Math.sqrt(1.0 + R[8] - R[0] - R[4]) * 2;
+            w = (R[3] - R[1]) / s;
+            x = (R[2] + R[6]) / s;
+            y = (R[5] + R[7]) / s;
+            z = 0.25 * s;
+        }
+
+        return [w, x, y, z];
+    }
+
+    _quaternionToRotation([w, x, y, z]) {
+        return [
+            1 - 2 * (y * y + z * z), 2 * (x * y - w * z), 2 * (x * z + w * y),
+            2 * (x * y + w * z), 1 - 2 * (x * x + z * z), 2 * (y * z - w * x),
+            2 * (x * z - w * y), 2 * (y * z + w * x), 1 - 2 * (x * x + y * y)
+        ];
+    }
+
+    _rotationAngleBetween(A, B) {
+        const relative = GeometryUtils.multiply3x3(A, GeometryUtils.transpose3x3(B));
+        const cosAngle = (relative[0] + relative[4] + relative[8] - 1) / 2;
+        return Math.acos(Math.max(-1, Math.min(1, cosAngle)));
+    }
+
+    _composeTransform(R, t) {
+        // Row-major 4x4 camera-to-projector transform
+        return [
+            R[0], R[1], R[2], t[0],
+            R[3], R[4], R[5], t[1],
+            R[6], R[7], R[8], t[2],
+            0, 0, 0, 1
+        ];
+    }
+
+    _assessCalibrationQuality(consistency) {
+        let overall = 'poor';
+        if (this.reprojectionError < 0.5) {
+            overall = 'excellent';
+        } else if (this.reprojectionError < 1.0) {
+            overall = 'good';
+        } else if (this.reprojectionError < this.settings.maxReprojectionError) {
+            overall = 'fair';
+        }
+
+        // Disagreeing per-view poses mean the board plane estimates were unreliable
+        const issues = [];
+        if (consistency.maxRotationDeviation > 2.0) {
+            issues.push('Per-view rotation estimates disagree by more than 2°');
+            if (overall === 'excellent' || overall === 'good') {
+                overall = 'fair';
+            }
+        }
+
+        return {
+            overall,
+            reprojectionError: this.reprojectionError,
+            viewCount: this.views.length,
+            consistency,
+            issues
+        };
+    }
+
+    _hasCameraIntrinsics() {
+        return !!(this.cameraCalibration &&
+            Array.isArray(this.cameraCalibration.intrinsicMatrix) &&
+            this.cameraCalibration.intrinsicMatrix.length === 9);
+    }
+
+    _validateCameraCalibration() {
+        const reprojError = this.cameraCalibration.calibrationError ??
+            this.cameraCalibration.reprojectionError ?? Infinity;
+        const imageCount = this.cameraCalibration.capturedImages ??
+            this.cameraCalibration.imageCount ?? 0;
+
+        return ValidationUtils.validateCalibrationResults(reprojError, imageCount);
+    }
+
+    _getBoardObjectPoints() {
+        const points = [];
+        for (let j = 0; j < this.settings.boardSize.height; j++) {
+            for (let k = 0; k < this.settings.boardSize.width; k++) {
+                points.push(k * this.settings.boardSquareSize, j * this.settings.boardSquareSize, 0);
+            }
+        }
+        return points;
+    }
+
+    _getCameraMatrix() {
+        return cv.matFromArray(3, 3, cv.CV_64F, this.cameraCalibration.intrinsicMatrix);
+    }
+
+    _getCameraDistortion() {
+        // Fisheye points are undistorted beforehand, OpenCV's pinhole functions see none
+        const coefficients = this._isFisheyeCamera()
+            ? [0, 0, 0, 0]
+            : this.cameraCalibration.distortionCoefficients || [0, 0, 0, 0];
+        return cv.matFromArray(coefficients.length, 1, cv.CV_64F, coefficients);
+    }
+
+    _isFisheyeCamera() {
+        return this.cameraCalibration.distortionModel === 'fisheye';
+    }
+
+    _undistortFisheyePoints(points) {
+        if (!this._isFisheyeCamera()) {
+            return points;
+        }
+
+        const K = this.cameraCalibration.intrinsicMatrix;
+        const coefficients = this.cameraCalibration.distortionCoefficients || [];
+        const undistorted = [];
+        for (let i = 0; i < points.length; i += 2) {
+            const p = GeometryUtils.undistortPixel({ x: points[i], y: points[i + 1] }, K, coefficients, 'fisheye');
+            undistorted.push(p.x, p.y);
+        }
+        return undistorted;
+    }
+
+    _getInitializationRecommendations() {
+        return [
+            '📐 Attach the printed checkerboard to a rigid board with blank space around it',
+            '🎥 Make sure the projected pattern lands fully on the board',
+            '🔄 Capture views with the board tilted in different directions',
+            '💡 Keep ambient light low so the projected pattern has good contrast'
+        ];
+    }
+
+    _getTroubleshootingTips(error) {
+        const tips = [
+            '🔄 Capture more views with larger board tilts',
+            '🎯 Check projector focus on the board surface',
+            '📷 Recalibrate the camera if its reprojection error is high'
+        ];
+
+        if (error.message.includes('views')) {
+            tips.unshift(`📸 Capture at least ${this.settings.minViews} board views before calibrating`);
+        }
+
+        return tips;
+    }
+
+    // Utility methods for OpenCV data conversion
+
+    _matToArray(mat) {
+        const array = [];
+        for (let i = 0; i < mat.rows; i++) {
+            for (let j = 0; j < mat.cols; j++) {
+                if (mat.type() === cv.CV_64F) {
+                    array.push(mat.doubleAt(i, j));
+                } else if (mat.type() === cv.CV_32FC2) {
+                    array.push(mat.floatPtr(i, j)[0], mat.floatPtr(i, j)[1]);
+                } else {
+                    array.push(mat.floatAt(i, j));
+                }
+            }
+        }
+        return array;
+    }
+
+    _arrayToMatVector(arrays, type, channels) {
+        const matVector = new cv.MatVector();
+
+        for (const array of arrays) {
+            const mat = cv.matFromArray(array.length / channels, 1, type, array);
+            matVector.push_back(mat);
+            mat.delete();
+        }
+
+        return matVector;
+    }
+
+    // Feedback and event methods
+
+    _provideFeedback(type, message) {
+        if (this.feedbackDisplay) {
+            this.feedbackDisplay.show(type, message);
+        }
+        console.log(`ProjectorCalibrator ${type}: ${message}`);
+    }
+
+    _notifyProgress(stage, percentage) {
+        if (this.onProgress) {
+            this.onProgress({ stage, percentage });
+        }
+    }
+
+    _notifyComplete(calibrationData) {
+        if (this.onComplete) {
+            this.onComplete(calibrationData);
+        }
+    }
+
+    _notifyError(error) {
+        if (this.onError) {
+            this.onError(error);
+        }
+    }
+
+    // Event listener setters
+    setProgressCallback(callback) {
+        this.onProgress = callback;
+    }
+
+    setCompleteCallback(callback) {
+        this.onComplete = callback;
+    }
+
+    setErrorCallback(callback) {
+        this.onError = callback;
+    }
+}
\ No newline at end of file
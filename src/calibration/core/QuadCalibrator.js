@@ -4,6 +4,10 @@
  */
 
 import { ValidationUtils } from '../../utils/ValidationUtils.js';
+import { GeometryUtils } from '../../utils/GeometryUtils.js';
+import { WarpMesh } from './WarpMesh.js';
+import { MarkerDictionary } from '../patterns/MarkerDictionary.js';
+import { StructuredLight } from '../patterns/StructuredLight.js';
 
 export class QuadCalibrator {
     constructor(cameraCalibration = null, feedbackDisplay = null) {
@@ -18,11 +22,19 @@ export class QuadCalibrator {
         // Corner detection
         this.detectedCorners = [];
         this.projectedCorners = [];
-        this.homographyMatrix = null;
+        this.homographyMatrix = null; // cv.Mat, only when OpenCV is loaded
+        this.homography = null;       // Row-major 3x3 array, always available
+        this.markerDictionary = new MarkerDictionary();
+        this.structuredLight = new StructuredLight();
+
+        // Dense warp for non-planar surfaces
+        this.warpMesh = null;
 
         // Quality assessment
         this.calibrationQuality = null;
         this.reprojectionError = null;
+        this.pointDiagnostics = [];
+        this.homographyRefinement = null;
 
         // User feedback
         this.onProgress = null;
@@ -32,11 +44,15 @@ export class QuadCalibrator {
         // Detection settings
         this.detectionSettings = {
             markerSize: 100,
-            expectedMarkers: 4,
+            gridCols: 3,
+            gridRows: 3,
+            expectedMarkers: 9,
             minMarkerArea: 1000,
             maxMarkerArea: 50000,
             cornerRefinement: true,
-            qualityThreshold: 0.7
+            qualityThreshold: 0.7,
+            ransacThreshold: 3.0,     // Max reprojection error (projector px) for a RANSAC inlier
+            refineHomography: true    // Levenberg-Marquardt refinement on inliers
         };
     }
 
@@ -49,11 +65,24 @@ export class QuadCalibrator {
                 useExistingCamera: true,
                 requireCameraCalibration: true,
                 projectionSurface: 'flat',
-                markerType: 'qr_like'
+                markerType: 'qr_like',
+                markerGrid: {
+                    cols: this.detectionSettings.gridCols,
+                    rows: this.detectionSettings.gridRows
+                },
+                ransacThreshold: this.detectionSettings.ransacThreshold,
+                refineHomography: this.detectionSettings.refineHomography
             };
 
             const settings = { ...defaultOptions, ...options };
 
+            // Marker grid and fitting settings
+            this.detectionSettings.gridCols = settings.markerGrid.cols;
+            this.detectionSettings.gridRows = settings.markerGrid.rows;
+            this.detectionSettings.expectedMarkers = settings.markerGrid.cols * settings.markerGrid.rows;
+            this.detectionSettings.ransacThreshold = settings.ransacThreshold;
+            this.detectionSettings.refineHomography = settings.refineHomography;
+
             // Validate camera calibration if required
             if (settings.requireCameraCalibration && !this.cameraCalibration) {
                 throw new Error('Camera calibration required for quad calibration');
@@ -107,6 +136,10 @@ export class QuadCalibrator {
             this.detectedCorners = [];
             this.projectedCorners = [];
             this.homographyMatrix = null;
+            this.homography = null;
+            this.warpMesh = null;
+            this.pointDiagnostics = [];
+            this.homographyRefinement = null;
 
             this._provideFeedback('info', 'Starting quad calibration process...');
             this._notifyProgress('started', 0);
@@ -148,10 +181,14 @@ export class QuadCalibrator {
                 type: 'quad',
                 timestamp: new Date().toISOString(),
                 homographyMatrix: this.homographyMatrix,
+                homography: this.homography,
                 detectedCorners: this.detectedCorners,
                 projectedCorners: this.projectedCorners,
                 quality: validationResult.quality,
                 reprojectionError: this.reprojectionError,
+                pointDiagnostics: this.pointDiagnostics,
+                inlierCount: this.pointDiagnostics.filter(p => p.inlier).length,
+                homographyRefinement: this.homographyRefinement,
                 cameraCalibration: this.cameraCalibration
             };
 
@@ -180,14 +217,69 @@ export class QuadCalibrator {
         }
     }
 
+    /**
+     * Build a dense warp mesh from a structured light correspondence map
+     * Used instead of the homography for curved walls and objects; needs a quad calibration to be saved with,
+     * since a new calibration starts without a mesh.
+     */
+    buildWarpMesh(correspondence, projectorResolution, options = {}) {
+        try {
+            if (!this.calibrationData) {
+                throw new Error('Run the quad calibration before building a warp mesh');
+            }
+
+            const mesh = new WarpMesh(projectorResolution.width, projectorResolution.height);
+            const stats = mesh.buildFromCorrespondence(correspondence, options);
+
+            this.warpMesh = mesh;
+            this.calibrationData.warpMesh = mesh.toJSON();
+
+            if (stats.coverage < 0.5) {
+                this._provideFeedback('warning',
+                    `Warp mesh covers only ${(stats.coverage * 100).toFixed(0)}% of the projector. Check the camera sees the whole projection.`
+                );
+            } else {
+                this._provideFeedback('success', `Warp mesh built (${stats.validNodes} control points)`);
+            }
+
+            return {
+                success: true,
+                warpMesh: mesh,
+                stats,
+                message: 'Warp mesh built successfully'
+            };
+
+        } catch (error) {
+            this._provideFeedback('error', `Failed to build warp mesh: ${error.message}`);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Warp mesh could not be built'
+            };
+        }
+    }
+
     /**
      * Transform point from camera coordinates to projector coordinates
+     * Uses the warp mesh when one covers the point, the homography otherwise
      */
     transformPoint(cameraPoint) {
-        if (!this.homographyMatrix) {
+        if (this.warpMesh) {
+            const meshPoint = this.warpMesh.cameraToProjector(cameraPoint);
+            if (meshPoint) {
+                return meshPoint;
+            }
+        }
+
+        if (!this.homography) {
             throw new Error('No calibration data available');
         }
 
+        // Pure JS path for Node, tests and clients without OpenCV
+        if (!this.homographyMatrix || !GeometryUtils.isOpenCVAvailable()) {
+            return GeometryUtils.applyHomography(this.homography, cameraPoint);
+        }
+
         try {
             // Create OpenCV matrices
             const srcPoint = cv.matFromArray(1, 1, cv.CV_32FC2, [cameraPoint.x, cameraPoint.y]);
@@ -277,11 +369,15 @@ export class QuadCalibrator {
                 throw new Error('Invalid calibration type');
             }
 
-            // Recreate OpenCV matrix from saved data
-            this.homographyMatrix = cv.matFromArray(3, 3, cv.CV_64F, data.homographyMatrix.data);
+            // Recreate the homography from saved data (OpenCV matrix only when loaded)
+            this.homography = data.homography ? [...data.homography] : Array.from(data.homographyMatrix.data);
+            this.homographyMatrix = GeometryUtils.isOpenCVAvailable()
+                ? cv.matFromArray(3, 3, cv.CV_64F, this.homography)
+                : null;
             this.calibrationData = data;
             this.detectedCorners = data.detectedCorners;
             this.projectedCorners = data.projectedCorners;
+            this.warpMesh = data.warpMesh ? WarpMesh.fromJSON(data.warpMesh) : null;
 
             this._provideFeedback('success', 'Calibration loaded successfully');
 
@@ -301,26 +397,40 @@ export class QuadCalibrator {
 
     async _displayCornerMarkers(projectorManager) {
         try {
-            // Generate QR marker pattern for corners
-            const structuredLight = projectorManager.structuredLight;
-            const markerPattern = structuredLight.generateQRMarkers(this.detectionSettings.markerSize);
-
-            // Display pattern on projector
-            const displayResult = projectorManager.windowManager.displayPattern(markerPattern);
+            // Generate a grid of coded markers (more than four points lets RANSAC reject bad detections)
+            const resolution = projectorManager.detectedResolution || { width: 1920, height: 1080 };
+            this.structuredLight.projectorWidth = resolution.width;
+            this.structuredLight.projectorHeight = resolution.height;
+            const markerPattern = this.structuredLight.generateMarkerGrid(
+                this.detectionSettings.gridCols,
+                this.detectionSettings.gridRows,
+                this.detectionSettings.markerSize
+            );
+
+            // Display pattern on projector, pixel for pixel
+            const displayResult = await projectorManager.projectImage(markerPattern);
 
             if (!displayResult.success) {
-                throw new Error(displayResult.message);
+                throw new Error(displayResult.error);
             }
 
             // Store projected corner positions (in projector coordinates)
+            const size = this.detectionSettings.markerSize;
             this.projectedCorners = markerPattern.positions.map(pos => ({
                 id: pos.id,
-                x: pos.x + this.detectionSettings.markerSize / 2,
-                y: pos.y + this.detectionSettings.markerSize / 2,
+                markerId: pos.markerId,
+                x: pos.x + size / 2,
+                y: pos.y + size / 2,
+                corners: [
+                    { x: pos.x, y: pos.y },
+                    { x: pos.x + size, y: pos.y },
+                    { x: pos.x + size, y: pos.y + size },
+                    { x: pos.x, y: pos.y + size }
+                ],
                 projectorCoord: true
             }));
 
-            this._provideFeedback('info', 'Corner markers displayed on projector');
+            this._provideFeedback('info', `${this.projectedCorners.length} markers displayed on projector`);
 
             return {
                 success: true,
@@ -340,7 +450,9 @@ export class QuadCalibrator {
     async _detectMarkersInCamera(videoElement) {
         return new Promise((resolve) => {
             const maxAttempts = 100; // 10 seconds at 10 FPS
+            const expected = this.detectionSettings.expectedMarkers;
             let attempts = 0;
+            let bestMarkers = [];
 
             const detectFrame = () => {
                 try {
@@ -364,14 +476,18 @@ export class QuadCalibrator {
                     // Detect QR-like markers
                     const detectionResult = this._detectQRLikeMarkers(frame);
 
-                    if (detectionResult.success && detectionResult.markers.length >= 4) {
-                        // Found sufficient markers
+                    if (detectionResult.markers?.length > bestMarkers.length) {
+                        bestMarkers = detectionResult.markers;
+                    }
+
+                    if (detectionResult.success && detectionResult.markers.length >= expected) {
+                        // Found every projected marker
                         this.detectedCorners = detectionResult.markers;
 
                         // Clean up
                         frame.delete();
 
-                        this._provideFeedback('success', `Detected ${detectionResult.markers.length} corner markers`);
+                        this._provideFeedback('success', `Detected ${detectionResult.markers.length} markers`);
                         resolve({
                             success: true,
                             markers: this.detectedCorners,
@@ -387,17 +503,27 @@ export class QuadCalibrator {
                     // Provide progress feedback
                     if (attempts % 10 === 0) {
                         const detected = detectionResult.markers?.length || 0;
-                        this._provideFeedback('info', `Detecting corners... found ${detected}/4 markers (attempt ${attempts}/${maxAttempts})`);
+                        this._provideFeedback('info', `Detecting markers... found ${detected}/${expected} markers (attempt ${attempts}/${maxAttempts})`);
                     }
 
                     // Continue detection if not maxed out
                     if (attempts < maxAttempts) {
                         setTimeout(detectFrame, 100);
+                    } else if (bestMarkers.length >= 4) {
+                        // Partial grid is still enough for a homography
+                        this.detectedCorners = bestMarkers;
+                        this._provideFeedback('warning', `Only ${bestMarkers.length}/${expected} markers detected, continuing with those`);
+                        resolve({
+                            success: true,
+                            markers: this.detectedCorners,
+                            attempts: attempts,
+                            message: 'Partial marker grid detected'
+                        });
                     } else {
                         resolve({
                             success: false,
                             message: 'Timeout: Could not detect all corner markers',
-                            detectedCount: detectionResult.markers?.length || 0,
+                            detectedCount: bestMarkers.length,
                             troubleshooting: [
                                 'Ensure projector is displaying corner markers clearly',
                                 'Check lighting conditions',
@@ -456,29 +582,29 @@ export class QuadCalibrator {
                 const approx = new cv.Mat();
                 cv.approxPolyDP(contour, approx, epsilon, true);
 
-                // Check if it's roughly rectangular (4 corners)
-                if (approx.rows >= 4 && approx.rows <= 6) {
-                    // Calculate bounding box
+                // Coded markers are quadrilaterals; any camera rotation is fine
+                if (approx.rows === 4 && cv.isContourConvex(approx)) {
                     const rect = cv.boundingRect(contour);
+                    const quad = [];
+                    for (let j = 0; j < 4; j++) {
+                        quad.push({ x: approx.data32S[j * 2], y: approx.data32S[j * 2 + 1] });
+                    }
 
-                    // Check aspect ratio (should be roughly square for QR markers)
-                    const aspectRatio = rect.width / rect.height;
-                    if (aspectRatio > 0.7 && aspectRatio < 1.3) {
-
-                        // Calculate center point
-                        const centerX = rect.x + rect.width / 2;
-                        const centerY = rect.y + rect.height / 2;
-
-                        // Determine marker ID based on position
-                        const markerId = this._determineMarkerId(centerX, centerY, frame.cols, frame.rows);
+                    // Read the bit grid to get ID and orientation
+                    const decoded = this.markerDictionary.decodeQuad(gray, quad);
 
+                    if (decoded) {
                         markers.push({
-                            id: markerId,
-                            x: centerX,
-                            y: centerY,
+                            id: decoded.markerId,
+                            markerId: decoded.markerId,
+                            x: decoded.center.x,
+                            y: decoded.center.y,
+                            corners: decoded.corners,
+                            rotation: decoded.rotation,
+                            bitErrors: decoded.distance,
                             area: area,
                             boundingRect: rect,
-                            confidence: this._calculateMarkerConfidence(contour, rect)
+                            confidence: this._calculateMarkerConfidence(contour, rect) * (decoded.distance === 0 ? 1 : 0.8)
                         });
                     }
                 }
@@ -493,9 +619,12 @@ export class QuadCalibrator {
             contours.delete();
             hierarchy.delete();
 
-            // Sort markers by confidence and return best 4
+            // Keep the most confident detection of each marker ID
             markers.sort((a, b) => b.confidence - a.confidence);
-            const bestMarkers = markers.slice(0, 4);
+            const bestMarkers = markers.filter((marker, index) =>
+                markers.findIndex(m => m.markerId === marker.markerId) === index &&
+                (this.projectedCorners.length === 0 || this.projectedCorners.some(p => p.markerId === marker.markerId))
+            );
 
             return {
                 success: bestMarkers.length >= 4,
@@ -525,28 +654,45 @@ export class QuadCalibrator {
                 throw new Error('Could not match detected corners with projected corners');
             }
 
-            // Prepare point arrays for OpenCV
-            const srcPoints = []; // Camera coordinates
-            const dstPoints = []; // Projector coordinates
+            const estimate = this._estimateHomography(matchedPairs);
+            let h = estimate.homography;
+            const inliers = estimate.inliers;
 
-            matchedPairs.forEach(pair => {
-                srcPoints.push(pair.detected.x, pair.detected.y);
-                dstPoints.push(pair.projected.x, pair.projected.y);
-            });
-
-            // Create OpenCV matrices
-            const srcMat = cv.matFromArray(4, 1, cv.CV_32FC2, srcPoints);
-            const dstMat = cv.matFromArray(4, 1, cv.CV_32FC2, dstPoints);
+            // Optional Levenberg-Marquardt refinement on the inliers
+            const inlierPairs = matchedPairs.filter((_, i) => inliers[i]);
+            this.homographyRefinement = null;
+            if (this.detectionSettings.refineHomography && inlierPairs.length > 4) {
+                this.homographyRefinement = this._refineHomographyLM(h, inlierPairs);
+                h = this.homographyRefinement.homography;
+            }
 
-            // Calculate homography using RANSAC for robustness
-            this.homographyMatrix = cv.findHomography(srcMat, dstMat, cv.RANSAC, 3.0);
+            this.homography = h;
+            this.homographyMatrix = GeometryUtils.isOpenCVAvailable()
+                ? cv.matFromArray(3, 3, cv.CV_64F, h)
+                : null;
+
+            // Per-point residuals so a single bad detection stands out
+            this.pointDiagnostics = matchedPairs.map((pair, i) => {
+                const mapped = GeometryUtils.applyHomography(h, pair.detected);
+                return {
+                    id: pair.projected.id,
+                    markerId: pair.projected.markerId,
+                    camera: { x: pair.detected.x, y: pair.detected.y },
+                    projector: { x: pair.projected.x, y: pair.projected.y },
+                    residual: Math.hypot(mapped.x - pair.projected.x, mapped.y - pair.projected.y),
+                    inlier: inliers[i]
+                };
+            });
 
             // Calculate reprojection error
-            this.reprojectionError = this._calculateReprojectionError(matchedPairs);
+            this.reprojectionError = this._calculateReprojectionError(this.pointDiagnostics);
 
-            // Clean up
-            srcMat.delete();
-            dstMat.delete();
+            const outliers = this.pointDiagnostics.filter(p => !p.inlier);
+            if (outliers.length > 0) {
+                this._provideFeedback('warning',
+                    `⚠️ Rejected ${outliers.length} marker(s) as outliers: ${outliers.map(p => `${p.id} (${p.residual.toFixed(1)}px)`).join(', ')}`
+                );
+            }
 
             this._provideFeedback('success', `Homography calculated with ${this.reprojectionError.toFixed(2)} pixel error`);
 
@@ -555,6 +701,9 @@ export class QuadCalibrator {
                 homographyMatrix: this.homographyMatrix,
                 reprojectionError: this.reprojectionError,
                 matchedPairs: matchedPairs.length,
+                inlierCount: inlierPairs.length,
+                pointDiagnostics: this.pointDiagnostics,
+                refinement: this.homographyRefinement,
                 message: 'Homography transformation calculated successfully'
             };
 
@@ -569,7 +718,7 @@ export class QuadCalibrator {
 
     _validateCalibration() {
         try {
-            if (!this.homographyMatrix || this.reprojectionError === null) {
+            if (!this.homography || this.reprojectionError === null) {
                 throw new Error('No calibration data to validate');
             }
 
@@ -635,19 +784,6 @@ export class QuadCalibrator {
         }
     }
 
-    _determineMarkerId(x, y, frameWidth, frameHeight) {
-        const centerX = frameWidth / 2;
-        const centerY = frameHeight / 2;
-
-        // Determine quadrant
-        if (x < centerX && y < centerY) return 'TL'; // Top-left
-        if (x >= centerX && y < centerY) return 'TR'; // Top-right
-        if (x >= centerX && y >= centerY) return 'BR'; // Bottom-right
-        if (x < centerX && y >= centerY) return 'BL'; // Bottom-left
-
-        return 'C'; // Center (fallback)
-    }
-
     _calculateMarkerConfidence(contour, rect) {
         try {
             // Factor 1: Area ratio (how close to square)
@@ -675,8 +811,9 @@ export class QuadCalibrator {
     _matchCornerPairs() {
         const matchedPairs = [];
 
+        // Markers carry their own ID, so matching is independent of camera orientation
         this.detectedCorners.forEach(detected => {
-            const projected = this.projectedCorners.find(p => p.id === detected.id);
+            const projected = this.projectedCorners.find(p => p.markerId === detected.markerId);
             if (projected) {
                 matchedPairs.push({
                     detected: detected,
@@ -688,18 +825,129 @@ export class QuadCalibrator {
         return matchedPairs;
     }
 
-    _calculateReprojectionError(matchedPairs) {
-        let totalError = 0;
+    _calculateReprojectionError(pointDiagnostics) {
+        const inliers = pointDiagnostics.filter(p => p.inlier);
+        if (inliers.length === 0) {
+            return Infinity;
+        }
 
-        matchedPairs.forEach(pair => {
-            const transformed = this.transformPoint(pair.detected);
-            const dx = transformed.x - pair.projected.x;
-            const dy = transformed.y - pair.projected.y;
-            const error = Math.sqrt(dx * dx + dy * dy);
-            totalError += error;
-        });
+        return inliers.reduce((sum, p) => sum + p.residual, 0) / inliers.length;
+    }
+
+    _estimateHomography(matchedPairs) {
+        const srcPoints = matchedPairs.map(pair => ({ x: pair.detected.x, y: pair.detected.y }));
+        const dstPoints = matchedPairs.map(pair => ({ x: pair.projected.x, y: pair.projected.y }));
+        const threshold = this.detectionSettings.ransacThreshold;
 
-        return totalError / matchedPairs.length;
+        if (!GeometryUtils.isOpenCVAvailable()) {
+            const result = GeometryUtils.findHomographyRansac(srcPoints, dstPoints, threshold);
+            if (!result.homography) {
+                throw new Error('Homography estimation failed (degenerate point configuration)');
+            }
+            return result;
+        }
+
+        // Create OpenCV matrices
+        const srcMat = cv.matFromArray(matchedPairs.length, 1, cv.CV_32FC2, srcPoints.flatMap(p => [p.x, p.y]));
+        const dstMat = cv.matFromArray(matchedPairs.length, 1, cv.CV_32FC2, dstPoints.flatMap(p => [p.x, p.y]));
+        const inlierMask = new cv.Mat();
+
+        try {
+            // RANSAC only has something to reject with more than four points
+            const method = matchedPairs.length > 4 ? cv.RANSAC : 0;
+            const homography = cv.findHomography(srcMat, dstMat, method, threshold, inlierMask);
+
+            if (homography.empty()) {
+                homography.delete();
+                throw new Error('Homography estimation failed (degenerate point configuration)');
+            }
+
+            const h = Array.from(homography.data64F);
+            homography.delete();
+
+            return {
+                homography: h,
+                inliers: matchedPairs.map((_, i) => (inlierMask.rows === matchedPairs.length ? inlierMask.data[i] !== 0 : true))
+            };
+
+        } finally {
+            srcMat.delete();
+            dstMat.delete();
+            inlierMask.delete();
+        }
+    }
+
+    _refineHomographyLM(initial, pairs, maxIterations = 50) {
+        // Minimise projector-space reprojection error over the 8 free parameters (h33 = 1)
+        let h = initial.map(v => v / initial[8]);
+
+        const computeCost = (params) => pairs.reduce((sum, pair) => {
+            const mapped = GeometryUtils.applyHomography(params, pair.detected);
+            return sum + (mapped.x - pair.projected.x) ** 2 + (mapped.y - pair.projected.y) ** 2;
+        }, 0);
+
+        const initialCost = computeCost(h);
+        let cost = initialCost;
+        let lambda = 1e-3;
+        let iterations = 0;
+
+        for (; iterations < maxIterations; iterations++) {
+            const JtJ = Array.from({ length: 8 }, () => new Array(8).fill(0));
+            const Jtr = new Array(8).fill(0);
+
+            pairs.forEach(pair => {
+                const { x, y } = pair.detected;
+                const w = h[6] * x + h[7] * y + 1;
+                const u = (h[0] * x + h[1] * y + h[2]) / w;
+                const v = (h[3] * x + h[4] * y + h[5]) / w;
+
+                const ju = [x / w, y / w, 1 / w, 0, 0, 0, -u * x / w, -u * y / w];
+                const jv = [0, 0, 0, x / w, y / w, 1 / w, -v * x / w, -v * y / w];
+                const ru = pair.projected.x - u;
+                const rv = pair.projected.y - v;
+
+                for (let a = 0; a < 8; a++) {
+                    Jtr[a] += ju[a] * ru + jv[a] * rv;
+                    for (let b = 0; b < 8; b++) {
+                        JtJ[a][b] += ju[a] * ju[b] + jv[a] * jv[b];
+                    }
+                }
+            });
+
+            let improved = false;
+            while (lambda < 1e10) {
+                const A = JtJ.map((row, a) => row.map((value, b) => (a === b ? value * (1 + lambda) : value)));
+                const delta = GeometryUtils.solveLinearSystem(A, Jtr);
+
+                if (delta) {
+                    const candidate = h.map((value, k) => (k < 8 ? value + delta[k] : value));
+                    const candidateCost = computeCost(candidate);
+
+                    if (candidateCost < cost) {
+                        const gain = cost - candidateCost;
+                        h = candidate;
+                        cost = candidateCost;
+                        lambda = Math.max(lambda / 10, 1e-12);
+                        improved = gain > 1e-12 * (1 + cost);
+                        break;
+                    }
+                }
+
+                lambda *= 10;
+            }
+
+            if (!improved) {
+                break;
+            }
+        }
+
+        return {
+            method: 'levenberg_marquardt',
+            homography: h,
+            iterations,
+            initialError: Math.sqrt(initialCost / pairs.length),
+            finalError: Math.sqrt(cost / pairs.length)
+        };
     }
 
     _performAdditionalValidation() {
@@ -715,10 +963,11 @@ export class QuadCalibrator {
     _checkHomographyCondition() {
         // Check if homography matrix is well-conditioned
         try {
-            const det = cv.determinant(this.homographyMatrix);
+            const det = GeometryUtils.determinant3x3(this.homography);
             return {
                 passed: Math.abs(det) > 1e-7,
                 value: det,
+                conditionNumber: GeometryUtils.conditionNumber3x3(this.homography),
                 description: 'Homography matrix condition number'
             };
         } catch (error) {
@@ -828,8 +1077,13 @@ export class QuadCalibrator {
             recommendations.push('🎯 Check camera and projector focus');
         }
 
-        if (this.detectedCorners.length === 4) {
-            recommendations.push('✅ All corner markers detected successfully');
+        const outliers = this.pointDiagnostics.filter(p => !p.inlier);
+        if (outliers.length > 0) {
+            recommendations.push(`🔍 Check markers ${outliers.map(p => p.id).join(', ')}: their detections disagree with the rest`);
+        }
+
+        if (this.detectedCorners.length === this.detectionSettings.expectedMarkers) {
+            recommendations.push('✅ All markers detected successfully');
         }
 
         return recommendations;
@@ -0,0 +1,492 @@
+/**
+ * WarpMesh - Dense projector-to-camera warp for non-planar surfaces
+ * Builds a regular grid of projector control points from a structured light
+ * correspondence map and renders camera-space content through it
+ */
+
+export class WarpMesh {
+    constructor(projectorWidth = 1920, projectorHeight = 1080) {
+        this.projectorWidth = projectorWidth;
+        this.projectorHeight = projectorHeight;
+        this.cameraWidth = 0;
+        this.cameraHeight = 0;
+
+        // Grid of (cols x rows) nodes, camera coordinates stored flat as [x0, y0, x1, y1, ...]
+        this.cols = 0;
+        this.rows = 0;
+        this.points = null;
+        this.valid = null;
+
+        this.stats = null;
+        this.triangleIndex = null; // Camera-space buckets of triangles, built on first cameraToProjector()
+    }
+
+    /**
+     * Build the mesh from a decoded correspondence map
+     * Accepts the result of StructuredLight.decodeGrayCode() or decodePhaseShift():
+     * per camera pixel projector column/row plus a validity mask.
+     */
+    buildFromCorrespondence(correspondence, options = {}) {
+        const settings = {
+            gridSpacing: 40,      // Projector pixels between control points
+            sampleRadius: 1.5,    // In grid cells, neighbourhood used to fit each node
+            minSamples: 6,
+            fillIterations: 2,    // Grid steps a hole may be filled from its neighbours
+            ...options
+        };
+
+        const { width, height, colMap, rowMap, mask } = correspondence;
+        if (!colMap || !rowMap) {
+            throw new Error('Correspondence map needs both projector columns and rows');
+        }
+
+        this.cameraWidth = width;
+        this.cameraHeight = height;
+        this.triangleIndex = null;
+        this.cols = Math.ceil(this.projectorWidth / settings.gridSpacing) + 1;
+        this.rows = Math.ceil(this.projectorHeight / settings.gridSpacing) + 1;
+
+        const nodeCount = this.cols * this.rows;
+        const spacingX = this.projectorWidth / (this.cols - 1);
+        const spacingY = this.projectorHeight / (this.rows - 1);
+        const radius = settings.sampleRadius;
+
+        // Per node weighted least squares of a local affine fit camera = b + A * (proj - node)
+        // Normal matrix (6 unique entries) and right-hand sides for x and y
+        const normal = new Float64Array(nodeCount * 6);
+        const rhsX = new Float64Array(nodeCount * 3);
+        const rhsY = new Float64Array(nodeCount * 3);
+        const counts = new Uint32Array(nodeCount);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                if (!mask[i]) continue;
+
+                // Projector position in grid units
+                const gu = colMap[i] / spacingX;
+                const gv = rowMap[i] / spacingY;
+
+                const minCol = Math.max(0, Math.ceil(gu - radius));
+                const maxCol = Math.min(this.cols - 1, Math.floor(gu + radius));
+                const minRow = Math.max(0, Math.ceil(gv - radius));
+                const maxRow = Math.min(this.rows - 1, Math.floor(gv + radius));
+
+                for (let row = minRow; row <= maxRow; row++) {
+                    for (let col = minCol; col <= maxCol; col++) {
+                        const du = gu - col;
+                        const dv = gv - row;
+                        const distance = Math.sqrt(du * du + dv * dv);
+                        if (distance >= radius) continue;
+
+                        const w = 1 - distance / radius;
+                        const node = row * this.cols + col;
+                        const n = node * 6;
+                        normal[n] += w;
+                        normal[n + 1] += w * du;
+                        normal[n + 2] += w * dv;
+                        normal[n + 3] += w * du * du;
+                        normal[n + 4] += w * du * dv;
+                        normal[n + 5] += w * dv * dv;
+
+                        const r = node * 3;
+                        rhsX[r] += w * x;
+                        rhsX[r + 1] += w * du * x;
+                        rhsX[r + 2] += w * dv * x;
+                        rhsY[r] += w * y;
+                        rhsY[r + 1] += w * du * y;
+                        rhsY[r + 2] += w * dv * y;
+                        counts[node]++;
+                    }
+                }
+            }
+        }
+
+        this.points = new Float32Array(nodeCount * 2);
+        this.valid = new Uint8Array(nodeCount);
+
+        for (let node = 0; node < nodeCount; node++) {
+            if (counts[node] < settings.minSamples) continue;
+
+            const n = node * 6;
+            const system = [
+                [normal[n], normal[n + 1], normal[n + 2]],
+                [normal[n + 1], normal[n + 3], normal[n + 4]],
+                [normal[n + 2], normal[n + 4], normal[n + 5]]
+            ];
+
+            const solvedX = this._solve3x3(system, [rhsX[node * 3], rhsX[node * 3 + 1], rhsX[node * 3 + 2]]);
+            const solvedY = this._solve3x3(system, [rhsY[node * 3], rhsY[node * 3 + 1], rhsY[node * 3 + 2]]);
+            if (!solvedX || !solvedY) continue;
+
+            this.points[node * 2] = solvedX[0];
+            this.points[node * 2 + 1] = solvedY[0];
+            this.valid[node] = 1;
+        }
+
+        const measuredNodes = this.valid.reduce((sum, v) => sum + v, 0);
+        if (measuredNodes === 0) {
+            throw new Error('No mesh nodes could be measured from the correspondence map');
+        }
+
+        const filledNodes = this._fillHoles(settings.fillIterations);
+        const validNodes = measuredNodes + filledNodes;
+
+        this.stats = {
+            measuredNodes,
+            filledNodes,
+            validNodes,
+            totalNodes: nodeCount,
+            coverage: validNodes / nodeCount
+        };
+
+        return this.stats;
+    }
+
+    /**
+     * Map a projector pixel to camera coordinates
+     * Affine within the same triangles render() and cameraToProjector() use, so the two lookups invert each other.
+     */
+    projectorToCamera(point) {
+        this._ensureBuilt();
+
+        const gu = point.x / this.projectorWidth * (this.cols - 1);
+        const gv = point.y / this.projectorHeight * (this.rows - 1);
+        const col = Math.min(this.cols - 2, Math.max(0, Math.floor(gu)));
+        const row = Math.min(this.rows - 2, Math.max(0, Math.floor(gv)));
+        const fu = gu - col;
+        const fv = gv - row;
+
+        const tl = row * this.cols + col;
+        const tr = tl + 1;
+        const bl = tl + this.cols;
+        const br = bl + 1;
+
+        // Upper-left triangle (tl, tr, bl) or lower-right one (tr, br, bl), split along the tr-bl diagonal
+        const [origin, alongU, alongV, u, v] = fu + fv <= 1
+            ? [tl, tr, bl, fu, fv]
+            : [br, bl, tr, 1 - fu, 1 - fv];
+
+        if (!this.valid[origin] || !this.valid[alongU] || !this.valid[alongV]) {
+            return null;
+        }
+
+        const corner = axis => this.points[origin * 2 + axis];
+        return {
+            x: corner(0) + u * (this.points[alongU * 2] - corner(0)) + v * (this.points[alongV * 2] - corner(0)),
+            y: corner(1) + u * (this.points[alongU * 2 + 1] - corner(1)) + v * (this.points[alongV * 2 + 1] - corner(1))
+        };
+    }
+
+    /**
+     * Map a camera pixel to projector coordinates
+     * Tests only the triangles in the point's bucket of the camera-space index; null when outside the mesh.
+     */
+    cameraToProjector(point) {
+        this._ensureBuilt();
+
+        for (const triangle of this._trianglesNear(point)) {
+            const [a, b, c] = triangle.camera;
+            const det = (b.y - c.y) * (a.x - c.x) + (c.x - b.x) * (a.y - c.y);
+            if (Math.abs(det) < 1e-12) continue;
+
+            const l1 = ((b.y - c.y) * (point.x - c.x) + (c.x - b.x) * (point.y - c.y)) / det;
+            const l2 = ((c.y - a.y) * (point.x - c.x) + (a.x - c.x) * (point.y - c.y)) / det;
+            const l3 = 1 - l1 - l2;
+
+            const epsilon = -1e-9;
+            if (l1 >= epsilon && l2 >= epsilon && l3 >= epsilon) {
+                const [pa, pb, pc] = triangle.projector;
+                return {
+                    x: l1 * pa.x + l2 * pb.x + l3 * pc.x,
+                    y: l1 * pa.y + l2 * pb.y + l3 * pc.y
+                };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Render camera-space content into a projector-space canvas context
+     * Each mesh triangle is drawn with the affine transform between its camera and projector corners.
+     */
+    render(ctx, source, options = {}) {
+        this._ensureBuilt();
+
+        const settings = {
+            background: '#000000',
+            seamOverlap: 0.5, // Pixels each triangle is grown by to hide anti-aliasing seams
+            ...options
+        };
+
+        const sourceWidth = source.videoWidth || source.width;
+        const sourceHeight = source.videoHeight || source.height;
+        const scaleX = sourceWidth / this.cameraWidth;
+        const scaleY = sourceHeight / this.cameraHeight;
+
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.fillStyle = settings.background;
+        ctx.fillRect(0, 0, this.projectorWidth, this.projectorHeight);
+
+        let drawn = 0;
+        for (const triangle of this._triangles()) {
+            const src = triangle.camera.map(p => ({ x: p.x * scaleX, y: p.y * scaleY }));
+            const transform = this._affineFromTriangles(src, triangle.projector);
+            if (!transform) continue;
+
+            const clip = this._expandTriangle(triangle.projector, settings.seamOverlap);
+
+            ctx.save();
+            ctx.beginPath();
+            ctx.moveTo(clip[0].x, clip[0].y);
+            ctx.lineTo(clip[1].x, clip[1].y);
+            ctx.lineTo(clip[2].x, clip[2].y);
+            ctx.closePath();
+            ctx.clip();
+            ctx.setTransform(...transform);
+            ctx.drawImage(source, 0, 0, sourceWidth, sourceHeight);
+            ctx.restore();
+            drawn++;
+        }
+
+        ctx.restore();
+        return drawn;
+    }
+
+    /**
+     * Serialize the mesh for storage alongside quad calibration data
+     * Flat arrays only, so the result can be stored in Firestore as-is.
+     */
+    toJSON() {
+        this._ensureBuilt();
+
+        return {
+            type: 'warp_mesh',
+            version: '1.0',
+            cols: this.cols,
+            rows: this.rows,
+            projectorResolution: { width: this.projectorWidth, height: this.projectorHeight },
+            cameraResolution: { width: this.cameraWidth, height: this.cameraHeight },
+            points: Array.from(this.points, v => Math.round(v * 1000) / 1000),
+            valid: Array.from(this.valid),
+            stats: this.stats
+        };
+    }
+
+    /**
+     * Restore a mesh saved with toJSON()
+     */
+    static fromJSON(data) {
+        if (!data || data.type !== 'warp_mesh') {
+            throw new Error('Invalid warp mesh data');
+        }
+
+        const nodeCount = data.cols * data.rows;
+        if (data.points.length !== nodeCount * 2 || data.valid.length !== nodeCount) {
+            throw new Error('Warp mesh data does not match its grid size');
+        }
+
+        const mesh = new WarpMesh(data.projectorResolution.width, data.projectorResolution.height);
+        mesh.cameraWidth = data.cameraResolution.width;
+        mesh.cameraHeight = data.cameraResolution.height;
+        mesh.cols = data.cols;
+        mesh.rows = data.rows;
+        mesh.points = Float32Array.from(data.points);
+        mesh.valid = Uint8Array.from(data.valid);
+        mesh.stats = data.stats || null;
+        return mesh;
+    }
+
+    // Private helper methods
+
+    _ensureBuilt() {
+        if (!this.points) {
+            throw new Error('Warp mesh has not been built');
+        }
+    }
+
+    _fillHoles(iterations) {
+        let filled = 0;
+
+        for (let iteration = 0; iteration < iterations; iteration++) {
+            const updates = [];
+
+            for (let row = 0; row < this.rows; row++) {
+                for (let col = 0; col < this.cols; col++) {
+                    const node = row * this.cols + col;
+                    if (this.valid[node]) continue;
+
+                    // Linear extrapolation from pairs of valid neighbours along each axis
+                    let x = 0;
+                    let y = 0;
+                    let count = 0;
+                    [[1, 0], [-1, 0], [0, 1], [0, -1]].forEach(([dc, dr]) => {
+                        const near = this._nodeIndex(col + dc, row + dr);
+                        const far = this._nodeIndex(col + 2 * dc, row + 2 * dr);
+                        if (near === -1 || !this.valid[near]) return;
+
+                        if (far !== -1 && this.valid[far]) {
+                            x += 2 * this.points[near * 2] - this.points[far * 2];
+                            y += 2 * this.points[near * 2 + 1] - this.points[far * 2 + 1];
+                        } else {
+                            x += this.points[near * 2];
+                            y += this.points[near * 2 + 1];
+                        }
+                        count++;
+                    });
+
+                    if (count >= 2) {
+                        updates.push({ node, x: x / count, y: y / count });
+                    }
+                }
+            }
+
+            updates.forEach(({ node, x, y }) => {
+                this.points[node * 2] = x;
+                this.points[node * 2 + 1] = y;
+                this.valid[node] = 1;
+            });
+
+            filled += updates.length;
+            if (updates.length === 0) break;
+        }
+
+        return filled;
+    }
+
+    _nodeIndex(col, row) {
+        if (col < 0 || row < 0 || col >= this.cols || row >= this.rows) {
+            return -1;
+        }
+        return row * this.cols + col;
+    }
+
+    *_triangles() {
+        const spacingX = this.projectorWidth / (this.cols - 1);
+        const spacingY = this.projectorHeight / (this.rows - 1);
+
+        const camera = node => ({ x: this.points[node * 2], y: this.points[node * 2 + 1] });
+        const projector = (col, row) => ({ x: col * spacingX, y: row * spacingY });
+
+        for (let row = 0; row < this.rows - 1; row++) {
+            for (let col = 0; col < this.cols - 1; col++) {
+                const tl = row * this.cols + col;
+                const tr = tl + 1;
+                const bl = tl + this.cols;
+                const br = bl + 1;
+
+                if (this.valid[tl] && this.valid[tr] && this.valid[bl]) {
+                    yield {
+                        camera: [camera(tl), camera(tr), camera(bl)],
+                        projector: [projector(col, row), projector(col + 1, row), projector(col, row + 1)]
+                    };
+                }
+                if (this.valid[tr] && this.valid[br] && this.valid[bl]) {
+                    yield {
+                        camera: [camera(tr), camera(br), camera(bl)],
+                        projector: [projector(col + 1, row), projector(col + 1, row + 1), projector(col, row + 1)]
+                    };
+                }
+            }
+        }
+    }
+
+    _trianglesNear(point) {
+        const index = this._getTriangleIndex();
+        const col = Math.floor((point.x - index.minX) / index.bucketSize);
+        const row = Math.floor((point.y - index.minY) / index.bucketSize);
+
+        if (!(col >= 0 && row >= 0 && col < index.cols && row < index.rows)) {
+            return [];
+        }
+        return index.buckets[row * index.cols + col];
+    }
+
+    _getTriangleIndex() {
+        if (this.triangleIndex) {
+            return this.triangleIndex;
+        }
+
+        const triangles = [...this._triangles()];
+        let minX = Infinity;
+        let minY = Infinity;
+        let maxX = -Infinity;
+        let maxY = -Infinity;
+        triangles.forEach(({ camera }) => camera.forEach(p => {
+            minX = Math.min(minX, p.x);
+            minY = Math.min(minY, p.y);
+            maxX = Math.max(maxX, p.x);
+            maxY = Math.max(maxY, p.y);
+        }));
+
+        // Buckets about one mesh cell wide hold a handful of triangles each
+        const bucketSize = Math.max(1, Math.max(maxX - minX, maxY - minY) / Math.max(this.cols, this.rows));
+        const cols = Math.max(1, Math.ceil((maxX - minX) / bucketSize) + 1);
+        const rows = Math.max(1, Math.ceil((maxY - minY) / bucketSize) + 1);
+        const buckets = Array.from({ length: cols * rows }, () => []);
+
+        triangles.forEach(triangle => {
+            const xs = triangle.camera.map(p => Math.floor((p.x - minX) / bucketSize));
+            const ys = triangle.camera.map(p => Math.floor((p.y - minY) / bucketSize));
+            for (let row = Math.min(...ys); row <= Math.max(...ys); row++) {
+                for (let col = Math.min(...xs); col <= Math.max(...xs); col++) {
+                    buckets[row * cols + col].push(triangle);
+                }
+            }
+        });
+
+        this.triangleIndex = { minX, minY, bucketSize, cols, rows, buckets };
+        return this.triangleIndex;
+    }
+
+    _affineFromTriangles(src, dst) {
+        // Solve dst = M * src for the canvas transform (a, b, c, d, e, f)
+        const system = [
+            [src[0].x, src[0].y, 1],
+            [src[1].x, src[1].y, 1],
+            [src[2].x, src[2].y, 1]
+        ];
+
+        const xs = this._solve3x3(system, [dst[0].x, dst[1].x, dst[2].x]);
+        const ys = this._solve3x3(system, [dst[0].y, dst[1].y, dst[2].y]);
+        if (!xs || !ys) {
+            return null;
+        }
+
+        return [xs[0], ys[0], xs[1], ys[1], xs[2], ys[2]];
+    }
+
+    _expandTriangle(points, amount) {
+        const cx = (points[0].x + points[1].x + points[2].x) / 3;
+        const cy = (points[0].y + points[1].y + points[2].y) / 3;
+
+        return points.map(p => {
+            const dx = p.x - cx;
+            const dy = p.y - cy;
+            const length = Math.sqrt(dx * dx + dy * dy) || 1;
+            return { x: p.x + dx / length * amount, y: p.y + dy / length * amount };
+        });
+    }
+
+    _solve3x3(m, b) {
+        const det = m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1]) -
+                    m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0]) +
+                    m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
+
+        if (Math.abs(det) < 1e-9) {
+            return null;
+        }
+
+        // Cramer's rule
+        const solve = (column) => {
+            const c = m.map((row, i) => row.map((v, j) => (j === column ? b[i] : v)));
+            return (c[0][0] * (c[1][1] * c[2][2] - c[1][2] * c[2][1]) -
+                    c[0][1] * (c[1][0] * c[2][2] - c[1][2] * c[2][0]) +
+                    c[0][2] * (c[1][0] * c[2][1] - c[1][1] * c[2][0])) / det;
+        };
+
+        return [solve(0), solve(1), solve(2)];
+    }
+}
\ No newline at end of file
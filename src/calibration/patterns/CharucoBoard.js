@@ -0,0 +1,324 @@
+/**
+ * CharucoBoard - Checkerboard with coded markers in the white squares
+ * Every chessboard corner can be identified from its neighbouring markers,
+ * so boards that are only partly visible still give usable calibration views
+ */
+
+import { MarkerDictionary } from './MarkerDictionary.js';
+import { GeometryUtils } from '../../utils/GeometryUtils.js';
+
+export class CharucoBoard {
+    constructor({ squaresX = 7, squaresY = 5, squareLength = 30, markerLength = 21, dictionary = null } = {}) {
+        this.squaresX = squaresX;
+        this.squaresY = squaresY;
+        this.squareLength = squareLength; // mm
+        this.markerLength = markerLength; // mm, outer edge of the black marker border
+        this.dictionary = dictionary || new MarkerDictionary();
+
+        // Detection settings
+        this.minMarkerArea = 100;
+        this.adaptiveBlockSize = 23;
+        this.subPixWindow = 5;
+
+        this._validateGeometry();
+        this.markerSquares = this._computeMarkerSquares();
+    }
+
+    /**
+     * Number of interior chessboard corners
+     */
+    get cornerCount() {
+        return (this.squaresX - 1) * (this.squaresY - 1);
+    }
+
+    /**
+     * Board-plane position (mm, Z=0) of a chessboard corner ID
+     */
+    getCornerPosition(cornerId) {
+        const cols = this.squaresX - 1;
+        return {
+            x: ((cornerId % cols) + 1) * this.squareLength,
+            y: (Math.floor(cornerId / cols) + 1) * this.squareLength,
+            z: 0
+        };
+    }
+
+    /**
+     * Draw the printable board into a canvas
+     */
+    generateImage(pixelsPerSquare = 120, marginSquares = 0.5) {
+        const margin = Math.round(pixelsPerSquare * marginSquares);
+        const canvas = document.createElement('canvas');
+        canvas.width = this.squaresX * pixelsPerSquare + 2 * margin;
+        canvas.height = this.squaresY * pixelsPerSquare + 2 * margin;
+        const ctx = canvas.getContext('2d');
+
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        // Black squares; square (0, 0) is black as on OpenCV boards
+        ctx.fillStyle = '#000000';
+        for (let row = 0; row < this.squaresY; row++) {
+            for (let col = 0; col < this.squaresX; col++) {
+                if ((row + col) % 2 === 0) {
+                    ctx.fillRect(
+                        margin + col * pixelsPerSquare,
+                        margin + row * pixelsPerSquare,
+                        pixelsPerSquare,
+                        pixelsPerSquare
+                    );
+                }
+            }
+        }
+
+        // Markers centred in the white squares (border and data cells only)
+        const cells = this.dictionary.gridCells - 2;
+        const cellSize = (this.markerLength / this.squareLength) * pixelsPerSquare / cells;
+        const inset = (pixelsPerSquare - cells * cellSize) / 2;
+
+        this.markerSquares.forEach(({ markerId, row, col }) => {
+            const grid = this.dictionary.getCellGrid(markerId);
+            const x0 = margin + col * pixelsPerSquare + inset;
+            const y0 = margin + row * pixelsPerSquare + inset;
+
+            for (let y = 0; y < cells; y++) {
+                for (let x = 0; x < cells; x++) {
+                    if (grid[y + 1][x + 1] === 0) {
+                        // Overlap by a pixel to avoid anti-aliasing seams between cells
+                        ctx.fillRect(x0 + x * cellSize, y0 + y * cellSize, cellSize + 0.5, cellSize + 0.5);
+                    }
+                }
+            }
+        });
+
+        return {
+            type: 'charuco',
+            canvas,
+            dataURL: canvas.toDataURL('image/png'),
+            squaresX: this.squaresX,
+            squaresY: this.squaresY,
+            squareLength: this.squareLength,
+            markerLength: this.markerLength,
+            dictionary: this.dictionary.name,
+            pixelsPerSquare
+        };
+    }
+
+    /**
+     * Detect markers and interpolate the visible chessboard corners
+     * Returns corners as { id, x, y } sorted by ID; the board may be partly out of frame.
+     */
+    detect(gray) {
+        const markers = this._detectMarkers(gray);
+        const corners = this._interpolateCorners(gray, markers);
+
+        return { markers, corners };
+    }
+
+    /**
+     * Plain description of the board geometry
+     */
+    toJSON() {
+        return {
+            squaresX: this.squaresX,
+            squaresY: this.squaresY,
+            squareLength: this.squareLength,
+            markerLength: this.markerLength,
+            dictionary: this.dictionary.name
+        };
+    }
+
+    // Private helper methods
+
+    _validateGeometry() {
+        if (this.squaresX < 3 || this.squaresY < 3) {
+            throw new Error('ChArUco board needs at least 3x3 squares');
+        }
+
+        // Markers keep a white margin of at least one cell inside their square
+        const maxRatio = (this.dictionary.gridCells - 2) / this.dictionary.gridCells;
+        if (this.markerLength <= 0 || this.markerLength / this.squareLength > maxRatio) {
+            throw new Error(`Marker length must be positive and at most ${maxRatio} of the square length`);
+        }
+
+        const whiteSquares = Math.floor(this.squaresX * this.squaresY / 2);
+        if (whiteSquares > this.dictionary.size) {
+            throw new Error(`Board needs ${whiteSquares} markers but dictionary ${this.dictionary.name} has ${this.dictionary.size}`);
+        }
+    }
+
+    _computeMarkerSquares() {
+        const squares = [];
+        let markerId = 0;
+
+        for (let row = 0; row < this.squaresY; row++) {
+            for (let col = 0; col < this.squaresX; col++) {
+                if ((row + col) % 2 === 1) {
+                    squares.push({ markerId: markerId++, row, col });
+                }
+            }
+        }
+
+        return squares;
+    }
+
+    _markerBoardCorners(square) {
+        // Quiet-zone corners of the marker grid, clockwise from top-left
+        const cx = (square.col + 0.5) * this.squareLength;
+        const cy = (square.row + 0.5) * this.squareLength;
+        const half = this.markerLength * this.dictionary.gridCells / (this.dictionary.gridCells - 2) / 2;
+
+        return [
+            { x: cx - half, y: cy - half },
+            { x: cx + half, y: cy - half },
+            { x: cx + half, y: cy + half },
+            { x: cx - half, y: cy + half }
+        ];
+    }
+
+    _detectMarkers(gray) {
+        const binary = new cv.Mat();
+        const contours = new cv.MatVector();
+        const hierarchy = new cv.Mat();
+        const markers = new Map();
+        const maxArea = gray.rows * gray.cols * 0.25;
+
+        try {
+            // Dark marker borders become foreground
+            cv.adaptiveThreshold(gray, binary, 255, cv.ADAPTIVE_THRESH_MEAN_C, cv.THRESH_BINARY_INV,
+                this.adaptiveBlockSize, 7);
+            cv.findContours(binary, contours, hierarchy, cv.RETR_LIST, cv.CHAIN_APPROX_SIMPLE);
+
+            const n = this.dictionary.gridCells;
+
+            for (let i = 0; i < contours.size(); i++) {
+                const contour = contours.get(i);
+                const area = cv.contourArea(contour);
+
+                if (area < this.minMarkerArea || area > maxArea) {
+                    contour.delete();
+                    continue;
+                }
+
+                const approx = new cv.Mat();
+                cv.approxPolyDP(contour, approx, 0.03 * cv.arcLength(contour, true), true);
+
+                if (approx.rows === 4 && cv.isContourConvex(approx)) {
+                    const border = [];
+                    for (let j = 0; j < 4; j++) {
+                        border.push({ x: approx.data32S[j * 2], y: approx.data32S[j * 2 + 1] });
+                    }
+
+                    // The contour follows the black border; grow it by one cell to include the quiet zone
+                    const outer = this._expandBorder(border, n);
+                    const decoded = outer && this.dictionary.decodeQuad(gray, outer);
+
+                    if (decoded && decoded.markerId < this.markerSquares.length) {
+                        const existing = markers.get(decoded.markerId);
+                        if (!existing || area > existing.area) {
+                            markers.set(decoded.markerId, { ...decoded, area });
+                        }
+                    }
+                }
+
+                approx.delete();
+                contour.delete();
+            }
+
+        } finally {
+            binary.delete();
+            contours.delete();
+            hierarchy.delete();
+        }
+
+        return Array.from(markers.values()).sort((a, b) => a.markerId - b.markerId);
+    }
+
+    _expandBorder(border, gridCells) {
+        // Any cyclic corner order works: the outer quad is the same either way
+        const inner = gridCells - 1;
+
+        try {
+            const H = GeometryUtils.findHomography(
+                [{ x: 1, y: 1 }, { x: inner, y: 1 }, { x: inner, y: inner }, { x: 1, y: inner }],
+                border
+            );
+
+            return [
+                { x: 0, y: 0 }, { x: gridCells, y: 0 }, { x: gridCells, y: gridCells }, { x: 0, y: gridCells }
+            ].map(p => GeometryUtils.applyHomography(H, p));
+
+        } catch (error) {
+            return null;
+        }
+    }
+
+    _interpolateCorners(gray, markers) {
+        if (markers.length === 0) {
+            return [];
+        }
+
+        // Local homography from each marker's board corners to its image corners
+        const homographies = new Map();
+        markers.forEach(marker => {
+            const square = this.markerSquares[marker.markerId];
+            try {
+                homographies.set(
+                    `${square.row},${square.col}`,
+                    GeometryUtils.findHomography(this._markerBoardCorners(square), marker.corners)
+                );
+            } catch (error) {
+                // Degenerate marker, skip it
+            }
+        });
+
+        const corners = [];
+        for (let id = 0; id < this.cornerCount; id++) {
+            const position = this.getCornerPosition(id);
+            const row = Math.round(position.y / this.squareLength);
+            const col = Math.round(position.x / this.squareLength);
+
+            // Average the prediction of the (at most two) detected markers touching this corner
+            const predictions = [[row - 1, col - 1], [row - 1, col], [row, col - 1], [row, col]]
+                .map(([r, c]) => homographies.get(`${r},${c}`))
+                .filter(Boolean)
+                .map(H => GeometryUtils.applyHomography(H, position));
+
+            if (predictions.length === 0) {
+                continue;
+            }
+
+            const x = predictions.reduce((sum, p) => sum + p.x, 0) / predictions.length;
+            const y = predictions.reduce((sum, p) => sum + p.y, 0) / predictions.length;
+
+            const w = this.subPixWindow;
+            if (x >= w && y >= w && x < gray.cols - w && y < gray.rows - w) {
+                corners.push({ id, x, y });
+            }
+        }
+
+        if (corners.length > 0) {
+            this._refineCorners(gray, corners);
+        }
+
+        return corners;
+    }
+
+    _refineCorners(gray, corners) {
+        const points = cv.matFromArray(corners.length, 1, cv.CV_32FC2, corners.flatMap(c => [c.x, c.y]));
+        const criteria = new cv.TermCriteria(cv.TERM_CRITERIA_EPS | cv.TERM_CRITERIA_MAX_ITER, 30, 0.01);
+
+        try {
+            cv.cornerSubPix(gray, points, new cv.Size(this.subPixWindow, this.subPixWindow),
+                new cv.Size(-1, -1), criteria);
+
+            corners.forEach((corner, i) => {
+                corner.x = points.data32F[i * 2];
+                corner.y = points.data32F[i * 2 + 1];
+            });
+
+        } finally {
+            points.delete();
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,264 @@
+/**
+ * MarkerDictionary - Binary coded fiducial markers (ArUco-style 4x4 dictionary)
+ * Shared by the pattern generator and the marker detectors so that IDs and
+ * orientation come from the marker itself rather than its position in the image
+ */
+
+// 50 codes, 16 bits each (row-major, MSB = top-left bit, 1 = white).
+// Every code differs by at least 4 bits from every rotation of every other code
+// and of itself, so one flipped bit can be corrected and rotation is unambiguous.
+const MARKER_CODES_4X4 = [
+    0x1eef, 0xbd26, 0xf994, 0x97cb, 0x3602, 0xd439, 0x7270, 0x10a7, 0xaede, 0x4d15,
+    0x8983, 0x27ba, 0x025f, 0xdd04, 0x7b3b, 0x1972, 0xb7a9, 0xf417, 0x6cf3, 0xa961,
+    0xe5cf, 0x223d, 0xfce2, 0x13f5, 0xb22c, 0x5063, 0x8cd1, 0x6776, 0xe052, 0x7e89,
+    0x1cc0, 0xf765, 0xe91d, 0x8754, 0x61f9, 0x3c9e, 0x901f, 0x5c7c, 0x98ea, 0x11c6,
+    0x31a4, 0x48b7, 0xd8a6, 0x2c27, 0xa503, 0x1ddf, 0xea3c, 0xdbf4, 0xfbd2, 0x7d79
+];
+
+export class MarkerDictionary {
+    constructor(codes = MARKER_CODES_4X4) {
+        this.name = '4x4_50';
+        this.codes = codes;
+        this.markerBits = 4;
+        this.minDistance = 4;
+        this.maxCorrectionBits = 1;
+
+        // Marker layout in cells: white quiet zone, black border, then the data bits
+        this.gridCells = this.markerBits + 4;
+        this.cellSampleSize = 10; // Pixels per cell when rectifying a detected marker
+        this.minContrast = 30;
+    }
+
+    /**
+     * Number of distinct marker IDs
+     */
+    get size() {
+        return this.codes.length;
+    }
+
+    /**
+     * Data bits of a marker as rows of 0/1 (1 = white)
+     */
+    getBitGrid(markerId) {
+        if (markerId < 0 || markerId >= this.codes.length) {
+            throw new Error(`Marker ID ${markerId} not in dictionary ${this.name}`);
+        }
+
+        const code = this.codes[markerId];
+        const n = this.markerBits;
+        const grid = [];
+
+        for (let y = 0; y < n; y++) {
+            const row = [];
+            for (let x = 0; x < n; x++) {
+                row.push((code >> (n * n - 1 - (y * n + x))) & 1);
+            }
+            grid.push(row);
+        }
+
+        return grid;
+    }
+
+    /**
+     * Full drawable cell grid including quiet zone and border
+     */
+    getCellGrid(markerId) {
+        const bits = this.getBitGrid(markerId);
+        const cells = this.gridCells;
+        const grid = [];
+
+        for (let y = 0; y < cells; y++) {
+            const row = [];
+            for (let x = 0; x < cells; x++) {
+                const ring = Math.min(x, y, cells - 1 - x, cells - 1 - y);
+                if (ring === 0) {
+                    row.push(1); // Quiet zone
+                } else if (ring === 1) {
+                    row.push(0); // Border
+                } else {
+                    row.push(bits[y - 2][x - 2]);
+                }
+            }
+            grid.push(row);
+        }
+
+        return grid;
+    }
+
+    /**
+     * Identify an observed data bit grid
+     * rotation is the number of clockwise quarter turns between the marker and the observation.
+     */
+    identify(bitGrid) {
+        let best = null;
+        let grid = bitGrid;
+
+        for (let rotation = 0; rotation < 4; rotation++) {
+            const code = this._gridToCode(grid);
+
+            for (let markerId = 0; markerId < this.codes.length; markerId++) {
+                const distance = this._hammingDistance(code, this.codes[markerId]);
+                if (distance <= this.maxCorrectionBits && (!best || distance < best.distance)) {
+                    best = { markerId, rotation, distance };
+                }
+            }
+
+            // Undo one more clockwise turn of the observation
+            grid = this._rotateCounterClockwise(grid);
+        }
+
+        return best;
+    }
+
+    /**
+     * Decode a marker candidate from a grayscale OpenCV image
+     * imageCorners are the four outer corners of the candidate in the image.
+     * Returns the marker ID with corners reordered so corners[0] is the marker's top-left.
+     */
+    decodeQuad(gray, imageCorners) {
+        if (!imageCorners || imageCorners.length !== 4) {
+            return null;
+        }
+
+        const ordered = this._orderClockwise(imageCorners);
+        const cells = this._sampleCells(gray, ordered);
+        if (!cells) {
+            return null;
+        }
+
+        // The border ring must be dark
+        const n = this.gridCells;
+        let borderErrors = 0;
+        for (let i = 1; i < n - 1; i++) {
+            borderErrors += cells[1][i] + cells[n - 2][i];
+            if (i > 1 && i < n - 2) {
+                borderErrors += cells[i][1] + cells[i][n - 2];
+            }
+        }
+        if (borderErrors > 1) {
+            return null;
+        }
+
+        const bitGrid = cells.slice(2, n - 2).map(row => row.slice(2, n - 2));
+        const match = this.identify(bitGrid);
+        if (!match) {
+            return null;
+        }
+
+        const corners = [0, 1, 2, 3].map(i => ordered[(i + match.rotation) % 4]);
+
+        return {
+            markerId: match.markerId,
+            rotation: match.rotation,
+            distance: match.distance,
+            corners,
+            center: this._diagonalIntersection(corners)
+        };
+    }
+
+    // Private helper methods
+
+    _sampleCells(gray, corners) {
+        const n = this.gridCells;
+        const side = n * this.cellSampleSize;
+
+        const srcMat = cv.matFromArray(4, 1, cv.CV_32FC2, corners.flatMap(p => [p.x, p.y]));
+        const dstMat = cv.matFromArray(4, 1, cv.CV_32FC2, [0, 0, side, 0, side, side, 0, side]);
+        const transform = cv.getPerspectiveTransform(srcMat, dstMat);
+        const warped = new cv.Mat();
+
+        try {
+            cv.warpPerspective(gray, warped, transform, new cv.Size(side, side), cv.INTER_LINEAR);
+
+            // Average the centre of each cell to stay clear of blurred edges
+            const margin = Math.round(this.cellSampleSize * 0.25);
+            const means = [];
+            for (let y = 0; y < n; y++) {
+                const row = [];
+                for (let x = 0; x < n; x++) {
+                    const rect = new cv.Rect(
+                        x * this.cellSampleSize + margin,
+                        y * this.cellSampleSize + margin,
+                        this.cellSampleSize - 2 * margin,
+                        this.cellSampleSize - 2 * margin
+                    );
+                    const cell = warped.roi(rect);
+                    row.push(cv.mean(cell)[0]);
+                    cell.delete();
+                }
+                means.push(row);
+            }
+
+            const values = means.flat();
+            const min = Math.min(...values);
+            const max = Math.max(...values);
+            if (max - min < this.minContrast) {
+                return null;
+            }
+
+            const threshold = (min + max) / 2;
+            return means.map(row => row.map(v => (v > threshold ? 1 : 0)));
+
+        } finally {
+            srcMat.delete();
+            dstMat.delete();
+            transform.delete();
+            warped.delete();
+        }
+    }
+
+    _orderClockwise(points) {
+        const cx = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+        const cy = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+
+        // Image y points down, so increasing angle runs clockwise on screen
+        const sorted = points
+            .map(p => ({ x: p.x, y: p.y }))
+            .sort((a, b) => Math.atan2(a.y - cy, a.x - cx) - Math.atan2(b.y - cy, b.x - cx));
+
+        // Start from the point closest to the image top-left for a stable order
+        let start = 0;
+        sorted.forEach((p, i) => {
+            if (p.x + p.y < sorted[start].x + sorted[start].y) start = i;
+        });
+
+        return sorted.slice(start).concat(sorted.slice(0, start));
+    }
+
+    _diagonalIntersection(corners) {
+        const [a, b, c, d] = corners;
+        const denom = (a.x - c.x) * (b.y - d.y) - (a.y - c.y) * (b.x - d.x);
+
+        if (Math.abs(denom) < 1e-9) {
+            return {
+                x: (a.x + b.x + c.x + d.x) / 4,
+                y: (a.y + b.y + c.y + d.y) / 4
+            };
+        }
+
+        const t = ((a.x - b.x) * (b.y - d.y) - (a.y - b.y) * (b.x - d.x)) / denom;
+        return {
+            x: a.x + t * (c.x - a.x),
+            y: a.y + t * (c.y - a.y)
+        };
+    }
+
+    _rotateCounterClockwise(grid) {
+        const n = grid.length;
+        return grid.map((row, y) => row.map((_, x) => grid[x][n - 1 - y]));
+    }
+
+    _gridToCode(grid) {
+        return grid.flat().reduce((code, bit) => (code << 1) | bit, 0);
+    }
+
+    _hammingDistance(a, b) {
+        let value = a ^ b;
+        let count = 0;
+        while (value) {
+            count += value & 1;
+            value >>= 1;
+        }
+        return count;
+    }
+}
\ No newline at end of file
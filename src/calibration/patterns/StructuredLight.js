@@ -3,18 +3,22 @@
  * Creates various patterns for projector-camera calibration
  */
 
+import { MarkerDictionary } from './MarkerDictionary.js';
+
 export class StructuredLight {
     constructor(projectorWidth = 1920, projectorHeight = 1080) {
         this.projectorWidth = projectorWidth;
         this.projectorHeight = projectorHeight;
         this.patterns = new Map();
         this.currentPattern = null;
+        this.markerDictionary = new MarkerDictionary();
     }
 
     /**
      * Generate checkerboard pattern for basic calibration
+     * The inverted board swaps black and white squares, leaving the background unchanged.
      */
-    generateCheckerboard(squareSize = 80, rows = 9, cols = 6) {
+    generateCheckerboard(squareSize = 80, rows = 9, cols = 6, inverted = false) {
         const canvas = document.createElement('canvas');
         canvas.width = this.projectorWidth;
         canvas.height = this.projectorHeight;
@@ -33,7 +37,7 @@ export class StructuredLight {
         // Draw checkerboard pattern
         for (let row = 0; row < rows; row++) {
             for (let col = 0; col < cols; col++) {
-                const isBlack = (row + col) % 2 === 0;
+                const isBlack = ((row + col) % 2 === 0) !== inverted;
                 ctx.fillStyle = isBlack ? '#000000' : '#ffffff';
 
                 const x = offsetX + col * squareSize;
@@ -50,10 +54,11 @@ export class StructuredLight {
             rows: rows,
             cols: cols,
             squareSize: squareSize,
-            centerOffset: { x: offsetX, y: offsetY }
+            centerOffset: { x: offsetX, y: offsetY },
+            inverted: inverted
         };
 
-        this.patterns.set('checkerboard', patternData);
+        this.patterns.set(inverted ? 'checkerboard_inv' : 'checkerboard', patternData);
         return patternData;
     }
 
@@ -129,18 +134,18 @@ export class StructuredLight {
         ctx.fillStyle = '#1a1a1a';
         ctx.fillRect(0, 0, this.projectorWidth, this.projectorHeight);
 
-        // QR marker positions (corners + center)
+        // QR marker positions (corners + center), each with its own dictionary code
         const positions = [
-            { x: 50, y: 50, id: 'TL' }, // Top-left
-            { x: this.projectorWidth - 50 - markerSize, y: 50, id: 'TR' }, // Top-right
-            { x: this.projectorWidth - 50 - markerSize, y: this.projectorHeight - 50 - markerSize, id: 'BR' }, // Bottom-right
-            { x: 50, y: this.projectorHeight - 50 - markerSize, id: 'BL' }, // Bottom-left
-            { x: this.projectorWidth/2 - markerSize/2, y: this.projectorHeight/2 - markerSize/2, id: 'C' } // Center
+            { x: 50, y: 50, id: 'TL', markerId: 0 }, // Top-left
+            { x: this.projectorWidth - 50 - markerSize, y: 50, id: 'TR', markerId: 1 }, // Top-right
+            { x: this.projectorWidth - 50 - markerSize, y: this.projectorHeight - 50 - markerSize, id: 'BR', markerId: 2 }, // Bottom-right
+            { x: 50, y: this.projectorHeight - 50 - markerSize, id: 'BL', markerId: 3 }, // Bottom-left
+            { x: this.projectorWidth/2 - markerSize/2, y: this.projectorHeight/2 - markerSize/2, id: 'C', markerId: 4 } // Center
         ];
 
-        // Generate simple QR-like patterns for each position
+        // Draw coded markers for each position
         positions.forEach(pos => {
-            this._drawQRLikeMarker(ctx, pos.x, pos.y, markerSize, pos.id);
+            this._drawQRLikeMarker(ctx, pos.x, pos.y, markerSize, pos.markerId, pos.id);
         });
 
         const patternData = {
@@ -148,7 +153,8 @@ export class StructuredLight {
             canvas: canvas,
             dataURL: canvas.toDataURL(),
             positions: positions,
-            markerSize: markerSize
+            markerSize: markerSize,
+            dictionary: this.markerDictionary.name
         };
 
         this.patterns.set('qr_markers', patternData);
@@ -156,43 +162,77 @@ export class StructuredLight {
     }
 
     /**
-     * Generate binary code patterns for structured light
+     * Generate a cols x rows grid of coded markers for over-determined homography fitting
+     * Markers are numbered row by row, so marker IDs double as grid positions
      */
-    generateBinaryPattern(direction = 'vertical', step = 0, totalSteps = 10) {
+    generateMarkerGrid(cols = 3, rows = 3, markerSize = 100, margin = 50) {
+        if (cols < 2 || rows < 2) {
+            throw new Error('Marker grid needs at least 2 columns and 2 rows');
+        }
+
+        if (cols * rows > this.markerDictionary.size) {
+            throw new Error(`Marker grid of ${cols * rows} exceeds the ${this.markerDictionary.size} marker dictionary`);
+        }
+
         const canvas = document.createElement('canvas');
         canvas.width = this.projectorWidth;
         canvas.height = this.projectorHeight;
         const ctx = canvas.getContext('2d');
 
-        // Fill background
-        ctx.fillStyle = '#000000';
+        ctx.fillStyle = '#1a1a1a';
         ctx.fillRect(0, 0, this.projectorWidth, this.projectorHeight);
 
-        const stripeWidth = direction === 'vertical' ?
-            Math.floor(this.projectorWidth / Math.pow(2, Math.ceil(Math.log2(totalSteps)))) :
-            Math.floor(this.projectorHeight / Math.pow(2, Math.ceil(Math.log2(totalSteps))));
+        const stepX = (this.projectorWidth - 2 * margin - markerSize) / (cols - 1);
+        const stepY = (this.projectorHeight - 2 * margin - markerSize) / (rows - 1);
 
-        // Generate binary pattern based on step
-        const binaryCode = step.toString(2).padStart(Math.ceil(Math.log2(totalSteps)), '0');
-
-        ctx.fillStyle = '#ffffff';
+        if (stepX < markerSize * 1.2 || stepY < markerSize * 1.2) {
+            throw new Error('Markers too large for the requested grid');
+        }
 
-        if (direction === 'vertical') {
-            for (let i = 0; i < binaryCode.length; i++) {
-                if (binaryCode[i] === '1') {
-                    const x = i * stripeWidth * Math.pow(2, binaryCode.length - 1 - i);
-                    ctx.fillRect(x, 0, stripeWidth * Math.pow(2, binaryCode.length - 1 - i), this.projectorHeight);
-                }
-            }
-        } else {
-            for (let i = 0; i < binaryCode.length; i++) {
-                if (binaryCode[i] === '1') {
-                    const y = i * stripeWidth * Math.pow(2, binaryCode.length - 1 - i);
-                    ctx.fillRect(0, y, this.projectorWidth, stripeWidth * Math.pow(2, binaryCode.length - 1 - i));
-                }
+        const positions = [];
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                const position = {
+                    x: Math.round(margin + col * stepX),
+                    y: Math.round(margin + row * stepY),
+                    id: `R${row}C${col}`,
+                    markerId: row * cols + col,
+                    row: row,
+                    col: col
+                };
+                positions.push(position);
+                this._drawQRLikeMarker(ctx, position.x, position.y, markerSize, position.markerId, position.id);
             }
         }
 
+        const patternData = {
+            type: 'marker_grid',
+            canvas: canvas,
+            dataURL: canvas.toDataURL(),
+            positions: positions,
+            markerSize: markerSize,
+            gridSize: { cols, rows },
+            dictionary: this.markerDictionary.name
+        };
+
+        this.patterns.set('marker_grid', patternData);
+        return patternData;
+    }
+
+    /**
+     * Generate plain binary code patterns for structured light
+     * Step 0 is the most significant (widest) stripe, step totalSteps - 1 the finest
+     */
+    generateBinaryPattern(direction = 'vertical', step = 0, totalSteps = 10) {
+        const size = direction === 'vertical' ? this.projectorWidth : this.projectorHeight;
+        const bit = totalSteps - 1 - step;
+
+        // Code of a pixel is its coordinate scaled onto 2^totalSteps levels
+        const canvas = this._drawStripes(direction, (coord) => {
+            const code = Math.floor(coord * Math.pow(2, totalSteps) / size);
+            return ((code >> bit) & 1) === 1;
+        }, false);
+
         const patternData = {
             type: 'binary',
             canvas: canvas,
@@ -200,13 +240,403 @@ export class StructuredLight {
             direction: direction,
             step: step,
             totalSteps: totalSteps,
-            binaryCode: binaryCode
+            bit: bit
         };
 
         this.patterns.set(`binary_${direction}_${step}`, patternData);
         return patternData;
     }
 
+    /**
+     * Generate a single Gray code bit plane
+     * Vertical stripes encode projector columns, horizontal stripes encode rows
+     */
+    generateGrayCodePattern(direction = 'vertical', bit = 0, inverted = false) {
+        const totalBits = this._getGrayCodeBits(direction);
+
+        const canvas = this._drawStripes(direction, (coord) => {
+            const gray = coord ^ (coord >> 1);
+            return ((gray >> bit) & 1) === 1;
+        }, inverted);
+
+        const patternData = {
+            type: 'gray_code',
+            canvas: canvas,
+            dataURL: canvas.toDataURL(),
+            direction: direction,
+            bit: bit,
+            totalBits: totalBits,
+            inverted: inverted,
+            projectorResolution: this._getResolution()
+        };
+
+        this.patterns.set(`gray_${direction}_${bit}${inverted ? '_inv' : ''}`, patternData);
+        return patternData;
+    }
+
+    /**
+     * Generate the full Gray code sequence for the projector resolution
+     * White/black reference frames come first, then each bit (coarsest first)
+     * followed by its inverted complement, columns before rows.
+     */
+    generateGrayCodeSequence(options = {}) {
+        const settings = {
+            columns: true,
+            rows: true,
+            includeReference: true,
+            ...options
+        };
+
+        const sequence = [];
+
+        if (settings.includeReference) {
+            const reference = { type: 'gray_code_reference', projectorResolution: this._getResolution() };
+            sequence.push({ ...this.generateSolidColor('#ffffff'), ...reference, reference: 'white' });
+            sequence.push({ ...this.generateSolidColor('#000000'), ...reference, reference: 'black' });
+        }
+
+        const directions = [];
+        if (settings.columns) directions.push('vertical');
+        if (settings.rows) directions.push('horizontal');
+
+        directions.forEach(direction => {
+            const totalBits = this._getGrayCodeBits(direction);
+            for (let bit = totalBits - 1; bit >= 0; bit--) {
+                sequence.push(this.generateGrayCodePattern(direction, bit, false));
+                sequence.push(this.generateGrayCodePattern(direction, bit, true));
+            }
+        });
+
+        return sequence;
+    }
+
+    /**
+     * Decode captured Gray code frames into a projector correspondence map
+     * Each capture is { pattern, imageData } where pattern is an entry of
+     * generateGrayCodeSequence() and imageData the camera frame showing it.
+     * Coordinates are checked against the projector resolution the patterns were generated for.
+     * Returns per-camera-pixel projector column/row (-1 where undecodable) and a validity mask.
+     */
+    decodeGrayCode(captures, options = {}) {
+        const settings = {
+            contrastThreshold: 10, // Minimum |normal - inverted| luminance per bit
+            shadowThreshold: 20,   // Minimum white - black luminance for a lit pixel
+            ...options
+        };
+
+        if (!captures || captures.length === 0) {
+            throw new Error('No captured frames to decode');
+        }
+
+        const { width, height } = captures[0].imageData;
+        const pixelCount = width * height;
+        const projectorResolution = this._getSequenceResolution(captures);
+
+        const mask = new Uint8Array(pixelCount).fill(1);
+        const colMap = new Int32Array(pixelCount).fill(-1);
+        const rowMap = new Int32Array(pixelCount).fill(-1);
+
+        // Group captures by role
+        let white = null;
+        let black = null;
+        const planes = { vertical: new Map(), horizontal: new Map() };
+
+        captures.forEach(({ pattern, imageData }) => {
+            if (imageData.width !== width || imageData.height !== height) {
+                throw new Error('All captured frames must have the same size');
+            }
+
+            if (pattern.type === 'gray_code_reference') {
+                if (pattern.reference === 'white') white = imageData;
+                if (pattern.reference === 'black') black = imageData;
+            } else if (pattern.type === 'gray_code') {
+                const plane = planes[pattern.direction].get(pattern.bit) || { totalBits: pattern.totalBits };
+                plane[pattern.inverted ? 'inverted' : 'normal'] = imageData;
+                planes[pattern.direction].set(pattern.bit, plane);
+            }
+        });
+
+        // Shadow mask: pixels the projector cannot light are never valid
+        if (white && black) {
+            const whiteLum = this._toLuminance(white);
+            const blackLum = this._toLuminance(black);
+            for (let i = 0; i < pixelCount; i++) {
+                if (whiteLum[i] - blackLum[i] < settings.shadowThreshold) {
+                    mask[i] = 0;
+                }
+            }
+        }
+
+        const decodeDirection = (direction, target, limit) => {
+            const bitPlanes = planes[direction];
+            if (bitPlanes.size === 0) {
+                return false;
+            }
+
+            const totalBits = bitPlanes.values().next().value.totalBits;
+            const gray = new Int32Array(pixelCount);
+
+            for (let bit = totalBits - 1; bit >= 0; bit--) {
+                const plane = bitPlanes.get(bit);
+                if (!plane || !plane.normal || !plane.inverted) {
+                    throw new Error(`Missing ${direction} Gray code frames for bit ${bit}`);
+                }
+
+                const normalLum = this._toLuminance(plane.normal);
+                const invertedLum = this._toLuminance(plane.inverted);
+
+                for (let i = 0; i < pixelCount; i++) {
+                    const diff = normalLum[i] - invertedLum[i];
+                    if (Math.abs(diff) < settings.contrastThreshold) {
+                        mask[i] = 0;
+                    } else if (diff > 0) {
+                        gray[i] |= (1 << bit);
+                    }
+                }
+            }
+
+            for (let i = 0; i < pixelCount; i++) {
+                const value = this._grayToBinary(gray[i]);
+                if (value >= limit) {
+                    mask[i] = 0;
+                }
+                target[i] = value;
+            }
+
+            return true;
+        };
+
+        const hasColumns = decodeDirection('vertical', colMap, projectorResolution.width);
+        const hasRows = decodeDirection('horizontal', rowMap, projectorResolution.height);
+
+        if (!hasColumns && !hasRows) {
+            throw new Error('No Gray code frames found in captures');
+        }
+
+        let validCount = 0;
+        for (let i = 0; i < pixelCount; i++) {
+            if (mask[i]) {
+                validCount++;
+            } else {
+                colMap[i] = -1;
+                rowMap[i] = -1;
+            }
+        }
+
+        return {
+            width,
+            height,
+            colMap: hasColumns ? colMap : null,
+            rowMap: hasRows ? rowMap : null,
+            mask,
+            validCount,
+            coverage: validCount / pixelCount,
+            projectorResolution
+        };
+    }
+
+    /**
+     * Generate a single phase-shifted sinusoidal fringe pattern
+     * Intensity follows 0.5 + 0.5 * cos(2π * coord / period + 2π * shift / steps)
+     */
+    generatePhaseShiftPattern(direction = 'vertical', period = 32, shift = 0, steps = 4) {
+        const offset = 2 * Math.PI * shift / steps;
+
+        const canvas = this._drawFringes(direction, (coord) => {
+            return 0.5 + 0.5 * Math.cos(2 * Math.PI * coord / period + offset);
+        });
+
+        const patternData = {
+            type: 'phase_shift',
+            canvas: canvas,
+            dataURL: canvas.toDataURL(),
+            direction: direction,
+            period: period,
+            shift: shift,
+            steps: steps,
+            projectorResolution: this._getResolution()
+        };
+
+        this.patterns.set(`phase_${direction}_${period}_${shift}`, patternData);
+        return patternData;
+    }
+
+    /**
+     * Generate an N-step phase shift sequence in both directions
+     * 'gray_code' unwrapping pairs one fringe period with the Gray code frames,
+     * 'multi_frequency' adds coarser periods (ratio apart) until one spans the projector.
+     */
+    generatePhaseShiftSequence(options = {}) {
+        const settings = {
+            steps: 4,
+            period: 32,
+            unwrapping: 'gray_code', // 'gray_code' | 'multi_frequency'
+            frequencyRatio: 8,
+            columns: true,
+            rows: true,
+            ...options
+        };
+
+        if (settings.steps < 3) {
+            throw new Error('Phase shifting needs at least 3 steps');
+        }
+
+        const sequence = [];
+
+        if (settings.unwrapping === 'gray_code' && settings.includeGrayCode !== false) {
+            sequence.push(...this.generateGrayCodeSequence({
+                columns: settings.columns,
+                rows: settings.rows
+            }));
+        }
+
+        const directions = [];
+        if (settings.columns) directions.push('vertical');
+        if (settings.rows) directions.push('horizontal');
+
+        directions.forEach(direction => {
+            this._getPhasePeriods(direction, settings).forEach(period => {
+                for (let shift = 0; shift < settings.steps; shift++) {
+                    sequence.push(this.generatePhaseShiftPattern(direction, period, shift, settings.steps));
+                }
+            });
+        });
+
+        return sequence;
+    }
+
+    /**
+     * Decode captured phase shift frames into a sub-pixel correspondence map
+     * Captures use the same { pattern, imageData } shape as decodeGrayCode().
+     * With 'gray_code' unwrapping the fringe order comes from the Gray code frames
+     * in the captures (or a previous decodeGrayCode() result passed as options.grayCode).
+     */
+    decodePhaseShift(captures, options = {}) {
+        const settings = {
+            unwrapping: 'gray_code',
+            modulationThreshold: 5, // Minimum fringe amplitude in luminance levels
+            grayCode: null,
+            ...options
+        };
+
+        if (!captures || captures.length === 0) {
+            throw new Error('No captured frames to decode');
+        }
+
+        const { width, height } = captures[0].imageData;
+        const pixelCount = width * height;
+        const projectorResolution = this._getSequenceResolution(captures, settings.grayCode);
+
+        const mask = new Uint8Array(pixelCount).fill(1);
+        const colMap = new Float32Array(pixelCount).fill(-1);
+        const rowMap = new Float32Array(pixelCount).fill(-1);
+
+        // Group fringe frames by direction and period
+        const fringes = { vertical: new Map(), horizontal: new Map() };
+
+        captures.forEach(({ pattern, imageData }) => {
+            if (pattern.type !== 'phase_shift') return;
+
+            if (imageData.width !== width || imageData.height !== height) {
+                throw new Error('All captured frames must have the same size');
+            }
+
+            const frames = fringes[pattern.direction].get(pattern.period) || { steps: pattern.steps, images: [] };
+            frames.images[pattern.shift] = imageData;
+            fringes[pattern.direction].set(pattern.period, frames);
+        });
+
+        let grayCode = settings.grayCode;
+        if (settings.unwrapping === 'gray_code' && !grayCode) {
+            grayCode = this.decodeGrayCode(captures.filter(({ pattern }) =>
+                pattern.type === 'gray_code' || pattern.type === 'gray_code_reference'));
+        }
+
+        if (grayCode) {
+            for (let i = 0; i < pixelCount; i++) {
+                if (!grayCode.mask[i]) mask[i] = 0;
+            }
+        }
+
+        const decodeDirection = (direction, target, limit) => {
+            const periodFrames = fringes[direction];
+            if (periodFrames.size === 0) {
+                return false;
+            }
+
+            // Coarsest period first so each level can unwrap the next
+            const periods = [...periodFrames.keys()].sort((a, b) => b - a);
+            let coordinate = null;
+
+            if (settings.unwrapping === 'gray_code') {
+                const grayMap = direction === 'vertical' ? grayCode.colMap : grayCode.rowMap;
+                if (!grayMap) {
+                    throw new Error(`Gray code ${direction} frames required to unwrap phase`);
+                }
+                coordinate = Float32Array.from(grayMap);
+                periods.splice(1);
+            } else if (periods[0] < limit) {
+                throw new Error(`Coarsest ${direction} period must cover the projector for multi-frequency unwrapping`);
+            }
+
+            periods.forEach(period => {
+                const { phase, modulation } = this._computeWrappedPhase(periodFrames.get(period), pixelCount);
+                const next = new Float32Array(pixelCount);
+
+                for (let i = 0; i < pixelCount; i++) {
+                    if (modulation[i] < settings.modulationThreshold) {
+                        mask[i] = 0;
+                    }
+
+                    const fraction = phase[i] / (2 * Math.PI);
+                    // Fringe order closest to the coarser estimate
+                    const order = coordinate ? Math.round(coordinate[i] / period - fraction) : 0;
+                    next[i] = (order + fraction) * period;
+                }
+
+                coordinate = next;
+            });
+
+            for (let i = 0; i < pixelCount; i++) {
+                if (coordinate[i] < -0.5 || coordinate[i] >= limit - 0.5) {
+                    mask[i] = 0;
+                }
+                target[i] = coordinate[i];
+            }
+
+            return true;
+        };
+
+        const hasColumns = decodeDirection('vertical', colMap, projectorResolution.width);
+        const hasRows = decodeDirection('horizontal', rowMap, projectorResolution.height);
+
+        if (!hasColumns && !hasRows) {
+            throw new Error('No phase shift frames found in captures');
+        }
+
+        let validCount = 0;
+        for (let i = 0; i < pixelCount; i++) {
+            if (mask[i]) {
+                validCount++;
+            } else {
+                colMap[i] = -1;
+                rowMap[i] = -1;
+            }
+        }
+
+        return {
+            width,
+            height,
+            colMap: hasColumns ? colMap : null,
+            rowMap: hasRows ? rowMap : null,
+            mask,
+            validCount,
+            coverage: validCount / pixelCount,
+            unwrapping: settings.unwrapping,
+            projectorResolution
+        };
+    }
+
     /**
      * Generate solid color patterns for basic testing
      */
@@ -326,8 +756,10 @@ export class StructuredLight {
 
     /**
      * Generate pattern sequence for structured light calibration
+     * Dense correspondence frames are opt-in: pass { grayCode: true } (or Gray code options) and/or
+     * { phaseShift: true } (or phase shift options). Gray code unwrapping of the fringes adds its frames once.
      */
-    generateCalibrationSequence() {
+    generateCalibrationSequence(options = {}) {
         const sequence = [];
 
         // 1. Test pattern
@@ -349,13 +781,18 @@ export class StructuredLight {
         // 5. QR markers
         sequence.push(this.generateQRMarkers());
 
-        // 6. Binary patterns for structured light
-        const binarySteps = 8;
-        for (let i = 0; i < binarySteps; i++) {
-            sequence.push(this.generateBinaryPattern('vertical', i, binarySteps));
+        // 6. Optional Gray code patterns for dense structured light correspondences
+        if (options.grayCode) {
+            sequence.push(...this.generateGrayCodeSequence(options.grayCode === true ? {} : options.grayCode));
         }
-        for (let i = 0; i < binarySteps; i++) {
-            sequence.push(this.generateBinaryPattern('horizontal', i, binarySteps));
+
+        // 7. Optional phase shift fringes for sub-pixel correspondences
+        if (options.phaseShift) {
+            const phaseOptions = options.phaseShift === true ? {} : options.phaseShift;
+            sequence.push(...this.generatePhaseShiftSequence({
+                ...phaseOptions,
+                includeGrayCode: !options.grayCode && phaseOptions.includeGrayCode !== false
+            }));
         }
 
         return sequence;
@@ -363,48 +800,162 @@ export class StructuredLight {
 
     // Private helper methods
 
-    _drawQRLikeMarker(ctx, x, y, size, id) {
-        // Draw white background
-        ctx.fillStyle = '#ffffff';
-        ctx.fillRect(x, y, size, size);
+    _getResolution() {
+        return { width: this.projectorWidth, height: this.projectorHeight };
+    }
 
-        // Draw black border
-        ctx.fillStyle = '#000000';
-        ctx.fillRect(x, y, size, size/8); // Top
-        ctx.fillRect(x, y, size/8, size); // Left
-        ctx.fillRect(x + size - size/8, y, size/8, size); // Right
-        ctx.fillRect(x, y + size - size/8, size, size/8); // Bottom
+    _getSequenceResolution(captures, grayCode = null) {
+        // Patterns record the resolution they were drawn for; older patterns without it fall back to this generator's
+        const resolutions = captures.map(({ pattern }) => pattern.projectorResolution).filter(Boolean);
+        if (grayCode && grayCode.projectorResolution) {
+            resolutions.push(grayCode.projectorResolution);
+        }
+
+        const resolution = resolutions[0] || this._getResolution();
+        if (resolutions.some(other => other.width !== resolution.width || other.height !== resolution.height)) {
+            throw new Error('Captured patterns were generated for different projector resolutions');
+        }
 
-        // Draw inner pattern based on ID
-        const innerSize = size * 0.6;
-        const innerX = x + size * 0.2;
-        const innerY = y + size * 0.2;
+        return { width: resolution.width, height: resolution.height };
+    }
+
+    _getGrayCodeBits(direction) {
+        const size = direction === 'vertical' ? this.projectorWidth : this.projectorHeight;
+        return Math.max(1, Math.ceil(Math.log2(size)));
+    }
+
+    _grayToBinary(gray) {
+        let binary = gray;
+        for (let shift = gray >> 1; shift > 0; shift >>= 1) {
+            binary ^= shift;
+        }
+        return binary;
+    }
+
+    _drawStripes(direction, isWhite, inverted) {
+        const canvas = document.createElement('canvas');
+        canvas.width = this.projectorWidth;
+        canvas.height = this.projectorHeight;
+        const ctx = canvas.getContext('2d');
 
         ctx.fillStyle = '#000000';
+        ctx.fillRect(0, 0, this.projectorWidth, this.projectorHeight);
+        ctx.fillStyle = '#ffffff';
+
+        // Fill runs of identical pixels so stripes stay pixel-exact
+        const size = direction === 'vertical' ? this.projectorWidth : this.projectorHeight;
+        let runStart = 0;
+        let runValue = isWhite(0) !== inverted;
+
+        for (let coord = 1; coord <= size; coord++) {
+            const value = coord < size ? isWhite(coord) !== inverted : !runValue;
+            if (value !== runValue) {
+                if (runValue) {
+                    if (direction === 'vertical') {
+                        ctx.fillRect(runStart, 0, coord - runStart, this.projectorHeight);
+                    } else {
+                        ctx.fillRect(0, runStart, this.projectorWidth, coord - runStart);
+                    }
+                }
+                runStart = coord;
+                runValue = value;
+            }
+        }
+
+        return canvas;
+    }
+
+    _getPhasePeriods(direction, settings) {
+        if (settings.unwrapping !== 'multi_frequency') {
+            return [settings.period];
+        }
 
-        // Simple pattern based on ID
-        switch(id) {
-            case 'TL':
-                ctx.fillRect(innerX, innerY, innerSize/2, innerSize/2);
-                break;
-            case 'TR':
-                ctx.fillRect(innerX + innerSize/2, innerY, innerSize/2, innerSize/2);
-                break;
-            case 'BR':
-                ctx.fillRect(innerX + innerSize/2, innerY + innerSize/2, innerSize/2, innerSize/2);
-                break;
-            case 'BL':
-                ctx.fillRect(innerX, innerY + innerSize/2, innerSize/2, innerSize/2);
-                break;
-            case 'C':
-                ctx.fillRect(innerX + innerSize/4, innerY + innerSize/4, innerSize/2, innerSize/2);
-                break;
+        const size = direction === 'vertical' ? this.projectorWidth : this.projectorHeight;
+        const periods = [settings.period];
+        while (periods[periods.length - 1] < size) {
+            periods.push(periods[periods.length - 1] * settings.frequencyRatio);
         }
+        return periods;
+    }
+
+    _drawFringes(direction, intensity) {
+        const canvas = document.createElement('canvas');
+        canvas.width = this.projectorWidth;
+        canvas.height = this.projectorHeight;
+        const ctx = canvas.getContext('2d');
+
+        const size = direction === 'vertical' ? this.projectorWidth : this.projectorHeight;
+        for (let coord = 0; coord < size; coord++) {
+            const level = Math.round(255 * intensity(coord));
+            ctx.fillStyle = `rgb(${level}, ${level}, ${level})`;
+            if (direction === 'vertical') {
+                ctx.fillRect(coord, 0, 1, this.projectorHeight);
+            } else {
+                ctx.fillRect(0, coord, this.projectorWidth, 1);
+            }
+        }
+
+        return canvas;
+    }
+
+    _computeWrappedPhase(frames, pixelCount) {
+        const { steps, images } = frames;
+        if (images.filter(Boolean).length !== steps) {
+            throw new Error(`Expected ${steps} phase shift frames, got ${images.filter(Boolean).length}`);
+        }
+
+        const sinSum = new Float32Array(pixelCount);
+        const cosSum = new Float32Array(pixelCount);
+
+        images.forEach((imageData, shift) => {
+            const luminance = this._toLuminance(imageData);
+            const delta = 2 * Math.PI * shift / steps;
+            const sin = Math.sin(delta);
+            const cos = Math.cos(delta);
+            for (let i = 0; i < pixelCount; i++) {
+                sinSum[i] += luminance[i] * sin;
+                cosSum[i] += luminance[i] * cos;
+            }
+        });
+
+        // I_n = A + B cos(phi + delta_n)  =>  phi = atan2(-sum I sin, sum I cos)
+        const phase = new Float32Array(pixelCount);
+        const modulation = new Float32Array(pixelCount);
+        for (let i = 0; i < pixelCount; i++) {
+            let value = Math.atan2(-sinSum[i], cosSum[i]);
+            if (value < 0) value += 2 * Math.PI;
+            phase[i] = value;
+            modulation[i] = 2 * Math.sqrt(sinSum[i] * sinSum[i] + cosSum[i] * cosSum[i]) / steps;
+        }
+
+        return { phase, modulation };
+    }
+
+    _toLuminance(imageData) {
+        const { data, width, height } = imageData;
+        const luminance = new Float32Array(width * height);
+        for (let i = 0, p = 0; i < luminance.length; i++, p += 4) {
+            luminance[i] = 0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2];
+        }
+        return luminance;
+    }
+
+    _drawQRLikeMarker(ctx, x, y, size, markerId, label) {
+        // Quiet zone, border and data bits from the marker dictionary (white = 1)
+        const grid = this.markerDictionary.getCellGrid(markerId);
+        const cellSize = size / grid.length;
+
+        grid.forEach((row, cy) => {
+            row.forEach((bit, cx) => {
+                ctx.fillStyle = bit ? '#ffffff' : '#000000';
+                ctx.fillRect(x + cx * cellSize, y + cy * cellSize, cellSize, cellSize);
+            });
+        });
 
         // Add ID text
         ctx.fillStyle = '#666666';
         ctx.font = '12px Arial';
         ctx.textAlign = 'center';
-        ctx.fillText(id, x + size/2, y + size + 15);
+        ctx.fillText(`${label} #${markerId}`, x + size/2, y + size + 15);
     }
 }
\ No newline at end of file
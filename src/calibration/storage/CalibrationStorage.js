@@ -64,7 +64,10 @@ export class CalibrationStorage {
                 metadata: {
                     savedAt: new Date().toISOString(),
                     userAgent: navigator.userAgent,
-                    platform: navigator.platform
+                    platform: navigator.platform,
+                    calibrationPattern: calibrationData.camera?.calibrationPattern || null,
+                    calibrationFlags: calibrationData.camera?.calibrationFlags || null,
+                    observationCount: calibrationData.camera?.observations?.views?.length || 0
                 }
             };
 
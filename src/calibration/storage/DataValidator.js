@@ -3,6 +3,8 @@
  * Ensures calibration data meets required standards before storage/usage
  */
 
+import { GeometryUtils, DISTORTION_MODELS } from '../../utils/GeometryUtils.js';
+
 export class DataValidator {
     constructor() {
         this.requiredFields = {
@@ -14,6 +16,10 @@ export class DataValidator {
 
         this.validationRules = {
             intrinsicMatrix: (matrix) => Array.isArray(matrix) && matrix.length === 9,
+            rotationMatrix: (matrix) => Array.isArray(matrix) && matrix.length === 9 &&
+                matrix.every(v => typeof v === 'number' && isFinite(v)) && this._isRotation(matrix),
+            translationVector: (vec) => Array.isArray(vec) && vec.length === 3 &&
+                vec.every(v => typeof v === 'number' && isFinite(v)),
             resolution: (res) => res && typeof res.width === 'number' && typeof res.height === 'number' && res.width > 0 && res.height > 0,
             corners: (corners) => Array.isArray(corners) && corners.length === 4,
             timestamp: (ts) => typeof ts === 'string' && !isNaN(Date.parse(ts)),
@@ -141,16 +147,102 @@ export class DataValidator {
         }
 
         // Check optional fields
-        if (camera.distortionCoefficients) {
-            if (!Array.isArray(camera.distortionCoefficients) || camera.distortionCoefficients.length < 4) {
-                errors.push('Camera distortion coefficients must be an array with at least 4 elements');
-            }
-        }
+        errors.push(...this._validateDistortion('Camera', camera.distortionCoefficients, camera.distortionModel));
 
         if (camera.deviceId && typeof camera.deviceId !== 'string') {
             errors.push('Camera device ID must be a string');
         }
 
+        if (camera.calibrationPattern) {
+            const pattern = camera.calibrationPattern;
+            if (!['checkerboard', 'symmetric_circles', 'asymmetric_circles', 'charuco'].includes(pattern.type)) {
+                errors.push(`Unknown camera calibration pattern type: ${pattern.type}`);
+            }
+            if (!Number.isInteger(pattern.width) || !Number.isInteger(pattern.height) ||
+                pattern.width < 2 || pattern.height < 2) {
+                errors.push('Camera calibration pattern must have at least 2x2 points');
+            }
+            if (typeof pattern.spacing !== 'number' || pattern.spacing <= 0) {
+                errors.push('Camera calibration pattern spacing must be a positive number');
+            }
+        }
+
+        if (camera.observations) {
+            errors.push(...this._validateObservations(camera.observations));
+        }
+
+        if (camera.calibrationFlags) {
+            Object.entries(camera.calibrationFlags).forEach(([flag, value]) => {
+                if (typeof value !== 'boolean') {
+                    errors.push(`Camera calibration flag ${flag} must be a boolean`);
+                }
+            });
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate stored raw corner observations
+     */
+    _validateObservations(observations) {
+        const errors = [];
+        const size = observations.imageSize;
+
+        if (!size || !(size.width > 0) || !(size.height > 0)) {
+            errors.push('Camera observations need a positive image size');
+        }
+        if (!observations.pattern || !observations.pattern.type) {
+            errors.push('Camera observations need the calibration pattern geometry');
+        }
+        if (!Array.isArray(observations.views)) {
+            errors.push('Camera observations must contain a list of views');
+            return errors;
+        }
+
+        observations.views.forEach((view, i) => {
+            const corners = view.corners;
+            if (!Array.isArray(corners) || corners.length < 8 || corners.length % 2 !== 0 ||
+                !corners.every(v => typeof v === 'number' && isFinite(v))) {
+                errors.push(`Camera observation ${i + 1} must have at least 4 corner points`);
+            } else if (view.ids && view.ids.length !== corners.length / 2) {
+                errors.push(`Camera observation ${i + 1} has ${view.ids.length} corner IDs for ${corners.length / 2} corners`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Validate distortion coefficients against their model
+     * Data saved before models were recorded has no model and at least 4 coefficients.
+     */
+    _validateDistortion(label, coefficients, model) {
+        const errors = [];
+
+        if (model && !DISTORTION_MODELS[model]) {
+            errors.push(`${label} distortion model "${model}" is not supported`);
+            return errors;
+        }
+
+        if (!coefficients) {
+            if (model) {
+                errors.push(`${label} distortion model is set but coefficients are missing`);
+            }
+            return errors;
+        }
+
+        if (!Array.isArray(coefficients) || !coefficients.every(c => typeof c === 'number' && isFinite(c))) {
+            errors.push(`${label} distortion coefficients must be an array of finite numbers`);
+        } else if (model) {
+            const expected = DISTORTION_MODELS[model].coefficients.length;
+            if (coefficients.length !== expected) {
+                errors.push(`${label} distortion model "${model}" needs ${expected} coefficients, got ${coefficients.length}`);
+            }
+        } else if (coefficients.length < 4) {
+            errors.push(`${label} distortion coefficients must be an array with at least 4 elements`);
+        }
+
         return errors;
     }
 
@@ -194,6 +286,30 @@ export class DataValidator {
             errors.push('Projector homography must be an array');
         }
 
+        // Full geometric calibration fields
+        if (projector.intrinsicMatrix) {
+            if (!this.validationRules.intrinsicMatrix(projector.intrinsicMatrix)) {
+                errors.push('Projector intrinsic matrix must be an array of 9 numbers');
+            } else if (projector.intrinsicMatrix[0] <= 0 || projector.intrinsicMatrix[4] <= 0) {
+                errors.push('Projector focal lengths must be positive');
+            }
+        }
+
+        errors.push(...this._validateDistortion('Projector', projector.distortionCoefficients, projector.distortionModel));
+
+        if (projector.rotationMatrix && !this.validationRules.rotationMatrix(projector.rotationMatrix)) {
+            errors.push('Projector rotation matrix must be a proper rotation (orthonormal, determinant +1) of 9 numbers');
+        }
+
+        if (projector.translationVector && !this.validationRules.translationVector(projector.translationVector)) {
+            errors.push('Projector translation vector must be an array of 3 numbers');
+        }
+
+        if (Array.isArray(projector.transformMatrix) && projector.intrinsicMatrix &&
+            projector.transformMatrix.length !== 16) {
+            errors.push('Projector transform matrix must be a 4x4 matrix (16 elements)');
+        }
+
         return errors;
     }
 
@@ -244,6 +360,38 @@ export class DataValidator {
             errors.push('Quad reprojection error must be a non-negative number');
         }
 
+        if (quad.warpMesh) {
+            errors.push(...this._validateWarpMesh(quad.warpMesh));
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate dense warp mesh stored with quad data
+     */
+    _validateWarpMesh(mesh) {
+        const errors = [];
+
+        if (!Number.isInteger(mesh.cols) || !Number.isInteger(mesh.rows) || mesh.cols < 2 || mesh.rows < 2) {
+            errors.push('Warp mesh must have at least 2x2 control points');
+            return errors;
+        }
+
+        const nodeCount = mesh.cols * mesh.rows;
+        if (!Array.isArray(mesh.points) || mesh.points.length !== nodeCount * 2 ||
+            !mesh.points.every(v => typeof v === 'number' && isFinite(v))) {
+            errors.push(`Warp mesh points must contain ${nodeCount * 2} finite numbers`);
+        }
+
+        if (!Array.isArray(mesh.valid) || mesh.valid.length !== nodeCount) {
+            errors.push(`Warp mesh validity mask must contain ${nodeCount} entries`);
+        }
+
+        if (!mesh.projectorResolution || !mesh.cameraResolution) {
+            errors.push('Warp mesh missing projector or camera resolution');
+        }
+
         return errors;
     }
 
@@ -338,17 +486,132 @@ export class DataValidator {
     }
 
     /**
-     * Validate calibration data for specific use case
+     * Check that a row-major 3x3 matrix is a proper rotation (R * R^T = I, det R = +1)
+     * Reflections are orthonormal too but have det R = -1.
      */
-    validateForUse(data, useCase = 'projection') {
-        const baseValidation = this.validateCalibrationData(data);
+    _isRotation(matrix, tolerance = 1e-3) {
+        if (GeometryUtils.determinant3x3(matrix) <= 0) {
+            return false;
+        }
 
-        if (!baseValidation.isValid) {
-            return baseValidation;
+        for (let i = 0; i < 3; i++) {
+            for (let j = 0; j < 3; j++) {
+                let dot = 0;
+                for (let k = 0; k < 3; k++) {
+                    dot += matrix[i * 3 + k] * matrix[j * 3 + k];
+                }
+                if (Math.abs(dot - (i === j ? 1 : 0)) > tolerance) {
+                    return false;
+                }
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Adapt camera intrinsics to the resolution the camera actually runs at
+     * Returns a copy of the data; an error is set when the aspect ratio (sensor crop) differs.
+     */
+    adaptToResolution(data, resolution) {
+        const camera = data?.camera;
+        if (!camera?.intrinsicMatrix || !this.validationRules.resolution(camera.resolution) ||
+            !this.validationRules.resolution(resolution)) {
+            return { data, adjustment: null, error: null };
+        }
+
+        const calibrated = camera.resolution;
+        if (calibrated.width === resolution.width && calibrated.height === resolution.height) {
+            return { data, adjustment: null, error: null };
+        }
+
+        const mismatch = {
+            calibratedResolution: { width: calibrated.width, height: calibrated.height },
+            runtimeResolution: { width: resolution.width, height: resolution.height }
+        };
+
+        let scaled;
+        try {
+            scaled = GeometryUtils.scaleIntrinsics(camera.intrinsicMatrix, calibrated, resolution);
+        } catch (error) {
+            return {
+                data,
+                adjustment: { ...mismatch, rejected: true },
+                error: `Camera runs at ${resolution.width}x${resolution.height} but was calibrated at ` +
+                    `${calibrated.width}x${calibrated.height}; the aspect ratio differs, so the sensor crop is incompatible`
+            };
+        }
+
+        const adjustment = {
+            ...mismatch,
+            scale: scaled.scale,
+            adjustedAt: new Date().toISOString()
+        };
+
+        const adaptedCamera = {
+            ...camera,
+            intrinsicMatrix: scaled.intrinsicMatrix,
+            resolution: { width: resolution.width, height: resolution.height },
+            resolutionAdjustment: adjustment
+        };
+
+        // Standard deviations scale with the pixel size
+        const uncertainty = camera.intrinsicUncertainty;
+        if (uncertainty) {
+            const { x: sx, y: sy } = scaled.scale;
+            const covariance = uncertainty.principalPointCovariance;
+            adaptedCamera.intrinsicUncertainty = {
+                ...uncertainty,
+                fx: uncertainty.fx * sx,
+                fy: uncertainty.fy * sy,
+                cx: uncertainty.cx * sx,
+                cy: uncertainty.cy * sy,
+                principalPointCovariance: covariance && [
+                    [covariance[0][0] * sx * sx, covariance[0][1] * sx * sy],
+                    [covariance[1][0] * sx * sy, covariance[1][1] * sy * sy]
+                ]
+            };
         }
 
+        return { data: { ...data, camera: adaptedCamera }, adjustment, error: null };
+    }
+
+    /**
+     * Validate calibration data for specific use case
+     * Pass runtime.cameraResolution to scale intrinsics to the resolution actually in use.
+     */
+    validateForUse(data, useCase = 'projection', runtime = {}) {
+        const baseValidation = this.validateCalibrationData(data);
+
         const errors = [];
         const warnings = [];
+        const adjustments = [];
+
+        if (runtime.cameraResolution) {
+            const adapted = this.adaptToResolution(data, runtime.cameraResolution);
+
+            if (adapted.error) {
+                errors.push(adapted.error);
+                adjustments.push({ type: 'resolution', ...adapted.adjustment });
+            } else if (adapted.adjustment) {
+                const { calibratedResolution: from, runtimeResolution: to } = adapted.adjustment;
+                warnings.push(`Camera intrinsics scaled from ${from.width}x${from.height} to ${to.width}x${to.height}`);
+                if (to.width > from.width) {
+                    warnings.push('Camera runs above its calibration resolution; accuracy is limited by the original calibration');
+                }
+                adjustments.push({ type: 'resolution', ...adapted.adjustment });
+                data = adapted.data;
+            }
+        }
+
+        if (!baseValidation.isValid) {
+            return {
+                ...baseValidation,
+                errors: [...baseValidation.errors, ...errors],
+                warnings: [...baseValidation.warnings, ...warnings],
+                adjustments,
+                data
+            };
+        }
 
         switch (useCase) {
             case 'projection':
@@ -380,7 +643,9 @@ export class DataValidator {
         return {
             isValid: errors.length === 0,
             errors: [...baseValidation.errors, ...errors],
-            warnings: [...baseValidation.warnings, ...warnings]
+            warnings: [...baseValidation.warnings, ...warnings],
+            adjustments,
+            data
         };
     }
 }
\ No newline at end of file
@@ -4,6 +4,8 @@
  */
 
 import { CalibrationStorage } from '../storage/CalibrationStorage.js';
+import { CameraCalibrator } from '../core/CameraCalibrator.js';
+import { GeometryUtils, DISTORTION_MODELS } from '../../utils/GeometryUtils.js';
 
 export class CalibrationDataManager {
     constructor() {
@@ -288,6 +290,77 @@ export class CalibrationDataManager {
         }
     }
 
+    /**
+     * Recompute a camera calibration from its stored observations
+     * settings are camera calibrator options (distortionModel, rejectOutlierViews, flags, ...);
+     * the result is saved as a new revision and the original is kept.
+     */
+    async recomputeCalibration(calibrationId, settings = {}, options = {}) {
+        try {
+            const loadResult = await this.loadCalibration(calibrationId);
+            if (!loadResult.success) {
+                throw new Error('Calibration not found');
+            }
+
+            const source = loadResult.data;
+            const camera = source.camera || source;
+            const observations = camera.observations;
+            if (!observations || !observations.views?.length) {
+                throw new Error('Calibration has no stored observations to recompute from');
+            }
+
+            // Offscreen calibrator; no camera or preview is needed
+            const calibrator = new CameraCalibrator(null, document.createElement('canvas'));
+            const initResult = await calibrator.initialize({
+                ...settings,
+                width: observations.imageSize.width,
+                height: observations.imageSize.height,
+                deviceId: camera.deviceId,
+                intrinsicGuess: settings.useIntrinsicGuess ? camera : null
+            });
+            if (!initResult.success) {
+                throw new Error(initResult.error);
+            }
+
+            calibrator.minCapturedImages = Math.min(calibrator.minCapturedImages, observations.views.length);
+            const loaded = calibrator.loadObservations(observations);
+            if (!loaded.success) {
+                throw new Error(loaded.error);
+            }
+
+            const result = await calibrator.recalibrate();
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            // Keep thumbnails that were stored with the original
+            const recomputed = {
+                ...result.calibrationData,
+                deviceId: camera.deviceId || null,
+                observations: { ...result.calibrationData.observations, views: observations.views }
+            };
+            const data = source.camera ? { ...source, camera: recomputed } : recomputed;
+
+            const previous = source.metadata || {};
+            return await this.saveCalibration(source.type || 'camera', data, {
+                name: options.name || `${previous.name || 'Calibration'} (recomputed)`,
+                description: options.description || previous.description || '',
+                tags: options.tags || previous.tags || [],
+                revision: (previous.revision || 1) + 1,
+                recomputedFrom: calibrationId,
+                recomputeSettings: settings
+            });
+
+        } catch (error) {
+            this._notifyError('Recompute failed', error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to recompute calibration'
+            };
+        }
+    }
+
     /**
      * Sync with cloud storage
      */
@@ -454,7 +527,10 @@ export class CalibrationDataManager {
                 user: this.currentUser?.uid || 'anonymous',
                 device: this._getDeviceInfo(),
                 quality: this._getCalibrationQuality(data),
-                imported: options.imported || false
+                imported: options.imported || false,
+                revision: options.revision || 1,
+                recomputedFrom: options.recomputedFrom || null,
+                recomputeSettings: options.recomputeSettings || null
             }
         };
 
@@ -545,10 +621,13 @@ export class CalibrationDataManager {
             csv += `Camera Matrix cy,${matrix[1][2]}\n`;
         }
 
-        // Add distortion coefficients
+        // Add distortion coefficients, named after their model
         if (data.distortionCoefficients) {
+            const model = GeometryUtils.getDistortionModel(data.distortionCoefficients, data.distortionModel);
+            const names = DISTORTION_MODELS[model].coefficients;
+            csv += `Distortion Model,${model}\n`;
             data.distortionCoefficients.forEach((coeff, index) => {
-                csv += `Distortion Coeff ${index + 1},${coeff}\n`;
+                csv += `Distortion ${names[index] || `Coeff ${index + 1}`},${coeff}\n`;
             });
         }
 
@@ -574,6 +653,9 @@ export class CalibrationDataManager {
         const opencvData = {
             '%YAML:1.0': '',
             camera_matrix: data.cameraMatrix,
+            ...(data.distortionCoefficients && {
+                distortion_model: GeometryUtils.getDistortionModel(data.distortionCoefficients, data.distortionModel)
+            }),
             distortion_coefficients: data.distortionCoefficients,
             image_width: data.imageSize?.width || 0,
             image_height: data.imageSize?.height || 0,
@@ -0,0 +1,169 @@
+/**
+ * CaptureGallery - Thumbnails of the captured calibration images
+ * Shows the detected corners and per-image error, and lets users delete or re-take a capture
+ */
+
+export class CaptureGallery {
+    constructor(containerId, callbacks = {}) {
+        this.container = document.getElementById(containerId);
+        this.onDelete = callbacks.onDelete || null;
+        this.onRetake = callbacks.onRetake || null;
+        this.thumbnailWidth = 160;
+
+        if (this.container) {
+            this.container.classList.add('capture-gallery');
+            this.container.addEventListener('click', (event) => this._onClick(event));
+            this._addStyles();
+        }
+    }
+
+    /**
+     * Render all captures
+     * retakeIndex marks the capture waiting to be replaced.
+     */
+    render(captures, retakeIndex = null) {
+        if (!this.container) return;
+
+        this.container.innerHTML = '';
+        this.container.style.display = captures.length > 0 ? 'grid' : 'none';
+
+        captures.forEach((capture, index) => {
+            const item = document.createElement('div');
+            item.className = 'capture-thumb';
+            if (capture.rejected) item.classList.add('rejected');
+            if (index === retakeIndex) item.classList.add('retaking');
+            item.title = capture.rejectionReason || '';
+
+            item.appendChild(this._renderThumbnail(capture));
+
+            const info = document.createElement('div');
+            info.className = 'capture-thumb-info';
+            info.innerHTML = `
+                <span>#${index + 1}</span>
+                <span>${this._formatError(capture)}</span>
+            `;
+            item.appendChild(info);
+
+            const actions = document.createElement('div');
+            actions.className = 'capture-thumb-actions';
+            actions.innerHTML = `
+                <button class="btn btn-outline btn-sm" data-action="retake" data-index="${index}">🔁 Retake</button>
+                <button class="btn btn-outline btn-sm" data-action="delete" data-index="${index}">🗑️ Delete</button>
+            `;
+            item.appendChild(actions);
+
+            this.container.appendChild(item);
+        });
+    }
+
+    /**
+     * Remove all thumbnails
+     */
+    clear() {
+        this.render([]);
+    }
+
+    // Private methods
+
+    _renderThumbnail(capture) {
+        const canvas = document.createElement('canvas');
+        const image = capture.imageData;
+        const scale = this.thumbnailWidth / image.width;
+        canvas.width = this.thumbnailWidth;
+        canvas.height = Math.round(image.height * scale);
+        const ctx = canvas.getContext('2d');
+
+        // ImageData cannot be scaled directly; go through a full-size canvas
+        const source = document.createElement('canvas');
+        source.width = image.width;
+        source.height = image.height;
+        source.getContext('2d').putImageData(image, 0, 0);
+        ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+
+        ctx.fillStyle = capture.rejected ? '#ef4444' : '#00FF00';
+        for (let i = 0; i < capture.corners.length; i += 2) {
+            ctx.beginPath();
+            ctx.arc(capture.corners[i] * scale, capture.corners[i + 1] * scale, 1.5, 0, 2 * Math.PI);
+            ctx.fill();
+        }
+
+        return canvas;
+    }
+
+    _formatError(capture) {
+        if (capture.reprojectionError === undefined || capture.reprojectionError === null) {
+            return 'not calibrated';
+        }
+
+        return `${capture.reprojectionError.toFixed(2)} px${capture.rejected ? ' ❌' : ''}`;
+    }
+
+    _onClick(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+
+        const index = parseInt(button.dataset.index, 10);
+        if (button.dataset.action === 'delete' && this.onDelete) {
+            this.onDelete(index);
+        } else if (button.dataset.action === 'retake' && this.onRetake) {
+            this.onRetake(index);
+        }
+    }
+
+    _addStyles() {
+        if (document.getElementById('capture-gallery-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'capture-gallery-styles';
+        style.textContent = `
+            .capture-gallery {
+                grid-template-columns: repeat(auto-fill, minmax(170px, 1fr));
+                gap: 10px;
+                margin-top: 15px;
+            }
+
+            .capture-thumb {
+                border: 2px solid #dee2e6;
+                border-radius: 8px;
+                padding: 4px;
+                background: #fff;
+            }
+
+            .capture-thumb canvas {
+                display: block;
+                width: 100%;
+                border-radius: 4px;
+            }
+
+            .capture-thumb.rejected {
+                border-color: #ef4444;
+            }
+
+            .capture-thumb.retaking {
+                border-color: #f59e0b;
+                border-style: dashed;
+            }
+
+            .capture-thumb-info {
+                display: flex;
+                justify-content: space-between;
+                font-size: 0.8em;
+                color: #495057;
+                margin: 4px 2px;
+            }
+
+            .capture-thumb-actions {
+                display: flex;
+                gap: 4px;
+            }
+
+            .capture-thumb-actions .btn {
+                flex: 1;
+                padding: 2px 4px;
+                font-size: 0.75em;
+            }
+        `;
+
+        document.head.appendChild(style);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,278 @@
+/**
+ * DistortionView - Visualizes a computed lens model over the image
+ * Warped grid or displacement field, plus the principal point with its uncertainty ellipse
+ */
+
+import { GeometryUtils } from '../../utils/GeometryUtils.js';
+
+export class DistortionView {
+    constructor(containerId, options = {}) {
+        this.container = document.getElementById(containerId);
+        this.settings = {
+            mode: 'grid', // 'grid' or 'vectors'
+            gridSpacing: 40, // Pixels at calibration resolution
+            maxWidth: 960,
+            ellipseSigma: 2, // Ellipse drawn at this many standard deviations
+            ...options
+        };
+
+        this.canvas = null;
+        this.calibrationData = null;
+        this.background = null;
+        this.summary = null;
+
+        if (this.container) {
+            this.canvas = document.createElement('canvas');
+            this.canvas.className = 'distortion-view-canvas';
+            this.canvas.style.width = '100%';
+            this.container.appendChild(this.canvas);
+        }
+    }
+
+    /**
+     * Draw the lens model of a calibration
+     * background may be ImageData or anything drawImage accepts (video, canvas, image).
+     */
+    render(calibrationData, background = this.background) {
+        if (!this.canvas) return null;
+
+        this.calibrationData = calibrationData;
+        this.background = background;
+
+        const { width, height } = calibrationData.resolution;
+        const scale = Math.min(1, this.settings.maxWidth / width);
+        this.canvas.width = Math.round(width * scale);
+        this.canvas.height = Math.round(height * scale);
+
+        const ctx = this.canvas.getContext('2d');
+        ctx.save();
+        ctx.scale(scale, scale);
+
+        this._drawBackground(ctx, width, height);
+
+        const distort = this._createDistortion(calibrationData);
+        const maxDisplacement = this.settings.mode === 'vectors'
+            ? this._drawVectorField(ctx, distort, width, height)
+            : this._drawWarpedGrid(ctx, distort, width, height);
+
+        const ellipse = this._drawPrincipalPoint(ctx, calibrationData, scale);
+        ctx.restore();
+
+        this.summary = {
+            mode: this.settings.mode,
+            distortionModel: distort.model,
+            maxDisplacement,
+            principalPointEllipse: ellipse
+        };
+        this._drawLegend(ctx, this.summary);
+
+        return this.summary;
+    }
+
+    /**
+     * Switch between warped grid and displacement vectors
+     */
+    setMode(mode) {
+        this.settings.mode = mode;
+        if (this.calibrationData) {
+            this.render(this.calibrationData);
+        }
+    }
+
+    /**
+     * Export the current visualization as PNG
+     */
+    toDataURL() {
+        return this.canvas ? this.canvas.toDataURL('image/png') : null;
+    }
+
+    /**
+     * Download the current visualization as PNG for reports
+     */
+    exportPNG(filename = null) {
+        const dataURL = this.toDataURL();
+        if (!dataURL) return false;
+
+        const link = document.createElement('a');
+        link.href = dataURL;
+        link.download = filename || `lens-distortion-${new Date().toISOString().slice(0, 10)}.png`;
+        link.click();
+        return true;
+    }
+
+    // Private methods
+
+    _createDistortion(calibrationData) {
+        const K = calibrationData.intrinsicMatrix;
+        const coefficients = calibrationData.distortionCoefficients || [];
+        const model = GeometryUtils.getDistortionModel(coefficients, calibrationData.distortionModel);
+        const [fx, skew, cx, , fy, cy] = K;
+
+        // Ideal (undistorted) pixel -> where the lens images it
+        const apply = (point) => {
+            const yn = (point.y - cy) / fy;
+            const xn = (point.x - cx - skew * yn) / fx;
+            const d = GeometryUtils.distortNormalized({ x: xn, y: yn }, coefficients, model);
+            return { x: fx * d.x + skew * d.y + cx, y: fy * d.y + cy };
+        };
+
+        return { apply, model };
+    }
+
+    _drawBackground(ctx, width, height) {
+        const background = this.background;
+
+        if (background && background.data && background.width) {
+            // ImageData cannot be scaled directly; go through a full-size canvas
+            const source = document.createElement('canvas');
+            source.width = background.width;
+            source.height = background.height;
+            source.getContext('2d').putImageData(background, 0, 0);
+            ctx.drawImage(source, 0, 0, width, height);
+        } else if (background) {
+            ctx.drawImage(background, 0, 0, width, height);
+        } else {
+            ctx.fillStyle = '#1f2937';
+            ctx.fillRect(0, 0, width, height);
+        }
+
+        // Dim the image so the overlay stays readable
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.35)';
+        ctx.fillRect(0, 0, width, height);
+    }
+
+    _drawWarpedGrid(ctx, distort, width, height) {
+        const spacing = this.settings.gridSpacing;
+        const step = spacing / 4;
+        let maxDisplacement = 0;
+
+        const drawLine = (points) => {
+            ctx.beginPath();
+            points.forEach((point, i) => {
+                const p = distort.apply(point);
+                maxDisplacement = Math.max(maxDisplacement, GeometryUtils.pointDistance(p, point));
+                if (i === 0) ctx.moveTo(p.x, p.y);
+                else ctx.lineTo(p.x, p.y);
+            });
+            ctx.stroke();
+        };
+
+        const samples = (length) => Array.from({ length: Math.floor(length / step) + 1 }, (_, i) => i * step);
+
+        // Straight lines of the ideal image, as the lens bends them
+        ctx.strokeStyle = 'rgba(0, 255, 0, 0.8)';
+        ctx.lineWidth = 1.5;
+        for (let x = 0; x <= width; x += spacing) {
+            drawLine(samples(height).map(y => ({ x, y })));
+        }
+        for (let y = 0; y <= height; y += spacing) {
+            drawLine(samples(width).map(x => ({ x, y })));
+        }
+
+        return maxDisplacement;
+    }
+
+    _drawVectorField(ctx, distort, width, height) {
+        const spacing = this.settings.gridSpacing;
+        const vectors = [];
+
+        for (let y = spacing / 2; y < height; y += spacing) {
+            for (let x = spacing / 2; x < width; x += spacing) {
+                const from = { x, y };
+                const to = distort.apply(from);
+                vectors.push({ from, to, length: GeometryUtils.pointDistance(from, to) });
+            }
+        }
+
+        const maxDisplacement = Math.max(0, ...vectors.map(v => v.length));
+
+        ctx.lineWidth = 1.5;
+        vectors.forEach(({ from, to, length }) => {
+            // Green for small shifts through red for the largest
+            const t = maxDisplacement > 0 ? length / maxDisplacement : 0;
+            ctx.strokeStyle = ctx.fillStyle = `hsl(${Math.round(120 * (1 - t))}, 100%, 50%)`;
+
+            ctx.beginPath();
+            ctx.moveTo(from.x, from.y);
+            ctx.lineTo(to.x, to.y);
+            ctx.stroke();
+
+            if (length > 2) {
+                const angle = Math.atan2(to.y - from.y, to.x - from.x);
+                ctx.beginPath();
+                ctx.moveTo(to.x, to.y);
+                ctx.lineTo(to.x - 6 * Math.cos(angle - 0.4), to.y - 6 * Math.sin(angle - 0.4));
+                ctx.lineTo(to.x - 6 * Math.cos(angle + 0.4), to.y - 6 * Math.sin(angle + 0.4));
+                ctx.closePath();
+                ctx.fill();
+            }
+        });
+
+        return maxDisplacement;
+    }
+
+    _drawPrincipalPoint(ctx, calibrationData, scale) {
+        const K = calibrationData.intrinsicMatrix;
+        const center = { x: K[2], y: K[5] };
+        const { width, height } = calibrationData.resolution;
+
+        // Image centre for reference
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo((width - 1) / 2 - 10, (height - 1) / 2);
+        ctx.lineTo((width - 1) / 2 + 10, (height - 1) / 2);
+        ctx.moveTo((width - 1) / 2, (height - 1) / 2 - 10);
+        ctx.lineTo((width - 1) / 2, (height - 1) / 2 + 10);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.strokeStyle = '#FF00FF';
+        ctx.lineWidth = 2 / scale;
+        ctx.beginPath();
+        ctx.moveTo(center.x - 12, center.y);
+        ctx.lineTo(center.x + 12, center.y);
+        ctx.moveTo(center.x, center.y - 12);
+        ctx.lineTo(center.x, center.y + 12);
+        ctx.stroke();
+
+        const covariance = calibrationData.intrinsicUncertainty?.principalPointCovariance;
+        if (!covariance) {
+            return null;
+        }
+
+        // Axes of the ellipse from the covariance eigenvectors
+        const { values, vectors } = GeometryUtils.symmetricEigen(covariance);
+        const k = this.settings.ellipseSigma;
+        const minor = k * Math.sqrt(Math.max(0, values[0]));
+        const major = k * Math.sqrt(Math.max(0, values[1]));
+        const angle = Math.atan2(vectors[1][1], vectors[1][0]);
+
+        ctx.beginPath();
+        ctx.ellipse(center.x, center.y, Math.max(major, 0.5 / scale), Math.max(minor, 0.5 / scale), angle, 0, 2 * Math.PI);
+        ctx.fillStyle = 'rgba(255, 0, 255, 0.25)';
+        ctx.fill();
+        ctx.stroke();
+
+        return { center, major, minor, angle, sigma: k };
+    }
+
+    _drawLegend(ctx, summary) {
+        const lines = [
+            `Model: ${summary.distortionModel}`,
+            `Max displacement: ${summary.maxDisplacement.toFixed(1)} px`,
+            summary.principalPointEllipse
+                ? `Principal point ${summary.principalPointEllipse.sigma}σ: ${summary.principalPointEllipse.major.toFixed(2)} × ${summary.principalPointEllipse.minor.toFixed(2)} px`
+                : 'Principal point uncertainty: n/a'
+        ];
+
+        ctx.save();
+        ctx.font = '13px sans-serif';
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(8, 8, 280, lines.length * 18 + 10);
+        ctx.fillStyle = '#FFFFFF';
+        lines.forEach((line, i) => ctx.fillText(line, 16, 26 + i * 18));
+        ctx.restore();
+    }
+}
\ No newline at end of file
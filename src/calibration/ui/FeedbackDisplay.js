@@ -211,6 +211,7 @@ export class FeedbackDisplay {
                         <span class="capture-count">
                             📸 Captured: <span id="captured-count">0</span>/<span id="required-count">10</span>
                         </span>
+                        <span id="capture-note" class="capture-note"></span>
                         <div class="capture-progress-mini">
                             <div id="capture-progress-bar" class="capture-progress-fill"></div>
                         </div>
@@ -337,11 +338,12 @@ export class FeedbackDisplay {
         }
     }
 
-    updateCaptureCounter(captured, required) {
+    updateCaptureCounter(captured, required, details = {}) {
         const counterSection = document.getElementById('capture-counter');
         const capturedEl = document.getElementById('captured-count');
         const requiredEl = document.getElementById('required-count');
         const progressBarEl = document.getElementById('capture-progress-bar');
+        const noteEl = document.getElementById('capture-note');
 
         if (!counterSection) return;
 
@@ -354,6 +356,14 @@ export class FeedbackDisplay {
             const percentage = (captured / required) * 100;
             progressBarEl.style.width = `${Math.min(100, percentage)}%`;
         }
+
+        // Edits made in the capture gallery
+        if (noteEl) {
+            const notes = [];
+            if (details.rejected) notes.push(`${details.rejected} rejected`);
+            if (details.retaking !== null && details.retaking !== undefined) notes.push(`retaking #${details.retaking + 1}`);
+            noteEl.textContent = notes.join(' · ');
+        }
     }
 
     _clearFeedback() {
@@ -590,6 +600,11 @@ export class FeedbackDisplay {
                 color: #495057;
             }
 
+            .capture-note {
+                font-size: 0.85em;
+                color: #6c757d;
+            }
+
             .capture-progress-mini {
                 width: 100px;
                 height: 8px;
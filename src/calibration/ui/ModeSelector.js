@@ -135,6 +135,12 @@ export class ModeSelector {
                     default: false,
                     description: 'Automatically capture when quality is good'
                 },
+                showCoverageOverlay: {
+                    type: 'checkbox',
+                    label: 'Show coverage overlay',
+                    default: true,
+                    description: 'Highlight image areas still missing and outline the next suggested pose'
+                },
                 minImages: {
                     type: 'select',
                     label: 'Minimum calibration images',
@@ -155,12 +161,51 @@ export class ModeSelector {
                     options: [
                         { value: 'checkerboard_9x6', text: 'Checkerboard 9×6' },
                         { value: 'checkerboard_7x5', text: 'Checkerboard 7×5' },
-                        { value: 'circles_4x11', text: 'Asymmetric Circles' },
+                        { value: 'circles_4x11', text: 'Asymmetric Circles 4×11' },
+                        { value: 'symmetric_circles_7x6', text: 'Symmetric Circles 7×6' },
+                        { value: 'charuco_7x5', text: 'ChArUco Board 7×5 (partial views allowed)' },
                         { value: 'custom', text: 'Custom Pattern' }
                     ],
                     default: 'checkerboard_9x6',
                     description: 'Choose calibration pattern type'
                 },
+                customPatternType: {
+                    type: 'select',
+                    label: 'Custom pattern type',
+                    options: [
+                        { value: 'checkerboard', text: 'Checkerboard' },
+                        { value: 'symmetric_circles', text: 'Symmetric Circles' },
+                        { value: 'asymmetric_circles', text: 'Asymmetric Circles' },
+                        { value: 'charuco', text: 'ChArUco Board' }
+                    ],
+                    default: 'checkerboard',
+                    description: 'Pattern type used when "Custom Pattern" is selected'
+                },
+                patternColumns: {
+                    type: 'number',
+                    label: 'Pattern columns',
+                    min: 2,
+                    max: 30,
+                    default: 9,
+                    description: 'Inner corners or circles per row, or squares per row for ChArUco (custom pattern)'
+                },
+                patternRows: {
+                    type: 'number',
+                    label: 'Pattern rows',
+                    min: 2,
+                    max: 30,
+                    default: 6,
+                    description: 'Inner corner or circle rows, or square rows for ChArUco (custom pattern)'
+                },
+                patternSpacing: {
+                    type: 'number',
+                    label: 'Pattern spacing (mm)',
+                    min: 1,
+                    max: 200,
+                    // No default: presets keep their own spacing unless a measured one is entered
+                    placeholder: 'Preset spacing',
+                    description: 'Measured square size or circle spacing of the printed pattern; leave empty to use the preset\'s'
+                },
                 qualityThreshold: {
                     type: 'range',
                     label: 'Quality threshold',
@@ -170,12 +215,61 @@ export class ModeSelector {
                     default: 0.8,
                     description: 'Minimum quality required for image acceptance'
                 },
+                distortionModel: {
+                    type: 'select',
+                    label: 'Lens distortion model',
+                    options: [
+                        { value: 'standard', text: 'Standard (k1, k2, p1, p2)' },
+                        { value: 'standard_k3', text: 'Standard + k3' },
+                        { value: 'rational', text: 'Rational (8 coefficients, wide-angle)' },
+                        { value: 'thin_prism', text: 'Rational + thin prism (12 coefficients)' },
+                        { value: 'fisheye', text: 'Fisheye (equidistant)' }
+                    ],
+                    default: 'standard',
+                    description: 'Richer models need more varied images, especially near the frame edges'
+                },
+                rejectOutlierViews: {
+                    type: 'checkbox',
+                    label: 'Reject outlier images',
+                    default: false,
+                    description: 'Drop images with unusually high reprojection error and recalibrate'
+                },
+                fixPrincipalPoint: {
+                    type: 'checkbox',
+                    label: 'Fix principal point',
+                    default: false,
+                    description: 'Keep the principal point at the image centre (or at the previous calibration)'
+                },
+                fixAspectRatio: {
+                    type: 'checkbox',
+                    label: 'Fix aspect ratio',
+                    default: false,
+                    description: 'Estimate a single focal length with fx/fy held at the initial ratio'
+                },
+                zeroTangentialDist: {
+                    type: 'checkbox',
+                    label: 'Zero tangential distortion',
+                    default: false,
+                    description: 'Assume p1 = p2 = 0 (not used by the fisheye model)'
+                },
+                useIntrinsicGuess: {
+                    type: 'checkbox',
+                    label: 'Start from previous calibration',
+                    default: false,
+                    description: 'Use your last saved camera intrinsics as the initial guess'
+                },
                 advancedValidation: {
                     type: 'checkbox',
                     label: 'Enable advanced validation',
                     default: true,
                     description: 'Additional quality checks and metrics'
                 },
+                storeThumbnails: {
+                    type: 'checkbox',
+                    label: 'Store image thumbnails',
+                    default: false,
+                    description: 'Save small previews of each image with the stored corner observations'
+                },
                 exportData: {
                     type: 'checkbox',
                     label: 'Export calibration data',
@@ -562,7 +656,7 @@ export class ModeSelector {
                 if (option.type === 'checkbox') {
                     input.checked = this.selectedOptions[key] ?? option.default;
                 } else {
-                    input.value = this.selectedOptions[key] ?? option.default;
+                    input.value = this.selectedOptions[key] ?? option.default ?? '';
                 }
             }
         });
@@ -602,6 +696,17 @@ export class ModeSelector {
                     </div>
                 `;
 
+            case 'number':
+                return `
+                    <div class="option-item">
+                        <label class="option-label">${option.label}</label>
+                        <input type="number" class="mode-option-input option-number" data-option="${key}"
+                               min="${option.min}" max="${option.max}" value="${value ?? ''}"
+                               ${option.placeholder ? `placeholder="${option.placeholder}"` : ''}>
+                        <p class="option-description">${option.description}</p>
+                    </div>
+                `;
+
             case 'range':
                 return `
                     <div class="option-item">
@@ -643,7 +748,8 @@ export class ModeSelector {
                 rangeValue.textContent = value;
             }
         } else if (input.type === 'number') {
-            value = parseFloat(input.value);
+            // Cleared fields fall back to the default (none for optional values)
+            value = input.value === '' ? undefined : parseFloat(input.value);
         } else {
             value = input.value;
         }
@@ -682,6 +788,7 @@ export class ModeSelector {
 
         // Emit start event
         const event = new CustomEvent('calibration-start', {
+            bubbles: true,
             detail: {
                 mode: this.selectedMode,
                 options: this.selectedOptions
@@ -157,6 +157,7 @@ export class RealTimeFeedback {
                             <span class="readiness-text" id="readiness-text">Not Ready</span>
                         </div>
                     </div>
+                    <ul class="readiness-reasons" id="readiness-reasons"></ul>
                     <div class="capture-action" id="capture-action" style="display: none;">
                         <button class="btn btn-primary btn-lg" id="auto-capture-btn">
                             📸 Auto Capture
@@ -300,12 +301,18 @@ export class RealTimeFeedback {
 
     /**
      * Set capture readiness state
+     * reasons lists why the current frame is not (or was not) captured.
      */
-    setCaptureReadiness(ready, autoCapture = false) {
+    setCaptureReadiness(ready, autoCapture = false, reasons = []) {
         const readinessCircle = this.container.querySelector('#readiness-circle');
         const readinessText = this.container.querySelector('#readiness-text');
+        const readinessIndicator = this.container.querySelector('#readiness-indicator');
+        const readinessReasons = this.container.querySelector('#readiness-reasons');
         const captureAction = this.container.querySelector('#capture-action');
 
+        readinessIndicator.title = reasons.length > 0 ? 'Not ready: ' + reasons.join(', ') : 'Ready to capture!';
+        readinessReasons.innerHTML = reasons.map(reason => `<li>${reason}</li>`).join('');
+
         if (ready) {
             readinessCircle.className = 'readiness-circle ready';
             readinessText.textContent = 'Ready';
@@ -571,6 +578,14 @@ export class RealTimeFeedback {
                 font-size: 0.875rem;
             }
 
+            .readiness-reasons {
+                list-style: none;
+                padding: 0;
+                margin: 0 0 1rem;
+                font-size: 0.8rem;
+                color: #6b7280;
+            }
+
             .capture-action {
                 animation: bounce 1s infinite;
             }
@@ -837,15 +852,7 @@ export class RealTimeFeedback {
             reasons.push('Image too blurry');
         }
 
-        this.setCaptureReadiness(ready, ready);
-
-        // Update readiness tooltip with reasons
-        const readinessIndicator = this.container.querySelector('#readiness-indicator');
-        if (reasons.length > 0) {
-            readinessIndicator.title = 'Not ready: ' + reasons.join(', ');
-        } else {
-            readinessIndicator.title = 'Ready to capture!';
-        }
+        this.setCaptureReadiness(ready, ready, reasons);
     }
 
     /**
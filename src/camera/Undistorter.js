@@ -0,0 +1,381 @@
+/**
+ * Undistorter - Real-time lens undistortion of the camera stream
+ * Precomputes remap tables from saved intrinsics so each frame is a table lookup
+ */
+
+import { ErrorHandler } from '../utils/ErrorHandler.js';
+import { GeometryUtils } from '../utils/GeometryUtils.js';
+
+export class Undistorter {
+    constructor(options = {}) {
+        this.errorHandler = new ErrorHandler();
+
+        this.settings = {
+            interpolation: 'bilinear', // 'bilinear' or 'nearest'
+            ...options
+        };
+
+        // Calibration as saved (intrinsics at the calibration resolution)
+        this.calibration = null;
+
+        // Remap tables for the current frame size
+        this.maps = null;
+        this.cameraMatrix = null;
+
+        // Split view: left of this fraction shows the original frame, null for fully undistorted
+        this.splitPosition = null;
+
+        // Frame loop state
+        this.source = null;
+        this.outputCanvas = null;
+        this.workCanvas = null;
+        this.isRunning = false;
+        this.frameHandle = null;
+        this.frameCount = 0;
+        this.lastFrameTime = 0;
+        this.frameRate = 0;
+
+        // User feedback
+        this.feedbackCallback = null;
+    }
+
+    /**
+     * Use a camera calibration ({ intrinsicMatrix, distortionCoefficients, distortionModel, resolution })
+     * Tables are built lazily for the actual frame size, scaling the intrinsics when needed.
+     */
+    setCalibration(camera) {
+        try {
+            const K = camera && camera.intrinsicMatrix;
+            if (!Array.isArray(K) || K.length !== 9 || K[0] <= 0 || K[4] <= 0) {
+                throw new Error('Calibration has no valid intrinsic matrix');
+            }
+            if (!camera.resolution) {
+                throw new Error('Calibration resolution is required to build undistortion maps');
+            }
+
+            this.calibration = {
+                intrinsicMatrix: [...K],
+                distortionCoefficients: [...(camera.distortionCoefficients || [])],
+                distortionModel: GeometryUtils.getDistortionModel(camera.distortionCoefficients || [], camera.distortionModel),
+                resolution: { width: camera.resolution.width, height: camera.resolution.height }
+            };
+            this.maps = null;
+            this.cameraMatrix = null;
+
+            return { success: true, distortionModel: this.calibration.distortionModel };
+
+        } catch (error) {
+            this.errorHandler.logError('Undistorter.setCalibration', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Precompute remap tables for a frame size
+     * Throws when the frame aspect ratio does not match the calibration.
+     */
+    buildMaps(width, height) {
+        if (!this.calibration) {
+            throw new Error('No calibration set');
+        }
+
+        const { intrinsicMatrix, distortionCoefficients, distortionModel, resolution } = this.calibration;
+        const K = (width === resolution.width && height === resolution.height)
+            ? intrinsicMatrix
+            : GeometryUtils.scaleIntrinsics(intrinsicMatrix, resolution, { width, height }).intrinsicMatrix;
+
+        const [fx, skew, cx, , fy, cy] = K;
+        const pixels = width * height;
+        const offsets = new Int32Array(pixels);
+        const weightsX = new Uint16Array(pixels);
+        const weightsY = new Uint16Array(pixels);
+        const nearest = this.settings.interpolation === 'nearest';
+
+        // Output pixels are ideal (undistorted) pixels with the same camera matrix;
+        // each one looks up where the lens put it in the source frame
+        for (let v = 0; v < height; v++) {
+            const yn = (v - cy) / fy;
+            for (let u = 0; u < width; u++) {
+                const i = v * width + u;
+                const xn = (u - cx - skew * yn) / fx;
+                const d = GeometryUtils.distortNormalized({ x: xn, y: yn }, distortionCoefficients, distortionModel);
+                const x = fx * d.x + skew * d.y + cx;
+                const y = fy * d.y + cy;
+
+                if (!(x >= -0.5 && y >= -0.5 && x <= width - 0.5 && y <= height - 0.5)) {
+                    offsets[i] = -1;
+                    continue;
+                }
+
+                if (nearest) {
+                    const sx = Math.min(width - 1, Math.max(0, Math.round(x)));
+                    const sy = Math.min(height - 1, Math.max(0, Math.round(y)));
+                    offsets[i] = (sy * width + sx) * 4;
+                    continue;
+                }
+
+                const cxs = Math.min(width - 1, Math.max(0, x));
+                const cys = Math.min(height - 1, Math.max(0, y));
+                const x0 = Math.min(width - 2, Math.floor(cxs));
+                const y0 = Math.min(height - 2, Math.floor(cys));
+                offsets[i] = (y0 * width + x0) * 4;
+                weightsX[i] = Math.round((cxs - x0) * 256);
+                weightsY[i] = Math.round((cys - y0) * 256);
+            }
+        }
+
+        this.maps = { width, height, offsets, weightsX, weightsY, nearest };
+        this.cameraMatrix = K;
+
+        return this.maps;
+    }
+
+    /**
+     * Undistort one frame of RGBA pixels
+     */
+    undistortImageData(imageData, output = null) {
+        const { width, height } = imageData;
+        if (!this.maps || this.maps.width !== width || this.maps.height !== height) {
+            this.buildMaps(width, height);
+        }
+
+        const target = output || new ImageData(width, height);
+        const src = imageData.data;
+        const dst = target.data;
+        const { offsets, weightsX, weightsY, nearest } = this.maps;
+        const row = width * 4;
+        const splitColumn = this.splitPosition === null ? 0 : Math.round(this.splitPosition * width);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                const out = i * 4;
+
+                if (x < splitColumn) {
+                    dst[out] = src[out];
+                    dst[out + 1] = src[out + 1];
+                    dst[out + 2] = src[out + 2];
+                    dst[out + 3] = src[out + 3];
+                    continue;
+                }
+
+                const offset = offsets[i];
+                if (offset < 0) {
+                    dst[out] = dst[out + 1] = dst[out + 2] = 0;
+                    dst[out + 3] = 255;
+                    continue;
+                }
+
+                if (nearest) {
+                    dst[out] = src[offset];
+                    dst[out + 1] = src[offset + 1];
+                    dst[out + 2] = src[offset + 2];
+                    dst[out + 3] = 255;
+                    continue;
+                }
+
+                const wx = weightsX[i];
+                const wy = weightsY[i];
+                for (let c = 0; c < 3; c++) {
+                    const a = offset + c;
+                    const top = src[a] * (256 - wx) + src[a + 4] * wx;
+                    const bottom = src[a + row] * (256 - wx) + src[a + row + 4] * wx;
+                    dst[out + c] = (top * (256 - wy) + bottom * wy) >> 16;
+                }
+                dst[out + 3] = 255;
+            }
+        }
+
+        return target;
+    }
+
+    /**
+     * Undistort the current frame of a video or canvas into the output canvas
+     */
+    processFrame(source = this.source, canvas = this.outputCanvas) {
+        const width = source.videoWidth || source.width;
+        const height = source.videoHeight || source.height;
+        if (!width || !height) {
+            return null;
+        }
+
+        if (!this.workCanvas) {
+            this.workCanvas = document.createElement('canvas');
+        }
+        if (this.workCanvas.width !== width || this.workCanvas.height !== height) {
+            this.workCanvas.width = width;
+            this.workCanvas.height = height;
+        }
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+
+        const workCtx = this.workCanvas.getContext('2d', { willReadFrequently: true });
+        workCtx.drawImage(source, 0, 0, width, height);
+        const frame = workCtx.getImageData(0, 0, width, height);
+
+        const ctx = canvas.getContext('2d');
+        ctx.putImageData(this.undistortImageData(frame), 0, 0);
+
+        if (this.splitPosition !== null) {
+            this._drawSplit(ctx, width, height);
+        }
+
+        return canvas;
+    }
+
+    /**
+     * Continuously undistort a video element into a canvas at the video frame rate
+     */
+    start(video, canvas) {
+        try {
+            if (!this.calibration) {
+                throw new Error('No calibration set');
+            }
+
+            this.stop();
+            this.source = video;
+            this.outputCanvas = canvas;
+            this.isRunning = true;
+            this.frameCount = 0;
+            this.lastFrameTime = performance.now();
+            this._scheduleFrame();
+
+            this._provideFeedback('success', '🎯 Live undistortion started');
+            return { success: true };
+
+        } catch (error) {
+            this.errorHandler.logError('Undistorter.start', error);
+            this._provideFeedback('error', `❌ ${error.message}`);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Stop the frame loop
+     */
+    stop() {
+        if (this.frameHandle !== null) {
+            if (this.source && typeof this.source.cancelVideoFrameCallback === 'function') {
+                this.source.cancelVideoFrameCallback(this.frameHandle);
+            } else {
+                cancelAnimationFrame(this.frameHandle);
+            }
+            this.frameHandle = null;
+        }
+
+        this.isRunning = false;
+    }
+
+    /**
+     * Undistorted output as a MediaStream for other consumers (WebRTC, recording)
+     */
+    getStream(frameRate = 30) {
+        if (!this.outputCanvas || typeof this.outputCanvas.captureStream !== 'function') {
+            return null;
+        }
+
+        return this.outputCanvas.captureStream(frameRate);
+    }
+
+    /**
+     * Show the original frame left of position (0-1), or null for the undistorted frame only
+     */
+    setSplitView(position) {
+        this.splitPosition = position === null ? null : Math.min(1, Math.max(0, position));
+    }
+
+    /**
+     * Camera matrix of the undistorted output (distortion is zero)
+     */
+    getOutputCameraMatrix() {
+        return this.cameraMatrix ? [...this.cameraMatrix] : null;
+    }
+
+    /**
+     * Get current status
+     */
+    getStatus() {
+        return {
+            isRunning: this.isRunning,
+            hasCalibration: !!this.calibration,
+            distortionModel: this.calibration?.distortionModel || null,
+            frameSize: this.maps ? { width: this.maps.width, height: this.maps.height } : null,
+            frameRate: Math.round(this.frameRate * 10) / 10,
+            splitPosition: this.splitPosition
+        };
+    }
+
+    /**
+     * Set callback for user feedback
+     */
+    setFeedbackCallback(callback) {
+        this.feedbackCallback = callback;
+    }
+
+    // Private methods
+
+    _scheduleFrame() {
+        const onFrame = () => {
+            if (!this.isRunning) return;
+
+            try {
+                if (this.processFrame()) {
+                    this._updateFrameRate();
+                }
+            } catch (error) {
+                // Usually a frame size whose aspect ratio the calibration cannot serve
+                this.errorHandler.logError('Undistorter.processFrame', error);
+                this._provideFeedback('error', `❌ Undistortion stopped: ${error.message}`);
+                this.stop();
+                return;
+            }
+
+            this._scheduleFrame();
+        };
+
+        this.frameHandle = typeof this.source.requestVideoFrameCallback === 'function'
+            ? this.source.requestVideoFrameCallback(onFrame)
+            : requestAnimationFrame(onFrame);
+    }
+
+    _updateFrameRate() {
+        this.frameCount++;
+        const now = performance.now();
+        const elapsed = now - this.lastFrameTime;
+
+        if (elapsed >= 1000) {
+            this.frameRate = this.frameCount * 1000 / elapsed;
+            this.frameCount = 0;
+            this.lastFrameTime = now;
+        }
+    }
+
+    _drawSplit(ctx, width, height) {
+        const x = Math.round(this.splitPosition * width);
+
+        ctx.save();
+        ctx.strokeStyle = '#FFFFFF';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, height);
+        ctx.stroke();
+
+        ctx.font = '16px sans-serif';
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(8, 8, 90, 24);
+        ctx.fillRect(width - 128, 8, 120, 24);
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillText('Original', 16, 26);
+        ctx.fillText('Undistorted', width - 120, 26);
+        ctx.restore();
+    }
+
+    _provideFeedback(type, message) {
+        if (this.feedbackCallback) {
+            this.feedbackCallback(type, message);
+        }
+    }
+}
\ No newline at end of file
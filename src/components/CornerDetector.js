@@ -3,8 +3,11 @@
  * Provides robust detection of QR/ArUco markers and corner points
  */
 
+import { MarkerDictionary } from '../calibration/patterns/MarkerDictionary.js';
+
 export class CornerDetector {
     constructor() {
+        this.markerDictionary = new MarkerDictionary();
         this.detectionMethods = ['contour', 'harris', 'template'];
         this.currentMethod = 'contour';
 
@@ -177,14 +180,21 @@ export class CornerDetector {
                     continue;
                 }
 
+                // Decode the marker bit grid for its ID and orientation
+                const decoded = this._decodeMarker(contour, gray);
+                if (!decoded) {
+                    contour.delete();
+                    continue;
+                }
+
                 // Calculate corner quality metrics
                 const cornerMetrics = this._analyzeCornerQuality(contour, gray);
 
                 candidates.push({
-                    center: {
-                        x: rect.x + rect.width / 2,
-                        y: rect.y + rect.height / 2
-                    },
+                    center: decoded.center,
+                    corners: decoded.corners,
+                    rotation: decoded.rotation,
+                    bitErrors: decoded.distance,
                     boundingRect: rect,
                     area: area,
                     aspectRatio: aspectRatio,
@@ -192,7 +202,7 @@ export class CornerDetector {
                     confidence: cornerMetrics.confidence,
                     sharpness: cornerMetrics.sharpness,
                     contrast: cornerMetrics.contrast,
-                    id: this._determineMarkerId(rect.x + rect.width / 2, rect.y + rect.height / 2, image.cols, image.rows)
+                    id: decoded.markerId
                 });
 
                 contour.delete();
@@ -273,7 +283,7 @@ export class CornerDetector {
                                 y: y,
                                 response: response,
                                 confidence: Math.min(response / threshold, 1.0),
-                                id: this._determineMarkerId(x, y, image.cols, image.rows)
+                                id: null // Harris corners carry no marker code
                             });
                         }
                     }
@@ -383,12 +393,7 @@ export class CornerDetector {
                     },
                     confidence: match.confidence,
                     scale: match.scale,
-                    id: this._determineMarkerId(
-                        match.location.x + match.templateSize.width / 2,
-                        match.location.y + match.templateSize.height / 2,
-                        image.cols,
-                        image.rows
-                    ),
+                    id: null, // Template matches are located but not decoded
                     method: 'template'
                 }));
             }
@@ -539,17 +544,29 @@ export class CornerDetector {
         }
     }
 
-    _determineMarkerId(x, y, frameWidth, frameHeight) {
-        const centerX = frameWidth / 2;
-        const centerY = frameHeight / 2;
+    _decodeMarker(contour, grayImage) {
+        const approx = new cv.Mat();
 
-        // Determine quadrant
-        if (x < centerX && y < centerY) return 'TL'; // Top-left
-        if (x >= centerX && y < centerY) return 'TR'; // Top-right
-        if (x >= centerX && y >= centerY) return 'BR'; // Bottom-right
-        if (x < centerX && y >= centerY) return 'BL'; // Bottom-left
+        try {
+            const epsilon = 0.02 * cv.arcLength(contour, true);
+            cv.approxPolyDP(contour, approx, epsilon, true);
 
-        return 'C'; // Center (fallback)
+            if (approx.rows !== 4 || !cv.isContourConvex(approx)) {
+                return null;
+            }
+
+            const quad = [];
+            for (let i = 0; i < 4; i++) {
+                quad.push({ x: approx.data32S[i * 2], y: approx.data32S[i * 2 + 1] });
+            }
+
+            return this.markerDictionary.decodeQuad(grayImage, quad);
+
+        } catch (error) {
+            return null;
+        } finally {
+            approx.delete();
+        }
     }
 
     _postProcessCorners(corners, image) {
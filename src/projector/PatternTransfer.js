@@ -0,0 +1,185 @@
+/**
+ * PatternTransfer - Pixel-exact delivery of generated patterns to projector displays
+ * Patterns travel as raw RGBA pixels with a checksum; displays draw them 1:1 and
+ * acknowledge the checksum of what their canvas holds, so the controller knows which frame is on screen
+ */
+
+let frameCounter = 0;
+
+export class PatternTransfer {
+    /**
+     * Pixel pattern from a canvas, ImageData or StructuredLight pattern
+     * Pixel patterns are returned unchanged.
+     */
+    static from(source, metadata = {}) {
+        if (PatternTransfer.isPixelPattern(source)) {
+            return source;
+        }
+        if (source && source.canvas) {
+            return PatternTransfer.fromPattern({ ...source, ...metadata });
+        }
+        if (source && source.data && source.width && source.height) {
+            return PatternTransfer.fromImageData(source, metadata);
+        }
+        if (source && typeof source.getContext === 'function') {
+            return PatternTransfer.fromCanvas(source, metadata);
+        }
+
+        throw new Error('Pattern source must be a canvas, ImageData or generated pattern');
+    }
+
+    /**
+     * Pixel pattern from a canvas
+     */
+    static fromCanvas(canvas, metadata = {}) {
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        return PatternTransfer.fromImageData(ctx.getImageData(0, 0, canvas.width, canvas.height), metadata);
+    }
+
+    /**
+     * Pixel pattern from ImageData (the pixels are copied)
+     */
+    static fromImageData(imageData, metadata = {}) {
+        const pixels = imageData.data.slice().buffer;
+
+        return {
+            type: 'image',
+            ...metadata,
+            format: 'pixels',
+            width: imageData.width,
+            height: imageData.height,
+            pixels,
+            checksum: PatternTransfer.checksum(new Uint8Array(pixels)),
+            frameId: metadata.frameId || PatternTransfer._nextFrameId()
+        };
+    }
+
+    /**
+     * Convert a StructuredLight pattern ({ type, canvas, dataURL, ... }) for delivery
+     * Canvas and data URL are dropped; the other fields travel along as pattern metadata.
+     */
+    static fromPattern(patternData) {
+        const { canvas, dataURL, ...metadata } = patternData;
+
+        if (!canvas) {
+            throw new Error(`Pattern ${patternData.type} has no canvas to deliver`);
+        }
+
+        return PatternTransfer.fromCanvas(canvas, metadata);
+    }
+
+    static isPixelPattern(pattern) {
+        return !!pattern && pattern.format === 'pixels';
+    }
+
+    /**
+     * Buffers that postMessage can transfer instead of copy
+     * The pattern's pixels are unusable on the sending side afterwards.
+     */
+    static getTransferables(pattern) {
+        return pattern && PatternTransfer._isArrayBuffer(pattern.pixels) ? [pattern.pixels] : [];
+    }
+
+    /**
+     * 32-bit FNV-1a over RGBA words, as 8 hex digits
+     * Cheap enough for every frame of a 4K pattern sequence.
+     */
+    static checksum(bytes) {
+        let view = PatternTransfer._isArrayBuffer(bytes) ? new Uint8Array(bytes) : bytes;
+        if (view.byteOffset % 4 !== 0) {
+            view = view.slice();
+        }
+        const words = new Uint32Array(view.buffer, view.byteOffset, view.byteLength >> 2);
+        let hash = 0x811c9dc5;
+
+        for (let i = 0; i < words.length; i++) {
+            hash = Math.imul(hash ^ words[i], 0x01000193);
+        }
+        for (let i = words.length << 2; i < view.byteLength; i++) {
+            hash = Math.imul(hash ^ view[i], 0x01000193);
+        }
+
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Display side: draw a pixel pattern 1:1 and checksum what the canvas now holds
+     * The canvas is pinned top-left and sized in CSS so one pattern pixel covers one device pixel.
+     * Patterns should be opaque; canvases store premultiplied alpha, so translucent pixels do not read back exactly.
+     */
+    static renderToCanvas(pattern, canvas) {
+        const { width, height } = pattern;
+        const bytes = new Uint8ClampedArray(pattern.pixels);
+
+        if (!width || !height || bytes.length !== width * height * 4) {
+            throw new Error(`Pattern pixel data does not match ${width}×${height}`);
+        }
+        if (pattern.checksum && PatternTransfer.checksum(bytes) !== pattern.checksum) {
+            throw new Error('Pattern checksum mismatch, data was corrupted in transit');
+        }
+
+        const dpr = window.devicePixelRatio || 1;
+        canvas.width = width;
+        canvas.height = height;
+        Object.assign(canvas.style, {
+            position: 'absolute',
+            left: '0',
+            top: '0',
+            width: `${width / dpr}px`,
+            height: `${height / dpr}px`,
+            imageRendering: 'pixelated'
+        });
+
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.putImageData(new ImageData(bytes, width, height), 0, 0);
+        const shown = ctx.getImageData(0, 0, width, height);
+
+        return {
+            frameId: pattern.frameId || null,
+            checksum: PatternTransfer.checksum(shown.data),
+            width,
+            height,
+            // Only then does every pattern pixel land on exactly one projector pixel
+            pixelExact: Math.round(window.innerWidth * dpr) === width && Math.round(window.innerHeight * dpr) === height
+        };
+    }
+
+    /**
+     * Display side: resolve once the current drawing has been presented
+     * The first animation frame callback runs before the frame with the new pixels is painted,
+     * the second one after it. Hidden pages get no animation frames and resolve with presented: false.
+     */
+    static waitForPresentation(timeout = 1000) {
+        return new Promise(resolve => {
+            const timer = setTimeout(() => resolve({ presented: false, presentedAt: null }), timeout);
+
+            requestAnimationFrame(() => requestAnimationFrame(() => {
+                clearTimeout(timer);
+                resolve({ presented: true, presentedAt: Date.now() });
+            }));
+        });
+    }
+
+    /**
+     * Controller side: check that the display acknowledged the frame that was sent
+     */
+    static verifyAck(pattern, ack) {
+        if (!ack || ack.checksum !== pattern.checksum) {
+            throw new Error(`Projector shows frame ${ack?.checksum || 'unknown'} instead of ${pattern.checksum}`);
+        }
+
+        return ack;
+    }
+
+    // Private methods
+
+    static _nextFrameId() {
+        frameCounter++;
+        return `${Date.now().toString(36)}-${frameCounter}`;
+    }
+
+    // Also true for buffers created in another window, where instanceof fails
+    static _isArrayBuffer(value) {
+        return Object.prototype.toString.call(value) === '[object ArrayBuffer]';
+    }
+}
\ No newline at end of file
@@ -5,6 +5,9 @@
 
 import { ErrorHandler } from '../utils/ErrorHandler.js';
 import { ValidationUtils } from '../utils/ValidationUtils.js';
+import { ProjectorChannel, MESSAGE_TYPES, DISPLAY_PAGE_URL } from './ProjectorProtocol.js';
+import { PatternTransfer } from './PatternTransfer.js';
+import { SequencePlayer } from './SequencePlayer.js';
 
 export class ProjectorManager {
     constructor() {
@@ -12,6 +15,15 @@ export class ProjectorManager {
 
         // Projector state
         this.projectorWindow = null;
+        this.channel = null;
+        this.displayInfo = null;
+        this.remoteTransport = null; // Transport options when the display is not a window we opened
+        this.windowManager = null; // Set while driving a display a WindowManager has open
+        this.lastPattern = null; // Re-sent when a remote display reloads; null when its pixels were moved
+        this.displayedFrame = null; // Frame the display last acknowledged pixel for pixel
+        this.sequencePlayer = null;
+        this.latency = null; // Measured projector–camera latency, see measureLatency()
+        this.latencyCanvas = null;
         this.isProjectorActive = false;
         this.detectedResolution = null;
         this.isFullscreen = false;
@@ -25,6 +37,10 @@ export class ProjectorManager {
         this.projectionQuality = null;
         this.calibrationPatterns = [];
 
+        // Dense warp applied to projected content (non-planar surfaces)
+        this.warpMesh = null;
+        this.warpCanvas = null;
+
         // User callbacks
         this.feedbackCallback = null;
         this.statusCallback = null;
@@ -78,23 +94,21 @@ export class ProjectorManager {
                 fullscreen: options.fullscreen !== false,
                 display: options.display || 'secondary',
                 resolution: options.resolution || { width: 1920, height: 1080 },
-                background: options.background || '#000000'
+                url: options.url || DISPLAY_PAGE_URL
             };
 
-            // Close existing window if open
-            if (this.projectorWindow && !this.projectorWindow.closed) {
+            // Close existing window if open (an attached WindowManager keeps its own)
+            if (!this.windowManager && this.projectorWindow && !this.projectorWindow.closed) {
                 this.projectorWindow.close();
             }
+            this.windowManager = null;
+            this.remoteTransport = null;
 
             // Calculate window features for projector
             const features = this._calculateWindowFeatures(windowOptions);
 
-            // Open new projector window
-            this.projectorWindow = window.open(
-                this._generateProjectorHTML(windowOptions),
-                'projector_window',
-                features
-            );
+            // Open the projector display page
+            this.projectorWindow = window.open(windowOptions.url, 'projector_window', features);
 
             if (!this.projectorWindow) {
                 throw new Error('Popup blocked. Please allow popups and try again.');
@@ -107,7 +121,7 @@ export class ProjectorManager {
             await this._waitForWindowLoad();
 
             // Auto-detect resolution
-            await this._detectProjectorResolution();
+            await this.detectProjectorResolution();
 
             // Test projection quality
             await this._testProjectionQuality();
@@ -138,12 +152,119 @@ export class ProjectorManager {
         }
     }
 
+    /**
+     * Drive the display a WindowManager has open, e.g. to measure latency or play sequences on it
+     * Window and channel stay owned by the WindowManager; attach again after it reopened or reconnected.
+     */
+    attachWindowManager(windowManager) {
+        const status = windowManager.getStatus();
+        if (!status.isOpen || !windowManager.channel) {
+            return { success: false, error: 'Projector window not open' };
+        }
+
+        this.windowManager = windowManager;
+        this.channel = windowManager.channel;
+        this.projectorWindow = windowManager.projectorWindow;
+        this.remoteTransport = windowManager.remoteTransport;
+        this.displayInfo = windowManager.displayInfo;
+        this.detectedResolution = status.resolution || this.detectedResolution;
+        this.isFullscreen = status.isFullscreen;
+        this.isProjectorActive = true;
+
+        if (this.sequencePlayer) {
+            this.sequencePlayer.setChannel(this.channel);
+        }
+
+        return { success: true, resolution: this.detectedResolution };
+    }
+
+    /**
+     * Find projector displays reachable over a BroadcastChannel or WebSocket relay
+     * options: { transport: 'broadcast' | 'websocket', url, room, channelName, discoveryTimeout }
+     */
+    async discoverDisplays(options = {}) {
+        let channel = null;
+
+        try {
+            channel = new ProjectorChannel(ProjectorChannel.createTransport(options), options);
+            const displays = await channel.discover(options.discoveryTimeout || 1000);
+
+            this._provideFeedback('info', `🔍 Found ${displays.length} projector display(s)`);
+            return { success: true, displays };
+
+        } catch (error) {
+            this.errorHandler.logError('ProjectorManager.discoverDisplays', error);
+            return { success: false, error: error.message };
+        } finally {
+            if (channel) channel.close();
+        }
+    }
+
+    /**
+     * Drive a display page this manager did not open (another tab, or another machine via the relay)
+     * Survives reloads on either side: the display keeps its id and the last one used is preferred.
+     */
+    async connectRemoteDisplay(options = {}) {
+        try {
+            if (!options.transport || options.transport === 'postMessage') {
+                throw new Error('Remote displays need the broadcast or websocket transport');
+            }
+
+            this._updateStatus('opening', `Looking for projector displays over ${options.transport}...`);
+
+            const { channel, displayInfo } = await ProjectorChannel.connectToDisplay(options);
+
+            if (this.channel && !this.windowManager) {
+                this.channel.close();
+            }
+            this.windowManager = null;
+            this.channel = channel;
+            this.remoteTransport = options;
+            this.displayInfo = displayInfo;
+            this.isFullscreen = !!displayInfo.fullscreen;
+            this.detectedResolution = displayInfo.resolution || null;
+            this._bindChannelEvents();
+
+            this.isProjectorActive = true;
+            this._updateStatus('active', 'Projector display connected');
+            this._provideFeedback('success',
+                `🎥 Connected to projector display${displayInfo.resolution ?
+                ` (${displayInfo.resolution.width}×${displayInfo.resolution.height})` : ''}`
+            );
+
+            return { success: true, display: displayInfo, resolution: this.detectedResolution };
+
+        } catch (error) {
+            this.errorHandler.logError('ProjectorManager.connectRemoteDisplay', error);
+            this._updateStatus('error', 'Failed to connect to projector display');
+
+            const userMessage = options.transport === 'websocket'
+                ? '📡 No projector display found. Start the relay (npm run projector-relay) and open the display page with the same relay and room.'
+                : '🔍 No projector display found. Open the projector display page in this browser with ?transport=broadcast.';
+            this._provideFeedback('error', userMessage);
+
+            return { success: false, error: error.message, userMessage };
+        }
+    }
+
+    /**
+     * Reattach to the remote display used before this page was reloaded
+     */
+    async reconnectLastDisplay() {
+        const last = ProjectorChannel.getLastDisplay();
+        if (!last || !last.transport || last.transport === 'postMessage') {
+            return { success: false, error: 'No previous remote projector display' };
+        }
+
+        return this.connectRemoteDisplay(last);
+    }
+
     /**
      * Project a calibration pattern with quality feedback
      */
     async projectPattern(patternType, options = {}) {
         try {
-            if (!this.isProjectorActive || !this.projectorWindow) {
+            if (!this.isProjectorActive || !this._isDisplayAvailable()) {
                 throw new Error('Projector window not open');
             }
 
@@ -179,6 +300,171 @@ export class ProjectorManager {
         }
     }
 
+    /**
+     * Project a canvas, ImageData or StructuredLight pattern pixel for pixel
+     * Resolves once the display acknowledged exactly this frame.
+     */
+    async projectImage(source, metadata = {}) {
+        try {
+            if (!this.isProjectorActive || !this._isDisplayAvailable()) {
+                throw new Error('Projector window not open');
+            }
+
+            const pattern = PatternTransfer.from(source, metadata);
+            // Pixels converted for this call can be moved; a pixel pattern passed in stays with the caller
+            const ack = await this._sendPatternToProjector(pattern, { transfer: pattern !== source });
+
+            if (!ack.pixelExact) {
+                this._provideFeedback('warning',
+                    `⚠️ ${pattern.width}×${pattern.height} pattern does not match the display's pixels; make the projector window fullscreen`
+                );
+            }
+
+            return { success: true, frameId: ack.frameId, checksum: ack.checksum, pixelExact: ack.pixelExact };
+
+        } catch (error) {
+            this.errorHandler.logError('ProjectorManager.projectImage', error);
+            this._provideFeedback('error', `Failed to project image: ${error.message}`);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Show each pattern and capture camera frames once it is on screen and settled
+     * options: framesPerPattern, settleDelay (ms), progressCallback; see SequencePlayer.
+     * Resolves with the captured stack, also when cancelled (resumeSequence() continues).
+     */
+    async playSequence(patterns, video, options = {}) {
+        if (!this.isProjectorActive || !this._isDisplayAvailable()) {
+            return { success: false, error: 'Projector window not open' };
+        }
+        if (this.sequencePlayer && this.sequencePlayer.state === 'playing') {
+            return { success: false, error: 'Sequence already playing' };
+        }
+
+        const { progressCallback, ...settings } = options;
+        if (settings.settleDelay === undefined && this.latency) {
+            settings.settleDelay = this.latency.settleDelay;
+        } else if (settings.settleDelay === undefined) {
+            this._provideFeedback('warning', '⚠️ No latency measured yet; using the default settle delay. Run measureLatency() for reliable captures.');
+        }
+
+        this.sequencePlayer = new SequencePlayer(this.channel, video, settings);
+        this.sequencePlayer.setCallbacks({
+            feedbackCallback: (type, message) => this._provideFeedback(type, message),
+            progressCallback
+        });
+
+        return this._trackSequence(await this.sequencePlayer.play(patterns));
+    }
+
+    /**
+     * Stop the running sequence after its current pattern
+     */
+    cancelSequence() {
+        if (this.sequencePlayer) {
+            this.sequencePlayer.cancel();
+        }
+    }
+
+    /**
+     * Continue a cancelled or failed sequence, e.g. after the display reconnected
+     */
+    async resumeSequence() {
+        if (!this.sequencePlayer) {
+            return { success: false, error: 'No sequence to resume' };
+        }
+        if (!this.isProjectorActive || !this._isDisplayAvailable()) {
+            return { success: false, error: 'Projector window not open' };
+        }
+
+        this.sequencePlayer.setChannel(this.channel);
+        return this._trackSequence(await this.sequencePlayer.resume());
+    }
+
+    /**
+     * Measure how long a pattern switch takes to reach the camera
+     * Flashes black and white frames and timestamps the first camera frame that fully shows each
+     * transition, relative to when the switch was sent. The result (ms) is kept in this.latency,
+     * sets the default settle delay of playSequence() and is saved with the projector configuration.
+     */
+    async measureLatency(video, options = {}) {
+        try {
+            if (!this.isProjectorActive || !this._isDisplayAvailable()) {
+                throw new Error('Projector window not open');
+            }
+
+            const settings = {
+                transitions: 10,
+                transitionTimeout: 2000,
+                levelDuration: 500, // How long each reference level is shown before sampling
+                settledFraction: 0.9, // Share of the black-white step a frame must reach to count as switched
+                minContrast: 20, // Smallest brightness step (0-255) the camera must see
+                ...options
+            };
+
+            this._provideFeedback('info', '⏱️ Measuring projector–camera latency, keep the camera pointed at the projection...');
+
+            const resolution = this.detectedResolution || { width: 1920, height: 1080 };
+            const black = this._generateFlash('#000000', resolution);
+            const white = this._generateFlash('#FFFFFF', resolution);
+
+            // Reference levels once each color has been on screen for a while
+            const blackLevel = await this._measureFlashLevel(video, black, settings.levelDuration);
+            const whiteLevel = await this._measureFlashLevel(video, white, settings.levelDuration);
+            const contrast = whiteLevel - blackLevel;
+
+            if (contrast < settings.minContrast) {
+                throw new Error('Camera cannot see the projector flashes; point it at the projected area');
+            }
+
+            // White is on screen now, so the first transition is to black
+            const samples = [];
+            for (let i = 0; i < settings.transitions; i++) {
+                const toWhite = i % 2 === 1;
+                const threshold = blackLevel + contrast * (toWhite ? settings.settledFraction : 1 - settings.settledFraction);
+
+                // The camera may see the switch before the ack arrives, so frames are watched from the send on
+                const sentAt = performance.now();
+                const seen = this._waitForCameraLevel(
+                    video,
+                    level => toWhite ? level >= threshold : level <= threshold,
+                    sentAt,
+                    settings.transitionTimeout
+                );
+                seen.catch(() => {}); // Awaited below unless the send fails first
+
+                const ack = await this._sendPatternToProjector(toWhite ? white : black);
+                if (!ack.presented) {
+                    throw new Error('Display did not present the flash; is its window visible?');
+                }
+                const acknowledgedAt = performance.now();
+                const seenAt = await seen;
+
+                samples.push({ latency: seenAt - sentAt, ackDelay: acknowledgedAt - sentAt });
+            }
+
+            this.latency = this._summarizeLatency(samples);
+            this._provideFeedback('success',
+                `✅ Latency ${this.latency.mean} ms ± ${this.latency.jitter} ms, captures wait ${this.latency.settleDelay} ms`
+            );
+
+            return { success: true, latency: this.latency };
+
+        } catch (error) {
+            this.errorHandler.logError('ProjectorManager.measureLatency', error);
+            this._provideFeedback('error', `Latency measurement failed: ${error.message}`);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Restore a latency measurement saved with the projector configuration
+     */
+    setLatency(latency) {
+        this.latency = latency || null;
+    }
+
     /**
      * Auto-detect projector resolution with user feedback
      */
@@ -186,12 +472,13 @@ export class ProjectorManager {
         try {
             this._updateStatus('detecting', 'Detecting projector resolution...');
 
-            if (!this.projectorWindow) {
+            if (!this._isDisplayAvailable()) {
                 throw new Error('Projector window not open');
             }
 
             // Test multiple resolution detection methods
             const detectionMethods = [
+                () => this._detectViaDisplayInfo(),
                 () => this._detectViaScreenAPI(),
                 () => this._detectViaWindowSize(),
                 () => this._detectViaTestPattern()
@@ -258,7 +545,7 @@ export class ProjectorManager {
             };
 
             // Test 1: Window opening
-            if (this.isProjectorActive && this.projectorWindow && !this.projectorWindow.closed) {
+            if (this.isProjectorActive && this._isDisplayAvailable()) {
                 testResults.windowOpen = true;
             } else {
                 testResults.recommendations.push('🪟 Projector window needs to be opened');
@@ -301,17 +588,76 @@ export class ProjectorManager {
         }
     }
 
+    /**
+     * Set the warp mesh used to render content on non-planar surfaces
+     * Accepts a WarpMesh instance or null to project unwarped
+     */
+    setWarpMesh(warpMesh) {
+        this.warpMesh = warpMesh;
+        this.warpCanvas = null;
+
+        if (warpMesh) {
+            this._provideFeedback('info', '🕸️ Warp mesh enabled for projected content');
+        }
+    }
+
+    /**
+     * Project camera-space content (image, canvas or video frame) through the warp mesh
+     */
+    async projectWarpedContent(source, options = {}) {
+        try {
+            if (!this.isProjectorActive || !this._isDisplayAvailable()) {
+                throw new Error('Projector window not open');
+            }
+
+            if (!this.warpMesh) {
+                throw new Error('No warp mesh set');
+            }
+
+            if (!this.warpCanvas) {
+                this.warpCanvas = document.createElement('canvas');
+                this.warpCanvas.width = this.warpMesh.projectorWidth;
+                this.warpCanvas.height = this.warpMesh.projectorHeight;
+            }
+
+            const ctx = this.warpCanvas.getContext('2d');
+            const triangles = this.warpMesh.render(ctx, source, options);
+
+            // Warped output is already at projector resolution, so deliver it pixel for pixel
+            const patternData = PatternTransfer.fromCanvas(this.warpCanvas, {
+                type: 'warped-content',
+                metadata: { triangles }
+            });
+
+            await this._sendPatternToProjector(patternData);
+
+            return { success: true, patternData };
+
+        } catch (error) {
+            this.errorHandler.logError('ProjectorManager.projectWarpedContent', error);
+            this._provideFeedback('error', `Failed to project warped content: ${error.message}`);
+            return { success: false, error: error.message };
+        }
+    }
+
     /**
      * Get projector status and user-friendly information
      */
     getProjectorStatus() {
         return {
             isActive: this.isProjectorActive,
-            windowOpen: this.projectorWindow && !this.projectorWindow.closed,
+            windowOpen: this._isDisplayAvailable(),
             detectedResolution: this.detectedResolution,
             isFullscreen: this.isFullscreen,
             availableDisplays: this.availableDisplays.length,
             qualityAssessment: this.projectionQuality,
+            warpEnabled: !!this.warpMesh,
+            displayedFrame: this.displayedFrame,
+            latency: this.latency,
+            sequence: this.sequencePlayer ? this.sequencePlayer.getStatus() : null,
+            connected: !!this.channel && this.channel.isConnected,
+            transport: this.remoteTransport ? this.remoteTransport.transport : 'postMessage',
+            displayId: this.channel ? this.channel.peerId : null,
             recommendations: this._getStatusRecommendations()
         };
     }
@@ -334,11 +680,24 @@ export class ProjectorManager {
      */
     closeProjectorWindow() {
         try {
-            if (this.projectorWindow && !this.projectorWindow.closed) {
+            this.cancelSequence();
+
+            // Remote display pages stay open, and so do windows of an attached WindowManager
+            const ownsDisplay = !this.windowManager;
+            if (ownsDisplay && !this.remoteTransport && this.projectorWindow && !this.projectorWindow.closed) {
                 this.projectorWindow.close();
             }
 
+            if (ownsDisplay && this.channel) {
+                this.channel.close();
+            }
+
+            this.channel = null;
+            this.windowManager = null;
             this.projectorWindow = null;
+            this.remoteTransport = null;
+            this.lastPattern = null;
+            this.displayedFrame = null;
             this.isProjectorActive = false;
             this.isFullscreen = false;
 
@@ -458,215 +817,73 @@ export class ProjectorManager {
         return features.join(',');
     }
 
-    _generateProjectorHTML(options) {
-        return `data:text/html,
-<!DOCTYPE html>
-<html>
-<head>
-    <title>Projector Calibration Display</title>
-    <style>
-        body {
-            margin: 0;
-            padding: 0;
-            background: ${options.background};
-            color: white;
-            font-family: Arial, sans-serif;
-            overflow: hidden;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            height: 100vh;
-        }
-
-        #pattern-container {
-            width: 100%;
-            height: 100%;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            position: relative;
-        }
-
-        #welcome-message {
-            text-align: center;
-            font-size: 2em;
-            text-shadow: 2px 2px 4px rgba(0,0,0,0.8);
-        }
-
-        .pattern {
-            max-width: 100%;
-            max-height: 100%;
-            object-fit: contain;
-        }
-
-        .grid-pattern {
-            display: grid;
-            gap: 2px;
-            background: white;
-            padding: 20px;
-        }
-
-        .grid-cell {
-            width: 40px;
-            height: 40px;
-            background: black;
-        }
-
-        .grid-cell:nth-child(odd) {
-            background: white;
-        }
-
-        .fullscreen-btn {
-            position: absolute;
-            top: 20px;
-            right: 20px;
-            padding: 10px 20px;
-            background: rgba(255,255,255,0.2);
-            color: white;
-            border: 1px solid white;
-            border-radius: 5px;
-            cursor: pointer;
-            font-size: 14px;
-        }
-
-        .fullscreen-btn:hover {
-            background: rgba(255,255,255,0.3);
-        }
-
-        .status-info {
-            position: absolute;
-            bottom: 20px;
-            left: 20px;
-            font-size: 14px;
-            opacity: 0.8;
-        }
-    </style>
-</head>
-<body>
-    <div id="pattern-container">
-        <div id="welcome-message">
-            <h1>🎥 Projector Calibration</h1>
-            <p>Projector window ready</p>
-            <p style="font-size: 0.7em;">Press F11 for fullscreen mode</p>
-        </div>
-
-        <button class="fullscreen-btn" onclick="toggleFullscreen()">
-            📺 Fullscreen
-        </button>
-
-        <div class="status-info">
-            <div>Resolution: <span id="resolution-info">Detecting...</span></div>
-            <div>Status: <span id="status-info">Ready</span></div>
-        </div>
-    </div>
-
-    <script>
-        // Update resolution info
-        document.getElementById('resolution-info').textContent =
-            window.screen.width + '×' + window.screen.height;
-
-        // Fullscreen toggle
-        function toggleFullscreen() {
-            if (!document.fullscreenElement) {
-                document.documentElement.requestFullscreen();
-            } else {
-                document.exitFullscreen();
-            }
+    _setupWindowHandlers() {
+        // Events from the projector window; closing it is reported as window-closed
+        if (this.channel) {
+            this.channel.close();
         }
+        this.channel = new ProjectorChannel(this.projectorWindow);
+        this._bindChannelEvents();
+    }
 
-        // Listen for messages from parent window
-        window.addEventListener('message', function(event) {
-            if (event.data.type === 'project-pattern') {
-                projectPattern(event.data.pattern);
-            } else if (event.data.type === 'clear-pattern') {
-                clearPattern();
-            } else if (event.data.type === 'update-status') {
-                document.getElementById('status-info').textContent = event.data.status;
-            }
+    _bindChannelEvents() {
+        [
+            MESSAGE_TYPES.READY,
+            MESSAGE_TYPES.FULLSCREEN_CHANGED,
+            MESSAGE_TYPES.PATTERN_CLEARED,
+            MESSAGE_TYPES.WINDOW_CLOSED,
+            MESSAGE_TYPES.ERROR
+        ].forEach(type => {
+            this.channel.on(type, (payload) => this._handleProjectorMessage({ type, ...payload }));
         });
 
-        function projectPattern(patternData) {
-            const container = document.getElementById('pattern-container');
-            container.innerHTML = patternData.html;
-
-            // Send confirmation back to parent
-            if (window.opener) {
-                window.opener.postMessage({
-                    type: 'pattern-projected',
-                    success: true
-                }, '*');
-            }
-        }
-
-        function clearPattern() {
-            const container = document.getElementById('pattern-container');
-            container.innerHTML = \`
-                <div id="welcome-message">
-                    <h1>🎥 Projector Calibration</h1>
-                    <p>Ready for next pattern</p>
-                </div>
-            \`;
-        }
+        this.channel.onReconnect = (info) => {
+            this.displayInfo = info;
+            this._provideFeedback('info', '🔄 Projector display reconnected');
+        };
+    }
 
-        // Keyboard shortcuts
-        document.addEventListener('keydown', function(event) {
-            if (event.key === 'F11') {
-                event.preventDefault();
-                toggleFullscreen();
-            } else if (event.key === 'Escape' && document.fullscreenElement) {
-                document.exitFullscreen();
-            }
-        });
+    _isDisplayAvailable() {
+        if (!this.channel) return false;
 
-        // Auto-fullscreen after short delay
-        setTimeout(() => {
-            if (!document.fullscreenElement && window.innerWidth < screen.width) {
-                toggleFullscreen();
-            }
-        }, 2000);
-    </script>
-</body>
-</html>`;
+        return this.remoteTransport
+            ? this.channel.transport.isConnected()
+            : !!this.projectorWindow && !this.projectorWindow.closed;
     }
 
-    _setupWindowHandlers() {
-        // Handle window close
-        this.projectorWindow.addEventListener('beforeunload', () => {
-            this.isProjectorActive = false;
-            this._updateStatus('closed', 'Projector window closed');
-        });
-
-        // Listen for messages from projector window
-        window.addEventListener('message', (event) => {
-            if (event.source === this.projectorWindow) {
-                this._handleProjectorMessage(event.data);
+    async _restoreRemoteDisplay() {
+        // A reloaded display forgot its controller and pattern
+        try {
+            this.displayInfo = await this.channel.connect(5000);
+            if (this.lastPattern) {
+                await this._sendPatternToProjector(this.lastPattern);
             }
-        });
+            this.isProjectorActive = true;
+            this._updateStatus('active', 'Projector display reconnected');
+        } catch (error) {
+            this.errorHandler.logError('ProjectorManager._restoreRemoteDisplay', error);
+            this._provideFeedback('warning', '⚠️ Projector display came back but did not answer');
+        }
     }
 
     async _waitForWindowLoad() {
-        return new Promise((resolve, reject) => {
-            const timeout = setTimeout(() => {
-                reject(new Error('Projector window load timeout'));
-            }, 10000);
+        // Handshake: resolves once the page answers, with its resolution and capabilities
+        this.displayInfo = await this.channel.connect(10000);
+        return this.displayInfo;
+    }
 
-            const checkLoad = () => {
-                try {
-                    if (this.projectorWindow.document && this.projectorWindow.document.readyState === 'complete') {
-                        clearTimeout(timeout);
-                        resolve();
-                    } else {
-                        setTimeout(checkLoad, 100);
-                    }
-                } catch (error) {
-                    // Cross-origin issues are expected with data URLs
-                    clearTimeout(timeout);
-                    resolve();
-                }
-            };
+    async _detectViaDisplayInfo() {
+        // The display page reports its own viewport, wherever it runs
+        if (!this.channel || !this.channel.isConnected) return null;
 
-            checkLoad();
-        });
+        const info = await this.channel.request(MESSAGE_TYPES.PING);
+        if (!info || !info.resolution || !info.resolution.width) return null;
+
+        return {
+            width: info.resolution.width,
+            height: info.resolution.height,
+            method: 'Display report'
+        };
     }
 
     async _detectViaScreenAPI() {
@@ -724,17 +941,17 @@ export class ProjectorManager {
     }
 
     async _generatePattern(patternType, options) {
-        const patterns = {
-            'test-grid': this._generateTestGrid(options),
-            'checkerboard': this._generateCheckerboard(options),
-            'white': this._generateSolidColor('#FFFFFF'),
-            'black': this._generateSolidColor('#000000'),
-            'red': this._generateSolidColor('#FF0000'),
-            'green': this._generateSolidColor('#00FF00'),
-            'blue': this._generateSolidColor('#0000FF')
+        const generators = {
+            'test-grid': () => this._generateTestGrid(options),
+            'checkerboard': () => this._generateCheckerboard(options),
+            'white': () => this._generateSolidColor('#FFFFFF'),
+            'black': () => this._generateSolidColor('#000000'),
+            'red': () => this._generateSolidColor('#FF0000'),
+            'green': () => this._generateSolidColor('#00FF00'),
+            'blue': () => this._generateSolidColor('#0000FF')
         };
 
-        return patterns[patternType] || patterns['test-grid'];
+        return (generators[patternType] || generators['test-grid'])();
     }
 
     _generateTestGrid(options = {}) {
@@ -746,30 +963,33 @@ export class ProjectorManager {
         };
 
         const grid = gridSizes[size];
+        const cell = 40;
+        const gap = 2;
+        const padding = 20;
+
+        const { canvas, ctx } = this._createPatternCanvas('#000000');
+        const gridWidth = grid.cols * (cell + gap) - gap + 2 * padding;
+        const gridHeight = grid.rows * (cell + gap) - gap + 2 * padding;
+        const left = Math.round((canvas.width - gridWidth) / 2);
+        const top = Math.round((canvas.height - gridHeight) / 2);
+
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillRect(left, top, gridWidth, gridHeight);
+
+        ctx.fillStyle = '#000000';
+        for (let row = 0; row < grid.rows; row++) {
+            for (let col = 0; col < grid.cols; col++) {
+                if ((row + col) % 2) {
+                    ctx.fillRect(
+                        left + padding + col * (cell + gap),
+                        top + padding + row * (cell + gap),
+                        cell, cell
+                    );
+                }
+            }
+        }
 
-        return {
-            type: 'test-grid',
-            html: `
-                <div class="grid-pattern" style="
-                    display: grid;
-                    grid-template-columns: repeat(${grid.cols}, 40px);
-                    grid-template-rows: repeat(${grid.rows}, 40px);
-                    gap: 2px;
-                    background: white;
-                    padding: 20px;
-                    border-radius: 10px;
-                ">
-                    ${Array(grid.rows * grid.cols).fill().map((_, i) =>
-                        `<div class="grid-cell" style="
-                            background: ${(Math.floor(i / grid.cols) + i) % 2 ? '#000' : '#FFF'};
-                            width: 40px;
-                            height: 40px;
-                        "></div>`
-                    ).join('')}
-                </div>
-            `,
-            metadata: { rows: grid.rows, cols: grid.cols, size }
-        };
+        return PatternTransfer.fromCanvas(canvas, { type: 'test-grid', rows: grid.rows, cols: grid.cols, size });
     }
 
     _generateCheckerboard(options = {}) {
@@ -777,77 +997,186 @@ export class ProjectorManager {
         const rows = options.rows || 8;
         const cols = options.cols || 8;
 
-        return {
-            type: 'checkerboard',
-            html: `
-                <div style="
-                    display: grid;
-                    grid-template-columns: repeat(${cols}, ${squareSize}px);
-                    grid-template-rows: repeat(${rows}, ${squareSize}px);
-                    border: 2px solid #333;
-                ">
-                    ${Array(rows * cols).fill().map((_, i) =>
-                        `<div style="
-                            background: ${(Math.floor(i / cols) + i) % 2 ? '#000' : '#FFF'};
-                            width: ${squareSize}px;
-                            height: ${squareSize}px;
-                        "></div>`
-                    ).join('')}
-                </div>
-            `,
-            metadata: { rows, cols, squareSize }
-        };
+        const { canvas, ctx } = this._createPatternCanvas('#000000');
+        const left = Math.round((canvas.width - cols * squareSize) / 2);
+        const top = Math.round((canvas.height - rows * squareSize) / 2);
+
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                ctx.fillStyle = (row + col) % 2 ? '#000000' : '#FFFFFF';
+                ctx.fillRect(left + col * squareSize, top + row * squareSize, squareSize, squareSize);
+            }
+        }
+
+        return PatternTransfer.fromCanvas(canvas, { type: 'checkerboard', rows, cols, squareSize });
     }
 
     _generateSolidColor(color) {
+        const { canvas } = this._createPatternCanvas(color);
+        return PatternTransfer.fromCanvas(canvas, { type: 'solid-color', color });
+    }
+
+    _createPatternCanvas(background) {
+        // Patterns are drawn at the projector's resolution so they reach it pixel for pixel
+        const resolution = this.detectedResolution || { width: 1920, height: 1080 };
+        const canvas = document.createElement('canvas');
+        canvas.width = resolution.width;
+        canvas.height = resolution.height;
+
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        return { canvas, ctx };
+    }
+
+    _generateFlash(color, resolution) {
+        const canvas = document.createElement('canvas');
+        canvas.width = resolution.width;
+        canvas.height = resolution.height;
+
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = color;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        return PatternTransfer.fromCanvas(canvas, { type: 'latency-flash', color });
+    }
+
+    async _measureFlashLevel(video, flash, duration) {
+        await this._sendPatternToProjector(flash);
+        await new Promise(resolve => setTimeout(resolve, duration));
+
+        const levels = [];
+        for (let i = 0; i < 3; i++) {
+            await new Promise(resolve => SequencePlayer.requestVideoFrame(video, resolve));
+            levels.push(this._sampleCameraLevel(video));
+        }
+
+        return levels.reduce((sum, level) => sum + level, 0) / levels.length;
+    }
+
+    _waitForCameraLevel(video, isReached, since, timeout) {
+        return new Promise((resolve, reject) => {
+            let done = false;
+            const timer = setTimeout(() => {
+                done = true;
+                reject(new Error('Camera did not see the flash in time'));
+            }, timeout);
+
+            const onFrame = (now, metadata) => {
+                if (done) return;
+
+                // Frames taken before the switch was requested cannot show it
+                const { timestamp } = SequencePlayer.frameTimestamp(now, metadata);
+                if (timestamp >= since && isReached(this._sampleCameraLevel(video))) {
+                    done = true;
+                    clearTimeout(timer);
+                    resolve(timestamp);
+                    return;
+                }
+
+                SequencePlayer.requestVideoFrame(video, onFrame);
+            };
+
+            SequencePlayer.requestVideoFrame(video, onFrame);
+        });
+    }
+
+    _sampleCameraLevel(video) {
+        // Mean brightness of a downscaled frame is enough to see a full-screen flash
+        if (!this.latencyCanvas) {
+            this.latencyCanvas = document.createElement('canvas');
+            this.latencyCanvas.width = 32;
+            this.latencyCanvas.height = 24;
+        }
+
+        const ctx = this.latencyCanvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(video, 0, 0, 32, 24);
+        const data = ctx.getImageData(0, 0, 32, 24).data;
+
+        let sum = 0;
+        for (let i = 0; i < data.length; i += 4) {
+            sum += (data[i] + data[i + 1] + data[i + 2]) / 3;
+        }
+
+        return sum / (data.length / 4);
+    }
+
+    _summarizeLatency(samples) {
+        // A camera frame cannot show a switch before it was sent; such samples are timing errors
+        const valid = samples.filter(sample => Number.isFinite(sample.latency) && sample.latency >= 0);
+        if (valid.length === 0) {
+            throw new Error('No valid latency samples; camera frame timestamps precede the pattern switches');
+        }
+
+        const latencies = valid.map(sample => sample.latency);
+        const mean = latencies.reduce((sum, value) => sum + value, 0) / latencies.length;
+        const variance = latencies.reduce((sum, value) => sum + (value - mean) ** 2, 0) / latencies.length;
+        const jitter = Math.sqrt(variance);
+        const ackDelay = valid.reduce((sum, sample) => sum + sample.ackDelay, 0) / valid.length;
+        const round = value => Math.round(value * 10) / 10;
+
         return {
-            type: 'solid-color',
-            html: `
-                <div style="
-                    width: 100vw;
-                    height: 100vh;
-                    background: ${color};
-                    display: flex;
-                    align-items: center;
-                    justify-content: center;
-                    color: ${color === '#000000' ? 'white' : 'black'};
-                    font-size: 2em;
-                    font-weight: bold;
-                ">
-                    ${color.toUpperCase()}
-                </div>
-            `,
-            metadata: { color }
+            mean: round(mean),
+            jitter: round(jitter),
+            min: round(Math.min(...latencies)),
+            max: round(Math.max(...latencies)),
+            ackDelay: round(ackDelay),
+            // Frames taken this long after the switch show the new pattern in nearly every case.
+            // Sequences count it from the later presentation ack, which only adds margin.
+            settleDelay: Math.ceil(mean + 3 * jitter),
+            transitions: valid.length,
+            rejected: samples.length - valid.length,
+            measuredAt: new Date().toISOString()
         };
     }
 
-    async _sendPatternToProjector(patternData) {
-        if (!this.projectorWindow || this.projectorWindow.closed) {
+    async _sendPatternToProjector(patternData, options = {}) {
+        if (!this._isDisplayAvailable()) {
             throw new Error('Projector window not available');
         }
 
-        return new Promise((resolve, reject) => {
-            const timeout = setTimeout(() => {
-                reject(new Error('Pattern projection timeout'));
-            }, 5000);
-
-            // Listen for confirmation
-            const messageHandler = (event) => {
-                if (event.source === this.projectorWindow && event.data.type === 'pattern-projected') {
-                    clearTimeout(timeout);
-                    window.removeEventListener('message', messageHandler);
-                    resolve(event.data);
-                }
+        // Generated patterns go as exact pixels; canvases cannot be sent as they are
+        const converted = !!patternData.canvas;
+        const pattern = converted ? PatternTransfer.fromPattern(patternData) : patternData;
+
+        // Pixels converted here (or handed over with options.transfer) are moved to a local window instead of copied.
+        // Remote displays always get copies, which keeps lastPattern sendable when they reload.
+        const transfer = (converted || options.transfer) && !this.remoteTransport
+            ? PatternTransfer.getTransferables(pattern)
+            : [];
+
+        // Resolves with the display's acknowledgement, rejects on error or timeout
+        const result = await this.channel.request(MESSAGE_TYPES.DISPLAY_PATTERN, { pattern }, { transfer });
+
+        if (PatternTransfer.isPixelPattern(pattern)) {
+            PatternTransfer.verifyAck(pattern, result);
+            this.displayedFrame = {
+                frameId: result.frameId,
+                checksum: result.checksum,
+                pixelExact: result.pixelExact,
+                acknowledgedAt: Date.now()
             };
+        }
 
-            window.addEventListener('message', messageHandler);
+        // A pattern whose pixels were moved is empty and cannot be sent again
+        this.lastPattern = transfer.length === 0 ? pattern : null;
+        return result;
+    }
 
-            // Send pattern to projector
-            this.projectorWindow.postMessage({
-                type: 'project-pattern',
-                pattern: patternData
-            }, '*');
-        });
+    _trackSequence(result) {
+        // Remember the last pattern the display acknowledged during the sequence
+        const last = result.stack && result.stack[result.stack.length - 1];
+        if (last) {
+            this.displayedFrame = {
+                frameId: last.frameId,
+                checksum: last.checksum,
+                pixelExact: last.pixelExact,
+                acknowledgedAt: Date.now()
+            };
+        }
+
+        return result;
     }
 
     async _assessProjectionQuality(patternType) {
@@ -970,6 +1299,29 @@ export class ProjectorManager {
     }
 
     _handleProjectorMessage(data) {
+        if (data.type === MESSAGE_TYPES.FULLSCREEN_CHANGED) {
+            this.isFullscreen = data.fullscreen;
+        }
+
+        if (this.remoteTransport) {
+            // Remote displays may reload; pick them up again when they announce themselves
+            if (data.type === MESSAGE_TYPES.WINDOW_CLOSED) {
+                this.isProjectorActive = false;
+                this._updateStatus('reconnecting', 'Projector display went away, waiting for it to return...');
+            } else if (data.type === MESSAGE_TYPES.READY && this.channel.isConnected) {
+                this._restoreRemoteDisplay();
+            }
+        } else if (data.type === MESSAGE_TYPES.WINDOW_CLOSED) {
+            // The page also unloads on reload; only a closed window ends the session
+            const projectorWindow = this.projectorWindow;
+            setTimeout(() => {
+                if (projectorWindow && projectorWindow === this.projectorWindow && projectorWindow.closed) {
+                    this.isProjectorActive = false;
+                    this._updateStatus('closed', 'Projector window closed');
+                }
+            }, 500);
+        }
+
         if (this.patternCallback) {
             this.patternCallback(data);
         }
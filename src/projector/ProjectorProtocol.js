@@ -0,0 +1,568 @@
+/**
+ * ProjectorProtocol - Versioned messaging between projector controllers and display windows
+ * Every message carries an id; requests are acknowledged or time out, and only trusted origins are accepted
+ * Messages travel over a transport (postMessage, BroadcastChannel or WebSocket relay) and are addressed by endpoint id
+ */
+
+import {
+    ProjectorTransport,
+    PostMessageTransport,
+    BroadcastChannelTransport,
+    WebSocketTransport
+} from './ProjectorTransports.js';
+
+export const PROTOCOL_NAME = 'natar-projector';
+export const PROTOCOL_VERSION = 1;
+
+// Page the managers open as projector window; bundlers resolve and emit new URL(..., import.meta.url) references
+export const DISPLAY_PAGE_URL = new URL('../../public/projector-display.html', import.meta.url).href;
+
+export const MESSAGE_TYPES = {
+    // Controller -> display, acknowledged
+    HELLO: 'hello',
+    DISPLAY_PATTERN: 'display-pattern',
+    CLEAR_PATTERN: 'clear-pattern',
+    TOGGLE_FULLSCREEN: 'toggle-fullscreen',
+    SET_STATUS: 'set-status',
+    PING: 'ping',
+
+    // Discovery, not acknowledged: controllers ask, displays answer
+    DISCOVER: 'discover',
+    ANNOUNCE: 'announce',
+
+    // Display -> controller, not acknowledged
+    READY: 'ready',
+    FULLSCREEN_CHANGED: 'fullscreen-changed',
+    PATTERN_CLEARED: 'pattern-cleared',
+    WINDOW_CLOSED: 'window-closed',
+    ERROR: 'error',
+
+    // Reply to any request
+    ACK: 'ack'
+};
+
+// Types any endpoint may receive before it is bound to a peer
+const OPEN_TYPES = [MESSAGE_TYPES.HELLO, MESSAGE_TYPES.DISCOVER, MESSAGE_TYPES.ANNOUNCE];
+
+const DISPLAY_ID_KEY = 'natar-projector-display-id';
+const LAST_DISPLAY_KEY = 'natar-projector-last-display';
+
+export class ProjectorChannel {
+    /**
+     * transport is a ProjectorTransport, or a window for the default postMessage transport
+     */
+    constructor(transport = null, options = {}) {
+        this.settings = {
+            timeout: 5000,
+            role: 'controller', // 'controller' or 'display'
+            ...options
+        };
+
+        this.transport = transport instanceof ProjectorTransport
+            ? transport
+            : new PostMessageTransport(transport, options);
+
+        // Endpoint ids: messages are addressed to the peer once the handshake bound it
+        this.id = options.id || ProjectorChannel._generateId();
+        this.peerId = options.peerId || null;
+
+        this.pending = new Map();
+        this.handlers = new Map();
+        this.isOpen = true;
+        this.isConnected = false;
+        this.lastMessageAt = null;
+        this.transportStatus = this.transport.status;
+        this.wasDropped = false;
+
+        // Display side: called when a controller completes the handshake
+        this.onConnect = null;
+
+        // Called with the transport status ('connected', 'reconnecting', ...)
+        this.onStatusChange = null;
+
+        // Controller side: called with the display info after an automatic re-handshake
+        this.onReconnect = null;
+
+        this.transport.onMessage = (data) => this._handleMessage(data);
+        this.transport.onStatusChange = (status) => this._handleStatus(status);
+
+        this.opening = this.transport.open();
+        this.opening.catch(error => console.warn('Projector transport failed to open:', error.message));
+    }
+
+    /**
+     * Build a protocol message
+     */
+    static createMessage(type, payload = {}, options = {}) {
+        return {
+            protocol: PROTOCOL_NAME,
+            version: PROTOCOL_VERSION,
+            id: options.id || ProjectorChannel._generateId(),
+            type,
+            payload,
+            source: options.source || null,
+            target: options.target || null,
+            expectsAck: !!options.expectsAck,
+            replyTo: options.replyTo || null,
+            timestamp: Date.now()
+        };
+    }
+
+    /**
+     * Create a transport from options
+     * { transport: 'postMessage', target } | { transport: 'broadcast', channelName } | { transport: 'websocket', url, room }
+     */
+    static createTransport(options = {}) {
+        switch (options.transport || 'postMessage') {
+            case 'postMessage':
+                return new PostMessageTransport(options.target || null, options);
+            case 'broadcast':
+                return new BroadcastChannelTransport(options.channelName || PROTOCOL_NAME);
+            case 'websocket':
+                if (!options.url) {
+                    throw new Error('WebSocket transport requires a relay url');
+                }
+                return new WebSocketTransport(options.url, {
+                    room: options.room || 'default',
+                    waitForRelay: !!options.waitForRelay
+                });
+            default:
+                throw new Error(`Unknown projector transport: ${options.transport}`);
+        }
+    }
+
+    /**
+     * Read transport options from a page URL
+     * ?transport=broadcast or ?transport=websocket&relay=ws://host:8787&room=lab
+     */
+    static transportOptionsFromURL(search = window.location.search) {
+        const params = new URLSearchParams(search);
+        const options = { transport: params.get('transport') || 'postMessage' };
+
+        if (params.get('relay')) options.url = params.get('relay');
+        if (params.get('room')) options.room = params.get('room');
+        if (params.get('channel')) options.channelName = params.get('channel');
+        if (params.get('display')) options.displayId = params.get('display');
+
+        return options;
+    }
+
+    /**
+     * Id of this display, kept for the tab so a reloaded display is found again
+     */
+    static getDisplayId() {
+        try {
+            let id = sessionStorage.getItem(DISPLAY_ID_KEY);
+            if (!id) {
+                id = ProjectorChannel._generateId();
+                sessionStorage.setItem(DISPLAY_ID_KEY, id);
+            }
+            return id;
+        } catch (error) {
+            return ProjectorChannel._generateId();
+        }
+    }
+
+    /**
+     * Display a controller was last connected to, so a reloaded control page can reattach
+     */
+    static getLastDisplay() {
+        try {
+            return JSON.parse(localStorage.getItem(LAST_DISPLAY_KEY));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static rememberDisplay(options, displayId) {
+        try {
+            const { transport, url, room, channelName } = options;
+            localStorage.setItem(LAST_DISPLAY_KEY, JSON.stringify({ transport, url, room, channelName, displayId }));
+        } catch (error) {
+            console.warn('Could not remember projector display:', error.message);
+        }
+    }
+
+    /**
+     * Find a display over a BroadcastChannel or WebSocket transport and connect to it
+     * Prefers options.displayId, then the last display used with the same transport, then an idle one.
+     */
+    static async connectToDisplay(options = {}) {
+        const channel = new ProjectorChannel(ProjectorChannel.createTransport(options), options);
+
+        try {
+            await channel.open();
+
+            const last = ProjectorChannel.getLastDisplay();
+            const preferredId = options.displayId ||
+                (last && last.transport === options.transport ? last.displayId : null);
+
+            const displays = await channel.discover(options.discoveryTimeout || 1000);
+            const display = displays.find(d => d.displayId === preferredId) ||
+                displays.find(d => !d.controlled) ||
+                displays[0];
+
+            if (!display) {
+                throw new Error('No projector display found');
+            }
+
+            channel.peerId = display.displayId;
+            const info = await channel.connect(options.connectTimeout || 5000);
+            ProjectorChannel.rememberDisplay(options, display.displayId);
+
+            return { channel, displayInfo: info, displays };
+
+        } catch (error) {
+            channel.close();
+            throw error;
+        }
+    }
+
+    /**
+     * Channel for a display page
+     * Talks to the opener by default, or over options.transport so controllers can find it again.
+     * Handles hello/ping/discovery and reports fullscreen changes and closing; patterns are left to the page.
+     */
+    static forDisplay(getInfo = () => ({}), options = {}) {
+        const transport = options.transport && options.transport !== 'postMessage'
+            ? ProjectorChannel.createTransport({ waitForRelay: true, ...options })
+            : new PostMessageTransport(window.opener, options);
+        const channel = new ProjectorChannel(transport, {
+            ...options,
+            role: 'display',
+            id: options.displayId || ProjectorChannel.getDisplayId()
+        });
+
+        const describe = () => ({
+            displayId: channel.id,
+            controlled: !!channel.peerId,
+            transport: options.transport || 'postMessage',
+            resolution: { width: window.innerWidth, height: window.innerHeight },
+            fullscreen: !!document.fullscreenElement,
+            ...getInfo()
+        });
+        const notify = (type, payload) => {
+            if (channel.transport.isConnected()) {
+                channel.send(type, payload);
+            }
+        };
+
+        channel.on(MESSAGE_TYPES.HELLO, (payload, message) => {
+            // The latest controller to say hello takes over, e.g. after reloading the control page
+            channel.peerId = message.source;
+            channel.isConnected = true;
+            if (channel.onConnect) channel.onConnect();
+            return describe();
+        });
+        channel.on(MESSAGE_TYPES.PING, () => ({ ...describe(), time: Date.now() }));
+        channel.on(MESSAGE_TYPES.DISCOVER, (payload, message) => {
+            channel.send(MESSAGE_TYPES.ANNOUNCE, describe(), { target: message.source });
+        });
+
+        document.addEventListener('fullscreenchange', () => notify(MESSAGE_TYPES.FULLSCREEN_CHANGED, describe()));
+        window.addEventListener('beforeunload', () => notify(MESSAGE_TYPES.WINDOW_CLOSED));
+
+        channel.describe = describe;
+        channel.opening
+            .then(() => notify(MESSAGE_TYPES.READY, describe()))
+            .catch(() => {});
+
+        return channel;
+    }
+
+    /**
+     * Check that data is a protocol message this version understands
+     */
+    static parseMessage(data) {
+        if (!data || typeof data !== 'object' || data.protocol !== PROTOCOL_NAME) {
+            return { valid: false, error: 'Not a projector protocol message' };
+        }
+        if (data.version !== PROTOCOL_VERSION) {
+            return { valid: false, error: `Unsupported protocol version ${data.version} (expected ${PROTOCOL_VERSION})` };
+        }
+        if (typeof data.type !== 'string' || typeof data.id !== 'string') {
+            return { valid: false, error: 'Message type and id are required' };
+        }
+
+        return { valid: true, message: data };
+    }
+
+    /**
+     * Resolves once the transport can send
+     */
+    open() {
+        return this.opening;
+    }
+
+    /**
+     * Change the window messages are exchanged with (e.g. after reopening it)
+     * Only for the postMessage transport.
+     */
+    setTarget(target) {
+        if (!(this.transport instanceof PostMessageTransport)) {
+            throw new Error('setTarget() requires the postMessage transport');
+        }
+
+        this.transport.setTarget(target);
+        this.peerId = null;
+        this.isConnected = false;
+        this._rejectPending(new Error('Projector window changed'));
+    }
+
+    /**
+     * Send a one-way event, to the bound peer unless options.target is given
+     * options.transfer lists ArrayBuffers to move rather than copy (postMessage only).
+     */
+    send(type, payload = {}, options = {}) {
+        const message = this._createMessage(type, payload, options);
+        this._post(message, options.transfer);
+        return message.id;
+    }
+
+    /**
+     * Send a request and wait for its acknowledgement
+     * Resolves with the handler result, rejects on error acks (error.remote) and timeouts (error.timeout).
+     * options: { timeout, transfer }
+     */
+    request(type, payload = {}, options = {}) {
+        const message = this._createMessage(type, payload, { expectsAck: true });
+        const timeout = options.timeout || this.settings.timeout;
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(message.id);
+                const error = new Error(`Projector ${type} timeout after ${timeout} ms`);
+                error.timeout = true;
+                reject(error);
+            }, timeout);
+
+            this.pending.set(message.id, { resolve, reject, timer, type });
+
+            try {
+                this._post(message, options.transfer);
+            } catch (error) {
+                clearTimeout(timer);
+                this.pending.delete(message.id);
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * Handshake with the display, retrying until it answers
+     * The display may still be loading (or the relay reconnecting) when the first hello is sent.
+     */
+    async connect(timeout = 10000, retryInterval = 250) {
+        const deadline = Date.now() + timeout;
+
+        while (this.isOpen) {
+            const remaining = deadline - Date.now();
+            if (remaining <= 0) break;
+
+            try {
+                const info = await this.request(MESSAGE_TYPES.HELLO, {}, { timeout: Math.min(retryInterval, remaining) });
+                this.isConnected = true;
+                if (info && info.displayId) {
+                    this.peerId = info.displayId;
+                }
+                return info;
+            } catch (error) {
+                if (error.remote) throw error;
+                if (!error.timeout) {
+                    // Transport not ready yet; wait before the next attempt
+                    await new Promise(resolve => setTimeout(resolve, Math.min(retryInterval, remaining)));
+                }
+            }
+        }
+
+        const error = new Error('Projector window load timeout');
+        error.timeout = true;
+        throw error;
+    }
+
+    /**
+     * Ask every reachable display to announce itself
+     * Resolves after timeout ms with the announced display infos.
+     */
+    async discover(timeout = 1000) {
+        await this.open();
+
+        const displays = new Map();
+        const previous = this.handlers.get(MESSAGE_TYPES.ANNOUNCE);
+
+        this.on(MESSAGE_TYPES.ANNOUNCE, (payload, message) => {
+            displays.set(message.source, { ...payload, displayId: message.source });
+            if (previous) previous(payload, message);
+        });
+
+        try {
+            this.send(MESSAGE_TYPES.DISCOVER, {}, { target: null });
+            await new Promise(resolve => setTimeout(resolve, timeout));
+        } finally {
+            if (previous) {
+                this.on(MESSAGE_TYPES.ANNOUNCE, previous);
+            } else {
+                this.off(MESSAGE_TYPES.ANNOUNCE);
+            }
+        }
+
+        return [...displays.values()];
+    }
+
+    /**
+     * Register the handler for a message type
+     * For requests, its return value (or promise) becomes the acknowledgement.
+     */
+    on(type, handler) {
+        this.handlers.set(type, handler);
+    }
+
+    /**
+     * Remove the handler for a message type
+     */
+    off(type) {
+        this.handlers.delete(type);
+    }
+
+    /**
+     * Stop listening and fail outstanding requests
+     */
+    close() {
+        this.isOpen = false;
+        this.isConnected = false;
+        this.transport.close();
+        this._rejectPending(new Error('Projector channel closed'));
+    }
+
+    // Private methods
+
+    static _generateId() {
+        if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+            return crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    _createMessage(type, payload, options = {}) {
+        return ProjectorChannel.createMessage(type, payload, {
+            id: options.id,
+            expectsAck: options.expectsAck,
+            replyTo: options.replyTo,
+            source: this.id,
+            target: 'target' in options ? options.target : this.peerId
+        });
+    }
+
+    _post(message, transfer = []) {
+        this.transport.send(message, transfer);
+    }
+
+    _isForUs(data) {
+        if (data.source && data.source === this.id) return false;
+        if (data.target && data.target !== this.id) return false;
+
+        // Bound endpoints only listen to their peer, apart from handshake and discovery
+        return !this.peerId || data.source === this.peerId || OPEN_TYPES.includes(data.type);
+    }
+
+    async _handleMessage(data) {
+        if (!data || typeof data !== 'object' || data.protocol !== PROTOCOL_NAME) return;
+        if (!this._isForUs(data)) return;
+
+        const parsed = ProjectorChannel.parseMessage(data);
+        if (!parsed.valid) {
+            // Tell versioned peers why their request was refused
+            if (data.expectsAck && data.id) {
+                this._reply(data, { ok: false, error: parsed.error });
+            }
+            return;
+        }
+
+        const message = parsed.message;
+        this.lastMessageAt = Date.now();
+
+        if (message.type === MESSAGE_TYPES.ACK) {
+            this._resolvePending(message);
+            return;
+        }
+
+        const handler = this.handlers.get(message.type);
+
+        if (!message.expectsAck) {
+            if (handler) handler(message.payload, message);
+            return;
+        }
+
+        if (!handler) {
+            this._reply(message, { ok: false, error: `Unsupported message type: ${message.type}` });
+            return;
+        }
+
+        try {
+            const result = await handler(message.payload, message);
+            this._reply(message, { ok: true, result: result === undefined ? null : result });
+        } catch (error) {
+            this._reply(message, { ok: false, error: error.message });
+        }
+    }
+
+    _handleStatus(status) {
+        if (status === 'reconnecting') {
+            this.wasDropped = true;
+        }
+        const reconnected = status === 'connected' && this.wasDropped;
+        if (reconnected) {
+            this.wasDropped = false;
+        }
+        this.transportStatus = status;
+
+        if (this.onStatusChange) {
+            this.onStatusChange(status);
+        }
+
+        if (!reconnected || !this.isOpen) return;
+
+        if (this.settings.role === 'display') {
+            // Let controllers know the display is back
+            this.send(MESSAGE_TYPES.READY, this.describe ? this.describe() : {});
+        } else if (this.isConnected) {
+            this.connect()
+                .then(info => {
+                    if (this.onReconnect) this.onReconnect(info);
+                })
+                .catch(error => console.warn('Projector re-handshake failed:', error.message));
+        }
+    }
+
+    _reply(request, payload) {
+        try {
+            this._post(this._createMessage(MESSAGE_TYPES.ACK, payload, { replyTo: request.id, target: request.source }));
+        } catch (error) {
+            console.warn('Could not acknowledge projector message:', error.message);
+        }
+    }
+
+    _resolvePending(ack) {
+        const pending = this.pending.get(ack.replyTo);
+        if (!pending) return;
+
+        clearTimeout(pending.timer);
+        this.pending.delete(ack.replyTo);
+
+        if (ack.payload && ack.payload.ok) {
+            pending.resolve(ack.payload.result);
+        } else {
+            const error = new Error(ack.payload?.error || `Projector ${pending.type} failed`);
+            error.remote = true;
+            pending.reject(error);
+        }
+    }
+
+    _rejectPending(error) {
+        this.pending.forEach(pending => {
+            clearTimeout(pending.timer);
+            pending.reject(error);
+        });
+        this.pending.clear();
+    }
+}
\ No newline at end of file
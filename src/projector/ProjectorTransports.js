@@ -0,0 +1,297 @@
+/**
+ * ProjectorTransports - Ways to carry projector protocol messages between controller and display
+ * postMessage needs the window handle, BroadcastChannel survives reloads on one machine,
+ * WebSocket reaches a display on another machine through the relay server
+ */
+
+export class ProjectorTransport {
+    constructor() {
+        // Set by the channel
+        this.onMessage = null;
+        this.onStatusChange = null;
+        this.status = 'disconnected';
+    }
+
+    /**
+     * Start receiving; resolves when messages can be sent
+     */
+    async open() {
+        this._setStatus('connected');
+    }
+
+    /**
+     * Send one protocol message
+     * transfer lists ArrayBuffers the transport may move instead of copying.
+     */
+    send() {
+        throw new Error('send() not implemented');
+    }
+
+    /**
+     * Whether messages can be sent right now
+     */
+    isConnected() {
+        return this.status === 'connected';
+    }
+
+    /**
+     * Stop receiving and release resources
+     */
+    close() {
+        this._setStatus('closed');
+    }
+
+    // Protected helpers
+
+    _receive(data) {
+        if (this.onMessage) {
+            this.onMessage(data);
+        }
+    }
+
+    _setStatus(status) {
+        if (this.status === status) return;
+
+        this.status = status;
+        if (this.onStatusChange) {
+            this.onStatusChange(status);
+        }
+    }
+}
+
+/**
+ * Window.postMessage to a window opened by (or opening) this page
+ * Only messages from that window and trusted origins are accepted.
+ */
+export class PostMessageTransport extends ProjectorTransport {
+    constructor(target = null, options = {}) {
+        super();
+        this.target = target;
+        this.settings = {
+            allowedOrigins: [window.location.origin],
+            targetOrigin: window.location.origin,
+            ...options
+        };
+
+        this._onWindowMessage = (event) => this._handleWindowMessage(event);
+    }
+
+    async open() {
+        window.addEventListener('message', this._onWindowMessage);
+        this._setStatus(this.isConnected() ? 'connected' : 'disconnected');
+    }
+
+    setTarget(target) {
+        this.target = target;
+        this._setStatus(this.isConnected() ? 'connected' : 'disconnected');
+    }
+
+    send(message, transfer = []) {
+        if (!this.isConnected()) {
+            throw new Error('Projector window not available');
+        }
+
+        this.target.postMessage(message, this.settings.targetOrigin, transfer);
+    }
+
+    isConnected() {
+        return !!this.target && !this.target.closed;
+    }
+
+    close() {
+        window.removeEventListener('message', this._onWindowMessage);
+        super.close();
+    }
+
+    _handleWindowMessage(event) {
+        if (!this.target || event.source !== this.target) return;
+
+        const origins = this.settings.allowedOrigins;
+        if (!origins.includes('*') && !origins.includes(event.origin)) {
+            console.warn('Ignoring projector message from untrusted origin:', event.origin);
+            return;
+        }
+
+        this._receive(event.data);
+    }
+}
+
+/**
+ * BroadcastChannel between pages of the same origin
+ * No window handle is needed, so either side can reload and find the other again.
+ * Binary data is structured-cloned (copied) to every listener.
+ */
+export class BroadcastChannelTransport extends ProjectorTransport {
+    constructor(name = 'natar-projector') {
+        super();
+        this.name = name;
+        this.broadcastChannel = null;
+    }
+
+    async open() {
+        if (typeof BroadcastChannel === 'undefined') {
+            throw new Error('BroadcastChannel is not supported by this browser');
+        }
+
+        this.broadcastChannel = new BroadcastChannel(this.name);
+        this.broadcastChannel.onmessage = (event) => this._receive(event.data);
+        this._setStatus('connected');
+    }
+
+    send(message) {
+        if (!this.broadcastChannel) {
+            throw new Error('Projector broadcast channel not open');
+        }
+
+        this.broadcastChannel.postMessage(message);
+    }
+
+    close() {
+        if (this.broadcastChannel) {
+            this.broadcastChannel.close();
+            this.broadcastChannel = null;
+        }
+        super.close();
+    }
+}
+
+/**
+ * WebSocket through the projector relay (server/projector-relay.js)
+ * Reconnects with exponential backoff until closed. The first connection fails fast
+ * unless waitForRelay is set (displays started before the relay keep trying).
+ * Messages are JSON; ArrayBuffers and typed arrays travel base64-encoded and arrive as ArrayBuffers.
+ */
+export class WebSocketTransport extends ProjectorTransport {
+    constructor(url, options = {}) {
+        super();
+        this.url = url;
+        this.settings = {
+            room: 'default',
+            reconnect: true,
+            reconnectDelay: 500,
+            maxReconnectDelay: 10000,
+            waitForRelay: false,
+            ...options
+        };
+
+        this.socket = null;
+        this.reconnectDelay = this.settings.reconnectDelay;
+        this.reconnectTimer = null;
+        this.isClosed = false;
+        this.hasConnected = false;
+    }
+
+    /**
+     * Resolves on the first successful connection
+     * Later drops are reconnected in the background.
+     */
+    open() {
+        this.isClosed = false;
+
+        return new Promise((resolve, reject) => {
+            const onStatus = this.onStatusChange;
+            this.onStatusChange = (status) => {
+                if (status === 'connected') {
+                    this.onStatusChange = onStatus;
+                    resolve();
+                } else if (status === 'failed') {
+                    this.onStatusChange = onStatus;
+                    reject(new Error(`Could not reach projector relay at ${this.url}`));
+                }
+                if (onStatus) onStatus(status);
+            };
+
+            this._connect();
+        });
+    }
+
+    send(message) {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
+            throw new Error('Projector relay not connected');
+        }
+
+        this.socket.send(JSON.stringify(message, WebSocketTransport._encodeBinary));
+    }
+
+    static _encodeBinary(key, value) {
+        if (!(value instanceof ArrayBuffer) && !ArrayBuffer.isView(value)) {
+            return value;
+        }
+
+        const bytes = value instanceof ArrayBuffer
+            ? new Uint8Array(value)
+            : new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+
+        return { $binary: btoa(binary) };
+    }
+
+    static _decodeBinary(key, value) {
+        if (!value || typeof value !== 'object' || typeof value.$binary !== 'string') {
+            return value;
+        }
+
+        const binary = atob(value.$binary);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+
+        return bytes.buffer;
+    }
+
+    close() {
+        this.isClosed = true;
+        clearTimeout(this.reconnectTimer);
+
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+        }
+        super.close();
+    }
+
+    _connect() {
+        const url = new URL(this.url);
+        url.searchParams.set('room', this.settings.room);
+
+        let opened = false;
+        const socket = new WebSocket(url.href);
+        this.socket = socket;
+        this._setStatus('connecting');
+
+        socket.onopen = () => {
+            opened = true;
+            this.hasConnected = true;
+            this.reconnectDelay = this.settings.reconnectDelay;
+            this._setStatus('connected');
+        };
+
+        socket.onmessage = (event) => {
+            try {
+                this._receive(JSON.parse(event.data, WebSocketTransport._decodeBinary));
+            } catch (error) {
+                console.warn('Ignoring malformed relay message:', error.message);
+            }
+        };
+
+        // Failures are reported through onclose
+        socket.onerror = () => {};
+
+        socket.onclose = () => {
+            if (this.isClosed || this.socket !== socket) return;
+
+            if (!this.settings.reconnect || (!this.hasConnected && !this.settings.waitForRelay)) {
+                this._setStatus(opened ? 'disconnected' : 'failed');
+                return;
+            }
+
+            this._setStatus('reconnecting');
+            this.reconnectTimer = setTimeout(() => this._connect(), this.reconnectDelay);
+            this.reconnectDelay = Math.min(this.reconnectDelay * 2, this.settings.maxReconnectDelay);
+        };
+    }
+}
\ No newline at end of file
@@ -0,0 +1,333 @@
+/**
+ * SequencePlayer - Frame-accurate pattern sequences with synchronized camera capture
+ * Each pattern is shown pixel-exact, confirmed presented by the display, left to settle,
+ * then N camera frames captured after that moment are grabbed
+ */
+
+import { ErrorHandler } from '../utils/ErrorHandler.js';
+import { MESSAGE_TYPES } from './ProjectorProtocol.js';
+import { PatternTransfer } from './PatternTransfer.js';
+
+export class SequencePlayer {
+    constructor(channel, video, options = {}) {
+        this.errorHandler = new ErrorHandler();
+        this.channel = channel;
+        this.video = video;
+
+        this.settings = {
+            framesPerPattern: 1,
+            settleDelay: 100, // ms between presentation and the first usable camera frame
+            presentationTimeout: 5000,
+            frameTimeout: 2000, // Max wait for camera frames once settled
+            ...options
+        };
+
+        // Sequence state; index is the next pattern to play
+        this.patterns = [];
+        this.index = 0;
+        this.stack = [];
+        this.state = 'idle'; // idle, playing, cancelled, completed, failed
+        this.cancelRequested = false;
+        this.abortCapture = null;
+
+        // Frame grabbing
+        this.workCanvas = null;
+
+        // User callbacks
+        this.feedbackCallback = null;
+        this.progressCallback = null;
+    }
+
+    /**
+     * Play patterns from the start
+     * patterns are StructuredLight patterns, canvases, ImageData or pixel patterns.
+     * Resolves with { success, completed, cancelled, stack, nextIndex, ... }; each stack entry is
+     * { index, pattern, imageData, frames, displayedAt, readyAt, ... } and can go straight to decodeGrayCode().
+     */
+    async play(patterns, options = {}) {
+        if (this.state === 'playing') {
+            return { success: false, error: 'Sequence already playing' };
+        }
+
+        this.settings = { ...this.settings, ...options };
+        this.patterns = [...patterns];
+        this.index = 0;
+        this.stack = [];
+
+        this._provideFeedback('info', `🎬 Playing ${this.patterns.length} patterns, ${this.settings.framesPerPattern} frame(s) each`);
+        return this._run();
+    }
+
+    /**
+     * Continue a cancelled or failed sequence with the pattern that was interrupted
+     */
+    async resume() {
+        if (this.state === 'playing') {
+            return { success: false, error: 'Sequence already playing' };
+        }
+        if (this.index >= this.patterns.length) {
+            return { success: false, error: 'Nothing to resume' };
+        }
+
+        this._provideFeedback('info', `▶️ Resuming at pattern ${this.index + 1} of ${this.patterns.length}`);
+        return this._run();
+    }
+
+    /**
+     * Stop after the current step; captures of the interrupted pattern are discarded
+     */
+    cancel() {
+        if (this.state !== 'playing') return;
+
+        this.cancelRequested = true;
+        if (this.abortCapture) {
+            this.abortCapture();
+        }
+    }
+
+    /**
+     * Drive another channel, e.g. after the display reconnected
+     */
+    setChannel(channel) {
+        this.channel = channel;
+    }
+
+    /**
+     * Get current status
+     */
+    getStatus() {
+        return {
+            state: this.state,
+            nextIndex: this.index,
+            total: this.patterns.length,
+            captured: this.stack.length,
+            settleDelay: this.settings.settleDelay,
+            framesPerPattern: this.settings.framesPerPattern
+        };
+    }
+
+    /**
+     * Set callback functions
+     */
+    setCallbacks({ feedbackCallback, progressCallback }) {
+        this.feedbackCallback = feedbackCallback;
+        this.progressCallback = progressCallback;
+    }
+
+    /**
+     * Call back on the next camera frame with (now, metadata)
+     * Falls back to animation frames and a changed media time without requestVideoFrameCallback.
+     */
+    static requestVideoFrame(video, callback) {
+        if (typeof video.requestVideoFrameCallback === 'function') {
+            video.requestVideoFrameCallback(callback);
+            return;
+        }
+
+        const mediaTime = video.currentTime;
+        const poll = (now) => {
+            if (video.currentTime !== mediaTime) {
+                callback(now, { mediaTime: video.currentTime });
+            } else {
+                requestAnimationFrame(poll);
+            }
+        };
+        requestAnimationFrame(poll);
+    }
+
+    /**
+     * Best known time a camera frame was taken, on the performance.now() clock
+     * Capture time when the browser reports it, else when the frame was presented or called back.
+     */
+    static frameTimestamp(now, metadata = {}) {
+        if (metadata.captureTime !== undefined) {
+            return { timestamp: metadata.captureTime, timeSource: 'capture' };
+        }
+        if (metadata.presentationTime !== undefined) {
+            return { timestamp: metadata.presentationTime, timeSource: 'presentation' };
+        }
+        return { timestamp: now, timeSource: 'callback' };
+    }
+
+    // Private methods
+
+    async _run() {
+        this.state = 'playing';
+        this.cancelRequested = false;
+
+        try {
+            while (this.index < this.patterns.length) {
+                if (this.cancelRequested) break;
+
+                const entry = await this._playPattern(this.index);
+                if (this.cancelRequested) break;
+
+                this.stack.push(entry);
+                this.index++;
+
+                if (this.progressCallback) {
+                    this.progressCallback({ index: entry.index, total: this.patterns.length, entry });
+                }
+            }
+
+            if (this.cancelRequested) {
+                return this._finish('cancelled');
+            }
+
+            this._provideFeedback('success', `✅ Sequence complete: ${this.stack.length} patterns captured`);
+            return this._finish('completed');
+
+        } catch (error) {
+            if (this.cancelRequested) {
+                return this._finish('cancelled');
+            }
+
+            this.errorHandler.logError('SequencePlayer.play', error);
+            this._provideFeedback('error', `❌ Sequence stopped at pattern ${this.index + 1}: ${error.message}`);
+            return { ...this._finish('failed'), error: error.message };
+        }
+    }
+
+    _finish(state) {
+        this.state = state;
+        this.abortCapture = null;
+
+        if (state === 'cancelled') {
+            this._provideFeedback('warning', `⏸️ Sequence cancelled at pattern ${this.index + 1} of ${this.patterns.length}`);
+        }
+
+        return {
+            success: state === 'completed',
+            completed: state === 'completed',
+            cancelled: state === 'cancelled',
+            stack: this.stack,
+            nextIndex: this.index,
+            total: this.patterns.length,
+            settleDelay: this.settings.settleDelay,
+            framesPerPattern: this.settings.framesPerPattern
+        };
+    }
+
+    async _playPattern(index) {
+        const source = this.patterns[index];
+        const pattern = PatternTransfer.from(source);
+
+        const ack = await this.channel.request(MESSAGE_TYPES.DISPLAY_PATTERN, { pattern }, {
+            timeout: this.settings.presentationTimeout
+        });
+        PatternTransfer.verifyAck(pattern, ack);
+
+        // cancel() during the request had no capture to abort yet
+        if (this.cancelRequested) {
+            throw new Error('Sequence cancelled');
+        }
+        if (!ack.presented) {
+            throw new Error('Display did not present the pattern; is its window visible?');
+        }
+
+        // The ack arrives after presentation, so its arrival bounds the presentation time on this clock
+        const displayedAt = performance.now();
+        const readyAt = displayedAt + this.settings.settleDelay;
+        const frames = await this._grabFrames(this.settings.framesPerPattern, readyAt);
+
+        return {
+            index,
+            pattern: source,
+            frameId: ack.frameId,
+            checksum: ack.checksum,
+            pixelExact: ack.pixelExact,
+            displayedAt,
+            readyAt,
+            imageData: frames.length === 1 ? frames[0].imageData : this._averageFrames(frames),
+            frames
+        };
+    }
+
+    _grabFrames(count, readyAt) {
+        return new Promise((resolve, reject) => {
+            const frames = [];
+            const waitLimit = readyAt - performance.now() + this.settings.frameTimeout;
+
+            const finish = (error = null) => {
+                clearTimeout(timer);
+                this.abortCapture = null;
+                if (error) reject(error);
+                else resolve(frames);
+            };
+
+            const timer = setTimeout(() => {
+                finish(new Error(`Camera delivered ${frames.length} of ${count} frames in time`));
+            }, waitLimit);
+
+            this.abortCapture = () => finish(new Error('Sequence cancelled'));
+
+            const onFrame = (now, metadata = {}) => {
+                if (!this.abortCapture) return;
+
+                const { timestamp, timeSource } = SequencePlayer.frameTimestamp(now, metadata);
+
+                if (timestamp >= readyAt) {
+                    frames.push({
+                        imageData: this._grabFrame(),
+                        timestamp,
+                        timeSource,
+                        mediaTime: metadata.mediaTime ?? this.video.currentTime,
+                        presentedFrames: metadata.presentedFrames ?? null
+                    });
+
+                    if (frames.length >= count) {
+                        finish();
+                        return;
+                    }
+                }
+
+                SequencePlayer.requestVideoFrame(this.video, onFrame);
+            };
+
+            SequencePlayer.requestVideoFrame(this.video, onFrame);
+        });
+    }
+
+    _grabFrame() {
+        const width = this.video.videoWidth || this.video.width;
+        const height = this.video.videoHeight || this.video.height;
+
+        if (!this.workCanvas) {
+            this.workCanvas = document.createElement('canvas');
+        }
+        if (this.workCanvas.width !== width || this.workCanvas.height !== height) {
+            this.workCanvas.width = width;
+            this.workCanvas.height = height;
+        }
+
+        const ctx = this.workCanvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(this.video, 0, 0, width, height);
+        return ctx.getImageData(0, 0, width, height);
+    }
+
+    _averageFrames(frames) {
+        // Mean of the captured frames reduces camera noise before decoding
+        const { width, height } = frames[0].imageData;
+        const sums = new Uint32Array(width * height * 4);
+
+        frames.forEach(({ imageData }) => {
+            const data = imageData.data;
+            for (let i = 0; i < data.length; i++) {
+                sums[i] += data[i];
+            }
+        });
+
+        const average = new ImageData(width, height);
+        for (let i = 0; i < sums.length; i++) {
+            average.data[i] = Math.round(sums[i] / frames.length);
+        }
+
+        return average;
+    }
+
+    _provideFeedback(type, message) {
+        if (this.feedbackCallback) {
+            this.feedbackCallback(type, message);
+        }
+    }
+}
\ No newline at end of file
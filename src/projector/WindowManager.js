@@ -3,11 +3,18 @@
  * Handles projector window creation, positioning, and fullscreen management
  */
 
+import { ProjectorChannel, MESSAGE_TYPES, DISPLAY_PAGE_URL } from './ProjectorProtocol.js';
+import { PatternTransfer } from './PatternTransfer.js';
+
 export class WindowManager {
     constructor() {
         this.projectorWindow = null;
+        this.channel = null;
+        this.displayInfo = null;
+        this.remoteTransport = null; // Transport options when the display is not a window we opened
         this.isFullscreen = false;
-        this.currentPattern = null;
+        this.currentPattern = null; // Re-sent to a reloaded remote display; null when its pixels were moved
+        this.currentPatternType = null;
         this.windowFeatures = null;
         this.displays = [];
         this.selectedDisplay = null;
@@ -47,9 +54,7 @@ export class WindowManager {
             display: this.selectedDisplay || 1,
             width: 1920,
             height: 1080,
-            title: 'Projector Calibration',
-            backgroundColor: '#1a1a1a',
-            showInstructions: true,
+            url: DISPLAY_PAGE_URL,
             autoFullscreen: false
         };
 
@@ -61,15 +66,18 @@ export class WindowManager {
                 this.projectorWindow.close();
             }
 
+            // A window we open is always driven over postMessage
+            if (this.remoteTransport) {
+                this.remoteTransport = null;
+                this._setupEventListeners();
+            }
+
             // Calculate window features
             this.windowFeatures = this._calculateWindowFeatures(windowOptions);
 
-            // Generate projector HTML content
-            const htmlContent = this._generateProjectorHTML(windowOptions);
-
-            // Open the window
+            // Open the projector display page
             this.projectorWindow = window.open(
-                '',
+                windowOptions.url,
                 'projector_window',
                 this.windowFeatures
             );
@@ -78,13 +86,12 @@ export class WindowManager {
                 throw new Error('Failed to open projector window. Please allow pop-ups for this site.');
             }
 
-            // Write content to window
-            this.projectorWindow.document.open();
-            this.projectorWindow.document.write(htmlContent);
-            this.projectorWindow.document.close();
-
-            // Setup window event handlers
-            this._setupWindowEventHandlers();
+            // Wait for the page to answer the protocol handshake
+            if (!this.channel) {
+                this._setupEventListeners();
+            }
+            this.channel.setTarget(this.projectorWindow);
+            this.displayInfo = await this.channel.connect();
 
             // Auto-detect resolution after window loads
             setTimeout(() => {
@@ -106,6 +113,15 @@ export class WindowManager {
             };
 
         } catch (error) {
+            // A window that never answered the handshake would stay open without being driven
+            if (this.projectorWindow && !this.projectorWindow.closed) {
+                this.projectorWindow.close();
+            }
+            this.projectorWindow = null;
+            if (this.channel && !this.remoteTransport) {
+                this.channel.setTarget(null);
+            }
+
             return {
                 success: false,
                 error: error.message,
@@ -119,6 +135,86 @@ export class WindowManager {
         }
     }
 
+    /**
+     * Find projector displays reachable over a BroadcastChannel or WebSocket relay
+     * options: { transport: 'broadcast' | 'websocket', url, room, channelName, discoveryTimeout }
+     */
+    async discoverDisplays(options = {}) {
+        let channel = null;
+
+        try {
+            channel = new ProjectorChannel(ProjectorChannel.createTransport(options), options);
+            const displays = await channel.discover(options.discoveryTimeout || 1000);
+
+            return {
+                success: true,
+                displays,
+                message: `Found ${displays.length} projector display(s)`
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to discover projector displays'
+            };
+        } finally {
+            if (channel) channel.close();
+        }
+    }
+
+    /**
+     * Drive a display page this manager did not open (another tab, or another machine via the relay)
+     * Without options.displayId the last used display is preferred, then an idle one.
+     */
+    async connectRemoteDisplay(options = {}) {
+        try {
+            if (!options.transport || options.transport === 'postMessage') {
+                throw new Error('Remote displays need the broadcast or websocket transport');
+            }
+
+            const { channel, displayInfo, displays } = await ProjectorChannel.connectToDisplay(options);
+
+            if (this.channel) {
+                this.channel.close();
+            }
+            this.channel = channel;
+            this.remoteTransport = options;
+            this.displayInfo = displayInfo;
+            this.isFullscreen = !!displayInfo.fullscreen;
+            this._bindChannelEvents();
+
+            return {
+                success: true,
+                display: displayInfo,
+                displays,
+                message: `Connected to projector display over ${options.transport}`
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to connect to projector display',
+                troubleshooting: options.transport === 'websocket'
+                    ? ['Start the relay with npm run projector-relay', 'Open the display page with the same relay and room']
+                    : ['Open the display page in this browser with ?transport=broadcast']
+            };
+        }
+    }
+
+    /**
+     * Reattach to the remote display used before this page was reloaded
+     */
+    async reconnectLastDisplay() {
+        const last = ProjectorChannel.getLastDisplay();
+        if (!last || !last.transport || last.transport === 'postMessage') {
+            return { success: false, message: 'No previous remote projector display' };
+        }
+
+        return this.connectRemoteDisplay(last);
+    }
+
     /**
      * Enter fullscreen mode
      */
@@ -203,9 +299,12 @@ export class WindowManager {
 
     /**
      * Display pattern in projector window
+     * Generated patterns (with a canvas) are sent as exact pixels and the
+     * display's checksum is compared with the frame sent.
+     * Pixels converted here are moved to a local window rather than copied; remote displays get copies.
      */
-    displayPattern(patternData) {
-        if (!this.projectorWindow || this.projectorWindow.closed) {
+    async displayPattern(patternData) {
+        if (!this._isDisplayAvailable()) {
             return {
                 success: false,
                 message: 'Projector window is not open'
@@ -213,29 +312,26 @@ export class WindowManager {
         }
 
         try {
-            const patternContainer = this.projectorWindow.document.getElementById('pattern-container');
-            const patternImage = this.projectorWindow.document.getElementById('pattern-image');
-
-            if (patternContainer && patternImage) {
-                patternImage.src = patternData.dataURL;
-                patternContainer.style.display = 'flex';
-
-                // Update pattern info
-                const patternInfo = this.projectorWindow.document.getElementById('pattern-info');
-                if (patternInfo) {
-                    patternInfo.textContent = `Pattern: ${patternData.type}`;
-                }
+            const converted = !!patternData.canvas;
+            const pattern = converted ? PatternTransfer.fromPattern(patternData) : patternData;
+            const transfer = converted && !this.remoteTransport ? PatternTransfer.getTransferables(pattern) : [];
+            const result = await this.channel.request(MESSAGE_TYPES.DISPLAY_PATTERN, { pattern }, { transfer });
 
-                this.currentPattern = patternData;
-
-                return {
-                    success: true,
-                    pattern: patternData.type,
-                    message: `Displaying ${patternData.type} pattern`
-                };
-            } else {
-                throw new Error('Pattern display elements not found in projector window');
+            if (PatternTransfer.isPixelPattern(pattern)) {
+                PatternTransfer.verifyAck(pattern, result);
             }
+            // Moved pixels leave the pattern empty, so only its type is kept
+            this.currentPattern = transfer.length === 0 ? pattern : null;
+            this.currentPatternType = pattern.type;
+
+            return {
+                success: true,
+                pattern: pattern.type,
+                frameId: result?.frameId || null,
+                checksum: result?.checksum || null,
+                pixelExact: result?.pixelExact ?? null,
+                message: `Displaying ${pattern.type} pattern`
+            };
 
         } catch (error) {
             return {
@@ -249,18 +345,15 @@ export class WindowManager {
     /**
      * Clear pattern from projector window
      */
-    clearPattern() {
-        if (!this.projectorWindow || this.projectorWindow.closed) {
+    async clearPattern() {
+        if (!this._isDisplayAvailable()) {
             return { success: false, message: 'Projector window is not open' };
         }
 
         try {
-            const patternContainer = this.projectorWindow.document.getElementById('pattern-container');
-            if (patternContainer) {
-                patternContainer.style.display = 'none';
-            }
-
+            await this.channel.request(MESSAGE_TYPES.CLEAR_PATTERN);
             this.currentPattern = null;
+            this.currentPatternType = null;
 
             return {
                 success: true,
@@ -280,13 +373,15 @@ export class WindowManager {
      * Get current window status
      */
     getStatus() {
-        const isOpen = this.projectorWindow && !this.projectorWindow.closed;
+        const isOpen = this._isDisplayAvailable();
 
         return {
             isOpen: isOpen,
             isFullscreen: this.isFullscreen,
-            currentPattern: this.currentPattern?.type || null,
+            currentPattern: this.currentPatternType,
             resolution: isOpen ? this._getWindowResolution() : null,
+            transport: this.remoteTransport ? this.remoteTransport.transport : 'postMessage',
+            displayId: this.channel ? this.channel.peerId : null,
             displays: this.displays
         };
     }
@@ -295,11 +390,28 @@ export class WindowManager {
      * Close projector window
      */
     closeWindow() {
+        if (this.remoteTransport) {
+            // The display page stays open; just let go of it
+            this.channel.close();
+            this.channel = null;
+            this.remoteTransport = null;
+            this.displayInfo = null;
+            this.isFullscreen = false;
+            this.currentPattern = null;
+            this.currentPatternType = null;
+
+            return {
+                success: true,
+                message: 'Disconnected from projector display'
+            };
+        }
+
         if (this.projectorWindow && !this.projectorWindow.closed) {
             this.projectorWindow.close();
             this.projectorWindow = null;
             this.isFullscreen = false;
             this.currentPattern = null;
+            this.currentPatternType = null;
 
             return {
                 success: true,
@@ -398,254 +510,85 @@ export class WindowManager {
         ].join(',');
     }
 
-    _generateProjectorHTML(options) {
-        return `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${options.title}</title>
-    <style>
-        * {
-            margin: 0;
-            padding: 0;
-            box-sizing: border-box;
-        }
-
-        body {
-            background-color: ${options.backgroundColor};
-            color: white;
-            font-family: Arial, sans-serif;
-            overflow: hidden;
-            cursor: none;
-            user-select: none;
-        }
-
-        #main-container {
-            width: 100vw;
-            height: 100vh;
-            display: flex;
-            flex-direction: column;
-            justify-content: center;
-            align-items: center;
-            position: relative;
-        }
-
-        #pattern-container {
-            width: 100%;
-            height: 100%;
-            display: none;
-            justify-content: center;
-            align-items: center;
-            position: absolute;
-            top: 0;
-            left: 0;
-        }
-
-        #pattern-image {
-            max-width: 100%;
-            max-height: 100%;
-            object-fit: contain;
-        }
-
-        #instructions {
-            text-align: center;
-            padding: 20px;
-            ${options.showInstructions ? '' : 'display: none;'}
-        }
-
-        #instructions h1 {
-            font-size: 48px;
-            margin-bottom: 30px;
-            color: #ffffff;
-        }
-
-        #instructions p {
-            font-size: 24px;
-            margin-bottom: 15px;
-            color: #cccccc;
-        }
-
-        #status-bar {
-            position: absolute;
-            bottom: 10px;
-            left: 10px;
-            font-size: 14px;
-            color: #666666;
-            background: rgba(0,0,0,0.7);
-            padding: 5px 10px;
-            border-radius: 5px;
-        }
-
-        #controls {
-            position: absolute;
-            top: 10px;
-            right: 10px;
-            display: flex;
-            gap: 10px;
-        }
-
-        .control-button {
-            background: rgba(255,255,255,0.2);
-            border: none;
-            color: white;
-            padding: 10px 15px;
-            border-radius: 5px;
-            cursor: pointer;
-            font-size: 14px;
-            transition: background 0.3s;
-        }
-
-        .control-button:hover {
-            background: rgba(255,255,255,0.3);
-        }
-
-        #resolution-info {
-            position: absolute;
-            top: 10px;
-            left: 10px;
-            font-size: 16px;
-            color: #999999;
-            background: rgba(0,0,0,0.7);
-            padding: 10px 15px;
-            border-radius: 5px;
-        }
-
-        .fullscreen-hint {
-            position: absolute;
-            bottom: 50px;
-            left: 50%;
-            transform: translateX(-50%);
-            font-size: 18px;
-            color: #888888;
-            text-align: center;
-        }
-    </style>
-</head>
-<body>
-    <div id="main-container">
-        <div id="instructions">
-            <h1>🎯 Projector Calibration</h1>
-            <p>This window is ready for calibration patterns</p>
-            <p>Press <strong>F11</strong> for fullscreen mode</p>
-            <p>Use the main window to control pattern display</p>
-        </div>
-
-        <div id="pattern-container">
-            <img id="pattern-image" alt="Calibration Pattern" />
-        </div>
-
-        <div id="resolution-info">
-            Resolution: <span id="resolution-display">Detecting...</span>
-        </div>
-
-        <div id="controls">
-            <button class="control-button" onclick="toggleFullscreen()">⛶ Fullscreen</button>
-            <button class="control-button" onclick="window.close()">✕ Close</button>
-        </div>
-
-        <div id="status-bar">
-            <span id="pattern-info">Ready for calibration</span>
-        </div>
-
-        <div class="fullscreen-hint">
-            💡 Tip: Use fullscreen mode for accurate calibration
-        </div>
-    </div>
-
-    <script>
-        // Update resolution display
-        function updateResolution() {
-            const resolutionDisplay = document.getElementById('resolution-display');
-            resolutionDisplay.textContent = window.innerWidth + ' × ' + window.innerHeight;
+    _setupEventListeners() {
+        // Messages from the projector window; the target is set when it opens
+        if (this.channel) {
+            this.channel.close();
         }
+        this.channel = new ProjectorChannel(this.projectorWindow);
+        this._bindChannelEvents();
+    }
 
-        // Toggle fullscreen
-        function toggleFullscreen() {
-            if (!document.fullscreenElement) {
-                document.documentElement.requestFullscreen().catch(err => {
-                    console.log('Fullscreen error:', err);
-                });
-            } else {
-                document.exitFullscreen();
-            }
-        }
+    _bindChannelEvents() {
+        [MESSAGE_TYPES.READY, MESSAGE_TYPES.FULLSCREEN_CHANGED, MESSAGE_TYPES.WINDOW_CLOSED, MESSAGE_TYPES.ERROR]
+            .forEach(type => {
+                this.channel.on(type, (payload) => this._handleProjectorMessage({ type, ...payload }));
+            });
 
-        // Handle fullscreen changes
-        document.addEventListener('fullscreenchange', function() {
-            updateResolution();
-            const isFullscreen = !!document.fullscreenElement;
-            window.parent.postMessage({
-                type: 'fullscreen-change',
-                fullscreen: isFullscreen
-            }, '*');
-        });
-
-        // Handle window resize
-        window.addEventListener('resize', updateResolution);
-
-        // Keyboard shortcuts
-        document.addEventListener('keydown', function(e) {
-            switch(e.key) {
-                case 'F11':
-                    e.preventDefault();
-                    toggleFullscreen();
-                    break;
-                case 'Escape':
-                    if (document.fullscreenElement) {
-                        document.exitFullscreen();
-                    }
-                    break;
-            }
-        });
+        this.channel.onReconnect = (info) => {
+            this.displayInfo = info;
+            this._notifyEvent('display-reconnected', info);
+        };
+    }
 
-        // Initial setup
-        updateResolution();
+    _isDisplayAvailable() {
+        if (!this.channel) return false;
 
-        // Notify parent window that projector is ready
-        window.parent.postMessage({
-            type: 'projector-ready',
-            resolution: {
-                width: window.innerWidth,
-                height: window.innerHeight
-            }
-        }, '*');
-    </script>
-</body>
-</html>`;
+        return this.remoteTransport
+            ? this.channel.transport.isConnected()
+            : !!this.projectorWindow && !this.projectorWindow.closed;
     }
 
-    _setupEventListeners() {
-        // Listen for messages from projector window
-        window.addEventListener('message', (event) => {
-            if (event.source === this.projectorWindow) {
-                this._handleProjectorMessage(event.data);
+    async _restoreRemoteDisplay() {
+        // A reloaded display forgot its controller and pattern
+        try {
+            this.displayInfo = await this.channel.connect(5000);
+            if (this.currentPattern) {
+                await this.channel.request(MESSAGE_TYPES.DISPLAY_PATTERN, { pattern: this.currentPattern });
             }
-        });
+            this._notifyEvent('display-reconnected', this.displayInfo);
+        } catch (error) {
+            this._notifyEvent('error', { message: `Projector display did not come back: ${error.message}` });
+        }
     }
 
-    _setupWindowEventHandlers() {
-        if (!this.projectorWindow) return;
+    _handleWindowClosed() {
+        // The page also unloads on reload; only a closed window ends the session
+        const projectorWindow = this.projectorWindow;
+        setTimeout(() => {
+            if (!projectorWindow || projectorWindow !== this.projectorWindow || !projectorWindow.closed) return;
 
-        // Handle window close
-        this.projectorWindow.addEventListener('beforeunload', () => {
             this.projectorWindow = null;
             this.isFullscreen = false;
             this.currentPattern = null;
+            this.currentPatternType = null;
             this._notifyEvent('window-closed');
-        });
+        }, 500);
     }
 
     _handleProjectorMessage(data) {
         switch (data.type) {
-            case 'projector-ready':
+            case MESSAGE_TYPES.READY:
                 this._notifyEvent('projector-ready', data.resolution);
+                if (this.remoteTransport && this.channel.isConnected) {
+                    this._restoreRemoteDisplay();
+                }
                 break;
-            case 'fullscreen-change':
+            case MESSAGE_TYPES.WINDOW_CLOSED:
+                // Remote displays may come back after a reload
+                if (this.remoteTransport) {
+                    this._notifyEvent('display-disconnected', { displayId: this.channel.peerId });
+                } else {
+                    this._handleWindowClosed();
+                }
+                break;
+            case MESSAGE_TYPES.FULLSCREEN_CHANGED:
                 this.isFullscreen = data.fullscreen;
                 this._notifyFullscreenChange(data.fullscreen);
                 break;
+            case MESSAGE_TYPES.ERROR:
+                this._notifyEvent('error', data);
+                break;
         }
     }
 
@@ -659,6 +602,9 @@ export class WindowManager {
     }
 
     _getWindowResolution() {
+        if (this.remoteTransport) {
+            return this.displayInfo ? this.displayInfo.resolution : null;
+        }
         if (this.projectorWindow && !this.projectorWindow.closed) {
             return {
                 width: this.projectorWindow.innerWidth,
@@ -230,10 +230,20 @@ export class CameraSetup {
                 video.onloadedmetadata = () => {
                     const metrics = this.measureStreamQuality(video, track);
 
+                    // Frames may arrive at another size than requested; calibrations must be scaled to this one
+                    const actualResolution = {
+                        width: metrics.videoWidth || settings.width,
+                        height: metrics.videoHeight || settings.height
+                    };
+                    const mismatch = actualResolution.width !== resolution.width ||
+                        actualResolution.height !== resolution.height;
+
                     this.testResults = {
                         success: true,
                         deviceId,
                         resolution,
+                        actualResolution,
+                        resolutionMismatch: mismatch ? { requested: resolution, actual: actualResolution } : null,
                         actualSettings: settings,
                         metrics: {
                             ...metrics,
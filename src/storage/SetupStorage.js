@@ -150,6 +150,7 @@ export class SetupStorage {
                     deviceId: config.camera.deviceId,
                     label: config.camera.label,
                     resolution: config.camera.resolution,
+                    requestedResolution: config.camera.requestedResolution || config.camera.resolution,
                     settings: config.camera.settings || {}
                 },
                 testResults: config.testResults || null,
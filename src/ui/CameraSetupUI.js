@@ -421,6 +421,11 @@ export class CameraSetupUI {
             </div>
         `;
 
+        if (results.resolutionMismatch) {
+            const { requested, actual } = results.resolutionMismatch;
+            this.showWarning(`Camera delivers ${actual.width}×${actual.height} instead of ${requested.width}×${requested.height}; this size will be saved.`);
+        }
+
         // Display recommendations
         if (results.recommendations.length > 0) {
             this.elements.recommendations.innerHTML = `
@@ -547,12 +552,13 @@ export class CameraSetupUI {
                     this.elements.cameraSelect.value = config.camera.deviceId;
                     this.onCameraSelected(config.camera.deviceId);
 
-                    // Apply resolution if available
-                    if (config.camera.resolution) {
+                    // Apply resolution if available; request what was requested when it was saved
+                    const resolution = config.camera.requestedResolution || config.camera.resolution;
+                    if (resolution) {
                         // Find matching resolution index
                         const resolutionIndex = matchingDevice.capabilities.supportedResolutions.findIndex(r =>
-                            r.width === config.camera.resolution.width &&
-                            r.height === config.camera.resolution.height
+                            r.width === resolution.width &&
+                            r.height === resolution.height
                         );
 
                         if (resolutionIndex !== -1) {
@@ -688,7 +694,9 @@ export class CameraSetupUI {
                 camera: {
                     deviceId: this.currentConfig.deviceId,
                     label: selectedDevice?.label || 'Unknown Camera',
-                    resolution: this.currentConfig.resolution,
+                    // Calibrations are matched against the size frames really arrive at
+                    resolution: testResults?.actualResolution || this.currentConfig.resolution,
+                    requestedResolution: this.currentConfig.resolution,
                     settings: testResults?.actualSettings || {}
                 },
                 testResults: testResults?.metrics || null
@@ -0,0 +1,621 @@
+/**
+ * GeometryUtils - Dependency-free projective geometry helpers
+ * Homography estimation, small dense linear algebra and the camera projection
+ * model, usable without OpenCV.js (Node, Jest, lightweight runtime clients)
+ *
+ * Matrices are row-major flat arrays (3x3 = 9 numbers) unless noted otherwise;
+ * distortion coefficients follow the OpenCV order [k1, k2, p1, p2, k3, k4, k5, k6, s1, s2, s3, s4]
+ * or [k1, k2, k3, k4] for the fisheye (equidistant) model.
+ */
+
+// Supported lens distortion models and their coefficient names
+export const DISTORTION_MODELS = {
+    standard: {
+        label: 'Standard (k1, k2, p1, p2)',
+        coefficients: ['k1', 'k2', 'p1', 'p2']
+    },
+    standard_k3: {
+        label: 'Standard + k3',
+        coefficients: ['k1', 'k2', 'p1', 'p2', 'k3']
+    },
+    rational: {
+        label: 'Rational (8 coefficients)',
+        coefficients: ['k1', 'k2', 'p1', 'p2', 'k3', 'k4', 'k5', 'k6']
+    },
+    thin_prism: {
+        label: 'Rational + thin prism (12 coefficients)',
+        coefficients: ['k1', 'k2', 'p1', 'p2', 'k3', 'k4', 'k5', 'k6', 's1', 's2', 's3', 's4']
+    },
+    fisheye: {
+        label: 'Fisheye (equidistant)',
+        coefficients: ['k1', 'k2', 'k3', 'k4']
+    }
+};
+
+export class GeometryUtils {
+    /**
+     * Check whether OpenCV.js is loaded and usable
+     */
+    static isOpenCVAvailable() {
+        return typeof cv !== 'undefined' && typeof cv.Mat === 'function';
+    }
+
+    /**
+     * Estimate the homography mapping srcPoints onto dstPoints (normalized DLT)
+     * Needs at least four correspondences; returns null for degenerate input.
+     */
+    static findHomography(srcPoints, dstPoints) {
+        if (srcPoints.length !== dstPoints.length || srcPoints.length < 4) {
+            throw new Error('Homography needs at least 4 point correspondences');
+        }
+
+        // Hartley normalization keeps the system well conditioned for pixel coordinates
+        const srcNorm = GeometryUtils._normalizationTransform(srcPoints);
+        const dstNorm = GeometryUtils._normalizationTransform(dstPoints);
+        if (!srcNorm || !dstNorm) {
+            return null;
+        }
+
+        const AtA = Array.from({ length: 9 }, () => new Array(9).fill(0));
+        const addRow = (row) => {
+            for (let i = 0; i < 9; i++) {
+                for (let j = 0; j < 9; j++) {
+                    AtA[i][j] += row[i] * row[j];
+                }
+            }
+        };
+
+        srcPoints.forEach((src, i) => {
+            const p = GeometryUtils.applyHomography(srcNorm, src);
+            const q = GeometryUtils.applyHomography(dstNorm, dstPoints[i]);
+            addRow([-p.x, -p.y, -1, 0, 0, 0, q.x * p.x, q.x * p.y, q.x]);
+            addRow([0, 0, 0, -p.x, -p.y, -1, q.y * p.x, q.y * p.y, q.y]);
+        });
+
+        // Solution is the eigenvector of AtA with the smallest eigenvalue
+        const { vectors } = GeometryUtils.symmetricEigen(AtA);
+        const normalized = vectors[0];
+
+        const denormInverse = GeometryUtils.invert3x3(dstNorm);
+        const h = GeometryUtils.multiply3x3(GeometryUtils.multiply3x3(denormInverse, normalized), srcNorm);
+
+        if (Math.abs(h[8]) < 1e-12) {
+            return null;
+        }
+
+        return h.map(v => v / h[8]);
+    }
+
+    /**
+     * Robust homography with RANSAC
+     * Returns the homography refitted on all inliers plus a per-point inlier flag.
+     */
+    static findHomographyRansac(srcPoints, dstPoints, threshold = 3.0, options = {}) {
+        const settings = {
+            maxIterations: 2000,
+            confidence: 0.995,
+            ...options
+        };
+
+        const count = srcPoints.length;
+        if (count === 4) {
+            const homography = GeometryUtils.findHomography(srcPoints, dstPoints);
+            return { homography, inliers: new Array(4).fill(!!homography) };
+        }
+
+        let bestInliers = null;
+        let bestCount = 0;
+        let iterations = settings.maxIterations;
+
+        for (let iteration = 0; iteration < iterations; iteration++) {
+            const sample = GeometryUtils._randomSample(count, 4);
+            const sampleSrc = sample.map(i => srcPoints[i]);
+            if (GeometryUtils._hasCollinearTriple(sampleSrc)) continue;
+
+            const h = GeometryUtils.findHomography(sampleSrc, sample.map(i => dstPoints[i]));
+            if (!h) continue;
+
+            const inliers = srcPoints.map((src, i) =>
+                GeometryUtils.pointDistance(GeometryUtils.applyHomography(h, src), dstPoints[i]) < threshold
+            );
+            const inlierCount = inliers.filter(Boolean).length;
+
+            if (inlierCount > bestCount) {
+                bestCount = inlierCount;
+                bestInliers = inliers;
+
+                // Adaptive number of iterations for the requested confidence
+                const inlierRatio = inlierCount / count;
+                const successProbability = Math.pow(inlierRatio, 4);
+                if (successProbability >= 1) break;
+                iterations = Math.min(settings.maxIterations,
+                    Math.ceil(Math.log(1 - settings.confidence) / Math.log(1 - successProbability)));
+            }
+        }
+
+        if (!bestInliers || bestCount < 4) {
+            return { homography: null, inliers: new Array(count).fill(false) };
+        }
+
+        const homography = GeometryUtils.findHomography(
+            srcPoints.filter((_, i) => bestInliers[i]),
+            dstPoints.filter((_, i) => bestInliers[i])
+        );
+
+        // Re-score against the refitted model
+        const inliers = homography
+            ? srcPoints.map((src, i) =>
+                GeometryUtils.pointDistance(GeometryUtils.applyHomography(homography, src), dstPoints[i]) < threshold)
+            : bestInliers;
+
+        return { homography, inliers };
+    }
+
+    /**
+     * Apply a 3x3 homography to a 2D point
+     */
+    static applyHomography(h, point) {
+        const w = h[6] * point.x + h[7] * point.y + h[8];
+        return {
+            x: (h[0] * point.x + h[1] * point.y + h[2]) / w,
+            y: (h[3] * point.x + h[4] * point.y + h[5]) / w
+        };
+    }
+
+    static pointDistance(a, b) {
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+
+    // 3x3 matrix helpers
+
+    static multiply3x3(a, b) {
+        const out = new Array(9);
+        for (let r = 0; r < 3; r++) {
+            for (let c = 0; c < 3; c++) {
+                out[r * 3 + c] = a[r * 3] * b[c] + a[r * 3 + 1] * b[3 + c] + a[r * 3 + 2] * b[6 + c];
+            }
+        }
+        return out;
+    }
+
+    static transpose3x3(m) {
+        return [m[0], m[3], m[6], m[1], m[4], m[7], m[2], m[5], m[8]];
+    }
+
+    static multiply3x3Vector(m, v) {
+        return [
+            m[0] * v[0] + m[1] * v[1] + m[2] * v[2],
+            m[3] * v[0] + m[4] * v[1] + m[5] * v[2],
+            m[6] * v[0] + m[7] * v[1] + m[8] * v[2]
+        ];
+    }
+
+    static determinant3x3(m) {
+        return m[0] * (m[4] * m[8] - m[5] * m[7]) -
+               m[1] * (m[3] * m[8] - m[5] * m[6]) +
+               m[2] * (m[3] * m[7] - m[4] * m[6]);
+    }
+
+    static invert3x3(m) {
+        const det = GeometryUtils.determinant3x3(m);
+        if (Math.abs(det) < 1e-15) {
+            throw new Error('Matrix is singular');
+        }
+
+        return [
+            (m[4] * m[8] - m[5] * m[7]) / det,
+            (m[2] * m[7] - m[1] * m[8]) / det,
+            (m[1] * m[5] - m[2] * m[4]) / det,
+            (m[5] * m[6] - m[3] * m[8]) / det,
+            (m[0] * m[8] - m[2] * m[6]) / det,
+            (m[2] * m[3] - m[0] * m[5]) / det,
+            (m[3] * m[7] - m[4] * m[6]) / det,
+            (m[1] * m[6] - m[0] * m[7]) / det,
+            (m[0] * m[4] - m[1] * m[3]) / det
+        ];
+    }
+
+    /**
+     * Condition number (largest / smallest singular value) of a 3x3 matrix
+     */
+    static conditionNumber3x3(m) {
+        const { values } = GeometryUtils.svd(GeometryUtils._toRows(m, 3, 3));
+        const smallest = values[values.length - 1];
+        return smallest > 0 ? values[0] / smallest : Infinity;
+    }
+
+    // General dense linear algebra (matrices as arrays of rows)
+
+    /**
+     * Solve A x = b with Gaussian elimination and partial pivoting
+     * Returns null when A is singular.
+     */
+    static solveLinearSystem(A, b) {
+        const n = b.length;
+        const M = A.map((row, i) => [...row, b[i]]);
+
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < n; row++) {
+                if (Math.abs(M[row][col]) > Math.abs(M[pivot][col])) pivot = row;
+            }
+            if (Math.abs(M[pivot][col]) < 1e-15) {
+                return null;
+            }
+            [M[col], M[pivot]] = [M[pivot], M[col]];
+
+            for (let row = col + 1; row < n; row++) {
+                const factor = M[row][col] / M[col][col];
+                for (let k = col; k <= n; k++) {
+                    M[row][k] -= factor * M[col][k];
+                }
+            }
+        }
+
+        const x = new Array(n).fill(0);
+        for (let row = n - 1; row >= 0; row--) {
+            let sum = M[row][n];
+            for (let k = row + 1; k < n; k++) {
+                sum -= M[row][k] * x[k];
+            }
+            x[row] = sum / M[row][row];
+        }
+
+        return x;
+    }
+
+    /**
+     * Invert a square matrix (Gauss-Jordan); returns null when singular
+     */
+    static invertMatrix(A) {
+        const n = A.length;
+        const M = A.map((row, i) => [...row, ...Array.from({ length: n }, (_, j) => (i === j ? 1 : 0))]);
+
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < n; row++) {
+                if (Math.abs(M[row][col]) > Math.abs(M[pivot][col])) pivot = row;
+            }
+            if (Math.abs(M[pivot][col]) < 1e-15) {
+                return null;
+            }
+            [M[col], M[pivot]] = [M[pivot], M[col]];
+
+            const scale = M[col][col];
+            for (let k = 0; k < 2 * n; k++) {
+                M[col][k] /= scale;
+            }
+
+            for (let row = 0; row < n; row++) {
+                if (row === col) continue;
+                const factor = M[row][col];
+                if (factor === 0) continue;
+                for (let k = 0; k < 2 * n; k++) {
+                    M[row][k] -= factor * M[col][k];
+                }
+            }
+        }
+
+        return M.map(row => row.slice(n));
+    }
+
+    /**
+     * Eigen-decomposition of a symmetric matrix (cyclic Jacobi)
+     * Eigenvalues ascending; vectors[i] belongs to values[i].
+     */
+    static symmetricEigen(S, maxSweeps = 100) {
+        const n = S.length;
+        const a = S.map(row => [...row]);
+        const v = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+
+        for (let sweep = 0; sweep < maxSweeps; sweep++) {
+            let off = 0;
+            let total = 0;
+            for (let p = 0; p < n; p++) {
+                for (let q = 0; q < n; q++) {
+                    total += a[p][q] * a[p][q];
+                    if (p !== q) off += a[p][q] * a[p][q];
+                }
+            }
+            if (off <= 1e-30 * total || off === 0) break;
+
+            for (let p = 0; p < n - 1; p++) {
+                for (let q = p + 1; q < n; q++) {
+                    if (Math.abs(a[p][q]) < 1e-300) continue;
+
+                    const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+                    const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                    const c = 1 / Math.sqrt(t * t + 1);
+                    const s = t * c;
+
+                    for (let k = 0; k < n; k++) {
+                        const akp = a[k][p];
+                        const akq = a[k][q];
+                        a[k][p] = c * akp - s * akq;
+                        a[k][q] = s * akp + c * akq;
+                    }
+                    for (let k = 0; k < n; k++) {
+                        const apk = a[p][k];
+                        const aqk = a[q][k];
+                        a[p][k] = c * apk - s * aqk;
+                        a[q][k] = s * apk + c * aqk;
+                    }
+                    for (let k = 0; k < n; k++) {
+                        const vkp = v[k][p];
+                        const vkq = v[k][q];
+                        v[k][p] = c * vkp - s * vkq;
+                        v[k][q] = s * vkp + c * vkq;
+                    }
+                }
+            }
+        }
+
+        const order = a.map((row, i) => i).sort((i, j) => a[i][i] - a[j][j]);
+        return {
+            values: order.map(i => a[i][i]),
+            vectors: order.map(i => v.map(row => row[i]))
+        };
+    }
+
+    /**
+     * Singular value decomposition A = U diag(values) V^T (values descending)
+     * Computed from the eigen-decomposition of A^T A, adequate for small matrices.
+     */
+    static svd(A) {
+        const rows = A.length;
+        const cols = A[0].length;
+
+        const AtA = Array.from({ length: cols }, (_, i) =>
+            Array.from({ length: cols }, (_, j) => {
+                let sum = 0;
+                for (let k = 0; k < rows; k++) sum += A[k][i] * A[k][j];
+                return sum;
+            })
+        );
+
+        const { values, vectors } = GeometryUtils.symmetricEigen(AtA);
+        const order = values.map((_, i) => i).reverse();
+
+        const singular = order.map(i => Math.sqrt(Math.max(values[i], 0)));
+        const V = order.map(i => vectors[i]);
+        const U = V.map((vector, k) => {
+            const sigma = singular[k];
+            return A.map(row => (sigma > 1e-15 ? row.reduce((sum, value, j) => sum + value * vector[j], 0) / sigma : 0));
+        });
+
+        // U and V returned as lists of column vectors
+        return { values: singular, U, V };
+    }
+
+    // Camera projection model
+
+    /**
+     * Rotation vector (axis * angle) to row-major rotation matrix
+     */
+    static rodrigues(rvec) {
+        const theta = Math.hypot(rvec[0], rvec[1], rvec[2]);
+        if (theta < 1e-12) {
+            return [1, 0, 0, 0, 1, 0, 0, 0, 1];
+        }
+
+        const [kx, ky, kz] = rvec.map(v => v / theta);
+        const c = Math.cos(theta);
+        const s = Math.sin(theta);
+        const C = 1 - c;
+
+        return [
+            c + kx * kx * C, kx * ky * C - kz * s, kx * kz * C + ky * s,
+            ky * kx * C + kz * s, c + ky * ky * C, ky * kz * C - kx * s,
+            kz * kx * C - ky * s, kz * ky * C + kx * s, c + kz * kz * C
+        ];
+    }
+
+    /**
+     * Resolve the distortion model name; without one it is inferred from the
+     * coefficient count as OpenCV does (fisheye must always be named)
+     */
+    static getDistortionModel(distCoeffs = [], model = null) {
+        if (model) {
+            if (!DISTORTION_MODELS[model]) {
+                throw new Error(`Unknown distortion model: ${model}`);
+            }
+            return model;
+        }
+
+        if (distCoeffs.length > 8) return 'thin_prism';
+        if (distCoeffs.length > 5) return 'rational';
+        if (distCoeffs.length === 5) return 'standard_k3';
+        return 'standard';
+    }
+
+    /**
+     * Apply lens distortion to a normalized image point
+     */
+    static distortNormalized(point, distCoeffs = [], model = null) {
+        const { x, y } = point;
+
+        if (GeometryUtils.getDistortionModel(distCoeffs, model) === 'fisheye') {
+            const [k1 = 0, k2 = 0, k3 = 0, k4 = 0] = distCoeffs;
+            const r = Math.sqrt(x * x + y * y);
+            if (r < 1e-12) {
+                return { x, y };
+            }
+
+            const theta = Math.atan(r);
+            const t2 = theta * theta;
+            const thetaD = theta * (1 + k1 * t2 + k2 * t2 * t2 + k3 * t2 * t2 * t2 + k4 * t2 * t2 * t2 * t2);
+            return { x: x * thetaD / r, y: y * thetaD / r };
+        }
+
+        const [k1 = 0, k2 = 0, p1 = 0, p2 = 0, k3 = 0, k4 = 0, k5 = 0, k6 = 0,
+            s1 = 0, s2 = 0, s3 = 0, s4 = 0] = distCoeffs;
+        const r2 = x * x + y * y;
+        const r4 = r2 * r2;
+        const radial = (1 + k1 * r2 + k2 * r4 + k3 * r4 * r2) / (1 + k4 * r2 + k5 * r4 + k6 * r4 * r2);
+
+        return {
+            x: x * radial + 2 * p1 * x * y + p2 * (r2 + 2 * x * x) + s1 * r2 + s2 * r4,
+            y: y * radial + p1 * (r2 + 2 * y * y) + 2 * p2 * x * y + s3 * r2 + s4 * r4
+        };
+    }
+
+    /**
+     * Project 3D points to pixels: rotation (matrix or Rodrigues vector), translation,
+     * intrinsic matrix and distortion
+     */
+    static projectPoints(objectPoints, rotation, translation, cameraMatrix, distCoeffs = [], model = null) {
+        const R = rotation.length === 3 ? GeometryUtils.rodrigues(rotation) : rotation;
+        const K = cameraMatrix;
+
+        return objectPoints.map(point => {
+            const [X, Y, Z] = GeometryUtils.multiply3x3Vector(R, [point.x, point.y, point.z || 0]);
+            const camera = [X + translation[0], Y + translation[1], Z + translation[2]];
+
+            if (camera[2] <= 0) {
+                return null; // Behind the camera
+            }
+
+            const distorted = GeometryUtils.distortNormalized(
+                { x: camera[0] / camera[2], y: camera[1] / camera[2] },
+                distCoeffs,
+                model
+            );
+
+            return {
+                x: K[0] * distorted.x + K[1] * distorted.y + K[2],
+                y: K[4] * distorted.y + K[5]
+            };
+        });
+    }
+
+    /**
+     * Remove lens distortion from a pixel, returning normalized coordinates
+     * Fixed-point iteration as in cv.undistortPoints (Newton on theta for fisheye).
+     */
+    static undistortPoint(pixel, cameraMatrix, distCoeffs = [], model = null, iterations = 20) {
+        const K = cameraMatrix;
+
+        const yd = (pixel.y - K[5]) / K[4];
+        const xd = (pixel.x - K[2] - K[1] * yd) / K[0];
+
+        if (GeometryUtils.getDistortionModel(distCoeffs, model) === 'fisheye') {
+            const [k1 = 0, k2 = 0, k3 = 0, k4 = 0] = distCoeffs;
+            const thetaD = Math.min(Math.sqrt(xd * xd + yd * yd), Math.PI / 2);
+            if (thetaD < 1e-12) {
+                return { x: xd, y: yd };
+            }
+
+            let theta = thetaD;
+            for (let i = 0; i < iterations; i++) {
+                const t2 = theta * theta;
+                const f = theta * (1 + k1 * t2 + k2 * t2 * t2 + k3 * t2 * t2 * t2 + k4 * t2 * t2 * t2 * t2) - thetaD;
+                const df = 1 + 3 * k1 * t2 + 5 * k2 * t2 * t2 + 7 * k3 * t2 * t2 * t2 + 9 * k4 * t2 * t2 * t2 * t2;
+                const step = f / df;
+                theta -= step;
+                if (Math.abs(step) < 1e-14) break;
+            }
+
+            const scale = Math.tan(theta) / thetaD;
+            return { x: xd * scale, y: yd * scale };
+        }
+
+        const [k1 = 0, k2 = 0, p1 = 0, p2 = 0, k3 = 0, k4 = 0, k5 = 0, k6 = 0,
+            s1 = 0, s2 = 0, s3 = 0, s4 = 0] = distCoeffs;
+
+        let x = xd;
+        let y = yd;
+        for (let i = 0; i < iterations; i++) {
+            const r2 = x * x + y * y;
+            const r4 = r2 * r2;
+            const inverseRadial = (1 + k4 * r2 + k5 * r4 + k6 * r4 * r2) / (1 + k1 * r2 + k2 * r4 + k3 * r4 * r2);
+            const deltaX = 2 * p1 * x * y + p2 * (r2 + 2 * x * x) + s1 * r2 + s2 * r4;
+            const deltaY = p1 * (r2 + 2 * y * y) + 2 * p2 * x * y + s3 * r2 + s4 * r4;
+            x = (xd - deltaX) * inverseRadial;
+            y = (yd - deltaY) * inverseRadial;
+        }
+
+        return { x, y };
+    }
+
+    /**
+     * Remove lens distortion from a pixel, returning the ideal pixel for the same camera matrix
+     */
+    static undistortPixel(pixel, cameraMatrix, distCoeffs = [], model = null, iterations = 20) {
+        const K = cameraMatrix;
+        const normalized = GeometryUtils.undistortPoint(pixel, K, distCoeffs, model, iterations);
+
+        return {
+            x: K[0] * normalized.x + K[1] * normalized.y + K[2],
+            y: K[4] * normalized.y + K[5]
+        };
+    }
+
+    /**
+     * Rescale a camera matrix to another resolution with the same field of view
+     * Throws when the aspect ratio differs, since the sensor is then cropped differently.
+     * Pixel centres scale, so cx' = (cx + 0.5) * s - 0.5. Distortion is unaffected.
+     */
+    static scaleIntrinsics(cameraMatrix, from, to, tolerance = 0.01) {
+        const sx = to.width / from.width;
+        const sy = to.height / from.height;
+
+        if (Math.abs(sx - sy) / Math.max(sx, sy) > tolerance) {
+            throw new Error(`Aspect ratio of ${to.width}x${to.height} does not match ${from.width}x${from.height}`);
+        }
+
+        const K = cameraMatrix;
+        return {
+            intrinsicMatrix: [
+                K[0] * sx, K[1] * sx, (K[2] + 0.5) * sx - 0.5,
+                0, K[4] * sy, (K[5] + 0.5) * sy - 0.5,
+                0, 0, 1
+            ],
+            scale: { x: sx, y: sy }
+        };
+    }
+
+    // Private helpers
+
+    static _normalizationTransform(points) {
+        const cx = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+        const cy = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+        const meanDistance = points.reduce((sum, p) => sum + Math.hypot(p.x - cx, p.y - cy), 0) / points.length;
+
+        if (meanDistance < 1e-12) {
+            return null;
+        }
+
+        const s = Math.SQRT2 / meanDistance;
+        return [s, 0, -s * cx, 0, s, -s * cy, 0, 0, 1];
+    }
+
+    static _hasCollinearTriple(points, tolerance = 1e-6) {
+        for (let i = 0; i < points.length - 2; i++) {
+            for (let j = i + 1; j < points.length - 1; j++) {
+                for (let k = j + 1; k < points.length; k++) {
+                    const a = points[i];
+                    const b = points[j];
+                    const c = points[k];
+                    const cross = (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+                    const scale = Math.hypot(b.x - a.x, b.y - a.y) * Math.hypot(c.x - a.x, c.y - a.y);
+                    if (Math.abs(cross) <= tolerance * scale) {
+                        return true;
+                    }
+                }
+            }
+        }
+        return false;
+    }
+
+    static _randomSample(count, size) {
+        const picked = new Set();
+        while (picked.size < size) {
+            picked.add(Math.floor(Math.random() * count));
+        }
+        return [...picked];
+    }
+
+    static _toRows(flat, rows, cols) {
+        return Array.from({ length: rows }, (_, r) => flat.slice(r * cols, r * cols + cols));
+    }
+}
\ No newline at end of file
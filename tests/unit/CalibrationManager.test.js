@@ -0,0 +1,144 @@
+/**
+ * Unit Tests for the Calibration Manager
+ * Runs the full geometric workflow with a calibrated camera and synthetic board views, and loads stored calibrations
+ * at another camera resolution
+ */
+
+import { CalibrationManager } from '../../src/calibration/core/CalibrationManager.js';
+import { ProjectorCalibrator } from '../../src/calibration/core/ProjectorCalibrator.js';
+import { GeometryUtils } from '../../src/utils/GeometryUtils.js';
+
+const cameraData = {
+    intrinsicMatrix: [800, 0, 640, 0, 800, 360, 0, 0, 1],
+    distortionCoefficients: [0, 0, 0, 0, 0],
+    resolution: { width: 1280, height: 720 },
+    calibrationError: 0.3,
+    capturedImages: 12
+};
+
+const cameraToProjector = GeometryUtils.rodrigues([0.02, -0.25, 0.01]);
+const offset = [180, -30, 20];
+
+// Board pose of view i and the pose the projector sees it in
+const viewPoses = (i) => {
+    const boardPose = {
+        rotationMatrix: GeometryUtils.rodrigues([0.3 - i * 0.1, -0.4 + i * 0.15, 0.1]),
+        translationVector: [-100 + i * 30, -60, 550 + i * 40]
+    };
+    const Rt = GeometryUtils.multiply3x3Vector(cameraToProjector, boardPose.translationVector);
+    const projectorPose = {
+        rotationMatrix: GeometryUtils.multiply3x3(cameraToProjector, boardPose.rotationMatrix),
+        translationVector: Rt.map((v, axis) => v + offset[axis])
+    };
+    return { boardPose, projectorPose };
+};
+
+describe('CalibrationManager', () => {
+    let manager;
+    let projectorCalibrator;
+    let waits;
+
+    beforeEach(() => {
+        manager = new CalibrationManager({});
+        projectorCalibrator = new ProjectorCalibrator();
+        projectorCalibrator.projectorManager = {};
+        projectorCalibrator._provideFeedback = () => {};
+        projectorCalibrator.captureView = async () => {
+            projectorCalibrator.views.push({ boardPose: viewPoses(projectorCalibrator.views.length).boardPose });
+            return { success: true };
+        };
+        // Stands in for cv.calibrateCamera on the projector side
+        projectorCalibrator._calibrateProjectorIntrinsics = () => ({
+            intrinsicMatrix: [1400, 0, 960, 0, 1400, 540, 0, 0, 1],
+            distortionCoefficients: [0, 0, 0, 0, 0],
+            reprojectionError: 0.4,
+            projectorPoses: projectorCalibrator.views.map((view, i) => viewPoses(i).projectorPose)
+        });
+
+        manager.registerComponents({
+            cameraCalibrator: { video: {}, getCalibrationData: () => cameraData },
+            projectorCalibrator,
+            quadCalibrator: null
+        });
+        waits = [];
+    });
+
+    describe('Full Geometric Calibration', () => {
+        test('should calibrate the projector with the camera calibrator\'s intrinsics', async () => {
+            const result = await manager.performFullCalibration('full', {
+                waitForView: async (progress) => waits.push(progress.captured)
+            });
+
+            expect(result.success).toBe(true);
+            expect(projectorCalibrator.cameraCalibration).toBe(cameraData);
+            expect(waits).toEqual([0, 1, 2, 3, 4]);
+            expect(result.calibrationData).toMatchObject({ type: 'full', camera: cameraData });
+            expect(result.calibrationData.projector).toMatchObject({ type: 'full_geometric', viewCount: 5 });
+            result.calibrationData.projector.translationVector.forEach((value, axis) => {
+                expect(value).toBeCloseTo(offset[axis], 6);
+            });
+            expect(manager.getStatus()).toMatchObject({ status: 'completed', isCalibrated: true, currentStep: 5 });
+        });
+
+        test('should stop at camera setup while the camera is not calibrated', async () => {
+            manager.cameraCalibrator.getCalibrationData = () => null;
+            const errors = [];
+            manager.setCallbacks({ onError: error => errors.push(error.message) });
+
+            const result = await manager.performFullCalibration('full', { waitForView: async () => {} });
+
+            expect(result).toEqual({ success: false, error: 'Calibrate the camera before full geometric calibration', step: 1 });
+            expect(errors).toHaveLength(1);
+            expect(projectorCalibrator.views).toHaveLength(0);
+        });
+    });
+
+    describe('Loading at Another Resolution', () => {
+        const stored = {
+            id: 'calibration-1',
+            camera: { ...cameraData },
+            validation: { isValid: true }
+        };
+
+        const load = async (cameraResolution) => {
+            manager.storage.loadLatestCalibration = async () => stored;
+            const originalWarn = console.warn;
+            const logged = [];
+            console.warn = (message) => logged.push(message);
+            try {
+                return { result: await manager.loadCalibration('user-1', { cameraResolution, useCase: 'measurement' }), logged };
+            } finally {
+                console.warn = originalWarn;
+            }
+        };
+
+        test('should return the resolution warnings to the caller instead of logging them', async () => {
+            const { result, logged } = await load({ width: 1920, height: 1080 });
+
+            expect(result.success).toBe(true);
+            expect(result.warnings).toEqual(expect.arrayContaining([
+                'Camera intrinsics scaled from 1280x720 to 1920x1080',
+                'Camera runs above its calibration resolution; accuracy is limited by the original calibration'
+            ]));
+            expect(result.calibrationData.camera.intrinsicMatrix[0]).toBe(1200);
+            expect(logged).toEqual([]);
+        });
+
+        test('should not treat a calibration with another aspect ratio as calibrated', async () => {
+            const { result } = await load({ width: 1024, height: 768 });
+
+            expect(result.isValid).toBe(false);
+            expect(result.resolutionCheck.adjustments[0]).toMatchObject({ type: 'resolution', rejected: true });
+            expect(result.calibrationData.camera.intrinsicMatrix).toEqual(cameraData.intrinsicMatrix);
+            expect(manager.getStatus().status).toBe('invalid');
+        });
+
+        test('should return no warnings without a stored calibration', async () => {
+            manager.storage.loadLatestCalibration = async () => null;
+
+            const result = await manager.loadCalibration('user-1', { cameraResolution: { width: 1920, height: 1080 } });
+
+            expect(result).toEqual({ success: true, calibrationData: null, isValid: false, warnings: [] });
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,738 @@
+/**
+ * Unit Tests for the Camera Calibrator
+ * Tests pattern options, ChArUco views, auto capture, outlier view rejection, calibration flags, gallery edits,
+ * recalibration from saved observations and quality grading of calibration results without a camera; calibration runs against a simulated OpenCV
+ */
+
+import { CameraCalibrator } from '../../src/calibration/core/CameraCalibrator.js';
+import { CalibrationManager } from '../../src/calibration/core/CalibrationManager.js';
+import { GeometryUtils } from '../../src/utils/GeometryUtils.js';
+
+const createCalibrator = () => {
+    const canvas = { width: 1280, height: 720, getContext: () => ({}) };
+    return new CameraCalibrator({ videoWidth: 1280, videoHeight: 720 }, canvas);
+};
+
+// Camera that took the synthetic calibration views
+const TRUE_K = [800, 0, 640, 0, 800, 360, 0, 0, 1];
+const CV_64F = 6;
+
+const toPoints = flat => Array.from({ length: flat.length / 3 }, (_, i) => ({ x: flat[i * 3], y: flat[i * 3 + 1], z: flat[i * 3 + 2] }));
+
+// Deterministic noise in [-0.5, 0.5)
+const createNoise = (seed = 7) => () => {
+    seed = (seed * 1664525 + 1013904223) % 4294967296;
+    return seed / 4294967296 - 0.5;
+};
+
+// Board poses around 60 cm in front of the camera and their exact corner projections
+// idsOf(i) picks the ChArUco corners seen in a partial view
+const createViews = (calibrator, count = 12, idsOf = () => null) => {
+    return Array.from({ length: count }, (_, i) => {
+        const ids = idsOf(i);
+        const objectPoints = toPoints(calibrator._generateObjectPoints(ids));
+        const rvec = [0.25 * Math.sin(i), 0.25 * Math.cos(i), 0.1 * (i % 3 - 1)];
+        const tvec = [-100 + 20 * (i % 4), -60 + 15 * (i % 3), 550 + 15 * i];
+        const corners = GeometryUtils.projectPoints(objectPoints, rvec, tvec, TRUE_K).flatMap(p => [p.x, p.y]);
+        return { rvec, tvec, corners, ids };
+    });
+};
+
+// Captures with up to ±0.1 px corner noise; a corrupted view has its later corners shifted by 6 px
+const createCaptures = (views, { corrupt = null } = {}) => {
+    const noise = createNoise();
+    return views.map((view, index) => ({
+        imageData: null,
+        corners: view.corners.map((v, i) => v + noise() * 0.2 + (index === corrupt && i >= 20 && i % 2 === 0 ? 6 : 0)),
+        ids: view.ids,
+        timestamp: 1000 + index,
+        quality: null,
+        coverage: null
+    }));
+};
+
+// OpenCV stand-in: calibration always lands on the true camera and poses, views are told apart by their first corner
+const createFakeCv = (views) => {
+    class Mat {
+        constructor(values = [], matType = CV_64F) {
+            this.set(values, matType);
+        }
+
+        set(values, matType = this.matType) {
+            this.matType = matType;
+            this.data64F = Float64Array.from(values);
+            this.data32F = Float32Array.from(values);
+        }
+
+        type() {
+            return this.matType;
+        }
+
+        delete() {}
+    }
+
+    class MatVector {
+        constructor() {
+            this.mats = [];
+        }
+
+        push_back(mat) {
+            this.mats.push(mat);
+        }
+
+        get(index) {
+            return this.mats[index];
+        }
+
+        size() {
+            return this.mats.length;
+        }
+
+        delete() {}
+    }
+
+    const matchView = corners => {
+        const distance = view => Math.hypot(view.corners[0] - corners[0], view.corners[1] - corners[1]);
+        return views.reduce((best, view) => distance(view) < distance(best) ? view : best);
+    };
+
+    const calls = [];
+    const calibrate = (objectPoints, imagePoints, imageSize, cameraMatrix, distCoeffs, rvecs, tvecs, flags, criteria) => {
+        calls.push({
+            flags,
+            criteria,
+            imageSize,
+            intrinsicMatrix: Array.from(cameraMatrix.data64F),
+            distortionCoefficients: Array.from(distCoeffs.data64F)
+        });
+
+        cameraMatrix.set(TRUE_K);
+        distCoeffs.set(new Array(distCoeffs.data64F.length).fill(0));
+
+        let sumSquared = 0;
+        let count = 0;
+        for (let i = 0; i < imagePoints.size(); i++) {
+            const corners = Array.from(imagePoints.get(i).data32F);
+            const view = matchView(corners);
+            rvecs.push_back(new Mat(view.rvec));
+            tvecs.push_back(new Mat(view.tvec));
+
+            const projected = GeometryUtils.projectPoints(toPoints(objectPoints.get(i).data32F), view.rvec, view.tvec, TRUE_K);
+            projected.forEach((p, j) => {
+                sumSquared += (p.x - corners[j * 2]) ** 2 + (p.y - corners[j * 2 + 1]) ** 2;
+                count++;
+            });
+        }
+
+        return Math.sqrt(sumSquared / count);
+    };
+
+    return {
+        CV_32FC2: 13,
+        CV_32FC3: 21,
+        CV_64F,
+        CALIB_USE_INTRINSIC_GUESS: 1,
+        CALIB_FIX_ASPECT_RATIO: 2,
+        CALIB_FIX_PRINCIPAL_POINT: 4,
+        CALIB_ZERO_TANGENT_DIST: 8,
+        CALIB_RATIONAL_MODEL: 16384,
+        CALIB_THIN_PRISM_MODEL: 32768,
+        TERM_CRITERIA_COUNT: 1,
+        TERM_CRITERIA_EPS: 2,
+        Mat,
+        MatVector,
+        Size: class {
+            constructor(width, height) {
+                this.width = width;
+                this.height = height;
+            }
+        },
+        TermCriteria: class {
+            constructor(type, maxCount, epsilon) {
+                Object.assign(this, { type, maxCount, epsilon });
+            }
+        },
+        COLOR_RGBA2GRAY: 11,
+        matFromArray: (rows, cols, type, array) => new Mat(array, type),
+        matFromImageData: () => new Mat(),
+        cvtColor: () => {},
+        calibrateCamera: calibrate,
+        fisheye_calibrate: calibrate,
+        solvePnP: (objectPoints, imagePoints, cameraMatrix, distCoeffs, rvec, tvec) => {
+            const view = matchView(Array.from(imagePoints.data32F));
+            rvec.set(view.rvec, CV_64F);
+            tvec.set(view.tvec, CV_64F);
+            return true;
+        },
+        calls
+    };
+};
+
+describe('CameraCalibrator', () => {
+    let calibrator;
+
+    beforeEach(() => {
+        calibrator = createCalibrator();
+        calibrator.intrinsicMatrix = [800, 0, 640, 0, 800, 360, 0, 0, 1];
+        calibrator.calibrationError = 0.3;
+    });
+
+    describe('Pattern Options', () => {
+        test('should keep preset spacings when no spacing is entered', () => {
+            const spacings = ['circles_4x11', 'checkerboard_7x5', 'charuco_7x5'].map(calibrationPattern => {
+                expect(calibrator.applyPatternOptions({ calibrationPattern }).success).toBe(true);
+                return calibrator.getCalibrationPattern().spacing;
+            });
+
+            expect(spacings).toEqual([20, 30, 30]);
+        });
+
+        test('should use a measured spacing for presets', () => {
+            calibrator.applyPatternOptions({ calibrationPattern: 'checkerboard_7x5', patternSpacing: 29.5 });
+
+            expect(calibrator.getCalibrationPattern().spacing).toBe(29.5);
+        });
+
+        test('should build custom patterns from columns, rows and spacing', () => {
+            calibrator.applyPatternOptions({
+                calibrationPattern: 'custom',
+                customPatternType: 'symmetric_circles',
+                patternColumns: 5,
+                patternRows: 4,
+                patternSpacing: 15
+            });
+
+            expect(calibrator.getCalibrationPattern()).toMatchObject({
+                name: 'custom', type: 'symmetric_circles', width: 5, height: 4, spacing: 15
+            });
+        });
+    });
+
+    describe('ChArUco Views', () => {
+        // Board (mm) to image (px) homography of the synthetic view
+        const H = [2.2, 0.4, 120, -0.3, 2.1, 90, 0.0004, 0.0002, 1];
+
+        const observeMarkers = (board, isVisible) => board.markerSquares.filter(isVisible).map(square => ({
+            markerId: square.markerId,
+            corners: board._markerBoardCorners(square).map(p => GeometryUtils.applyHomography(H, p))
+        }));
+
+        beforeEach(() => {
+            calibrator.applyPatternOptions({ calibrationPattern: 'charuco_7x5' });
+            calibrator.charucoBoard._refineCorners = () => {};
+        });
+
+        test('should pair each corner of a partial view with the object point of its ID', () => {
+            const board = calibrator.charucoBoard;
+            board._detectMarkers = () => observeMarkers(board, square => square.row >= 2 && square.col >= 3);
+
+            const detection = calibrator._detectPattern({ cols: 1280, rows: 720 }, true);
+            const objectPoints = calibrator._generateObjectPoints(detection.ids);
+
+            expect(detection.found).toBe(true);
+            expect(detection.ids.length).toBeLessThan(board.cornerCount);
+            expect(objectPoints).toHaveLength(detection.ids.length * 3);
+            detection.ids.forEach((id, i) => {
+                const objectPoint = { x: objectPoints[i * 3], y: objectPoints[i * 3 + 1] };
+                const projected = GeometryUtils.applyHomography(H, objectPoint);
+                expect(objectPoints[i * 3 + 2]).toBe(0);
+                expect(detection.corners[i * 2]).toBeCloseTo(projected.x, 4);
+                expect(detection.corners[i * 2 + 1]).toBeCloseTo(projected.y, 4);
+            });
+        });
+
+        test('should not accept views with fewer corners than required', () => {
+            const board = calibrator.charucoBoard;
+            board._detectMarkers = () => observeMarkers(board, square => square.markerId === 0);
+
+            const detection = calibrator._detectPattern({ cols: 1280, rows: 720 }, true);
+
+            expect(detection).toEqual({ found: false, corners: [], ids: null });
+        });
+    });
+
+    describe('Auto Capture', () => {
+        // 9x6 checkerboard corners, shifted by dx pixels
+        const grid = (dx = 0) => {
+            const corners = [];
+            for (let row = 0; row < 6; row++) {
+                for (let col = 0; col < 9; col++) {
+                    corners.push(300 + col * 40 + dx, 200 + row * 40);
+                }
+            }
+            return corners;
+        };
+
+        const showFrame = (corners, overrides = {}) => {
+            calibrator.getPositioningFeedback = () => ({
+                patternVisible: true,
+                quality: { isGood: true, message: 'Good image quality' },
+                corners,
+                ids: null,
+                view: null,
+                ...overrides
+            });
+            return calibrator.checkAutoCapture();
+        };
+
+        test('should become ready once the board is held still for the required frames', () => {
+            const { stableFrames } = calibrator.autoCaptureSettings;
+            const checks = [];
+            for (let i = 0; i <= stableFrames; i++) {
+                checks.push(showFrame(grid(i * 0.2)));
+            }
+
+            expect(checks[0].reasons).toEqual(['Board is moving - hold it still']);
+            expect(checks[1].reasons).toEqual([`Hold still (1/${stableFrames})`]);
+            expect(checks.slice(0, stableFrames).every(check => !check.ready)).toBe(true);
+            expect(checks[stableFrames]).toMatchObject({ ready: true, reasons: [] });
+        });
+
+        test('should start over when the board moves', () => {
+            showFrame(grid());
+            showFrame(grid());
+            showFrame(grid());
+
+            const check = showFrame(grid(5));
+
+            expect(check.reasons).toEqual(['Board is moving - hold it still']);
+            expect(calibrator.stability.frames).toBe(0);
+        });
+
+        test('should reset stability while no pattern is visible', () => {
+            showFrame(grid());
+            showFrame(grid());
+
+            const check = showFrame(null, { patternVisible: false });
+
+            expect(check.ready).toBe(false);
+            expect(check.reasons).toEqual(['No checkerboard pattern (9x6 inner corners) detected']);
+            expect(calibrator.stability).toEqual({ corners: null, ids: null, frames: 0 });
+        });
+
+        test('should report every reason a still frame is skipped', () => {
+            showFrame(grid());
+            const check = showFrame(grid(), { quality: { isGood: false, message: 'Image too dark' } });
+
+            expect(check.reasons).toEqual(['Image too dark', 'Hold still (1/5)']);
+        });
+
+        test('should match ChArUco corners by ID between frames', () => {
+            const corners = grid();
+            const ids = Array.from({ length: corners.length / 2 }, (_, i) => i);
+
+            calibrator._updateStability(corners.slice(0, 40), ids.slice(0, 20));
+            // Same physical corners, seen together with others in a different order
+            const motion = calibrator._updateStability(
+                [...corners.slice(20, 40), ...corners.slice(40, 60)],
+                [...ids.slice(10, 20), ...ids.slice(20, 30)]
+            );
+
+            expect(motion).toBe(0);
+            expect(calibrator.stability.frames).toBe(1);
+        });
+
+        test('should not measure motion from fewer than four shared corners', () => {
+            const corners = grid();
+            const ids = Array.from({ length: corners.length / 2 }, (_, i) => i);
+
+            calibrator._updateStability(corners.slice(0, 20), ids.slice(0, 10));
+            const motion = calibrator._updateStability(corners.slice(14, 40), ids.slice(7, 20));
+
+            expect(motion).toBeNull();
+            expect(calibrator.stability.frames).toBe(0);
+        });
+
+        test('should skip poses too similar to a captured image', () => {
+            const view = calibrator.coverage.estimateView(grid(), calibrator._generateObjectPoints(), calibrator._getBoardOutline());
+            calibrator.capturedImages = [{ coverage: view }];
+            calibrator.nextPose = { message: 'Next: tilt the board' };
+
+            showFrame(grid(), { view });
+            const check = showFrame(grid(), { view });
+
+            expect(check.reasons).toContain('Too similar to image 1. Next: tilt the board');
+        });
+    });
+
+    describe('Parameter Constraint', () => {
+        test('should grade well constrained intrinsics by the reprojection error', () => {
+            calibrator.intrinsicUncertainty = { fx: 0.8, fy: 0.8, cx: 0.5, cy: 0.5 };
+
+            const quality = calibrator._assessCalibrationQuality();
+
+            expect(quality.overall).toBe('excellent');
+            expect(quality.focalUncertainty).toBeCloseTo(0.001, 6);
+        });
+
+        test('should downgrade a low error when the focal length is poorly constrained', () => {
+            const maxFocal = calibrator.qualityThresholds.maxFocalUncertainty;
+            calibrator.intrinsicUncertainty = { fx: 800 * maxFocal * 2, fy: 0.8, cx: 0.5, cy: 0.5 };
+
+            const quality = calibrator._assessCalibrationQuality();
+
+            expect(quality.overall).toBe('fair');
+            expect(quality.recommendations[0]).toContain('Focal length is poorly constrained');
+        });
+
+        test('should grade intrinsics without an uncertainty estimate as poor', () => {
+            calibrator.intrinsicUncertainty = null;
+
+            const constraint = calibrator._assessParameterConstraint();
+            const quality = calibrator._assessCalibrationQuality();
+
+            expect(constraint.grade).toBe('poor');
+            expect(constraint.issues).toHaveLength(1);
+            expect(quality.overall).toBe('poor');
+            expect(quality.recommendations[0]).toContain('not constrained');
+        });
+    });
+
+    describe('Outlier Views', () => {
+        let views;
+
+        beforeEach(() => {
+            views = createViews(calibrator);
+            globalThis.cv = createFakeCv(views);
+            calibrator.cameraWidth = 1280;
+            calibrator.cameraHeight = 720;
+            calibrator.outlierRejection.enabled = true;
+        });
+
+        afterEach(() => {
+            delete globalThis.cv;
+        });
+
+        test('should reject a corrupted view and report the error before and after', async () => {
+            calibrator.capturedImages = createCaptures(views, { corrupt: 4 });
+
+            await calibrator._processCalibration();
+            const report = calibrator.calibrationReport;
+
+            expect(report.rejectedViews.map(view => view.index)).toEqual([4]);
+            expect(report.rejectedViews[0]).toMatchObject({ timestamp: 1004, iteration: 1 });
+            expect(report.rejectedViews[0].reprojectionError).toBeGreaterThan(4);
+            expect(report.initialError).toBeGreaterThan(1);
+            expect(report.finalError).toBeLessThan(0.2);
+            expect(report).toMatchObject({ iterations: 1, outlierRejection: true, usedViews: 11 });
+            expect(calibrator.calibrationError).toBe(report.finalError);
+        });
+
+        test('should re-evaluate a rejected view under the final calibration', async () => {
+            calibrator.capturedImages = createCaptures(views, { corrupt: 4 });
+
+            await calibrator._processCalibration();
+            const rejected = calibrator.calibrationReport.views[4];
+
+            // Left out of the final run, its pose is solved again to measure its error
+            expect(rejected.rejected).toBe(true);
+            expect(rejected.reason).toContain('View error');
+            expect(rejected.reprojectionError).toBeGreaterThan(4);
+            expect(calibrator.capturedImages[4].rvec).toEqual(views[4].rvec);
+            expect(calibrator.calibrationReport.views.filter(view => view.reprojectionError < 0.2)).toHaveLength(11);
+        });
+
+        test('should keep every view when none disagrees with the rest', async () => {
+            calibrator.capturedImages = createCaptures(views);
+
+            await calibrator._processCalibration();
+            const report = calibrator.calibrationReport;
+
+            expect(report.rejectedViews).toEqual([]);
+            expect(report.iterations).toBe(0);
+            expect(report.finalError).toBe(report.initialError);
+            expect(report.usedViews).toBe(12);
+        });
+
+        test('should measure each view with its own pose', () => {
+            calibrator.capturedImages = createCaptures(views, { corrupt: 4 });
+
+            const result = calibrator._runCalibration([0, 1, 2, 3, 4, 5]);
+
+            expect(Object.keys(result.viewErrors)).toEqual(['0', '1', '2', '3', '4', '5']);
+            expect(result.viewErrors[4]).toBeGreaterThan(4);
+            [0, 1, 2, 3, 5].forEach(index => expect(result.viewErrors[index]).toBeLessThan(0.1));
+        });
+    });
+
+    describe('Calibration Flags', () => {
+        let views;
+
+        // What camera-calibration-app finds for a camera last calibrated at half the resolution
+        const storedCalibration = {
+            id: 'calibration-1',
+            timestamp: '2024-05-01T10:00:00.000Z',
+            camera: {
+                intrinsicMatrix: [400, 0, 319.75, 0, 400, 179.75, 0, 0, 1],
+                distortionCoefficients: [0.1, -0.05, 0, 0],
+                resolution: { width: 640, height: 360 }
+            },
+            validation: { isValid: true }
+        };
+
+        // Configure as the app does, then run one calibration and return what reached OpenCV
+        const calibrateWith = async (config) => {
+            calibrator._validateBrowserSupport = async () => {};
+            const init = await calibrator.initialize({ width: 1280, height: 720, ...config });
+            expect(init).toMatchObject({ success: true });
+
+            calibrator.capturedImages = createCaptures(views);
+            await calibrator._processCalibration();
+            return cv.calls[0];
+        };
+
+        beforeEach(() => {
+            views = createViews(calibrator);
+            globalThis.cv = createFakeCv(views);
+        });
+
+        afterEach(() => {
+            delete globalThis.cv;
+        });
+
+        test.each([
+            ['no options', {}, 0],
+            ['fixed principal point, aspect ratio and tangential distortion',
+                { fixPrincipalPoint: true, fixAspectRatio: true, zeroTangentialDist: true }, 4 | 2 | 8],
+            ['the rational model', { distortionModel: 'rational' }, 16384],
+            ['the thin prism model with a fixed principal point', { distortionModel: 'thin_prism', fixPrincipalPoint: true }, 16384 | 32768 | 4],
+            ['an intrinsic guess requested without a previous calibration', { useIntrinsicGuess: true }, 0]
+        ])('should pass the flags for %s to calibrateCamera', async (name, config, flags) => {
+            const call = await calibrateWith(config);
+
+            expect(call.flags).toBe(flags);
+            expect(call.criteria).toBeUndefined();
+        });
+
+        test('should pass fisheye flags and termination criteria to fisheye_calibrate', async () => {
+            const call = await calibrateWith({ distortionModel: 'fisheye', fixPrincipalPoint: true, fixAspectRatio: true });
+
+            // RECOMPUTE_EXTRINSIC | FIX_SKEW | FIX_PRINCIPAL_POINT; the aspect ratio flag has no fisheye equivalent
+            expect(call.flags).toBe(2 | 8 | 512);
+            expect(call.criteria).toMatchObject({ type: 3, maxCount: 100, epsilon: 1e-6 });
+            expect(call.distortionCoefficients).toEqual([0, 0, 0, 0]);
+        });
+
+        test('should start from the image centre without a guess', async () => {
+            const call = await calibrateWith({ distortionModel: 'rational' });
+
+            expect(call.intrinsicMatrix).toEqual([1, 0, 639.5, 0, 1, 359.5, 0, 0, 1]);
+            expect(call.distortionCoefficients).toEqual(new Array(8).fill(0));
+            expect(call.imageSize).toMatchObject({ width: 1280, height: 720 });
+        });
+
+        test('should start from a stored calibration scaled to the running resolution', async () => {
+            const manager = new CalibrationManager({});
+            manager.storage.loadLatestCalibration = async () => storedCalibration;
+            const loaded = await manager.loadCalibration('user-1', {
+                cameraResolution: { width: 1280, height: 720 },
+                useCase: 'measurement'
+            });
+            const previous = loaded.calibrationData;
+
+            const call = await calibrateWith({
+                useIntrinsicGuess: true,
+                intrinsicGuess: { ...previous.camera, id: previous.id, timestamp: previous.timestamp }
+            });
+
+            expect(call.flags).toBe(cv.CALIB_USE_INTRINSIC_GUESS);
+            call.intrinsicMatrix.forEach((value, i) => expect(value).toBeCloseTo(TRUE_K[i], 9));
+            expect(call.distortionCoefficients).toEqual([0.1, -0.05, 0, 0]);
+            expect(calibrator.getCalibrationData().intrinsicGuessSource).toEqual({
+                id: 'calibration-1',
+                timestamp: '2024-05-01T10:00:00.000Z',
+                resolution: { width: 1280, height: 720 }
+            });
+        });
+
+        test('should not reuse distortion coefficients of another model', async () => {
+            const call = await calibrateWith({
+                distortionModel: 'rational',
+                intrinsicGuess: { ...storedCalibration.camera, resolution: null }
+            });
+
+            expect(call.flags).toBe(16384 | 1);
+            expect(call.intrinsicMatrix).toEqual(storedCalibration.camera.intrinsicMatrix);
+            expect(call.distortionCoefficients).toEqual(new Array(8).fill(0));
+        });
+    });
+
+    describe('Gallery Edits', () => {
+        let views;
+        let feedback;
+
+        beforeEach(() => {
+            views = createViews(calibrator);
+            globalThis.cv = createFakeCv(views);
+            calibrator.cameraWidth = 1280;
+            calibrator.cameraHeight = 720;
+            calibrator.capturedImages = createCaptures(views);
+            calibrator._clearCalibrationResult();
+
+            feedback = [];
+            calibrator.feedbackCallback = (type, message) => feedback.push({ type, message });
+        });
+
+        afterEach(() => {
+            delete globalThis.cv;
+        });
+
+        const timestamps = () => calibrator.capturedImages.map(capture => capture.timestamp - 1000);
+
+        test('should move a pending retake along when an earlier capture is deleted', async () => {
+            expect(calibrator.retakeCapture(7)).toEqual({ success: true, retakeIndex: 7 });
+
+            const result = await calibrator.deleteCapture(2);
+
+            expect(result).toEqual({ success: true, captured: 11, calibrationData: null });
+            expect(timestamps()).toEqual([0, 1, 3, 4, 5, 6, 7, 8, 9, 10, 11]);
+            expect(calibrator.retakeIndex).toBe(6);
+            expect(calibrator.capturedImages[calibrator.retakeIndex].timestamp).toBe(1007);
+        });
+
+        test('should keep a pending retake on an earlier capture and drop one on the deleted capture', async () => {
+            calibrator.retakeCapture(1);
+            await calibrator.deleteCapture(5);
+            expect(calibrator.retakeIndex).toBe(1);
+
+            await calibrator.deleteCapture(1);
+            expect(calibrator.retakeIndex).toBeNull();
+            expect(timestamps()).toEqual([0, 2, 3, 4, 6, 7, 8, 9, 10, 11]);
+        });
+
+        test('should refuse to delete or retake captures that do not exist', async () => {
+            const originalError = console.error;
+            console.error = () => {};
+            const deleted = await calibrator.deleteCapture(12);
+            console.error = originalError;
+
+            expect(deleted).toEqual({ success: false, error: 'No capture #13' });
+            expect(calibrator.retakeCapture(-1)).toEqual({ success: false, error: 'No capture #0' });
+            expect(calibrator.capturedImages).toHaveLength(12);
+        });
+
+        test('should replace the capture marked for a retake instead of adding one', async () => {
+            const replacement = views[11].corners.map(v => v + 0.05);
+            calibrator.isCalibrating = true;
+            calibrator.autoProgressEnabled = false;
+            calibrator.showCoverageOverlay = false;
+            calibrator.ctx = { drawImage: () => {}, getImageData: () => ({ width: 1280, height: 720 }) };
+            calibrator._drawDetectedPattern = () => {};
+            calibrator._assessImageQuality = () => ({ isGood: true, scores: {} });
+            calibrator._detectPattern = () => ({ found: true, corners: replacement, ids: null });
+
+            calibrator.retakeCapture(3);
+            const retaken = await calibrator.captureCalibrationImage();
+
+            expect(retaken).toEqual({ success: true, captured: 12, replaced: 3 });
+            expect(calibrator.capturedImages[3].corners).toBe(replacement);
+            expect(calibrator.retakeIndex).toBeNull();
+            expect(feedback.map(item => item.message)).toContain('🔁 Image #4 re-taken.');
+
+            const added = await calibrator.captureCalibrationImage();
+
+            expect(added).toEqual({ success: true, captured: 13, replaced: null });
+        });
+
+        test('should recalibrate from the remaining captures, starting from the previous solution', async () => {
+            calibrator.capturedImages = createCaptures(views, { corrupt: 4 });
+            await calibrator._processCalibration();
+            expect(calibrator.calibrationError).toBeGreaterThan(1);
+
+            const result = await calibrator.deleteCapture(4);
+
+            expect(result.success).toBe(true);
+            expect(result.captured).toBe(11);
+            expect(result.calibrationData.calibrationReport.usedViews).toBe(11);
+            expect(calibrator.calibrationError).toBeLessThan(0.2);
+            expect(cv.calls[1].flags & cv.CALIB_USE_INTRINSIC_GUESS).toBeTruthy();
+            expect(cv.calls[1].intrinsicMatrix).toEqual(TRUE_K);
+            expect(calibrator.warmStart).toBeNull();
+        });
+
+        test('should clear the calibration when a delete leaves too few captures', async () => {
+            calibrator.capturedImages = calibrator.capturedImages.slice(0, 10);
+            await calibrator._processCalibration();
+            expect(calibrator.getCalibrationData()).not.toBeNull();
+
+            const result = await calibrator.deleteCapture(0);
+
+            expect(result).toEqual({ success: true, captured: 9, calibrationData: null });
+            expect(calibrator.getCalibrationData()).toBeNull();
+            expect(calibrator.calibrationReport).toBeNull();
+            expect(calibrator.intrinsicUncertainty).toBeNull();
+            expect(cv.calls).toHaveLength(1);
+            expect(feedback.pop()).toEqual({
+                type: 'warning',
+                message: '⚠️ Calibration needs at least 10 images - capture 1 more to recompute it.'
+            });
+        });
+    });
+
+    describe('Saved Observations', () => {
+        // Save as Firestore would and recalibrate on a calibrator that never saw the camera
+        const recalibrateFromSaved = async (saved) => {
+            const stored = JSON.parse(JSON.stringify(saved));
+            const restored = createCalibrator();
+            restored.outlierRejection.enabled = calibrator.outlierRejection.enabled;
+
+            expect(restored.loadObservations(stored.observations)).toEqual({ success: true, views: stored.capturedImages });
+            const result = await restored.recalibrate();
+            expect(result.success).toBe(true);
+            return { restored, result };
+        };
+
+        afterEach(() => {
+            delete globalThis.cv;
+        });
+
+        test('should reproduce a calibration, including its rejected view, from the saved observations', async () => {
+            calibrator.applyPatternOptions({ calibrationPattern: 'checkerboard_7x5', patternSpacing: 29.5 });
+            const views = createViews(calibrator);
+            globalThis.cv = createFakeCv(views);
+            calibrator.cameraWidth = 1280;
+            calibrator.cameraHeight = 720;
+            calibrator.outlierRejection.enabled = true;
+            calibrator.capturedImages = createCaptures(views, { corrupt: 4 });
+            await calibrator._processCalibration();
+            const saved = calibrator.getCalibrationData();
+
+            const { restored, result } = await recalibrateFromSaved(saved);
+
+            expect(restored.getCalibrationPattern()).toEqual(saved.calibrationPattern);
+            expect(result.calibrationData.resolution).toEqual({ width: 1280, height: 720 });
+            expect(result.calibrationData.intrinsicMatrix).toEqual(saved.intrinsicMatrix);
+            expect(result.calibrationData.calibrationError).toBeCloseTo(saved.calibrationError, 3);
+            expect(result.calibrationData.calibrationReport.rejectedViews.map(view => view.index)).toEqual([4]);
+            expect(restored.capturedImages.map(capture => capture.timestamp)).toEqual(calibrator.capturedImages.map(capture => capture.timestamp));
+        });
+
+        test('should keep the corner IDs of partial ChArUco views', async () => {
+            calibrator.applyPatternOptions({ calibrationPattern: 'charuco_7x5' });
+            const allIds = Array.from({ length: calibrator.charucoBoard.cornerCount }, (_, i) => i);
+            const views = createViews(calibrator, 12, i => i % 3 === 0 ? allIds.slice(i % 2 ? 8 : 0, i % 2 ? 24 : 16) : null);
+            globalThis.cv = createFakeCv(views);
+            calibrator.cameraWidth = 1280;
+            calibrator.cameraHeight = 720;
+            calibrator.capturedImages = createCaptures(views);
+            await calibrator._processCalibration();
+
+            const { restored, result } = await recalibrateFromSaved(calibrator.getCalibrationData());
+
+            expect(restored.getCalibrationPattern()).toEqual(calibrator.getCalibrationPattern());
+            expect(restored.capturedImages.map(capture => capture.ids)).toEqual(views.map(view => view.ids));
+            expect(result.calibrationData.calibrationError).toBeLessThan(0.2);
+            expect(result.calibrationData.calibrationError).toBeCloseTo(calibrator.calibrationError, 3);
+        });
+
+        test('should refuse a calibration saved without observations', () => {
+            const originalError = console.error;
+            console.error = () => {};
+            const loaded = calibrator.loadObservations({ version: 1, views: [] });
+            console.error = originalError;
+
+            expect(loaded).toEqual({ success: false, error: 'Calibration has no stored observations' });
+            expect(calibrator.intrinsicMatrix).not.toBeNull();
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,142 @@
+/**
+ * Unit Tests for the Capture Gallery
+ * Tests thumbnail states, error labels and the delete / re-take buttons against a minimal DOM
+ */
+
+import { CaptureGallery } from '../../src/calibration/ui/CaptureGallery.js';
+
+// Element with just what the gallery touches
+const createElement = (tagName) => {
+    const classes = new Set();
+    const listeners = {};
+    let html = '';
+    return {
+        tagName,
+        children: [],
+        // Assigning markup replaces the children, as in the DOM
+        get innerHTML() {
+            return html;
+        },
+        set innerHTML(value) {
+            html = value;
+            this.children = [];
+        },
+        style: {},
+        classList: {
+            add: (name) => classes.add(name),
+            contains: (name) => classes.has(name)
+        },
+        addEventListener: (type, listener) => {
+            listeners[type] = listener;
+        },
+        dispatch: (type, event) => listeners[type](event),
+        appendChild(child) {
+            this.children.push(child);
+            return child;
+        },
+        getContext: () => ({
+            putImageData: () => {},
+            drawImage: () => {},
+            beginPath: () => {},
+            arc: () => {},
+            fill: () => {}
+        })
+    };
+};
+
+// Click on the button with the given action and index
+const click = (container, action, index) => container.dispatch('click', {
+    target: { closest: () => ({ dataset: { action, index: String(index) } }) }
+});
+
+const createCapture = (overrides = {}) => ({
+    imageData: { width: 1280, height: 720 },
+    corners: [100, 100, 200, 100],
+    reprojectionError: undefined,
+    rejected: false,
+    rejectionReason: null,
+    ...overrides
+});
+
+describe('CaptureGallery', () => {
+    let container;
+    let gallery;
+    let deleted;
+    let retaken;
+
+    beforeEach(() => {
+        container = createElement('div');
+        globalThis.document = {
+            head: createElement('head'),
+            getElementById: (id) => id === 'capture-gallery' ? container : null,
+            createElement
+        };
+
+        deleted = [];
+        retaken = [];
+        gallery = new CaptureGallery('capture-gallery', {
+            onDelete: (index) => deleted.push(index),
+            onRetake: (index) => retaken.push(index)
+        });
+    });
+
+    afterEach(() => {
+        delete globalThis.document;
+    });
+
+    // [#number, error label] of each rendered thumbnail
+    const labels = () => container.children.map(item => item.children[1].innerHTML.match(/<span>(.*?)<\/span>/g)
+        .map(span => span.replace(/<\/?span>/g, '')));
+
+    test('should label each capture with its number and reprojection error', () => {
+        gallery.render([
+            createCapture(),
+            createCapture({ reprojectionError: 0.234 }),
+            createCapture({ reprojectionError: 4.5, rejected: true, rejectionReason: 'View error 4.50 px' })
+        ]);
+
+        expect(container.style.display).toBe('grid');
+        expect(labels()).toEqual([['#1', 'not calibrated'], ['#2', '0.23 px'], ['#3', '4.50 px ❌']]);
+        expect(container.children[2].classList.contains('rejected')).toBe(true);
+        expect(container.children[2].title).toBe('View error 4.50 px');
+        expect(container.children[0].children[0].width).toBe(160);
+        expect(container.children[0].children[0].height).toBe(90);
+    });
+
+    test('should mark the capture waiting for a re-take', () => {
+        gallery.render([createCapture(), createCapture(), createCapture()], 1);
+
+        expect(container.children.map(item => item.classList.contains('retaking'))).toEqual([false, true, false]);
+    });
+
+    test('should pass the clicked index to the delete and re-take callbacks', () => {
+        gallery.render([createCapture(), createCapture(), createCapture()]);
+
+        click(container, 'delete', 2);
+        click(container, 'retake', 0);
+        container.dispatch('click', { target: { closest: () => null } });
+
+        expect(deleted).toEqual([2]);
+        expect(retaken).toEqual([0]);
+    });
+
+    test('should number the remaining captures from one after a delete', () => {
+        const captures = [createCapture(), createCapture({ reprojectionError: 0.4 }), createCapture()];
+        gallery.render(captures);
+
+        captures.splice(0, 1);
+        gallery.render(captures, 0);
+
+        expect(labels()).toEqual([['#1', '0.40 px'], ['#2', 'not calibrated']]);
+        expect(container.children[1].children[2].innerHTML).toContain('data-action="delete" data-index="1"');
+        expect(container.children[0].classList.contains('retaking')).toBe(true);
+    });
+
+    test('should hide itself once cleared', () => {
+        gallery.render([createCapture()]);
+        gallery.clear();
+
+        expect(container.children).toEqual([]);
+        expect(container.style.display).toBe('none');
+    });
+});
\ No newline at end of file
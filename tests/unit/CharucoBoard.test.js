@@ -0,0 +1,107 @@
+/**
+ * Unit Tests for the ChArUco Board
+ * Interpolates chessboard corners from markers seen through a known board-to-image homography
+ */
+
+import { CharucoBoard } from '../../src/calibration/patterns/CharucoBoard.js';
+import { GeometryUtils } from '../../src/utils/GeometryUtils.js';
+
+const gray = { cols: 640, rows: 480 };
+
+// Board (mm) to image (px): a tilted view, and the board turned upside down
+const VIEWS = {
+    tilted: [2.2, 0.4, 120, -0.3, 2.1, 90, 0.0004, 0.0002, 1],
+    upsideDown: [-2.2, 0, 560, 0, -2.1, 400, 0, 0, 1]
+};
+
+// Markers as decodeQuad() reports them: image corners starting at the marker's own top-left
+const observeMarkers = (board, H, isVisible = () => true) => board.markerSquares
+    .filter(isVisible)
+    .map(square => ({
+        markerId: square.markerId,
+        corners: board._markerBoardCorners(square).map(p => GeometryUtils.applyHomography(H, p))
+    }));
+
+const touchesVisibleMarker = (board, cornerId, isVisible) => {
+    const { x, y } = board.getCornerPosition(cornerId);
+    const row = Math.round(y / board.squareLength);
+    const col = Math.round(x / board.squareLength);
+    return board.markerSquares.some(square => isVisible(square) &&
+        (square.row === row - 1 || square.row === row) && (square.col === col - 1 || square.col === col));
+};
+
+describe('CharucoBoard', () => {
+    let board;
+
+    beforeEach(() => {
+        board = new CharucoBoard({ squaresX: 7, squaresY: 5, squareLength: 30, markerLength: 21 });
+        // Sub-pixel refinement needs image content; predictions are exact here
+        board._refineCorners = () => {};
+    });
+
+    describe('Layout', () => {
+        test('should put one marker in every white square', () => {
+            expect(board.markerSquares).toHaveLength(17);
+            expect(board.markerSquares[0]).toEqual({ markerId: 0, row: 0, col: 1 });
+            expect(board.markerSquares.every(({ row, col }) => (row + col) % 2 === 1)).toBe(true);
+        });
+
+        test('should number corners row by row from the top-left interior corner', () => {
+            expect(board.cornerCount).toBe(24);
+            expect(board.getCornerPosition(0)).toEqual({ x: 30, y: 30, z: 0 });
+            expect(board.getCornerPosition(7)).toEqual({ x: 60, y: 60, z: 0 });
+            expect(board.getCornerPosition(23)).toEqual({ x: 180, y: 120, z: 0 });
+        });
+
+        test('should reject markers that leave no white margin', () => {
+            expect(() => new CharucoBoard({ squareLength: 30, markerLength: 25 })).toThrow('Marker length');
+        });
+    });
+
+    describe('Corner Interpolation', () => {
+        test.each(Object.keys(VIEWS))('should place every corner of a fully visible board (%s)', (view) => {
+            const H = VIEWS[view];
+
+            const corners = board._interpolateCorners(gray, observeMarkers(board, H));
+
+            expect(corners.map(c => c.id)).toEqual(Array.from({ length: board.cornerCount }, (_, id) => id));
+            corners.forEach(({ id, x, y }) => {
+                const expected = GeometryUtils.applyHomography(H, board.getCornerPosition(id));
+                expect(x).toBeCloseTo(expected.x, 4);
+                expect(y).toBeCloseTo(expected.y, 4);
+            });
+        });
+
+        test('should keep corner IDs of a partly visible board', () => {
+            // Only the right half of the board is in view
+            const isVisible = square => square.col >= 4;
+            const H = VIEWS.tilted;
+
+            const corners = board._interpolateCorners(gray, observeMarkers(board, H, isVisible));
+
+            const expectedIds = Array.from({ length: board.cornerCount }, (_, id) => id)
+                .filter(id => touchesVisibleMarker(board, id, isVisible));
+            expect(corners.map(c => c.id)).toEqual(expectedIds);
+            expect(corners.map(c => c.id)).not.toContain(0);
+            corners.forEach(({ id, x, y }) => {
+                const expected = GeometryUtils.applyHomography(H, board.getCornerPosition(id));
+                expect(x).toBeCloseTo(expected.x, 4);
+                expect(y).toBeCloseTo(expected.y, 4);
+            });
+        });
+
+        test('should drop corners too close to the image border to refine', () => {
+            // Board shifted so its left column of corners lands on the image edge
+            const H = [2, 0, -60 + 2, 0, 2, 100, 0, 0, 1];
+
+            const corners = board._interpolateCorners(gray, observeMarkers(board, H));
+
+            expect(corners.some(c => c.id % 6 === 0)).toBe(false);
+            expect(corners.filter(c => c.id % 6 === 1)).toHaveLength(4);
+        });
+
+        test('should find no corners without markers', () => {
+            expect(board._interpolateCorners(gray, [])).toEqual([]);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,169 @@
+/**
+ * Unit Tests for the Coverage Tracker
+ * Poses a synthetic board in front of a known camera and checks the region, tilt and distance bins and the next pose suggestion
+ */
+
+import { CoverageTracker } from '../../src/calibration/core/CoverageTracker.js';
+import { GeometryUtils } from '../../src/utils/GeometryUtils.js';
+
+const WIDTH = 1280;
+const HEIGHT = 720;
+const K = [0.8 * WIDTH, 0, WIDTH / 2, 0, 0.8 * WIDTH, HEIGHT / 2, 0, 0, 1];
+
+// 9x6 board with 25 mm spacing, outline clockwise from the top-left
+const BOARD = { width: 200, height: 125 };
+const OUTLINE = [{ x: 0, y: 0 }, { x: BOARD.width, y: 0 }, { x: BOARD.width, y: BOARD.height }, { x: 0, y: BOARD.height }];
+const objectPoints = [];
+for (let row = 0; row <= 5; row++) {
+    for (let col = 0; col <= 8; col++) {
+        objectPoints.push(col * 25, row * 25, 0);
+    }
+}
+
+const DEG = Math.PI / 180;
+
+// Rotations naming the edge turned toward the camera, as CoverageTracker suggests them
+const TILT_RVECS = {
+    frontal: [0, 0, 0],
+    left: [0, -30 * DEG, 0],
+    right: [0, 30 * DEG, 0],
+    top: [30 * DEG, 0, 0],
+    bottom: [-30 * DEG, 0, 0]
+};
+
+// Depth at which the frontal board covers the given fraction of the image
+const depthFor = (areaRatio, camera = K) => camera[0] * Math.sqrt(BOARD.width * BOARD.height / (areaRatio * WIDTH * HEIGHT));
+
+// Image corners of the board rotated by rvec with its centre at image point target and the given depth
+const observe = (rvec, depth, target = { x: WIDTH / 2, y: HEIGHT / 2 }, camera = K) => {
+    const rotatedCenter = GeometryUtils.multiply3x3Vector(GeometryUtils.rodrigues(rvec), [BOARD.width / 2, BOARD.height / 2, 0]);
+    const tvec = [
+        (target.x - camera[2]) / camera[0] * depth - rotatedCenter[0],
+        (target.y - camera[5]) / camera[4] * depth - rotatedCenter[1],
+        depth - rotatedCenter[2]
+    ];
+
+    const points = [];
+    for (let i = 0; i < objectPoints.length; i += 3) {
+        points.push({ x: objectPoints[i], y: objectPoints[i + 1], z: 0 });
+    }
+    return GeometryUtils.projectPoints(points, rvec, tvec, camera).flatMap(p => [p.x, p.y]);
+};
+
+describe('CoverageTracker', () => {
+    let tracker;
+
+    beforeEach(() => {
+        tracker = new CoverageTracker(WIDTH, HEIGHT);
+    });
+
+    describe('View Estimation', () => {
+        test.each(Object.keys(TILT_RVECS))('should bin a board turned %s', (tilt) => {
+            const view = tracker.estimateView(observe(TILT_RVECS[tilt], depthFor(0.2)), objectPoints, OUTLINE);
+
+            expect(view.tilt).toBe(tilt);
+            expect(view.tiltAngle).toBeCloseTo(tilt === 'frontal' ? 0 : 30, 3);
+            expect(view.zone).toBe('center');
+        });
+
+        test('should ignore tilts below the threshold', () => {
+            const view = tracker.estimateView(observe([0, 10 * DEG, 0], depthFor(0.2)), objectPoints, OUTLINE);
+
+            expect(view.tilt).toBe('frontal');
+            expect(view.tiltAngle).toBeCloseTo(10, 3);
+        });
+
+        test.each([['far', 0.08], ['medium', 0.2], ['near', 0.45]])('should bin a %s board by its image area', (distance, areaRatio) => {
+            const view = tracker.estimateView(observe([0, 0, 0], depthFor(areaRatio)), objectPoints, OUTLINE);
+
+            expect(view.distance).toBe(distance);
+            expect(view.areaRatio).toBeCloseTo(areaRatio, 6);
+        });
+
+        test('should use the full board outline for partly visible boards', () => {
+            const corners = observe([0, 0, 0], depthFor(0.2), { x: 60, y: 360 });
+            // Keep only the columns that are inside the frame
+            const inside = [];
+            const insideObject = [];
+            for (let i = 0; i < corners.length / 2; i++) {
+                if (corners[i * 2] >= 0) {
+                    inside.push(corners[i * 2], corners[i * 2 + 1]);
+                    insideObject.push(...objectPoints.slice(i * 3, i * 3 + 3));
+                }
+            }
+
+            const view = tracker.estimateView(inside, insideObject, OUTLINE);
+
+            expect(inside.length).toBeLessThan(corners.length);
+            expect(view.zone).toBe('left');
+            expect(view.center.x).toBeCloseTo(60, 6);
+            expect(view.areaRatio).toBeCloseTo(0.2, 6);
+        });
+
+        test('should name the image region under the board centre', () => {
+            const zoneOf = target => tracker.estimateView(observe([0, 0, 0], depthFor(0.08), target), objectPoints, OUTLINE).zone;
+
+            expect(zoneOf({ x: 200, y: 120 })).toBe('top-left');
+            expect(zoneOf({ x: 1100, y: 600 })).toBe('bottom-right');
+            expect(zoneOf({ x: 640, y: 120 })).toBe('top');
+        });
+
+        test('should use known intrinsics for the tilt estimate', () => {
+            const wideLens = [500, 0, WIDTH / 2, 0, 500, HEIGHT / 2, 0, 0, 1];
+            const corners = observe([0, 12 * DEG, 0], depthFor(0.2, wideLens), undefined, wideLens);
+
+            // The assumed webcam field of view overestimates the tilt seen through a wide-angle lens
+            expect(tracker.estimateView(corners, objectPoints, OUTLINE).tilt).toBe('right');
+
+            tracker.setCameraMatrix(wideLens);
+            const view = tracker.estimateView(corners, objectPoints, OUTLINE);
+
+            expect(view.tilt).toBe('frontal');
+            expect(view.tiltAngle).toBeCloseTo(12, 3);
+        });
+
+        test('should reject detections with fewer than four corners', () => {
+            expect(tracker.estimateView([1, 2, 3, 4, 5, 6], [0, 0, 0, 25, 0, 0, 50, 0, 0], OUTLINE)).toBeNull();
+        });
+    });
+
+    describe('Next Pose Suggestion', () => {
+        test('should start with a frontal board at arm\'s length in the centre', () => {
+            const suggestion = tracker.suggestNextPose(OUTLINE);
+
+            expect(suggestion).toMatchObject({ zone: 'center', tilt: 'frontal', distance: 'medium' });
+            expect(suggestion.message).toBe('Next: hold the pattern at arm\'s length in the centre of the image, facing the camera');
+        });
+
+        test('should move on to uncovered regions, tilts and distances', () => {
+            tracker.addView(observe([0, 0, 0], depthFor(0.2)), objectPoints, OUTLINE);
+
+            const suggestion = tracker.suggestNextPose(OUTLINE);
+
+            expect(suggestion.zone).not.toBe('center');
+            expect(suggestion.tilt).not.toBe('frontal');
+            expect(suggestion.distance).not.toBe('medium');
+        });
+
+        test('should draw a ghost outline that reads back as the suggested pose', () => {
+            tracker.addView(observe([0, 0, 0], depthFor(0.2)), objectPoints, OUTLINE);
+            const suggestion = tracker.suggestNextPose(OUTLINE);
+
+            const ghost = suggestion.outline;
+            const view = tracker.estimateView(ghost.flatMap(p => [p.x, p.y]), OUTLINE.flatMap(p => [p.x, p.y, 0]), OUTLINE);
+
+            expect(ghost.every(p => p.x >= 0 && p.x <= WIDTH && p.y >= 0 && p.y <= HEIGHT)).toBe(true);
+            expect(view).toMatchObject({ zone: suggestion.zone, tilt: suggestion.tilt, distance: suggestion.distance });
+        });
+
+        test('should flag views repeating a captured pose', () => {
+            tracker.addView(observe(TILT_RVECS.left, depthFor(0.2)), objectPoints, OUTLINE);
+
+            const repeat = tracker.estimateView(observe([0, -25 * DEG, 0], depthFor(0.18)), objectPoints, OUTLINE);
+            const other = tracker.estimateView(observe(TILT_RVECS.right, depthFor(0.2)), objectPoints, OUTLINE);
+
+            expect(tracker.isRedundant(repeat)).toBe(true);
+            expect(tracker.isRedundant(other)).toBe(false);
+        });
+    });
+});
\ No newline at end of file
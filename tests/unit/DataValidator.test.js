@@ -0,0 +1,130 @@
+/**
+ * Unit Tests for the Data Validator
+ * Tests checks on stored full geometric calibrations and their adaptation to the camera resolution in use
+ */
+
+import { DataValidator } from '../../src/calibration/storage/DataValidator.js';
+import { GeometryUtils } from '../../src/utils/GeometryUtils.js';
+
+const createCalibration = (projector = {}) => ({
+    timestamp: '2024-05-01T10:00:00.000Z',
+    camera: {
+        intrinsicMatrix: [800, 0, 640, 0, 800, 360, 0, 0, 1],
+        distortionCoefficients: [0.1, -0.05, 0, 0, 0],
+        resolution: { width: 1280, height: 720 }
+    },
+    projector: {
+        resolution: { width: 1920, height: 1080 },
+        intrinsicMatrix: [1400, 0, 960, 0, 1400, 540, 0, 0, 1],
+        rotationMatrix: GeometryUtils.rodrigues([0.02, -0.25, 0.01]),
+        translationVector: [180, -30, 20],
+        ...projector
+    },
+    validation: { isValid: true }
+});
+
+describe('DataValidator', () => {
+    let validator;
+
+    beforeEach(() => {
+        validator = new DataValidator();
+    });
+
+    describe('Projector Rotation', () => {
+        test('should accept a proper camera-to-projector rotation', () => {
+            expect(validator.validateCalibrationData(createCalibration()).errors).toEqual([]);
+        });
+
+        test('should reject a reflection even though it is orthonormal', () => {
+            // Mirroring one axis of a rotation keeps R * R^T = I but flips det R to -1
+            const reflection = GeometryUtils.multiply3x3([1, 0, 0, 0, 1, 0, 0, 0, -1], GeometryUtils.rodrigues([0.02, -0.25, 0.01]));
+
+            const result = validator.validateCalibrationData(createCalibration({ rotationMatrix: reflection }));
+
+            expect(GeometryUtils.determinant3x3(reflection)).toBeCloseTo(-1, 9);
+            expect(result.isValid).toBe(false);
+            expect(result.errors).toEqual(['Projector rotation matrix must be a proper rotation (orthonormal, determinant +1) of 9 numbers']);
+        });
+
+        test('should reject a matrix that is not orthonormal', () => {
+            const sheared = [1, 0.2, 0, 0, 1, 0, 0, 0, 1];
+
+            expect(validator.validateCalibrationData(createCalibration({ rotationMatrix: sheared })).isValid).toBe(false);
+        });
+    });
+
+    describe('Camera Resolution', () => {
+        const withUncertainty = () => {
+            const data = createCalibration();
+            data.camera.intrinsicUncertainty = {
+                fx: 2, fy: 2.2, cx: 1.5, cy: 1,
+                principalPointCovariance: [[2.25, 0.3], [0.3, 1]]
+            };
+            return data;
+        };
+
+        test('should leave a calibration at its own resolution untouched', () => {
+            const data = createCalibration();
+
+            expect(validator.adaptToResolution(data, { width: 1280, height: 720 })).toEqual({ data, adjustment: null, error: null });
+        });
+
+        test('should reject a resolution with another aspect ratio', () => {
+            const data = createCalibration();
+
+            const adapted = validator.adaptToResolution(data, { width: 1024, height: 768 });
+
+            expect(adapted.data).toBe(data);
+            expect(adapted.adjustment).toEqual({
+                calibratedResolution: { width: 1280, height: 720 },
+                runtimeResolution: { width: 1024, height: 768 },
+                rejected: true
+            });
+            expect(adapted.error).toContain('the aspect ratio differs');
+        });
+
+        test('should scale the intrinsics and their uncertainty with the pixel size', () => {
+            const data = withUncertainty();
+
+            const { data: adapted, adjustment } = validator.adaptToResolution(data, { width: 640, height: 360 });
+            const uncertainty = adapted.camera.intrinsicUncertainty;
+
+            expect(adapted.camera.intrinsicMatrix).toEqual([400, 0, 319.75, 0, 400, 179.75, 0, 0, 1]);
+            expect(adapted.camera.resolution).toEqual({ width: 640, height: 360 });
+            expect(adapted.camera.resolutionAdjustment).toBe(adjustment);
+            expect(uncertainty).toMatchObject({ fx: 1, fy: 1.1, cx: 0.75, cy: 0.5 });
+            expect(uncertainty.principalPointCovariance).toEqual([[0.5625, 0.075], [0.075, 0.25]]);
+
+            // The stored calibration itself is not modified
+            expect(data.camera.intrinsicMatrix).toEqual([800, 0, 640, 0, 800, 360, 0, 0, 1]);
+            expect(data.camera.intrinsicUncertainty.fx).toBe(2);
+        });
+
+        test('should report the scaling as an adjustment with warnings', () => {
+            const check = validator.validateForUse(withUncertainty(), 'measurement', { cameraResolution: { width: 1920, height: 1080 } });
+
+            expect(check.isValid).toBe(true);
+            expect(check.adjustments).toEqual([{
+                type: 'resolution',
+                calibratedResolution: { width: 1280, height: 720 },
+                runtimeResolution: { width: 1920, height: 1080 },
+                scale: { x: 1.5, y: 1.5 },
+                adjustedAt: expect.any(String)
+            }]);
+            expect(check.warnings).toEqual(expect.arrayContaining([
+                'Camera intrinsics scaled from 1280x720 to 1920x1080',
+                'Camera runs above its calibration resolution; accuracy is limited by the original calibration'
+            ]));
+            expect(check.data.camera.intrinsicMatrix[0]).toBe(1200);
+        });
+
+        test('should make a calibration with another aspect ratio unusable', () => {
+            const check = validator.validateForUse(createCalibration(), 'measurement', { cameraResolution: { width: 1024, height: 768 } });
+
+            expect(check.isValid).toBe(false);
+            expect(check.errors).toEqual([expect.stringContaining('calibrated at 1280x720')]);
+            expect(check.adjustments).toEqual([expect.objectContaining({ type: 'resolution', rejected: true })]);
+            expect(check.warnings).not.toContain('Camera intrinsics scaled from 1280x720 to 1024x768');
+        });
+    });
+});
\ No newline at end of file
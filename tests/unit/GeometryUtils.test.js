@@ -0,0 +1,161 @@
+/**
+ * Unit Tests for Geometry Utilities
+ * Tests homography estimation, linear algebra and the camera projection model without OpenCV
+ */
+
+import { GeometryUtils } from '../../src/utils/GeometryUtils.js';
+
+// Known homography (camera -> projector) used to synthesize correspondences
+const H = [1.8, 0.1, 30, -0.05, 1.7, 20, 0.0002, 0.0001, 1];
+
+const gridPoints = (cols, rows) => {
+    const points = [];
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+            points.push({ x: 100 + col * 250, y: 80 + row * 200 });
+        }
+    }
+    return points;
+};
+
+describe('GeometryUtils', () => {
+    describe('Homography Estimation', () => {
+        test('should recover homography from four exact points', () => {
+            const src = gridPoints(2, 2);
+            const dst = src.map(p => GeometryUtils.applyHomography(H, p));
+
+            const h = GeometryUtils.findHomography(src, dst);
+
+            h.forEach((value, i) => {
+                expect(value).toBeCloseTo(H[i], 6);
+            });
+        });
+
+        test('should reject too few correspondences', () => {
+            const src = gridPoints(3, 1);
+            expect(() => GeometryUtils.findHomography(src, src)).toThrow('at least 4');
+        });
+
+        test('should flag outliers with RANSAC', () => {
+            const src = gridPoints(4, 3);
+            const dst = src.map(p => GeometryUtils.applyHomography(H, p));
+            dst[5] = { x: dst[5].x + 40, y: dst[5].y - 25 };
+
+            const result = GeometryUtils.findHomographyRansac(src, dst, 3.0);
+
+            expect(result.inliers[5]).toBe(false);
+            expect(result.inliers.filter(Boolean)).toHaveLength(11);
+
+            const mapped = GeometryUtils.applyHomography(result.homography, src[0]);
+            const expected = GeometryUtils.applyHomography(H, src[0]);
+            expect(GeometryUtils.pointDistance(mapped, expected)).toBeLessThan(1e-6);
+        });
+    });
+
+    describe('Linear Algebra', () => {
+        test('should invert 3x3 matrices', () => {
+            const identity = GeometryUtils.multiply3x3(H, GeometryUtils.invert3x3(H));
+            [1, 0, 0, 0, 1, 0, 0, 0, 1].forEach((value, i) => {
+                expect(identity[i]).toBeCloseTo(value, 10);
+            });
+        });
+
+        test('should throw on singular matrices', () => {
+            expect(() => GeometryUtils.invert3x3([1, 2, 3, 2, 4, 6, 0, 0, 1])).toThrow('singular');
+            expect(GeometryUtils.invertMatrix([[1, 2], [2, 4]])).toBeNull();
+        });
+
+        test('should solve linear systems', () => {
+            const x = GeometryUtils.solveLinearSystem([[4, 1, 2], [1, 3, 0], [2, 0, 5]], [7, 4, 7]);
+            expect(x[0]).toBeCloseTo(1, 10);
+            expect(x[1]).toBeCloseTo(1, 10);
+            expect(x[2]).toBeCloseTo(1, 10);
+        });
+
+        test('should compute singular values and condition number', () => {
+            const { values } = GeometryUtils.svd([[3, 0, 0], [0, -2, 0], [0, 0, 1]]);
+            expect(values[0]).toBeCloseTo(3, 10);
+            expect(values[1]).toBeCloseTo(2, 10);
+            expect(values[2]).toBeCloseTo(1, 10);
+            expect(GeometryUtils.conditionNumber3x3([3, 0, 0, 0, 2, 0, 0, 0, 1])).toBeCloseTo(3, 10);
+        });
+    });
+
+    describe('Projection Model', () => {
+        const K = [800, 0, 640, 0, 810, 360, 0, 0, 1];
+        const distortion = [-0.3, 0.12, 0.001, -0.002, -0.02];
+
+        test('should build orthonormal rotations from Rodrigues vectors', () => {
+            const R = GeometryUtils.rodrigues([0.1, 0.2, -0.05]);
+            const RRt = GeometryUtils.multiply3x3(R, GeometryUtils.transpose3x3(R));
+
+            [1, 0, 0, 0, 1, 0, 0, 0, 1].forEach((value, i) => {
+                expect(RRt[i]).toBeCloseTo(value, 10);
+            });
+            expect(GeometryUtils.determinant3x3(R)).toBeCloseTo(1, 10);
+        });
+
+        test('should project points onto the principal point without distortion', () => {
+            const [pixel] = GeometryUtils.projectPoints([{ x: 0, y: 0, z: 1 }], [0, 0, 0], [0, 0, 1], K);
+            expect(pixel.x).toBeCloseTo(640, 10);
+            expect(pixel.y).toBeCloseTo(360, 10);
+        });
+
+        test('should return null for points behind the camera', () => {
+            const [pixel] = GeometryUtils.projectPoints([{ x: 0, y: 0, z: -2 }], [0, 0, 0], [0, 0, 0], K);
+            expect(pixel).toBeNull();
+        });
+
+        test('should undistort projected points back to ideal pixels', () => {
+            const point = { x: 0.3, y: -0.2, z: 2 };
+            const [distorted] = GeometryUtils.projectPoints([point], [0, 0, 0], [0, 0, 0], K, distortion);
+            const [ideal] = GeometryUtils.projectPoints([point], [0, 0, 0], [0, 0, 0], K);
+
+            const undistorted = GeometryUtils.undistortPixel(distorted, K, distortion);
+
+            expect(undistorted.x).toBeCloseTo(ideal.x, 6);
+            expect(undistorted.y).toBeCloseTo(ideal.y, 6);
+        });
+
+        test('should infer distortion models from the coefficient count', () => {
+            expect(GeometryUtils.getDistortionModel([0, 0, 0, 0])).toBe('standard');
+            expect(GeometryUtils.getDistortionModel(distortion)).toBe('standard_k3');
+            expect(GeometryUtils.getDistortionModel(new Array(8).fill(0))).toBe('rational');
+            expect(GeometryUtils.getDistortionModel(new Array(12).fill(0))).toBe('thin_prism');
+            expect(GeometryUtils.getDistortionModel([0, 0, 0, 0], 'fisheye')).toBe('fisheye');
+            expect(() => GeometryUtils.getDistortionModel([], 'barrel')).toThrow('Unknown distortion model');
+        });
+
+        test.each([
+            ['thin_prism', [-0.25, 0.08, 0.001, -0.001, -0.01, 0.05, 0.01, 0.002, 0.001, -0.0005, 0.0008, 0.0002]],
+            ['fisheye', [0.05, -0.01, 0.003, -0.0005]]
+        ])('should undistort %s projections back to ideal pixels', (model, coefficients) => {
+            const point = { x: 0.9, y: -0.6, z: 1.2 };
+            const [distorted] = GeometryUtils.projectPoints([point], [0, 0, 0], [0, 0, 0], K, coefficients, model);
+            const [ideal] = GeometryUtils.projectPoints([point], [0, 0, 0], [0, 0, 0], K);
+
+            expect(GeometryUtils.pointDistance(distorted, ideal)).toBeGreaterThan(1);
+
+            const undistorted = GeometryUtils.undistortPixel(distorted, K, coefficients, model);
+
+            expect(undistorted.x).toBeCloseTo(ideal.x, 4);
+            expect(undistorted.y).toBeCloseTo(ideal.y, 4);
+        });
+
+        test('should scale intrinsics between resolutions of the same aspect ratio', () => {
+            const { intrinsicMatrix, scale } = GeometryUtils.scaleIntrinsics(
+                [1500, 0, 959.5, 0, 1500, 539.5, 0, 0, 1],
+                { width: 1920, height: 1080 },
+                { width: 1280, height: 720 }
+            );
+
+            expect(scale.x).toBeCloseTo(2 / 3, 10);
+            expect(intrinsicMatrix[0]).toBeCloseTo(1000, 10);
+            expect(intrinsicMatrix[2]).toBeCloseTo(639.5, 10);
+            expect(intrinsicMatrix[5]).toBeCloseTo(359.5, 10);
+
+            expect(() => GeometryUtils.scaleIntrinsics(K, { width: 1280, height: 720 }, { width: 640, height: 480 }))
+                .toThrow('Aspect ratio');
+        });
+    });
+});
\ No newline at end of file
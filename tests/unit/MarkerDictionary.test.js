@@ -0,0 +1,122 @@
+/**
+ * Unit Tests for the Marker Dictionary
+ * Tests the code distances and marker identification under rotation and bit errors
+ */
+
+import { MarkerDictionary } from '../../src/calibration/patterns/MarkerDictionary.js';
+
+const rotateClockwise = (grid) => {
+    const n = grid.length;
+    return grid.map((row, y) => row.map((_, x) => grid[n - 1 - x][y]));
+};
+
+const rotateTimes = (grid, turns) => {
+    let rotated = grid;
+    for (let i = 0; i < turns; i++) {
+        rotated = rotateClockwise(rotated);
+    }
+    return rotated;
+};
+
+const flipBits = (grid, cells) => {
+    const flipped = grid.map(row => row.slice());
+    cells.forEach(([x, y]) => {
+        flipped[y][x] ^= 1;
+    });
+    return flipped;
+};
+
+describe('MarkerDictionary', () => {
+    let dictionary;
+
+    beforeEach(() => {
+        dictionary = new MarkerDictionary();
+    });
+
+    describe('Codes', () => {
+        test('should keep every code at least minDistance bits from every rotation of every code', () => {
+            let closest = Infinity;
+
+            for (let a = 0; a < dictionary.size; a++) {
+                for (let b = a; b < dictionary.size; b++) {
+                    // A code against its own rotations only, skipping the identity
+                    for (let rotation = a === b ? 1 : 0; rotation < 4; rotation++) {
+                        const rotated = dictionary._gridToCode(rotateTimes(dictionary.getBitGrid(b), rotation));
+                        closest = Math.min(closest, dictionary._hammingDistance(dictionary.codes[a], rotated));
+                    }
+                }
+            }
+
+            expect(dictionary.size).toBe(50);
+            expect(closest).toBeGreaterThanOrEqual(dictionary.minDistance);
+            expect(dictionary.minDistance).toBeGreaterThan(2 * dictionary.maxCorrectionBits);
+        });
+
+        test('should surround the data bits with a dark border and a light quiet zone', () => {
+            const cells = dictionary.getCellGrid(7);
+            const n = dictionary.gridCells;
+
+            expect(cells).toHaveLength(n);
+            expect(cells[0].every(cell => cell === 1)).toBe(true);
+            expect(cells[1].slice(1, n - 1).every(cell => cell === 0)).toBe(true);
+            expect(cells.slice(2, n - 2).map(row => row.slice(2, n - 2))).toEqual(dictionary.getBitGrid(7));
+        });
+
+        test('should reject IDs outside the dictionary', () => {
+            expect(() => dictionary.getBitGrid(50)).toThrow('not in dictionary 4x4_50');
+        });
+    });
+
+    describe('Identification', () => {
+        test('should identify every marker and its rotation', () => {
+            for (let markerId = 0; markerId < dictionary.size; markerId++) {
+                for (let rotation = 0; rotation < 4; rotation++) {
+                    const observed = rotateTimes(dictionary.getBitGrid(markerId), rotation);
+
+                    expect(dictionary.identify(observed)).toEqual({ markerId, rotation, distance: 0 });
+                }
+            }
+        });
+
+        test('should correct a single flipped bit', () => {
+            const observed = flipBits(rotateTimes(dictionary.getBitGrid(23), 3), [[2, 1]]);
+
+            expect(dictionary.identify(observed)).toEqual({ markerId: 23, rotation: 3, distance: 1 });
+        });
+
+        test('should reject grids with two flipped bits', () => {
+            for (let markerId = 0; markerId < dictionary.size; markerId++) {
+                const observed = flipBits(dictionary.getBitGrid(markerId), [[0, 0], [3, 2]]);
+
+                expect(dictionary.identify(observed)).toBeNull();
+            }
+        });
+    });
+
+    describe('Quad Decoding', () => {
+        // Image corners of a marker candidate, clockwise from the image top-left
+        const square = [{ x: 100, y: 100 }, { x: 180, y: 100 }, { x: 180, y: 180 }, { x: 100, y: 180 }];
+
+        test.each([0, 1, 2, 3])('should start the corners at the marker top-left after %i clockwise turns', (rotation) => {
+            dictionary._sampleCells = () => rotateTimes(dictionary.getCellGrid(12), rotation);
+
+            // Corner order from the detector is arbitrary
+            const result = dictionary.decodeQuad(null, [square[2], square[0], square[3], square[1]]);
+
+            expect(result.markerId).toBe(12);
+            expect(result.rotation).toBe(rotation);
+            expect(result.corners[0]).toEqual(square[rotation]);
+            expect(result.corners[1]).toEqual(square[(rotation + 1) % 4]);
+            expect(result.center).toEqual({ x: 140, y: 140 });
+        });
+
+        test('should reject candidates with a broken border', () => {
+            const cells = dictionary.getCellGrid(12);
+            cells[1][3] = 1;
+            cells[5][1] = 1;
+            dictionary._sampleCells = () => cells;
+
+            expect(dictionary.decodeQuad(null, square)).toBeNull();
+        });
+    });
+});
\ No newline at end of file
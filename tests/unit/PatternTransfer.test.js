@@ -0,0 +1,238 @@
+/**
+ * Unit Tests for Pattern Transfer
+ * Tests checksums, pixel-exact rendering on the display side and which pixel buffers the controllers move
+ */
+
+import { PatternTransfer } from '../../src/projector/PatternTransfer.js';
+import { WindowManager } from '../../src/projector/WindowManager.js';
+import { ProjectorManager } from '../../src/projector/ProjectorManager.js';
+
+const createImageData = (width, height) => {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < data.length; i++) {
+        data[i] = (i * 37) % 256;
+    }
+    // Opaque, as patterns should be
+    for (let i = 3; i < data.length; i += 4) {
+        data[i] = 255;
+    }
+    return { width, height, data };
+};
+
+// Canvas holding one ImageData, enough for fromCanvas() and renderToCanvas()
+const createCanvas = (imageData = null) => {
+    let stored = imageData;
+    const context = {
+        putImageData: (data) => {
+            stored = { width: data.width, height: data.height, data: new Uint8ClampedArray(data.data) };
+        },
+        getImageData: () => ({ width: stored.width, height: stored.height, data: new Uint8ClampedArray(stored.data) })
+    };
+
+    return {
+        width: imageData ? imageData.width : 0,
+        height: imageData ? imageData.height : 0,
+        style: {},
+        getContext: () => context
+    };
+};
+
+// Channel that delivers like postMessage: listed buffers are moved, everything else is copied
+const createChannel = () => {
+    const channel = {
+        sent: [],
+        transport: { isConnected: () => true },
+        connect: async () => ({}),
+        request: async (type, payload, options = {}) => {
+            const transfer = options.transfer || [];
+            const delivered = structuredClone(payload, { transfer });
+            channel.sent.push({ type, transfer, pattern: delivered.pattern });
+            return { checksum: PatternTransfer.checksum(new Uint8Array(delivered.pattern.pixels)), pixelExact: true };
+        }
+    };
+    return channel;
+};
+
+describe('PatternTransfer', () => {
+    describe('Checksum', () => {
+        test('should compute 32-bit FNV-1a over RGBA words', () => {
+            expect(PatternTransfer.checksum(new Uint8Array(0))).toBe('811c9dc5');
+            expect(PatternTransfer.checksum(new Uint8Array([1, 2, 3, 4]))).toMatch(/^[0-9a-f]{8}$/);
+        });
+
+        test('should not depend on the byte offset of the view', () => {
+            const bytes = createImageData(3, 2).data;
+            const buffer = new Uint8Array(bytes.length + 1);
+            buffer.set(bytes, 1);
+
+            expect(PatternTransfer.checksum(buffer.subarray(1))).toBe(PatternTransfer.checksum(bytes));
+            expect(PatternTransfer.checksum(bytes.buffer)).toBe(PatternTransfer.checksum(bytes));
+        });
+
+        test('should change with any byte, including trailing ones', () => {
+            const bytes = new Uint8Array([10, 20, 30, 40, 50, 60]);
+            const base = PatternTransfer.checksum(bytes);
+
+            [0, 3, 5].forEach(index => {
+                const changed = bytes.slice();
+                changed[index]++;
+                expect(PatternTransfer.checksum(changed)).not.toBe(base);
+            });
+        });
+    });
+
+    describe('Pixel Patterns', () => {
+        test('should copy ImageData pixels and checksum them', () => {
+            const imageData = createImageData(4, 3);
+
+            const pattern = PatternTransfer.fromImageData(imageData, { type: 'gray_code', bit: 2 });
+            imageData.data[0] = 0;
+
+            expect(pattern).toMatchObject({ type: 'gray_code', bit: 2, format: 'pixels', width: 4, height: 3 });
+            expect(new Uint8Array(pattern.pixels)[0]).toBe(createImageData(4, 3).data[0]);
+            expect(pattern.checksum).toBe(PatternTransfer.checksum(createImageData(4, 3).data));
+            expect(pattern.frameId).toBeTruthy();
+        });
+
+        test('should keep generated pattern fields but not the canvas', () => {
+            const canvas = createCanvas(createImageData(2, 2));
+
+            const pattern = PatternTransfer.from({ type: 'checkerboard', canvas, dataURL: 'data:image/png;base64,', rows: 3 });
+
+            expect(pattern.rows).toBe(3);
+            expect(pattern.canvas).toBeUndefined();
+            expect(pattern.dataURL).toBeUndefined();
+            expect(PatternTransfer.from(pattern)).toBe(pattern);
+        });
+
+        test('should reject an acknowledgement of another frame', () => {
+            const pattern = PatternTransfer.fromImageData(createImageData(2, 2));
+
+            expect(PatternTransfer.verifyAck(pattern, { checksum: pattern.checksum })).toEqual({ checksum: pattern.checksum });
+            expect(() => PatternTransfer.verifyAck(pattern, { checksum: '00000000' }))
+                .toThrow(`Projector shows frame 00000000 instead of ${pattern.checksum}`);
+        });
+    });
+
+    describe('Rendering on the Display', () => {
+        beforeEach(() => {
+            globalThis.window = { devicePixelRatio: 2, innerWidth: 4, innerHeight: 3 };
+            globalThis.ImageData = class {
+                constructor(data, width, height) {
+                    Object.assign(this, { data, width, height });
+                }
+            };
+        });
+
+        afterEach(() => {
+            delete globalThis.window;
+            delete globalThis.ImageData;
+        });
+
+        test('should draw the pixels 1:1 and acknowledge their checksum', () => {
+            const pattern = PatternTransfer.fromImageData(createImageData(8, 6));
+            const canvas = createCanvas();
+
+            const ack = PatternTransfer.renderToCanvas(pattern, canvas);
+
+            expect(ack).toEqual({ frameId: pattern.frameId, checksum: pattern.checksum, width: 8, height: 6, pixelExact: true });
+            expect(canvas.width).toBe(8);
+            expect(canvas.style).toMatchObject({ width: '4px', height: '3px', imageRendering: 'pixelated' });
+        });
+
+        test('should report patterns that do not match the device pixels', () => {
+            const pattern = PatternTransfer.fromImageData(createImageData(4, 3));
+
+            expect(PatternTransfer.renderToCanvas(pattern, createCanvas()).pixelExact).toBe(false);
+        });
+
+        test('should refuse corrupted pixels', () => {
+            const pattern = PatternTransfer.fromImageData(createImageData(4, 3));
+            new Uint8Array(pattern.pixels)[5] ^= 1;
+
+            expect(() => PatternTransfer.renderToCanvas(pattern, createCanvas())).toThrow('checksum mismatch');
+        });
+
+        test('should refuse pixel data of the wrong size', () => {
+            const pattern = { ...PatternTransfer.fromImageData(createImageData(4, 3)), width: 5 };
+
+            expect(() => PatternTransfer.renderToCanvas(pattern, createCanvas())).toThrow('does not match 5×3');
+        });
+    });
+
+    describe('Delivery', () => {
+        const generated = () => ({ type: 'gray_code', canvas: createCanvas(createImageData(4, 3)), dataURL: '' });
+
+        test('should move pixels the window manager converted to a local window', async () => {
+            const windowManager = new WindowManager();
+            windowManager.channel = createChannel();
+            windowManager.projectorWindow = { closed: false };
+
+            const result = await windowManager.displayPattern(generated());
+
+            const [sent] = windowManager.channel.sent;
+            expect(result.success).toBe(true);
+            expect(sent.transfer).toHaveLength(1);
+            expect(sent.pattern.pixels.byteLength).toBe(4 * 3 * 4);
+            expect(windowManager.currentPattern).toBeNull();
+            expect(windowManager.getStatus().currentPattern).toBe('gray_code');
+        });
+
+        test('should not keep a projected pattern whose pixels were moved', async () => {
+            const projectorManager = new ProjectorManager();
+            projectorManager.channel = createChannel();
+            projectorManager.projectorWindow = { closed: false };
+            projectorManager.isProjectorActive = true;
+
+            await projectorManager._sendPatternToProjector(generated());
+
+            expect(projectorManager.channel.sent[0].transfer).toHaveLength(1);
+            expect(projectorManager.lastPattern).toBeNull();
+        });
+
+        test('should copy pixel patterns passed in by the caller', async () => {
+            const windowManager = new WindowManager();
+            windowManager.channel = createChannel();
+            windowManager.projectorWindow = { closed: false };
+            const pattern = PatternTransfer.fromImageData(createImageData(4, 3));
+
+            await windowManager.displayPattern(pattern);
+
+            expect(windowManager.channel.sent[0].transfer).toEqual([]);
+            expect(pattern.pixels.byteLength).toBe(4 * 3 * 4);
+            expect(windowManager.currentPattern).toBe(pattern);
+        });
+
+        test('should move projected image pixels but not the caller\'s pixel patterns', async () => {
+            const projectorManager = new ProjectorManager();
+            projectorManager.channel = createChannel();
+            projectorManager.projectorWindow = { closed: false };
+            projectorManager.isProjectorActive = true;
+            const pattern = PatternTransfer.fromImageData(createImageData(4, 3));
+
+            await projectorManager.projectImage(createCanvas(createImageData(4, 3)));
+            await projectorManager.projectImage(pattern);
+
+            const [converted, passed] = projectorManager.channel.sent;
+            expect(converted.transfer).toHaveLength(1);
+            expect(passed.transfer).toEqual([]);
+            expect(pattern.pixels.byteLength).toBe(4 * 3 * 4);
+        });
+
+        test('should keep the last pattern intact for restoring a remote display', async () => {
+            const projectorManager = new ProjectorManager();
+            projectorManager.channel = createChannel();
+            projectorManager.remoteTransport = { transport: 'websocket', url: 'ws://127.0.0.1:8787' };
+            projectorManager.isProjectorActive = true;
+
+            await projectorManager._sendPatternToProjector(generated());
+            await projectorManager._restoreRemoteDisplay();
+
+            const [first, restored] = projectorManager.channel.sent;
+            expect(first.transfer).toEqual([]);
+            expect(projectorManager.lastPattern.pixels.byteLength).toBe(4 * 3 * 4);
+            expect(restored.pattern.checksum).toBe(first.pattern.checksum);
+            expect(PatternTransfer.checksum(new Uint8Array(restored.pattern.pixels))).toBe(first.pattern.checksum);
+        });
+    });
+});
\ No newline at end of file
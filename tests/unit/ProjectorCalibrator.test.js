@@ -0,0 +1,174 @@
+/**
+ * Unit Tests for the Projector Calibrator
+ * Lifts projected corners onto a synthetic board pose and recovers a known camera-to-projector transform
+ */
+
+import { ProjectorCalibrator } from '../../src/calibration/core/ProjectorCalibrator.js';
+import { GeometryUtils } from '../../src/utils/GeometryUtils.js';
+
+const K = [800, 0, 640, 0, 800, 360, 0, 0, 1];
+
+// Board tilted away from the camera, 60 cm in front of it
+const boardPose = {
+    rotationMatrix: GeometryUtils.rodrigues([0.3, -0.4, 0.1]),
+    translationVector: [-120, -80, 600]
+};
+
+const boardGrid = () => {
+    const points = [];
+    for (let row = 0; row < 4; row++) {
+        for (let col = 0; col < 5; col++) {
+            points.push({ x: 20 + col * 35, y: 15 + row * 35, z: 0 });
+        }
+    }
+    return points;
+};
+
+// Just enough of OpenCV.js for the undistortion in _projectOntoBoard, backed by GeometryUtils
+const installOpenCV = () => {
+    const mat = (data = []) => ({ data32F: Float32Array.from(data), data64F: Float64Array.from(data), delete() {} });
+
+    globalThis.cv = {
+        CV_32FC2: 13,
+        CV_64F: 6,
+        Mat: function () {
+            return mat();
+        },
+        matFromArray: (rows, cols, type, array) => mat(array),
+        undistortPoints: (src, dst, cameraMatrix, distCoeffs) => {
+            const normalized = [];
+            for (let i = 0; i < src.data32F.length; i += 2) {
+                const point = GeometryUtils.undistortPoint(
+                    { x: src.data32F[i], y: src.data32F[i + 1] },
+                    Array.from(cameraMatrix.data64F),
+                    Array.from(distCoeffs.data64F)
+                );
+                normalized.push(point.x, point.y);
+            }
+            dst.data32F = Float32Array.from(normalized);
+        }
+    };
+};
+
+describe('ProjectorCalibrator', () => {
+    let calibrator;
+
+    beforeEach(() => {
+        installOpenCV();
+        calibrator = new ProjectorCalibrator({ intrinsicMatrix: K, distortionCoefficients: [0, 0, 0, 0, 0] });
+    });
+
+    afterEach(() => {
+        delete globalThis.cv;
+    });
+
+    describe('Lifting Corners onto the Board', () => {
+        test('should intersect camera rays with the board plane', () => {
+            const board = boardGrid();
+            const rays = [];
+            board.forEach(point => {
+                const [X, Y, Z] = GeometryUtils.multiply3x3Vector(boardPose.rotationMatrix, [point.x, point.y, 0]);
+                const t = boardPose.translationVector;
+                rays.push((X + t[0]) / (Z + t[2]), (Y + t[1]) / (Z + t[2]));
+            });
+
+            const lifted = calibrator._liftRaysOntoBoard(rays, boardPose);
+
+            expect(lifted).toHaveLength(board.length * 3);
+            board.forEach((point, i) => {
+                expect(lifted[i * 3]).toBeCloseTo(point.x, 6);
+                expect(lifted[i * 3 + 1]).toBeCloseTo(point.y, 6);
+                expect(lifted[i * 3 + 2]).toBe(0);
+            });
+        });
+
+        test('should reject rays parallel to the board', () => {
+            const edgeOn = { rotationMatrix: GeometryUtils.rodrigues([Math.PI / 2, 0, 0]), translationVector: [0, 50, 600] };
+
+            expect(() => calibrator._liftRaysOntoBoard([0, 0], edgeOn)).toThrow('parallel');
+        });
+
+        test('should map projected corner pixels back to board coordinates', () => {
+            const board = boardGrid();
+            const pixels = GeometryUtils.projectPoints(board, boardPose.rotationMatrix, boardPose.translationVector, K)
+                .flatMap(p => [p.x, p.y]);
+
+            const lifted = calibrator._projectOntoBoard(pixels, boardPose);
+
+            board.forEach((point, i) => {
+                expect(lifted[i * 3]).toBeCloseTo(point.x, 2);
+                expect(lifted[i * 3 + 1]).toBeCloseTo(point.y, 2);
+            });
+        });
+
+        test('should undo camera lens distortion before lifting', () => {
+            const distortion = [-0.2, 0.05, 0, 0, 0];
+            calibrator.cameraCalibration.distortionCoefficients = distortion;
+
+            const board = boardGrid();
+            const pixels = GeometryUtils.projectPoints(board, boardPose.rotationMatrix, boardPose.translationVector, K, distortion)
+                .flatMap(p => [p.x, p.y]);
+
+            const lifted = calibrator._projectOntoBoard(pixels, boardPose);
+
+            board.forEach((point, i) => {
+                expect(lifted[i * 3]).toBeCloseTo(point.x, 1);
+                expect(lifted[i * 3 + 1]).toBeCloseTo(point.y, 1);
+            });
+        });
+    });
+
+    describe('Camera-to-Projector Pose', () => {
+        test('should recover a known camera-to-projector transform from per-view poses', () => {
+            const cameraToProjector = GeometryUtils.rodrigues([0.02, -0.25, 0.01]);
+            const offset = [180, -30, 20];
+
+            const boardPoses = [[0.3, -0.4, 0.1], [-0.2, 0.3, 0], [0.1, 0.5, -0.2]].map((rvec, i) => ({
+                rotationMatrix: GeometryUtils.rodrigues(rvec),
+                translationVector: [-100 + i * 40, -60, 550 + i * 50]
+            }));
+            const projectorPoses = boardPoses.map(({ rotationMatrix, translationVector }) => {
+                const Rt = GeometryUtils.multiply3x3Vector(cameraToProjector, translationVector);
+                return {
+                    rotationMatrix: GeometryUtils.multiply3x3(cameraToProjector, rotationMatrix),
+                    translationVector: Rt.map((v, axis) => v + offset[axis])
+                };
+            });
+            calibrator.views = boardPoses.map(pose => ({ boardPose: pose }));
+
+            const extrinsics = calibrator._computeExtrinsics(projectorPoses);
+
+            extrinsics.rotationMatrix.forEach((value, i) => {
+                expect(value).toBeCloseTo(cameraToProjector[i], 6);
+            });
+            extrinsics.translationVector.forEach((value, axis) => {
+                expect(value).toBeCloseTo(offset[axis], 6);
+            });
+            expect(extrinsics.consistency.translationStd).toBeLessThan(1e-6);
+            expect(extrinsics.consistency.maxRotationDeviation).toBeLessThan(1e-4);
+        });
+    });
+
+    describe('Settle Delay', () => {
+        test('should read the projector latency at capture time', () => {
+            const projectorManager = { detectedResolution: { width: 1280, height: 800 }, latency: null };
+            calibrator.setProjector(projectorManager);
+
+            expect(calibrator._getSettleDelay()).toBe(calibrator.settings.settleDelay);
+
+            projectorManager.latency = { mean: 70, jitter: 5, settleDelay: 85 };
+
+            expect(calibrator._getSettleDelay()).toBe(85);
+        });
+    });
+
+    describe('Projected Pattern', () => {
+        test('should list inner corners of the projected checkerboard in projector pixels', () => {
+            calibrator.projectedPattern = { rows: 3, cols: 4, squareSize: 80, centerOffset: { x: 800, y: 420 } };
+
+            const corners = calibrator._getProjectorCornerPositions();
+
+            expect(corners).toEqual([880, 500, 960, 500, 1040, 500, 880, 580, 960, 580, 1040, 580]);
+        });
+    });
+});
\ No newline at end of file
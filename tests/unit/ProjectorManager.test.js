@@ -0,0 +1,114 @@
+/**
+ * Unit Tests for the Projector Manager
+ * Tests the projector–camera latency probe with scripted camera frames and display timings
+ */
+
+import { ProjectorManager } from '../../src/projector/ProjectorManager.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Camera that reports a frame every few milliseconds at the brightness the scene has then
+const createCamera = (manager, frameInterval = 4) => {
+    const camera = {
+        level: 0,
+        video: {
+            requestVideoFrameCallback: (callback) => {
+                setTimeout(() => {
+                    const now = performance.now();
+                    callback(now, { captureTime: now });
+                }, frameInterval);
+            }
+        }
+    };
+    manager._sampleCameraLevel = () => camera.level;
+    return camera;
+};
+
+describe('ProjectorManager', () => {
+    let manager;
+
+    beforeEach(() => {
+        manager = new ProjectorManager();
+    });
+
+    describe('Latency Probe', () => {
+        test('should summarize latency and derive the settle delay', () => {
+            const latency = manager._summarizeLatency([
+                { latency: 40, ackDelay: 20 },
+                { latency: 50, ackDelay: 25 },
+                { latency: 60, ackDelay: 30 }
+            ]);
+
+            expect(latency).toMatchObject({ mean: 50, jitter: 8.2, min: 40, max: 60, ackDelay: 25, transitions: 3, rejected: 0 });
+            expect(latency.settleDelay).toBe(75);
+        });
+
+        test('should reject negative samples instead of averaging them', () => {
+            const latency = manager._summarizeLatency([
+                { latency: 45, ackDelay: 20 },
+                { latency: -15, ackDelay: 60 },
+                { latency: 55, ackDelay: 20 },
+                { latency: NaN, ackDelay: 20 }
+            ]);
+
+            expect(latency).toMatchObject({ mean: 50, min: 45, ackDelay: 20, transitions: 2, rejected: 2 });
+            expect(latency.settleDelay).toBe(65);
+        });
+
+        test('should fail when no sample is valid', () => {
+            expect(() => manager._summarizeLatency([{ latency: -3, ackDelay: 10 }])).toThrow('No valid latency samples');
+        });
+
+        test('should timestamp the first frame at the target level taken after the switch', async () => {
+            const camera = createCamera(manager);
+            camera.level = 255; // Stale bright frames before the switch must not count
+            const since = performance.now() + 20;
+            setTimeout(() => {
+                camera.level = 0;
+            }, 10);
+            setTimeout(() => {
+                camera.level = 255;
+            }, 30);
+
+            const seenAt = await manager._waitForCameraLevel(camera.video, level => level >= 200, since, 1000);
+
+            expect(seenAt - since).toBeGreaterThanOrEqual(5);
+        });
+
+        test('should give up when the camera never reaches the level', async () => {
+            const camera = createCamera(manager);
+
+            await expect(manager._waitForCameraLevel(camera.video, level => level >= 200, performance.now(), 30))
+                .rejects.toThrow('Camera did not see the flash in time');
+        });
+
+        test('should measure from the switch when the camera sees it before the ack', async () => {
+            const camera = createCamera(manager, 2);
+            manager.channel = {};
+            manager.projectorWindow = { closed: false };
+            manager.isProjectorActive = true;
+            manager._provideFeedback = () => {};
+            manager._generateFlash = (color) => ({ color });
+            manager._measureFlashLevel = async (video, flash) => {
+                camera.level = flash.color === '#FFFFFF' ? 220 : 20;
+                return camera.level;
+            };
+            // The display switches after 10 ms but its ack only arrives after 40 ms
+            manager._sendPatternToProjector = async (flash) => {
+                setTimeout(() => {
+                    camera.level = flash.color === '#FFFFFF' ? 220 : 20;
+                }, 10);
+                await sleep(40);
+                return { presented: true };
+            };
+
+            const result = await manager.measureLatency(camera.video, { transitions: 4 });
+
+            expect(result.success).toBe(true);
+            expect(result.latency).toMatchObject({ transitions: 4, rejected: 0 });
+            expect(result.latency.min).toBeGreaterThanOrEqual(5);
+            expect(result.latency.mean).toBeLessThan(result.latency.ackDelay);
+            expect(result.latency.settleDelay).toBeGreaterThanOrEqual(5);
+        });
+    });
+});
\ No newline at end of file
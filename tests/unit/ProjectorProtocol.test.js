@@ -0,0 +1,290 @@
+/**
+ * Unit Tests for the Projector Protocol
+ * Runs controller and display channels over an in-memory transport to test acknowledgements, timeouts and addressing
+ */
+
+import { ProjectorChannel, MESSAGE_TYPES, PROTOCOL_NAME } from '../../src/projector/ProjectorProtocol.js';
+import { ProjectorTransport } from '../../src/projector/ProjectorTransports.js';
+
+// Delivers every message to all other connected transports on the bus, like a BroadcastChannel
+class MemoryTransport extends ProjectorTransport {
+    constructor(bus, { connected = true } = {}) {
+        super();
+        this.bus = bus;
+        this.connectOnOpen = connected;
+        this.sent = [];
+        bus.add(this);
+    }
+
+    async open() {
+        if (this.connectOnOpen) this._setStatus('connected');
+    }
+
+    send(message) {
+        if (!this.isConnected()) {
+            throw new Error('Transport not connected');
+        }
+        this.sent.push(message);
+        const data = JSON.parse(JSON.stringify(message));
+        this.bus.forEach(transport => {
+            if (transport !== this && transport.isConnected()) {
+                setTimeout(() => transport._receive(data), 0);
+            }
+        });
+    }
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('ProjectorProtocol', () => {
+    let bus;
+    let channels;
+
+    const createChannel = (options = {}, transportOptions = {}) => {
+        const channel = new ProjectorChannel(new MemoryTransport(bus, transportOptions), { timeout: 200, ...options });
+        channels.push(channel);
+        return channel;
+    };
+
+    // Display answering hello like ProjectorChannel.forDisplay() does, without a window
+    const createDisplay = (id = 'display-1') => {
+        const display = createChannel({ role: 'display', id });
+        display.on(MESSAGE_TYPES.HELLO, (payload, message) => {
+            display.peerId = message.source;
+            display.isConnected = true;
+            return { displayId: display.id, resolution: { width: 1920, height: 1080 } };
+        });
+        return display;
+    };
+
+    beforeEach(() => {
+        bus = new Set();
+        channels = [];
+    });
+
+    afterEach(() => {
+        channels.forEach(channel => channel.close());
+    });
+
+    describe('Requests', () => {
+        test('should resolve with the handler result from the acknowledgement', async () => {
+            const display = createDisplay();
+            display.on(MESSAGE_TYPES.PING, (payload) => ({ echo: payload.value }));
+            const controller = createChannel();
+
+            const result = await controller.request(MESSAGE_TYPES.PING, { value: 42 });
+
+            expect(result).toEqual({ echo: 42 });
+            expect(controller.pending.size).toBe(0);
+        });
+
+        test('should wait for asynchronous handlers', async () => {
+            const display = createDisplay();
+            display.on(MESSAGE_TYPES.CLEAR_PATTERN, async () => {
+                await wait(20);
+                return 'cleared';
+            });
+            const controller = createChannel();
+
+            expect(await controller.request(MESSAGE_TYPES.CLEAR_PATTERN)).toBe('cleared');
+        });
+
+        test('should reject with a timeout error when nobody answers', async () => {
+            const controller = createChannel();
+
+            const error = await controller.request(MESSAGE_TYPES.PING, {}, { timeout: 30 }).catch(e => e);
+
+            expect(error.message).toBe('Projector ping timeout after 30 ms');
+            expect(error.timeout).toBe(true);
+            expect(error.remote).toBeUndefined();
+            expect(controller.pending.size).toBe(0);
+        });
+
+        test('should reject with a remote error when the handler fails', async () => {
+            const display = createDisplay();
+            display.on(MESSAGE_TYPES.DISPLAY_PATTERN, () => {
+                throw new Error('Pattern pixel data does not match 4×4');
+            });
+            const controller = createChannel();
+
+            const error = await controller.request(MESSAGE_TYPES.DISPLAY_PATTERN, {}).catch(e => e);
+
+            expect(error.message).toBe('Pattern pixel data does not match 4×4');
+            expect(error.remote).toBe(true);
+            expect(error.timeout).toBeUndefined();
+        });
+
+        test('should reject requests the display has no handler for', async () => {
+            createDisplay();
+            const controller = createChannel();
+
+            const error = await controller.request(MESSAGE_TYPES.TOGGLE_FULLSCREEN).catch(e => e);
+
+            expect(error.message).toBe('Unsupported message type: toggle-fullscreen');
+            expect(error.remote).toBe(true);
+        });
+
+        test('should refuse messages of another protocol version with an error ack', async () => {
+            const display = createDisplay();
+            display.on(MESSAGE_TYPES.PING, () => 'pong');
+            const controller = createChannel();
+            // Requests go out as an older peer would send them
+            const send = controller.transport.send.bind(controller.transport);
+            controller.transport.send = (message) => send({ ...message, version: 0 });
+
+            const error = await controller.request(MESSAGE_TYPES.PING).catch(e => e);
+
+            expect(error.message).toBe('Unsupported protocol version 0 (expected 1)');
+            expect(error.remote).toBe(true);
+        });
+
+        test('should fail outstanding requests when the channel closes', async () => {
+            const controller = createChannel();
+
+            const request = controller.request(MESSAGE_TYPES.PING, {}, { timeout: 1000 });
+            controller.close();
+
+            await expect(request).rejects.toThrow('Projector channel closed');
+        });
+    });
+
+    describe('Handshake', () => {
+        test('should bind both ends to each other', async () => {
+            const display = createDisplay();
+            const controller = createChannel();
+
+            const info = await controller.connect(1000, 50);
+
+            expect(info.displayId).toBe('display-1');
+            expect(controller.peerId).toBe('display-1');
+            expect(controller.isConnected).toBe(true);
+            expect(display.peerId).toBe(controller.id);
+        });
+
+        test('should retry hello until a late display answers', async () => {
+            const controller = createChannel();
+            setTimeout(() => createDisplay(), 120);
+
+            const info = await controller.connect(1000, 50);
+
+            expect(info.displayId).toBe('display-1');
+            expect(controller.transport.sent.length).toBeGreaterThan(1);
+        });
+
+        test('should wait for a transport that is not connected yet', async () => {
+            createDisplay();
+            const controller = createChannel({}, { connected: false });
+            setTimeout(() => controller.transport._setStatus('connected'), 120);
+
+            const info = await controller.connect(1000, 50);
+
+            expect(info.displayId).toBe('display-1');
+        });
+
+        test('should give up with a timeout error', async () => {
+            const controller = createChannel();
+
+            const error = await controller.connect(150, 50).catch(e => e);
+
+            expect(error.message).toBe('Projector window load timeout');
+            expect(error.timeout).toBe(true);
+        });
+
+        test('should not retry when the display refuses the handshake', async () => {
+            const display = createChannel({ role: 'display', id: 'display-1' });
+            display.on(MESSAGE_TYPES.HELLO, () => {
+                throw new Error('Display is locked');
+            });
+            const controller = createChannel();
+
+            const error = await controller.connect(1000, 50).catch(e => e);
+
+            expect(error.message).toBe('Display is locked');
+            expect(error.remote).toBe(true);
+            expect(controller.transport.sent).toHaveLength(1);
+        });
+    });
+
+    describe('Addressing', () => {
+        const message = (type, fields = {}) => ({
+            ...ProjectorChannel.createMessage(type, {}, { source: 'someone' }),
+            ...fields
+        });
+
+        test('should ignore its own messages and messages for other endpoints', () => {
+            const channel = createChannel({ id: 'me' });
+
+            expect(channel._isForUs(message(MESSAGE_TYPES.PING, { source: 'me' }))).toBe(false);
+            expect(channel._isForUs(message(MESSAGE_TYPES.PING, { target: 'other' }))).toBe(false);
+            expect(channel._isForUs(message(MESSAGE_TYPES.PING, { target: 'me' }))).toBe(true);
+            expect(channel._isForUs(message(MESSAGE_TYPES.PING, { target: null }))).toBe(true);
+        });
+
+        test('should only listen to its peer once bound, apart from handshake and discovery', () => {
+            const channel = createChannel({ id: 'me', peerId: 'peer' });
+
+            expect(channel._isForUs(message(MESSAGE_TYPES.PING, { source: 'peer' }))).toBe(true);
+            expect(channel._isForUs(message(MESSAGE_TYPES.PING, { source: 'stranger' }))).toBe(false);
+            expect(channel._isForUs(message(MESSAGE_TYPES.ACK, { source: 'stranger', target: 'me' }))).toBe(false);
+            [MESSAGE_TYPES.HELLO, MESSAGE_TYPES.DISCOVER, MESSAGE_TYPES.ANNOUNCE].forEach(type => {
+                expect(channel._isForUs(message(type, { source: 'stranger' }))).toBe(true);
+            });
+        });
+
+        test('should deliver requests only to the bound display', async () => {
+            const first = createDisplay('display-1');
+            const second = createDisplay('display-2');
+            const shown = [];
+            first.on(MESSAGE_TYPES.DISPLAY_PATTERN, () => shown.push('display-1'));
+            second.on(MESSAGE_TYPES.DISPLAY_PATTERN, () => shown.push('display-2'));
+
+            const controller = createChannel({ peerId: 'display-2' });
+            await controller.request(MESSAGE_TYPES.DISPLAY_PATTERN, {});
+
+            expect(shown).toEqual(['display-2']);
+        });
+
+        test('should let the latest controller take over a display', async () => {
+            const display = createDisplay();
+            const handled = [];
+            display.on(MESSAGE_TYPES.CLEAR_PATTERN, (payload, message) => handled.push(message.source));
+
+            const old = createChannel({ id: 'old-controller' });
+            await old.connect(1000, 50);
+            const current = createChannel({ id: 'new-controller' });
+            await current.connect(1000, 50);
+
+            old.send(MESSAGE_TYPES.CLEAR_PATTERN);
+            await current.request(MESSAGE_TYPES.CLEAR_PATTERN);
+
+            expect(display.peerId).toBe('new-controller');
+            expect(handled).toEqual(['new-controller']);
+        });
+
+        test('should collect announcements of every display on discovery', async () => {
+            ['display-1', 'display-2'].forEach(id => {
+                const display = createDisplay(id);
+                display.on(MESSAGE_TYPES.DISCOVER, (payload, request) => {
+                    display.send(MESSAGE_TYPES.ANNOUNCE, { controlled: false }, { target: request.source });
+                });
+            });
+            const controller = createChannel();
+
+            const displays = await controller.discover(50);
+
+            expect(displays.map(d => d.displayId).sort()).toEqual(['display-1', 'display-2']);
+            expect(controller.handlers.has(MESSAGE_TYPES.ANNOUNCE)).toBe(false);
+        });
+    });
+
+    describe('Messages', () => {
+        test('should only accept protocol messages of this version', () => {
+            const message = ProjectorChannel.createMessage(MESSAGE_TYPES.PING);
+
+            expect(ProjectorChannel.parseMessage(message).valid).toBe(true);
+            expect(ProjectorChannel.parseMessage({ ...message, protocol: 'other' }).valid).toBe(false);
+            expect(ProjectorChannel.parseMessage({ ...message, id: 7 }).error).toBe('Message type and id are required');
+            expect(message.protocol).toBe(PROTOCOL_NAME);
+        });
+    });
+});
\ No newline at end of file
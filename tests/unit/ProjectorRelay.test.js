@@ -0,0 +1,164 @@
+/**
+ * Unit Tests for the Projector Relay
+ * Runs the relay on a free port and talks to it with real WebSocket clients
+ * ws is a devDependency for this test only; the relay itself needs nothing beyond Node
+ */
+
+import WebSocket from 'ws';
+import { ProjectorRelay } from '../../server/projector-relay.js';
+
+const connect = (port, room, options = {}) => new Promise((resolve, reject) => {
+    const socket = new WebSocket(`ws://127.0.0.1:${port}/?room=${room}`, options);
+    socket.once('open', () => resolve(socket));
+    socket.once('error', reject);
+});
+
+const nextMessage = (socket) => new Promise(resolve => {
+    socket.once('message', data => resolve(data.toString()));
+});
+
+const closeCode = (socket) => new Promise(resolve => {
+    socket.once('close', code => resolve(code));
+});
+
+describe('ProjectorRelay', () => {
+    const consoleLog = console.log;
+    const consoleWarn = console.warn;
+    let relay;
+    let port;
+    let sockets;
+
+    const open = async (room, options) => {
+        const socket = await connect(port, room, options);
+        sockets.push(socket);
+        return socket;
+    };
+
+    beforeAll(() => {
+        console.log = () => {};
+        console.warn = () => {};
+    });
+
+    afterAll(() => {
+        console.log = consoleLog;
+        console.warn = consoleWarn;
+    });
+
+    beforeEach(async () => {
+        relay = new ProjectorRelay({ port: 0, maxMessageSize: 8 * 1024 * 1024 });
+        port = (await relay.start()).port;
+        sockets = [];
+    });
+
+    afterEach(async () => {
+        sockets.forEach(socket => socket.terminate());
+        await relay.stop();
+    });
+
+    describe('Rooms', () => {
+        test('should forward messages to the other clients of the same room only', async () => {
+            const controller = await open('lab');
+            const display = await open('lab');
+            const stranger = await open('other');
+
+            const received = [];
+            stranger.on('message', data => received.push(data.toString()));
+            const echoed = [];
+            controller.on('message', data => echoed.push(data.toString()));
+
+            const message = nextMessage(display);
+            controller.send('{"type":"hello"}');
+
+            expect(await message).toBe('{"type":"hello"}');
+
+            // A round trip through the other room proves the first message was not queued for it
+            const otherPeer = await open('other');
+            const reply = nextMessage(stranger);
+            otherPeer.send('ping');
+            expect(await reply).toBe('ping');
+
+            expect(received).toEqual(['ping']);
+            expect(echoed).toEqual([]);
+        });
+
+        test('should report connected clients per room', async () => {
+            await open('lab');
+            await open('lab');
+            await open('hall');
+
+            const status = await fetch(`http://127.0.0.1:${port}/`).then(response => response.json());
+
+            expect(status.rooms).toEqual({ lab: 2, hall: 1 });
+        });
+    });
+
+    describe('Framing', () => {
+        test('should relay a 5 MB text frame unchanged', async () => {
+            const controller = await open('lab');
+            const display = await open('lab');
+
+            const text = 'data:image/png;base64,' + 'A'.repeat(5 * 1024 * 1024);
+            const message = nextMessage(display);
+            controller.send(text);
+
+            const relayed = await message;
+            expect(relayed.length).toBe(text.length);
+            expect(relayed).toBe(text);
+        });
+
+        test('should join fragmented messages', async () => {
+            const controller = await open('lab');
+            const display = await open('lab');
+
+            const message = nextMessage(display);
+            controller.send('{"type":', { fin: false });
+            controller.send('"hello"', { fin: false });
+            controller.send('}', { fin: true });
+
+            expect(await message).toBe('{"type":"hello"}');
+        });
+
+        test('should close clients whose fragments exceed the message limit', async () => {
+            const controller = await open('lab');
+            await open('lab');
+
+            const code = closeCode(controller);
+            const fragment = 'x'.repeat(3 * 1024 * 1024);
+            for (let i = 0; i < 3; i++) {
+                controller.send(fragment, { fin: false });
+            }
+
+            expect(await code).toBe(1009);
+            expect(relay.rooms.get('lab').size).toBe(1);
+        });
+
+        test('should close clients sending binary frames', async () => {
+            const controller = await open('lab');
+
+            const code = closeCode(controller);
+            controller.send(Buffer.from([1, 2, 3]));
+
+            expect(await code).toBe(1003);
+        });
+    });
+
+    describe('Access', () => {
+        test('should reject origins that are not allowed', async () => {
+            await relay.stop();
+            relay = new ProjectorRelay({ port: 0, allowedOrigins: ['http://localhost:1234'] });
+            port = (await relay.start()).port;
+
+            await expect(connect(port, 'lab', { origin: 'http://evil.example' })).rejects.toThrow('403');
+
+            const socket = await open('lab', { origin: 'http://localhost:1234' });
+            expect(socket.readyState).toBe(WebSocket.OPEN);
+        });
+
+        test('should refuse to listen beyond loopback without allowed origins', async () => {
+            const exposed = new ProjectorRelay({ port: 0, host: '0.0.0.0' });
+
+            await expect(exposed.start()).rejects.toThrow('--origins');
+            expect(exposed.server).toBeNull();
+        });
+    });
+});
\ No newline at end of file
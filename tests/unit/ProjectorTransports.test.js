@@ -0,0 +1,278 @@
+/**
+ * Unit Tests for the Projector Transports
+ * Tests WebSocket reconnection with backoff and display discovery over BroadcastChannel, using in-memory
+ * stand-ins for WebSocket and BroadcastChannel
+ */
+
+import { BroadcastChannelTransport, WebSocketTransport } from '../../src/projector/ProjectorTransports.js';
+import { ProjectorChannel } from '../../src/projector/ProjectorProtocol.js';
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const until = async (condition, timeout = 500) => {
+    const start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > timeout) {
+            throw new Error('Condition not met in time');
+        }
+        await wait(1);
+    }
+};
+
+// Socket the test opens, drops and feeds by hand
+class FakeWebSocket {
+    static OPEN = 1;
+    static CLOSED = 3;
+    static instances = [];
+
+    constructor(url) {
+        this.url = url;
+        this.readyState = 0;
+        this.sent = [];
+        this.createdAt = Date.now();
+        FakeWebSocket.instances.push(this);
+    }
+
+    send(data) {
+        this.sent.push(data);
+    }
+
+    close() {
+        this.readyState = FakeWebSocket.CLOSED;
+    }
+
+    accept() {
+        this.readyState = FakeWebSocket.OPEN;
+        this.onopen();
+    }
+
+    drop() {
+        this.readyState = FakeWebSocket.CLOSED;
+        this.onclose({ code: 1006 });
+    }
+
+    receive(data) {
+        this.onmessage({ data });
+    }
+}
+
+// Channels of the same name in this process, delivering clones asynchronously like the browser
+class FakeBroadcastChannel {
+    static channels = new Set();
+
+    constructor(name) {
+        this.name = name;
+        this.onmessage = null;
+        FakeBroadcastChannel.channels.add(this);
+    }
+
+    postMessage(message) {
+        FakeBroadcastChannel.channels.forEach(channel => {
+            if (channel !== this && channel.name === this.name) {
+                const data = structuredClone(message);
+                setTimeout(() => channel.onmessage && channel.onmessage({ data }), 0);
+            }
+        });
+    }
+
+    close() {
+        FakeBroadcastChannel.channels.delete(this);
+    }
+}
+
+describe('ProjectorTransports', () => {
+    describe('WebSocketTransport', () => {
+        const originalWebSocket = globalThis.WebSocket;
+        let transport;
+        let statuses;
+
+        const latestSocket = () => FakeWebSocket.instances[FakeWebSocket.instances.length - 1];
+
+        const createTransport = (options = {}) => {
+            transport = new WebSocketTransport('ws://relay.test:8787', { room: 'lab', reconnectDelay: 5, maxReconnectDelay: 20, ...options });
+            transport.onStatusChange = (status) => statuses.push(status);
+            return transport;
+        };
+
+        const connect = async (options) => {
+            const opened = createTransport(options).open();
+            latestSocket().accept();
+            await opened;
+        };
+
+        beforeEach(() => {
+            globalThis.WebSocket = FakeWebSocket;
+            FakeWebSocket.instances = [];
+            statuses = [];
+            transport = null;
+        });
+
+        afterEach(() => {
+            if (transport) transport.close();
+            globalThis.WebSocket = originalWebSocket;
+        });
+
+        test('should join the room and resolve once the socket opens', async () => {
+            await connect();
+
+            expect(latestSocket().url).toBe('ws://relay.test:8787/?room=lab');
+            expect(statuses).toEqual(['connecting', 'connected']);
+            expect(transport.isConnected()).toBe(true);
+        });
+
+        test('should fail the first connection fast without retrying', async () => {
+            const opened = createTransport().open();
+            latestSocket().drop();
+
+            await expect(opened).rejects.toThrow('Could not reach projector relay at ws://relay.test:8787');
+            await wait(30);
+            expect(FakeWebSocket.instances).toHaveLength(1);
+            expect(statuses).toEqual(['connecting', 'failed']);
+        });
+
+        test('should keep trying with doubling delays while waiting for the relay', async () => {
+            const opened = createTransport({ waitForRelay: true }).open();
+            const delays = [];
+
+            for (let attempt = 1; attempt <= 4; attempt++) {
+                const droppedAt = Date.now();
+                latestSocket().drop();
+                delays.push(transport.reconnectDelay);
+                await until(() => FakeWebSocket.instances.length === attempt + 1);
+                expect(latestSocket().createdAt - droppedAt).toBeGreaterThanOrEqual(4);
+            }
+            latestSocket().accept();
+            await opened;
+
+            // Delay for the next attempt: 5 ms doubled up to the 20 ms cap, back to 5 ms once connected
+            expect(delays).toEqual([10, 20, 20, 20]);
+            expect(transport.reconnectDelay).toBe(5);
+            expect(statuses.filter(status => status === 'reconnecting')).toHaveLength(4);
+            expect(statuses[statuses.length - 1]).toBe('connected');
+        });
+
+        test('should reconnect after a drop and send over the new socket', async () => {
+            await connect();
+            const first = latestSocket();
+
+            first.drop();
+            expect(statuses[statuses.length - 1]).toBe('reconnecting');
+            expect(() => transport.send({ type: 'ping' })).toThrow('Projector relay not connected');
+
+            await until(() => FakeWebSocket.instances.length === 2);
+            latestSocket().accept();
+            transport.send({ type: 'ping' });
+
+            expect(statuses.slice(-3)).toEqual(['reconnecting', 'connecting', 'connected']);
+            expect(first.sent).toEqual([]);
+            expect(latestSocket().sent).toEqual(['{"type":"ping"}']);
+        });
+
+        test('should stop reconnecting once closed', async () => {
+            await connect();
+
+            latestSocket().drop();
+            transport.close();
+            await wait(30);
+
+            expect(FakeWebSocket.instances).toHaveLength(1);
+            expect(transport.status).toBe('closed');
+        });
+
+        test('should carry pixel buffers base64-encoded and deliver them as ArrayBuffers', async () => {
+            await connect();
+            const received = [];
+            transport.onMessage = (message) => received.push(message);
+
+            transport.send({ pattern: { pixels: new Uint8Array([0, 127, 255, 64]) } });
+            const json = latestSocket().sent[0];
+            latestSocket().receive(json);
+
+            const originalWarn = console.warn;
+            console.warn = () => {};
+            latestSocket().receive('{not json');
+            console.warn = originalWarn;
+
+            expect(JSON.parse(json).pattern.pixels).toEqual({ $binary: 'AH//QA==' });
+            expect(received).toHaveLength(1);
+            expect(Object.prototype.toString.call(received[0].pattern.pixels)).toBe('[object ArrayBuffer]');
+            expect(Array.from(new Uint8Array(received[0].pattern.pixels))).toEqual([0, 127, 255, 64]);
+        });
+    });
+
+    describe('BroadcastChannelTransport Discovery', () => {
+        const originalBroadcastChannel = globalThis.BroadcastChannel;
+        let channels;
+
+        const openDisplay = (displayId, channelName = 'lab') => {
+            const channel = ProjectorChannel.forDisplay(() => ({ label: displayId }), { transport: 'broadcast', channelName, displayId });
+            channels.push(channel);
+            return channel;
+        };
+
+        const openController = () => {
+            const channel = new ProjectorChannel(new BroadcastChannelTransport('lab'));
+            channels.push(channel);
+            return channel;
+        };
+
+        const discoveredIds = async (controller) => (await controller.discover(20)).map(display => display.displayId).sort();
+
+        beforeEach(() => {
+            globalThis.BroadcastChannel = FakeBroadcastChannel;
+            FakeBroadcastChannel.channels.clear();
+            globalThis.window = { innerWidth: 1920, innerHeight: 1080, addEventListener: () => {} };
+            globalThis.document = { fullscreenElement: null, addEventListener: () => {} };
+            channels = [];
+        });
+
+        afterEach(() => {
+            channels.forEach(channel => channel.close());
+            globalThis.BroadcastChannel = originalBroadcastChannel;
+            delete globalThis.window;
+            delete globalThis.document;
+        });
+
+        test('should find every display on the same channel name', async () => {
+            openDisplay('display-a');
+            openDisplay('display-b');
+            openDisplay('display-elsewhere', 'other');
+            const controller = openController();
+
+            const displays = await controller.discover(20);
+
+            expect(displays.map(display => display.displayId).sort()).toEqual(['display-a', 'display-b']);
+            expect(displays.find(display => display.displayId === 'display-a')).toMatchObject({
+                label: 'display-a',
+                controlled: false,
+                transport: 'broadcast',
+                resolution: { width: 1920, height: 1080 }
+            });
+        });
+
+        test('should find a display again after it reloads', async () => {
+            const display = openDisplay('display-a');
+            openDisplay('display-b');
+            const controller = openController();
+
+            display.close();
+            expect(await discoveredIds(controller)).toEqual(['display-b']);
+
+            openDisplay('display-a');
+            expect(await discoveredIds(controller)).toEqual(['display-a', 'display-b']);
+        });
+
+        test('should report displays already taken by another controller', async () => {
+            openDisplay('display-a');
+            openDisplay('display-b');
+            const other = openController();
+            other.peerId = 'display-a';
+            await other.connect(500);
+
+            const displays = await openController().discover(20);
+
+            expect(displays.find(display => display.displayId === 'display-a').controlled).toBe(true);
+            expect(displays.find(display => display.displayId === 'display-b').controlled).toBe(false);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,184 @@
+/**
+ * Unit Tests for the Quad Calibrator
+ * Fits camera-to-projector homographies to synthetic marker detections with noise and an outlier
+ */
+
+import { QuadCalibrator } from '../../src/calibration/core/QuadCalibrator.js';
+import { GeometryUtils } from '../../src/utils/GeometryUtils.js';
+
+// Known camera -> projector homography
+const H = [1.6, 0.08, 40, -0.05, 1.5, 25, 0.00012, 0.00006, 1];
+const H_INVERSE = GeometryUtils.invert3x3(H);
+
+// Deterministic noise in [-amplitude, amplitude]
+const createNoise = (seed = 7) => {
+    let state = seed;
+    return (amplitude) => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return (state / 2147483648 * 2 - 1) * amplitude;
+    };
+};
+
+// Marker centres on the projector (4x3 grid) and their detections in the camera
+const createMarkers = ({ noise = 0, outlierId = null } = {}) => {
+    const nextNoise = createNoise();
+    const projected = [];
+    const detected = [];
+
+    for (let row = 0; row < 3; row++) {
+        for (let col = 0; col < 4; col++) {
+            const markerId = row * 4 + col;
+            const projector = { x: 150 + col * 500, y: 120 + row * 420 };
+            const camera = GeometryUtils.applyHomography(H_INVERSE, projector);
+
+            projected.push({ id: `R${row}C${col}`, markerId, ...projector });
+            detected.push({
+                markerId,
+                x: camera.x + nextNoise(noise) + (markerId === outlierId ? 25 : 0),
+                y: camera.y + nextNoise(noise)
+            });
+        }
+    }
+
+    return { projected, detected };
+};
+
+const perturb = (h) => h.map((value, i) => value * (1 + [0.02, -0.03, 0.01, 0.02, 0.015, -0.02, 0.05, -0.04, 0][i]));
+
+// 2D context that accepts every drawing call StructuredLight makes
+const createCanvas = () => ({
+    width: 0,
+    height: 0,
+    getContext: () => new Proxy({}, { get: () => () => {} }),
+    toDataURL: () => 'data:image/png;base64,'
+});
+
+describe('QuadCalibrator', () => {
+    const consoleLog = console.log;
+    let calibrator;
+
+    beforeAll(() => {
+        console.log = () => {};
+    });
+
+    afterAll(() => {
+        console.log = consoleLog;
+    });
+
+    beforeEach(() => {
+        calibrator = new QuadCalibrator();
+    });
+
+    describe('Matching Markers', () => {
+        test('should pair detections with projected markers by marker ID', () => {
+            const { projected, detected } = createMarkers();
+            calibrator.projectedCorners = projected;
+            calibrator.detectedCorners = [detected[5], { markerId: 99, x: 1, y: 1 }, detected[0], detected[11]];
+
+            const pairs = calibrator._matchCornerPairs();
+
+            expect(pairs.map(pair => pair.detected.markerId)).toEqual([5, 0, 11]);
+            pairs.forEach(pair => expect(pair.projected.markerId).toBe(pair.detected.markerId));
+        });
+    });
+
+    describe('Levenberg-Marquardt Refinement', () => {
+        test('should reduce the residual of a perturbed homography to the noise level', () => {
+            const { projected, detected } = createMarkers({ noise: 0.5 });
+            const pairs = detected.map((point, i) => ({ detected: point, projected: projected[i] }));
+
+            const refinement = calibrator._refineHomographyLM(perturb(H), pairs);
+
+            expect(refinement.method).toBe('levenberg_marquardt');
+            expect(refinement.initialError).toBeGreaterThan(10);
+            expect(refinement.finalError).toBeLessThan(1.5);
+            expect(refinement.iterations).toBeGreaterThan(0);
+            const corner = GeometryUtils.applyHomography(refinement.homography, GeometryUtils.applyHomography(H_INVERSE, { x: 1000, y: 500 }));
+            expect(Math.hypot(corner.x - 1000, corner.y - 500)).toBeLessThan(2);
+        });
+
+        test('should recover an exact homography from noise-free points', () => {
+            const { projected, detected } = createMarkers();
+            const pairs = detected.map((point, i) => ({ detected: point, projected: projected[i] }));
+
+            const refinement = calibrator._refineHomographyLM(perturb(H), pairs);
+
+            expect(refinement.finalError).toBeLessThan(1e-4);
+            refinement.homography.forEach((value, i) => expect(value).toBeCloseTo(H[i], 4));
+        });
+    });
+
+    describe('Homography with Point Diagnostics', () => {
+        test('should flag the outlier and fit the remaining markers', () => {
+            const { projected, detected } = createMarkers({ noise: 0.3, outlierId: 6 });
+            calibrator.projectedCorners = projected;
+            calibrator.detectedCorners = detected;
+
+            const result = calibrator._calculateHomography();
+
+            expect(result.success).toBe(true);
+            expect(result).toMatchObject({ matchedPairs: 12, inlierCount: 11 });
+            const outlier = calibrator.pointDiagnostics.find(point => point.markerId === 6);
+            expect(outlier).toMatchObject({ id: 'R1C2', inlier: false });
+            expect(outlier.residual).toBeGreaterThan(calibrator.detectionSettings.ransacThreshold);
+            calibrator.pointDiagnostics.filter(point => point.markerId !== 6).forEach(point => {
+                expect(point.inlier).toBe(true);
+                expect(point.residual).toBeLessThan(1.5);
+            });
+            expect(calibrator.reprojectionError).toBeLessThan(1);
+            expect(result.refinement.finalError).toBeLessThanOrEqual(result.refinement.initialError);
+        });
+
+        test('should need at least four matched markers', () => {
+            const { projected, detected } = createMarkers();
+            calibrator.projectedCorners = projected;
+            calibrator.detectedCorners = detected.slice(0, 3).concat([{ markerId: 50, x: 0, y: 0 }]);
+
+            const result = calibrator._calculateHomography();
+
+            expect(result).toMatchObject({ success: false, error: 'Could not match detected corners with projected corners' });
+        });
+    });
+
+    describe('Marker Display', () => {
+        let projected;
+        let projectorManager;
+
+        beforeEach(() => {
+            globalThis.document = { createElement: () => createCanvas() };
+            projected = [];
+            projectorManager = {
+                detectedResolution: { width: 1280, height: 800 },
+                windowManager: null,
+                projectImage: async (pattern) => {
+                    projected.push(pattern);
+                    return { success: true };
+                }
+            };
+        });
+
+        afterEach(() => {
+            delete globalThis.document;
+        });
+
+        test('should project the marker grid at projector resolution without a window manager', async () => {
+            const result = await calibrator._displayCornerMarkers(projectorManager);
+
+            expect(result).toMatchObject({ success: true, markerCount: 9 });
+            expect(projected).toHaveLength(1);
+            expect(projected[0]).toMatchObject({ type: 'marker_grid', markerSize: 100 });
+            expect(projected[0].canvas.width).toBe(1280);
+            expect(projected[0].canvas.height).toBe(800);
+            const [first] = calibrator.projectedCorners;
+            expect(first).toMatchObject({ id: 'R0C0', markerId: 0, x: 100, y: 100 });
+        });
+
+        test('should report projection failures', async () => {
+            projectorManager.projectImage = async () => ({ success: false, error: 'Projector window not open' });
+
+            const result = await calibrator._displayCornerMarkers(projectorManager);
+
+            expect(result).toMatchObject({ success: false, error: 'Projector window not open' });
+        });
+    });
+});
\ No newline at end of file
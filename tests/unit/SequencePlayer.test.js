@@ -0,0 +1,233 @@
+/**
+ * Unit Tests for the Sequence Player
+ * Plays ImageData patterns to a fake display and grabs frames from a fake camera, including cancel and resume
+ */
+
+import { SequencePlayer } from '../../src/projector/SequencePlayer.js';
+
+class FakeImageData {
+    constructor(dataOrWidth, width, height) {
+        if (typeof dataOrWidth === 'number') {
+            this.width = dataOrWidth;
+            this.height = width;
+            this.data = new Uint8ClampedArray(dataOrWidth * width * 4);
+        } else {
+            this.data = dataOrWidth;
+            this.width = width;
+            this.height = height;
+        }
+    }
+}
+
+const createPattern = (value) => {
+    const imageData = new FakeImageData(4, 2);
+    imageData.data.fill(value);
+    return imageData;
+};
+
+// Camera whose frames arrive every few milliseconds and read back a growing brightness
+const createVideo = () => {
+    const video = {
+        videoWidth: 4,
+        videoHeight: 2,
+        currentTime: 0,
+        frames: 0,
+        requests: 0,
+        requestVideoFrameCallback: (callback) => {
+            video.requests++;
+            setTimeout(() => {
+                video.frames++;
+                const now = performance.now();
+                callback(now, { captureTime: now, mediaTime: video.frames / 30, presentedFrames: video.frames });
+            }, 2);
+        }
+    };
+    return video;
+};
+
+// Display that acknowledges every pattern as presented; hold() keeps the next request pending
+const createChannel = () => {
+    const channel = {
+        sent: [],
+        presented: true,
+        holding: false,
+        held: null,
+        hold: () => new Promise(resolve => {
+            channel.held = resolve;
+        }),
+        request: async (type, { pattern }) => {
+            channel.sent.push(pattern.frameId);
+            if (channel.holding) {
+                channel.holding = false;
+                await channel.hold();
+            }
+            return { checksum: pattern.checksum, frameId: pattern.frameId, pixelExact: true, presented: channel.presented };
+        }
+    };
+    return channel;
+};
+
+const waitFor = async (condition) => {
+    while (!condition()) {
+        await new Promise(resolve => setTimeout(resolve, 1));
+    }
+};
+
+describe('SequencePlayer', () => {
+    const consoleError = console.error;
+    let video;
+    let channel;
+    let player;
+    let patterns;
+
+    beforeAll(() => {
+        console.error = () => {};
+        globalThis.ImageData = FakeImageData;
+        globalThis.document = {
+            createElement: () => ({
+                width: 0,
+                height: 0,
+                getContext: () => ({
+                    drawImage: () => {},
+                    getImageData: (x, y, width, height) => {
+                        const imageData = new FakeImageData(width, height);
+                        imageData.data.fill(video.frames * 10);
+                        return imageData;
+                    }
+                })
+            })
+        };
+    });
+
+    afterAll(() => {
+        console.error = consoleError;
+        delete globalThis.ImageData;
+        delete globalThis.document;
+    });
+
+    beforeEach(() => {
+        video = createVideo();
+        channel = createChannel();
+        player = new SequencePlayer(channel, video, { settleDelay: 5 });
+        patterns = [10, 20, 30].map(createPattern);
+    });
+
+    describe('Playing', () => {
+        test('should capture frames taken after each pattern settled', async () => {
+            const result = await player.play(patterns, { framesPerPattern: 2 });
+
+            expect(result).toMatchObject({ success: true, completed: true, nextIndex: 3, total: 3 });
+            expect(result.stack.map(entry => entry.index)).toEqual([0, 1, 2]);
+            result.stack.forEach((entry, i) => {
+                expect(entry.pattern).toBe(patterns[i]);
+                expect(entry.readyAt).toBe(entry.displayedAt + 5);
+                expect(entry.frames).toHaveLength(2);
+                expect(entry.frames.every(frame => frame.timestamp >= entry.readyAt)).toBe(true);
+                expect(entry.frames[0].timeSource).toBe('capture');
+            });
+        });
+
+        test('should fail when the camera delivers too few frames', async () => {
+            video.requestVideoFrameCallback = () => {};
+
+            const result = await player.play(patterns, { frameTimeout: 20 });
+
+            expect(result).toMatchObject({ success: false, nextIndex: 0, error: 'Camera delivered 0 of 1 frames in time' });
+            expect(player.getStatus().state).toBe('failed');
+        });
+    });
+
+    describe('Cancel and Resume', () => {
+        test('should stop waiting for frames when cancelled during capture and retry that pattern', async () => {
+            const { requestVideoFrameCallback } = video;
+            video.requestVideoFrameCallback = () => {};
+
+            const playing = player.play(patterns, { frameTimeout: 60000 });
+            await waitFor(() => player.abortCapture);
+            player.cancel();
+            const cancelled = await playing;
+
+            expect(cancelled).toMatchObject({ success: false, cancelled: true, nextIndex: 0, stack: [] });
+            expect(player.getStatus().state).toBe('cancelled');
+
+            video.requestVideoFrameCallback = requestVideoFrameCallback;
+            const resumed = await player.resume();
+
+            expect(resumed.stack.map(entry => entry.index)).toEqual([0, 1, 2]);
+            expect(channel.sent).toHaveLength(4);
+        });
+
+        test('should not grab frames when cancelled while the display switches', async () => {
+            channel.holding = true;
+
+            const playing = player.play(patterns);
+            await waitFor(() => channel.held);
+            player.cancel();
+            channel.held();
+            const result = await playing;
+
+            expect(result).toMatchObject({ cancelled: true, nextIndex: 0 });
+            expect(video.requests).toBe(0);
+        });
+
+        test('should resume with the pattern that was interrupted', async () => {
+            player.setCallbacks({
+                progressCallback: ({ index }) => {
+                    if (index === 0) player.cancel();
+                }
+            });
+
+            const cancelled = await player.play(patterns);
+            player.setCallbacks({});
+            const resumed = await player.resume();
+
+            expect(cancelled).toMatchObject({ cancelled: true, nextIndex: 1 });
+            expect(resumed).toMatchObject({ success: true, nextIndex: 3 });
+            expect(resumed.stack.map(entry => entry.index)).toEqual([0, 1, 2]);
+            expect(resumed.stack.map(entry => entry.pattern)).toEqual(patterns);
+            expect(channel.sent).toHaveLength(3);
+        });
+
+        test('should retry a pattern the display failed to present', async () => {
+            channel.presented = false;
+            const failed = await player.play(patterns);
+
+            channel.presented = true;
+            const resumed = await player.resume();
+
+            expect(failed).toMatchObject({ success: false, nextIndex: 0 });
+            expect(failed.error).toContain('did not present');
+            expect(resumed.stack.map(entry => entry.index)).toEqual([0, 1, 2]);
+            expect(channel.sent).toHaveLength(4);
+        });
+
+        test('should have nothing to resume after a completed sequence', async () => {
+            await player.play(patterns);
+
+            expect(await player.resume()).toEqual({ success: false, error: 'Nothing to resume' });
+        });
+    });
+
+    describe('Averaging Frames', () => {
+        test('should average and round the captured frames per channel', () => {
+            const frames = [100, 201, 0].map(value => ({ imageData: createPattern(value) }));
+            frames[2].imageData.data[1] = 255;
+
+            const average = player._averageFrames(frames);
+
+            expect(average).toBeInstanceOf(FakeImageData);
+            expect(average.width).toBe(4);
+            expect(average.height).toBe(2);
+            expect(average.data[0]).toBe(100);
+            expect(average.data[1]).toBe(185);
+        });
+
+        test('should store the average of several frames as the entry image', async () => {
+            const result = await player.play(patterns.slice(0, 1), { framesPerPattern: 3 });
+
+            const [entry] = result.stack;
+            const mean = entry.frames.reduce((sum, frame) => sum + frame.imageData.data[0], 0) / 3;
+            expect(entry.imageData.data[0]).toBe(Math.round(mean));
+        });
+    });
+});
\ No newline at end of file
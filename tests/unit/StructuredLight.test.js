@@ -0,0 +1,289 @@
+/**
+ * Unit Tests for Structured Light
+ * Renders Gray code and phase shift sequences into synthetic camera frames and decodes them back into projector coordinates,
+ * and checks which frames the calibration sequence contains
+ */
+
+import { StructuredLight } from '../../src/calibration/patterns/StructuredLight.js';
+
+// Non-power-of-two projector, so the coarsest Gray code bit is only partly used
+const PROJECTOR = { width: 100, height: 60 };
+const CAMERA = { width: 90, height: 50 };
+
+// Camera pixel (x, y) looks at projector pixel (x + 20, y + 10); the right edge of the view sees past the projector
+const OFFSET = { x: 20, y: 10 };
+// An object between projector and board casts this shadow in the camera view
+const SHADOW = { x0: 5, y0: 5, x1: 15, y1: 15 };
+
+const AMBIENT = 30;
+const GAIN = 0.7;
+
+const parseColor = (style) => {
+    if (style.startsWith('#')) {
+        return [1, 3, 5].map(i => parseInt(style.slice(i, i + 2), 16));
+    }
+    return style.match(/\d+/g).slice(0, 3).map(Number);
+};
+
+// Just enough of a 2D canvas for the solid, stripe and fringe patterns
+const createCanvas = () => {
+    const canvas = { width: 0, height: 0, toDataURL: () => 'data:image/png;base64,' };
+    let pixels = null;
+
+    const context = {
+        fillStyle: '#000000',
+        fillRect(x, y, w, h) {
+            if (!pixels || pixels.length !== canvas.width * canvas.height * 4) {
+                pixels = new Uint8ClampedArray(canvas.width * canvas.height * 4);
+            }
+            const [r, g, b] = parseColor(this.fillStyle);
+            for (let row = y; row < y + h; row++) {
+                for (let col = x; col < x + w; col++) {
+                    pixels.set([r, g, b, 255], (row * canvas.width + col) * 4);
+                }
+            }
+        },
+        getImageData: () => ({ width: canvas.width, height: canvas.height, data: pixels })
+    };
+
+    canvas.getContext = () => context;
+    return canvas;
+};
+
+const isLit = (x, y) => {
+    const inShadow = x >= SHADOW.x0 && x < SHADOW.x1 && y >= SHADOW.y0 && y < SHADOW.y1;
+    return !inShadow && x + OFFSET.x < PROJECTOR.width && y + OFFSET.y < PROJECTOR.height;
+};
+
+const shiftedView = (x, y) => (isLit(x, y) ? { u: x + OFFSET.x, v: y + OFFSET.y } : null);
+
+// Oblique view where camera pixels land between projector pixels
+const subPixelView = (x, y) => ({ u: 12.3 + 0.8 * x, v: 7.6 + 0.9 * y });
+
+// Camera frame of a projected pattern: ambient light plus the attenuated projector light where it reaches the board
+// Fringes are interpolated between projector pixels; binary frames are sampled at the nearest one so stripe edges stay sharp
+const capture = (pattern, view = shiftedView) => {
+    const projected = pattern.canvas.getContext('2d').getImageData(0, 0, PROJECTOR.width, PROJECTOR.height).data;
+    const smooth = pattern.type === 'phase_shift';
+    const data = new Uint8ClampedArray(CAMERA.width * CAMERA.height * 4);
+
+    const sample = (u, v) => {
+        if (!smooth) {
+            return projected[(Math.round(v) * PROJECTOR.width + Math.round(u)) * 4];
+        }
+        const u0 = Math.floor(u);
+        const v0 = Math.floor(v);
+        const du = u - u0;
+        const dv = v - v0;
+        const at = (col, row) => projected[(Math.min(row, PROJECTOR.height - 1) * PROJECTOR.width +
+            Math.min(col, PROJECTOR.width - 1)) * 4];
+        return (1 - dv) * ((1 - du) * at(u0, v0) + du * at(u0 + 1, v0)) +
+            dv * ((1 - du) * at(u0, v0 + 1) + du * at(u0 + 1, v0 + 1));
+    };
+
+    for (let y = 0; y < CAMERA.height; y++) {
+        for (let x = 0; x < CAMERA.width; x++) {
+            const point = view(x, y);
+            const level = AMBIENT + (point ? GAIN * sample(point.u, point.v) : 0);
+            data.set([level, level, level, 255], (y * CAMERA.width + x) * 4);
+        }
+    }
+
+    return { pattern, imageData: { width: CAMERA.width, height: CAMERA.height, data } };
+};
+
+describe('StructuredLight', () => {
+    let structuredLight;
+
+    beforeEach(() => {
+        globalThis.document = { createElement: () => createCanvas() };
+        structuredLight = new StructuredLight(PROJECTOR.width, PROJECTOR.height);
+    });
+
+    afterEach(() => {
+        delete globalThis.document;
+    });
+
+    describe('Gray Code', () => {
+        test('should generate reference frames and a normal and inverted frame per bit', () => {
+            const sequence = structuredLight.generateGrayCodeSequence();
+
+            // 7 column bits for 100 pixels, 6 row bits for 60
+            expect(sequence).toHaveLength(2 + 2 * (7 + 6));
+            expect(sequence.slice(0, 2).map(p => p.reference)).toEqual(['white', 'black']);
+            expect(sequence[2]).toMatchObject({ direction: 'vertical', bit: 6, inverted: false });
+            expect(sequence[3]).toMatchObject({ direction: 'vertical', bit: 6, inverted: true });
+        });
+
+        test('should decode every lit camera pixel to the projector pixel it sees', () => {
+            const captures = structuredLight.generateGrayCodeSequence().map(pattern => capture(pattern));
+
+            const result = structuredLight.decodeGrayCode(captures);
+
+            let lit = 0;
+            for (let y = 0; y < CAMERA.height; y++) {
+                for (let x = 0; x < CAMERA.width; x++) {
+                    const i = y * CAMERA.width + x;
+                    if (isLit(x, y)) {
+                        lit++;
+                        expect(result.mask[i]).toBe(1);
+                        expect(result.colMap[i]).toBe(x + OFFSET.x);
+                        expect(result.rowMap[i]).toBe(y + OFFSET.y);
+                    } else {
+                        expect(result.mask[i]).toBe(0);
+                        expect(result.colMap[i]).toBe(-1);
+                        expect(result.rowMap[i]).toBe(-1);
+                    }
+                }
+            }
+            expect(result.validCount).toBe(lit);
+        });
+
+        test('should reject pixels in shadow without the reference frames', () => {
+            const captures = structuredLight.generateGrayCodeSequence({ includeReference: false }).map(pattern => capture(pattern));
+
+            const result = structuredLight.decodeGrayCode(captures);
+
+            // Normal and inverted frames look the same where no projector light arrives
+            expect(result.mask[SHADOW.y0 * CAMERA.width + SHADOW.x0]).toBe(0);
+            expect(result.colMap[20 * CAMERA.width + 30]).toBe(30 + OFFSET.x);
+        });
+
+        test('should require the inverted frame of every bit', () => {
+            const captures = structuredLight.generateGrayCodeSequence({ rows: false })
+                .filter(({ bit, inverted }) => !(bit === 3 && inverted))
+                .map(pattern => capture(pattern));
+
+            expect(() => structuredLight.decodeGrayCode(captures)).toThrow('Missing vertical Gray code frames for bit 3');
+        });
+
+        test('should decode with the resolution the patterns were generated for', () => {
+            const captures = structuredLight.generateGrayCodeSequence().map(pattern => capture(pattern));
+
+            // The generator is resized, e.g. for another display, before the captures are decoded
+            structuredLight.projectorWidth = 64;
+            structuredLight.projectorHeight = 40;
+            const result = structuredLight.decodeGrayCode(captures);
+
+            expect(result.projectorResolution).toEqual(PROJECTOR);
+            expect(result.mask[20 * CAMERA.width + 60]).toBe(1);
+            expect(result.colMap[20 * CAMERA.width + 60]).toBe(60 + OFFSET.x);
+            expect(result.rowMap[35 * CAMERA.width + 30]).toBe(35 + OFFSET.y);
+        });
+
+        test('should refuse captures of patterns generated for different resolutions', () => {
+            const captures = structuredLight.generateGrayCodeSequence().map(pattern => capture(pattern));
+            captures[5] = { ...captures[5], pattern: { ...captures[5].pattern, projectorResolution: { width: 200, height: 120 } } };
+
+            expect(() => structuredLight.decodeGrayCode(captures)).toThrow('Captured patterns were generated for different projector resolutions');
+        });
+    });
+
+    describe('Phase Shift', () => {
+        const PERIOD = 16;
+        const pixelCount = CAMERA.width * CAMERA.height;
+
+        test.each([3, 4, 6])('should recover the wrapped phase from %i-step fringes', (steps) => {
+            const frames = { steps, images: [] };
+            for (let shift = 0; shift < steps; shift++) {
+                const pattern = structuredLight.generatePhaseShiftPattern('vertical', PERIOD, shift, steps);
+                frames.images[shift] = capture(pattern, subPixelView).imageData;
+            }
+
+            const { phase, modulation } = structuredLight._computeWrappedPhase(frames, pixelCount);
+
+            for (let i = 0; i < pixelCount; i++) {
+                const { u } = subPixelView(i % CAMERA.width, Math.floor(i / CAMERA.width));
+                const expected = 2 * Math.PI * ((u / PERIOD) % 1);
+                // Compare on the circle so values either side of the 2π wrap agree
+                const error = Math.atan2(Math.sin(phase[i] - expected), Math.cos(phase[i] - expected));
+                expect(Math.abs(error)).toBeLessThan(0.02);
+                expect(modulation[i]).toBeGreaterThan(50);
+            }
+        });
+
+        test('should unwrap fringes with Gray code to sub-pixel projector coordinates', () => {
+            const captures = structuredLight.generatePhaseShiftSequence({ steps: 4, period: PERIOD })
+                .map(pattern => capture(pattern, subPixelView));
+
+            const result = structuredLight.decodePhaseShift(captures);
+
+            expect(result.validCount).toBe(pixelCount);
+            let worst = 0;
+            for (let i = 0; i < pixelCount; i++) {
+                const { u, v } = subPixelView(i % CAMERA.width, Math.floor(i / CAMERA.width));
+                worst = Math.max(worst, Math.abs(result.colMap[i] - u), Math.abs(result.rowMap[i] - v));
+            }
+            expect(worst).toBeLessThan(0.05);
+        });
+
+        test('should drop pixels without fringe modulation', () => {
+            // Gray code decoded without the occluder, so only the fringes see the shadow
+            const unshadowedView = (x, y) => (x + OFFSET.x < PROJECTOR.width ? { u: x + OFFSET.x, v: y + OFFSET.y } : null);
+            const grayCode = structuredLight.decodeGrayCode(structuredLight.generateGrayCodeSequence()
+                .map(pattern => capture(pattern, unshadowedView)));
+            const captures = structuredLight.generatePhaseShiftSequence({ steps: 4, period: PERIOD, includeGrayCode: false })
+                .map(pattern => capture(pattern));
+
+            const result = structuredLight.decodePhaseShift(captures, { grayCode });
+
+            expect(grayCode.mask[SHADOW.y0 * CAMERA.width + SHADOW.x0]).toBe(1);
+            expect(result.mask[SHADOW.y0 * CAMERA.width + SHADOW.x0]).toBe(0);
+            expect(result.colMap[SHADOW.y0 * CAMERA.width + SHADOW.x0]).toBe(-1);
+            expect(result.colMap[20 * CAMERA.width + 30]).toBeCloseTo(30 + OFFSET.x, 1);
+        });
+
+        test('should unwrap with the resolution of the patterns and of a previous Gray code result', () => {
+            const grayCode = structuredLight.decodeGrayCode(structuredLight.generateGrayCodeSequence()
+                .map(pattern => capture(pattern, subPixelView)));
+            const captures = structuredLight.generatePhaseShiftSequence({ steps: 4, period: PERIOD, includeGrayCode: false })
+                .map(pattern => capture(pattern, subPixelView));
+            structuredLight.projectorWidth = 64;
+
+            const result = structuredLight.decodePhaseShift(captures, { grayCode });
+
+            expect(result.projectorResolution).toEqual(PROJECTOR);
+            expect(result.validCount).toBe(pixelCount);
+            expect(() => structuredLight.decodePhaseShift(captures, {
+                grayCode: { ...grayCode, projectorResolution: { width: 64, height: 60 } }
+            })).toThrow('Captured patterns were generated for different projector resolutions');
+        });
+    });
+
+    describe('Calibration Sequence', () => {
+        beforeEach(() => {
+            // Only the makeup of the sequence matters here, so drawing does nothing
+            const context = new Proxy({}, { get: () => () => {} });
+            globalThis.document = {
+                createElement: () => ({ width: 0, height: 0, getContext: () => context, toDataURL: () => 'data:image/png;base64,' })
+            };
+        });
+
+        const count = (sequence, ...types) => sequence.filter(pattern => types.includes(pattern.type)).length;
+
+        test('should leave out dense correspondence frames by default', () => {
+            const sequence = structuredLight.generateCalibrationSequence();
+
+            expect(sequence).toHaveLength(9);
+            expect(count(sequence, 'gray_code', 'gray_code_reference', 'phase_shift')).toBe(0);
+        });
+
+        test('should add Gray code frames on request', () => {
+            expect(count(structuredLight.generateCalibrationSequence({ grayCode: true }), 'gray_code', 'gray_code_reference'))
+                .toBe(2 + 2 * (7 + 6));
+            expect(count(structuredLight.generateCalibrationSequence({ grayCode: { rows: false } }), 'gray_code'))
+                .toBe(2 * 7);
+        });
+
+        test('should add the Gray code frames phase unwrapping needs exactly once', () => {
+            const fringesOnly = structuredLight.generateCalibrationSequence({ phaseShift: { steps: 3 } });
+            const both = structuredLight.generateCalibrationSequence({ grayCode: true, phaseShift: true });
+            const multiFrequency = structuredLight.generateCalibrationSequence({ phaseShift: { unwrapping: 'multi_frequency' } });
+
+            expect(count(fringesOnly, 'gray_code')).toBe(2 * (7 + 6));
+            expect(count(fringesOnly, 'phase_shift')).toBe(2 * 3);
+            expect(count(both, 'gray_code')).toBe(2 * (7 + 6));
+            expect(count(multiFrequency, 'gray_code')).toBe(0);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,157 @@
+/**
+ * Unit Tests for the Undistorter
+ * Checks the remap tables against the lens model on coordinate ramp images
+ */
+
+import { Undistorter } from '../../src/camera/Undistorter.js';
+
+const WIDTH = 200;
+const HEIGHT = 120;
+const K = [150, 0, 100, 0, 150, 60, 0, 0, 1];
+
+// Red and green hold each pixel's own x and y, so a remapped pixel shows where it was read from
+const createRamp = () => {
+    const data = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+    for (let y = 0; y < HEIGHT; y++) {
+        for (let x = 0; x < WIDTH; x++) {
+            data.set([x, y, 77, 255], (y * WIDTH + x) * 4);
+        }
+    }
+    return { width: WIDTH, height: HEIGHT, data };
+};
+
+const createOutput = () => ({ width: WIDTH, height: HEIGHT, data: new Uint8ClampedArray(WIDTH * HEIGHT * 4) });
+
+// Source position the lens moves ideal pixel (u, v) to with radial k1 only
+const distortedPosition = (u, v, k1) => {
+    const xn = (u - K[2]) / K[0];
+    const yn = (v - K[5]) / K[4];
+    const factor = 1 + k1 * (xn * xn + yn * yn);
+    return { x: K[0] * xn * factor + K[2], y: K[4] * yn * factor + K[5] };
+};
+
+// Source position a remap table entry reads from
+const sourcePosition = (maps, i) => ({
+    x: (maps.offsets[i] / 4) % WIDTH + maps.weightsX[i] / 256,
+    y: Math.floor(maps.offsets[i] / 4 / WIDTH) + maps.weightsY[i] / 256
+});
+
+const calibrate = (undistorter, distortionCoefficients, resolution = { width: WIDTH, height: HEIGHT }, intrinsicMatrix = K) => {
+    const result = undistorter.setCalibration({ intrinsicMatrix, distortionCoefficients, resolution });
+    expect(result.success).toBe(true);
+};
+
+describe('Undistorter', () => {
+    let undistorter;
+
+    beforeEach(() => {
+        undistorter = new Undistorter();
+    });
+
+    describe('Remap Tables', () => {
+        test('should map every pixel onto itself without distortion', () => {
+            calibrate(undistorter, [0, 0, 0, 0, 0]);
+
+            const maps = undistorter.buildMaps(WIDTH, HEIGHT);
+
+            for (let i = 0; i < WIDTH * HEIGHT; i++) {
+                expect(sourcePosition(maps, i)).toEqual({ x: i % WIDTH, y: Math.floor(i / WIDTH) });
+            }
+            expect(maps.weightsX[WIDTH / 2]).toBe(0);
+        });
+
+        test('should look up the k1 distorted source position of each pixel', () => {
+            const k1 = -0.3;
+            calibrate(undistorter, [k1, 0, 0, 0, 0]);
+
+            const maps = undistorter.buildMaps(WIDTH, HEIGHT);
+
+            [[100, 60], [30, 20], [170, 100], [150, 45]].forEach(([u, v]) => {
+                const { x, y } = distortedPosition(u, v, k1);
+                const source = sourcePosition(maps, v * WIDTH + u);
+
+                // Weights are stored in 1/256 pixel steps
+                expect(Math.abs(source.x - x)).toBeLessThanOrEqual(1 / 512);
+                expect(Math.abs(source.y - y)).toBeLessThanOrEqual(1 / 512);
+            });
+        });
+
+        test('should mark pixels whose source lies outside the frame', () => {
+            // Pincushion distortion pushes the corners out of the source frame
+            calibrate(undistorter, [0.5, 0, 0, 0, 0]);
+
+            const maps = undistorter.buildMaps(WIDTH, HEIGHT);
+
+            expect(distortedPosition(0, 0, 0.5).x).toBeLessThan(-0.5);
+            expect(maps.offsets[0]).toBe(-1);
+            expect(maps.offsets[60 * WIDTH + 100]).toBe((60 * WIDTH + 100) * 4);
+        });
+
+        test('should scale the intrinsics to the frame size', () => {
+            calibrate(undistorter, [0, 0, 0, 0, 0], { width: 2 * WIDTH, height: 2 * HEIGHT }, [300, 0, 200, 0, 300, 120, 0, 0, 1]);
+
+            undistorter.buildMaps(WIDTH, HEIGHT);
+
+            // Pixel centres scale about the image corner: c' = (c + 0.5) / 2 - 0.5
+            const scaled = undistorter.getOutputCameraMatrix();
+            [150, 0, 99.75, 0, 150, 59.75, 0, 0, 1].forEach((value, i) => {
+                expect(scaled[i]).toBeCloseTo(value, 6);
+            });
+        });
+
+        test('should require a calibration', () => {
+            expect(() => undistorter.buildMaps(WIDTH, HEIGHT)).toThrow('No calibration set');
+        });
+    });
+
+    describe('Undistorting Frames', () => {
+        test('should return an undistorted frame unchanged without distortion', () => {
+            calibrate(undistorter, [0, 0, 0, 0, 0]);
+            const frame = createRamp();
+
+            const output = undistorter.undistortImageData(frame, createOutput());
+
+            expect(output.data).toEqual(frame.data);
+        });
+
+        test.each(['bilinear', 'nearest'])('should read each pixel from its k1 distorted position (%s)', (interpolation) => {
+            const k1 = -0.3;
+            undistorter = new Undistorter({ interpolation });
+            calibrate(undistorter, [k1, 0, 0, 0, 0]);
+
+            const output = undistorter.undistortImageData(createRamp(), createOutput());
+
+            // Bilinear weights have 1/256 steps and the result is truncated
+            const tolerance = interpolation === 'nearest' ? 0.5 : 1;
+            [[100, 60], [30, 20], [170, 100], [150, 45]].forEach(([u, v]) => {
+                const { x, y } = distortedPosition(u, v, k1);
+                const out = (v * WIDTH + u) * 4;
+
+                expect(Math.abs(output.data[out] - x)).toBeLessThanOrEqual(tolerance);
+                expect(Math.abs(output.data[out + 1] - y)).toBeLessThanOrEqual(tolerance);
+                expect(output.data[out + 2]).toBe(77);
+            });
+        });
+
+        test('should paint pixels without a source black', () => {
+            calibrate(undistorter, [0.5, 0, 0, 0, 0]);
+
+            const output = undistorter.undistortImageData(createRamp(), createOutput());
+
+            expect(Array.from(output.data.slice(0, 4))).toEqual([0, 0, 0, 255]);
+        });
+
+        test('should keep the original frame left of the split', () => {
+            calibrate(undistorter, [-0.3, 0, 0, 0, 0]);
+            undistorter.setSplitView(0.5);
+            const frame = createRamp();
+
+            const output = undistorter.undistortImageData(frame, createOutput());
+
+            const left = (30 * WIDTH + 20) * 4;
+            const right = (30 * WIDTH + 180) * 4;
+            expect(Array.from(output.data.slice(left, left + 4))).toEqual(Array.from(frame.data.slice(left, left + 4)));
+            expect(output.data[right]).not.toBe(180);
+        });
+    });
+});
\ No newline at end of file
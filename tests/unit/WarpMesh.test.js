@@ -0,0 +1,314 @@
+/**
+ * Unit Tests for the Warp Mesh
+ * Builds meshes from synthetic correspondence maps, checks the local affine fit, serialization and warped projection
+ */
+
+import { WarpMesh } from '../../src/calibration/core/WarpMesh.js';
+import { QuadCalibrator } from '../../src/calibration/core/QuadCalibrator.js';
+import { ProjectorManager } from '../../src/projector/ProjectorManager.js';
+import { PatternTransfer } from '../../src/projector/PatternTransfer.js';
+
+const PROJECTOR = { width: 200, height: 120 };
+const CAMERA = { width: 160, height: 100 };
+
+// Known projector -> camera affine map: camera = A * projector + b
+const A = [0.6, 0.1, -0.05, 0.7];
+const b = [20, 10];
+
+const toCamera = ({ x, y }) => ({ x: A[0] * x + A[1] * y + b[0], y: A[2] * x + A[3] * y + b[1] });
+
+const toProjector = ({ x, y }) => {
+    const det = A[0] * A[3] - A[1] * A[2];
+    const dx = x - b[0];
+    const dy = y - b[1];
+    return { x: (A[3] * dx - A[1] * dy) / det, y: (A[0] * dy - A[2] * dx) / det };
+};
+
+// Same surface with a bulge, so the camera-to-projector map is no longer affine
+const toProjectorCurved = ({ x, y }) => {
+    const affine = toProjector({ x, y });
+    return { x: affine.x + 0.004 * (y - 50) ** 2, y: affine.y + 0.003 * (x - 80) ** 2 };
+};
+
+// Correspondence map as decodePhaseShift() returns it, optionally with a hole in the camera view
+const createCorrespondence = (hole = null, cameraToProjector = toProjector) => {
+    const pixelCount = CAMERA.width * CAMERA.height;
+    const colMap = new Float32Array(pixelCount).fill(-1);
+    const rowMap = new Float32Array(pixelCount).fill(-1);
+    const mask = new Uint8Array(pixelCount);
+
+    for (let y = 0; y < CAMERA.height; y++) {
+        for (let x = 0; x < CAMERA.width; x++) {
+            const projector = cameraToProjector({ x, y });
+            const inHole = hole && x >= hole.x0 && x < hole.x1 && y >= hole.y0 && y < hole.y1;
+            if (inHole || projector.x < 0 || projector.y < 0 ||
+                projector.x >= PROJECTOR.width || projector.y >= PROJECTOR.height) {
+                continue;
+            }
+            const i = y * CAMERA.width + x;
+            colMap[i] = projector.x;
+            rowMap[i] = projector.y;
+            mask[i] = 1;
+        }
+    }
+
+    return { width: CAMERA.width, height: CAMERA.height, colMap, rowMap, mask };
+};
+
+const buildMesh = (hole, cameraToProjector) => {
+    const mesh = new WarpMesh(PROJECTOR.width, PROJECTOR.height);
+    mesh.buildFromCorrespondence(createCorrespondence(hole, cameraToProjector), { gridSpacing: 40 });
+    return mesh;
+};
+
+// Canvas whose 2D context accepts the calls WarpMesh.render() makes and counts the triangles drawn
+const createCanvas = () => {
+    const calls = { drawImage: 0, clip: 0 };
+    const context = {
+        calls,
+        drawImage: () => calls.drawImage++,
+        clip: () => calls.clip++,
+        getImageData: (x, y, width, height) => ({ width, height, data: new Uint8ClampedArray(width * height * 4).fill(255) })
+    };
+    ['save', 'restore', 'setTransform', 'fillRect', 'beginPath', 'moveTo', 'lineTo', 'closePath'].forEach(name => {
+        context[name] = () => {};
+    });
+
+    return { width: 0, height: 0, getContext: () => context };
+};
+
+describe('WarpMesh', () => {
+    describe('Local Affine Fit', () => {
+        test('should place every node exactly on an affine correspondence', () => {
+            const mesh = buildMesh();
+
+            expect(mesh.cols).toBe(6);
+            expect(mesh.rows).toBe(4);
+            expect(mesh.stats.measuredNodes).toBe(mesh.stats.totalNodes);
+
+            for (let row = 0; row < mesh.rows; row++) {
+                for (let col = 0; col < mesh.cols; col++) {
+                    const node = row * mesh.cols + col;
+                    const expected = toCamera({ x: col * 40, y: row * 40 });
+                    expect(mesh.points[node * 2]).toBeCloseTo(expected.x, 3);
+                    expect(mesh.points[node * 2 + 1]).toBeCloseTo(expected.y, 3);
+                }
+            }
+        });
+
+        test('should map points both ways between projector and camera', () => {
+            const mesh = buildMesh();
+            const projector = { x: 123.4, y: 56.7 };
+
+            const camera = mesh.projectorToCamera(projector);
+            const back = mesh.cameraToProjector(camera);
+
+            expect(camera.x).toBeCloseTo(toCamera(projector).x, 3);
+            expect(camera.y).toBeCloseTo(toCamera(projector).y, 3);
+            expect(back.x).toBeCloseTo(projector.x, 3);
+            expect(back.y).toBeCloseTo(projector.y, 3);
+            expect(mesh.cameraToProjector({ x: 1, y: 99 })).toBeNull();
+        });
+
+        test('should fill nodes left unmeasured by a hole in the correspondence map', () => {
+            // Hides every sample around projector node (2, 1)
+            const center = toCamera({ x: 80, y: 40 });
+            const hole = { x0: center.x - 45, x1: center.x + 45, y0: center.y - 45, y1: center.y + 45 };
+
+            const mesh = buildMesh(hole);
+            const node = 1 * mesh.cols + 2;
+
+            expect(mesh.stats.filledNodes).toBeGreaterThan(0);
+            expect(mesh.stats.validNodes).toBe(mesh.stats.totalNodes);
+            expect(mesh.points[node * 2]).toBeCloseTo(center.x, 1);
+            expect(mesh.points[node * 2 + 1]).toBeCloseTo(center.y, 1);
+        });
+
+        test('should require both projector columns and rows', () => {
+            const mesh = new WarpMesh(PROJECTOR.width, PROJECTOR.height);
+
+            expect(() => mesh.buildFromCorrespondence({ ...createCorrespondence(), rowMap: null }))
+                .toThrow('both projector columns and rows');
+        });
+    });
+
+    describe('Lookups', () => {
+        test('should return to the starting point after a projector-camera-projector round trip', () => {
+            const mesh = buildMesh(null, toProjectorCurved);
+            let mapped = 0;
+
+            for (let y = 5; y < PROJECTOR.height; y += 13) {
+                for (let x = 5; x < PROJECTOR.width; x += 17) {
+                    const camera = mesh.projectorToCamera({ x, y });
+                    if (!camera) continue;
+
+                    const back = mesh.cameraToProjector(camera);
+                    expect(back.x).toBeCloseTo(x, 6);
+                    expect(back.y).toBeCloseTo(y, 6);
+                    mapped++;
+                }
+            }
+
+            expect(mapped).toBeGreaterThan(50);
+        });
+
+        test('should return to the starting point after a camera-projector-camera round trip', () => {
+            const mesh = buildMesh(null, toProjectorCurved);
+            let mapped = 0;
+
+            for (let y = 0; y < CAMERA.height; y += 7) {
+                for (let x = 0; x < CAMERA.width; x += 9) {
+                    const projector = mesh.cameraToProjector({ x, y });
+                    if (!projector) continue;
+
+                    const back = mesh.projectorToCamera(projector);
+                    expect(back.x).toBeCloseTo(x, 6);
+                    expect(back.y).toBeCloseTo(y, 6);
+                    mapped++;
+                }
+            }
+
+            expect(mapped).toBeGreaterThan(50);
+        });
+
+        test('should only test the triangles near a camera point', () => {
+            const mesh = new WarpMesh(1920, 1080);
+            mesh.cols = 49;
+            mesh.rows = 28;
+            mesh.cameraWidth = 1280;
+            mesh.cameraHeight = 720;
+            mesh.points = new Float32Array(mesh.cols * mesh.rows * 2);
+            mesh.valid = new Uint8Array(mesh.cols * mesh.rows).fill(1);
+            for (let node = 0; node < mesh.cols * mesh.rows; node++) {
+                mesh.points[node * 2] = (node % mesh.cols) * 1280 / (mesh.cols - 1);
+                mesh.points[node * 2 + 1] = Math.floor(node / mesh.cols) * 720 / (mesh.rows - 1);
+            }
+
+            const index = mesh._getTriangleIndex();
+            const projector = mesh.cameraToProjector({ x: 640.5, y: 360.25 });
+
+            expect([...mesh._triangles()]).toHaveLength(2 * 48 * 27);
+            expect(Math.max(...index.buckets.map(bucket => bucket.length))).toBeLessThanOrEqual(16);
+            expect(projector.x).toBeCloseTo(640.5 * 1.5, 3);
+            expect(projector.y).toBeCloseTo(360.25 * 1.5, 3);
+            expect(mesh.cameraToProjector({ x: -1, y: 10 })).toBeNull();
+        });
+    });
+
+    describe('Serialization', () => {
+        test('should restore a mesh saved with toJSON', () => {
+            const mesh = buildMesh();
+
+            const data = JSON.parse(JSON.stringify(mesh.toJSON()));
+            const restored = WarpMesh.fromJSON(data);
+
+            expect(data.type).toBe('warp_mesh');
+            expect(restored.cameraWidth).toBe(CAMERA.width);
+            expect(restored.stats).toEqual(mesh.stats);
+            Array.from(restored.points).forEach((value, i) => {
+                expect(value).toBeCloseTo(mesh.points[i], 2);
+            });
+            expect(restored.projectorToCamera({ x: 50, y: 50 }).x).toBeCloseTo(mesh.projectorToCamera({ x: 50, y: 50 }).x, 2);
+        });
+
+        test('should reject data whose arrays do not match the grid', () => {
+            const data = buildMesh().toJSON();
+
+            expect(() => WarpMesh.fromJSON({ ...data, valid: data.valid.slice(1) })).toThrow('does not match its grid size');
+            expect(() => WarpMesh.fromJSON({ ...data, type: 'homography' })).toThrow('Invalid warp mesh data');
+        });
+
+        test('should refuse to serialize a mesh that was never built', () => {
+            expect(() => new WarpMesh().toJSON()).toThrow('has not been built');
+        });
+    });
+
+    describe('Saving with the Quad Calibration', () => {
+        const consoleLog = console.log;
+        let quadCalibrator;
+
+        beforeAll(() => {
+            console.log = () => {};
+        });
+
+        afterAll(() => {
+            console.log = consoleLog;
+        });
+
+        beforeEach(() => {
+            quadCalibrator = new QuadCalibrator();
+        });
+
+        test('should attach the mesh to the calibration data', () => {
+            quadCalibrator.calibrationData = { type: 'quad' };
+
+            const result = quadCalibrator.buildWarpMesh(createCorrespondence(), PROJECTOR, { gridSpacing: 40 });
+
+            expect(result.success).toBe(true);
+            expect(quadCalibrator.warpMesh).toBe(result.warpMesh);
+            expect(quadCalibrator.calibrationData.warpMesh).toEqual(result.warpMesh.toJSON());
+        });
+
+        test('should refuse to build a mesh before the quad calibration', () => {
+            const result = quadCalibrator.buildWarpMesh(createCorrespondence(), PROJECTOR, { gridSpacing: 40 });
+
+            expect(result).toMatchObject({ success: false, error: 'Run the quad calibration before building a warp mesh' });
+            expect(quadCalibrator.warpMesh).toBeNull();
+        });
+    });
+
+    describe('Projecting Warped Content', () => {
+        const consoleError = console.error;
+        let projectorManager;
+        let sent;
+
+        beforeAll(() => {
+            console.error = () => {};
+        });
+
+        afterAll(() => {
+            console.error = consoleError;
+        });
+
+        beforeEach(() => {
+            globalThis.document = { createElement: () => createCanvas() };
+            projectorManager = new ProjectorManager();
+            projectorManager.isProjectorActive = true;
+            projectorManager.channel = {};
+            projectorManager.projectorWindow = { closed: false };
+            sent = [];
+            projectorManager._sendPatternToProjector = async (pattern) => {
+                sent.push(pattern);
+                return { checksum: pattern.checksum };
+            };
+        });
+
+        afterEach(() => {
+            delete globalThis.document;
+        });
+
+        test('should deliver the warped canvas as pixels at projector resolution', async () => {
+            const mesh = buildMesh();
+            projectorManager.setWarpMesh(mesh);
+
+            const result = await projectorManager.projectWarpedContent({ width: 640, height: 400 });
+
+            expect(result.success).toBe(true);
+            expect(sent).toHaveLength(1);
+            expect(PatternTransfer.isPixelPattern(sent[0])).toBe(true);
+            expect(sent[0]).toMatchObject({ type: 'warped-content', width: PROJECTOR.width, height: PROJECTOR.height });
+            expect(sent[0].checksum).toBe(PatternTransfer.checksum(new Uint8Array(sent[0].pixels)));
+            // Two triangles per grid cell
+            expect(sent[0].metadata.triangles).toBe(2 * (mesh.cols - 1) * (mesh.rows - 1));
+            expect(projectorManager.warpCanvas.getContext('2d').calls.drawImage).toBe(sent[0].metadata.triangles);
+        });
+
+        test('should fail without a warp mesh', async () => {
+            const result = await projectorManager.projectWarpedContent({ width: 640, height: 400 });
+
+            expect(result.success).toBe(false);
+            expect(result.error).toBe('No warp mesh set');
+            expect(sent).toHaveLength(0);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,80 @@
+/**
+ * Unit Tests for the Window Manager
+ * Tests that a projector window is not left behind when it never answers the handshake
+ */
+
+import { WindowManager } from '../../src/projector/WindowManager.js';
+
+const createWindow = () => ({
+    closed: false,
+    close() {
+        this.closed = true;
+    }
+});
+
+// Channel whose handshake fails, e.g. because the display page did not load
+const createChannel = (connect) => ({
+    target: undefined,
+    setTarget(target) {
+        this.target = target;
+    },
+    connect
+});
+
+describe('WindowManager', () => {
+    let windowManager;
+    let opened;
+
+    beforeEach(() => {
+        opened = [];
+        globalThis.window = {
+            open: () => {
+                const projectorWindow = createWindow();
+                opened.push(projectorWindow);
+                return projectorWindow;
+            }
+        };
+
+        windowManager = new WindowManager();
+        windowManager.displays = [{ bounds: { x: 0, y: 0, width: 1920, height: 1080 } }];
+        windowManager.channel = createChannel(async () => {
+            throw new Error('Projector window load timeout');
+        });
+    });
+
+    afterEach(() => {
+        delete globalThis.window;
+    });
+
+    describe('Opening the Projector Window', () => {
+        test('should close the window it opened when the handshake fails', async () => {
+            const result = await windowManager.openProjectorWindow({ display: 0 });
+
+            expect(result).toMatchObject({ success: false, error: 'Projector window load timeout' });
+            expect(opened).toHaveLength(1);
+            expect(opened[0].closed).toBe(true);
+            expect(windowManager.projectorWindow).toBeNull();
+            expect(windowManager.channel.target).toBeNull();
+            expect(windowManager.getStatus().isOpen).toBe(false);
+        });
+
+        test('should report a blocked pop-up without a window to close', async () => {
+            globalThis.window.open = () => null;
+
+            const result = await windowManager.openProjectorWindow({ display: 0 });
+
+            expect(result.error).toBe('Failed to open projector window. Please allow pop-ups for this site.');
+            expect(windowManager.projectorWindow).toBeNull();
+        });
+
+        test('should close the previous window before opening another', async () => {
+            const previous = createWindow();
+            windowManager.projectorWindow = previous;
+
+            await windowManager.openProjectorWindow({ display: 0 });
+
+            expect(previous.closed).toBe(true);
+            expect(opened[0].closed).toBe(true);
+        });
+    });
+});
\ No newline at end of file